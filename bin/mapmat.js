@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+// Command-line client for the Map Mat API: scans, maps, exports, version diffs and link gates.
+// Uses the same endpoints as frontend/src/api.js and authenticates with a personal access token.
+
+const fs = require('fs');
+const {
+  CLI_EXIT_CODES,
+  createCliError,
+  parseCliArgs,
+  parsePositiveIntFlag,
+  createSseParser,
+  describeJobProgress,
+  countPages,
+  buildMapFromScanResult,
+  buildMapJson,
+  buildMapCsv,
+  diffMapSnapshots,
+  resolveMapSnapshot,
+  formatDiff,
+  formatLinkGateVerdict,
+} = require('../utils/mapmatCli');
+const { LINK_GATE_FORMATS } = require('../utils/linkGate');
+
+const USAGE = `Usage: mapmat <command> [options]
+
+Commands:
+  scan <url>                  Run a scan job and stream its progress
+    --max-pages <n>           Page limit (server default when omitted)
+    --max-depth <n>           Link depth limit
+    --map <id>                Compare the result with this saved map and print what changed
+    --save <name>             Save the result as a new map
+    --project <id|name>       Project for --save
+    --out <file>              Write the scan result JSON to a file
+    --fail-on-broken          Exit 1 when the scan found broken links
+  projects                    List projects
+  maps [--project <id|name>]  List maps
+  export <mapId>              Print a map
+    --format json|csv         json (default) is the app's JSON export, csv its CSV export
+    --out <file>              Write to a file instead of stdout
+  diff <mapId> <from> [<to>]  Compare two versions (number, id or "current"; <to> defaults to current)
+    --exit-code               Exit 1 when the versions differ
+  gate <mapId>                Scan the map's site and exit 1 on broken links missing from its baseline
+    --url <url>               Start URL (default: the map URL)
+    --max-pages <n>           Page limit
+    --max-depth <n>           Link depth limit
+    --format json|junit|sarif Print the verdict in this format instead of a summary
+    --out <file>              Write the verdict to a file instead of stdout
+    --update-baseline         When the gate passes, make this scan the new baseline
+
+Global options:
+  --api <url>                 API base URL (MAPMAT_API, default http://localhost:4002)
+  --token <token>             Personal access token (MAPMAT_TOKEN)
+  --api-key <key>             Server SCAN_API_KEY, if it requires one (MAPMAT_API_KEY)
+  --json                      Print machine-readable JSON on stdout
+  --quiet                     No progress output on stderr
+
+Exit codes: 0 ok, 1 check failed, 2 usage error, 3 API error, 4 scan failed or canceled.
+`;
+
+const BOOLEAN_FLAGS = ['json', 'quiet', 'fail-on-broken', 'exit-code', 'update-baseline', 'help'];
+const TERMINAL_JOB_STATUSES = ['complete', 'failed', 'canceled'];
+const JOB_POLL_MS = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createClient({ api, token, apiKey }) {
+  const baseUrl = String(api).replace(/\/+$/, '');
+
+  const request = async (endpoint, options = {}) => {
+    const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (apiKey) headers['X-API-Key'] = apiKey;
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${endpoint}`, { ...options, headers });
+    } catch (error) {
+      throw createCliError(`Cannot reach ${baseUrl}: ${error.cause?.message || error.message}`, CLI_EXIT_CODES.API_ERROR);
+    }
+    return response;
+  };
+
+  const json = async (endpoint, options = {}) => {
+    const response = await request(endpoint, {
+      ...options,
+      body: options.body === undefined ? undefined : JSON.stringify(options.body),
+    });
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { error: text };
+    }
+    if (!response.ok) {
+      const hint = response.status === 401 && !token ? ' (set MAPMAT_TOKEN)' : '';
+      throw createCliError(
+        `${options.method || 'GET'} ${endpoint} failed with HTTP ${response.status}: ${data?.error || 'no details'}${hint}`,
+        CLI_EXIT_CODES.API_ERROR
+      );
+    }
+    return data;
+  };
+
+  return { request, json };
+}
+
+function createOutput(flags) {
+  return {
+    progress: (message) => {
+      if (!flags.quiet) process.stderr.write(`${message}\n`);
+    },
+    write: (text, file) => {
+      if (file) fs.writeFileSync(file, text);
+      else process.stdout.write(text);
+    },
+  };
+}
+
+async function resolveProjectId(client, value) {
+  if (!value) return null;
+  const { projects } = await client.json('/api/projects');
+  const project = (projects || []).find((item) => item.id === value)
+    || (projects || []).find((item) => item.name === value);
+  if (!project) throw createCliError(`Project ${value} not found`);
+  return project.id;
+}
+
+// Follows /scan-jobs/:id/stream until the job ends. If the stream drops (proxies often cut long
+// requests), polling takes over.
+async function waitForScanJob(client, jobId, output) {
+  let lastLine = '';
+  const report = (job) => {
+    const line = describeJobProgress(job);
+    if (line !== lastLine) output.progress(`[${jobId}] ${line}`);
+    lastLine = line;
+  };
+
+  let finished = null;
+  let streamError = null;
+  try {
+    const response = await client.request(`/scan-jobs/${jobId}/stream?include_result=false`, {
+      headers: { Accept: 'text/event-stream' },
+    });
+    if (response.ok && response.body) {
+      const decoder = new TextDecoder();
+      const feed = createSseParser((event, data) => {
+        if (event === 'update' || event === 'complete') report(data);
+        if (event === 'complete') finished = data;
+        if (event === 'error') streamError = data?.error || 'Stream error';
+      });
+      for await (const chunk of response.body) {
+        feed(decoder.decode(chunk, { stream: true }));
+        if (finished || streamError) break;
+      }
+    }
+  } catch {
+    // Fall through to polling.
+  }
+  if (streamError) throw createCliError(`Scan job ${jobId}: ${streamError}`, CLI_EXIT_CODES.API_ERROR);
+
+  for (;;) {
+    const { job } = await client.json(`/scan-jobs/${jobId}`);
+    if (TERMINAL_JOB_STATUSES.includes(job.status)) return job;
+    if (!finished) report(job);
+    await sleep(JOB_POLL_MS);
+  }
+}
+
+async function runScan(client, positionals, flags, output) {
+  const url = positionals[0];
+  if (!url) throw createCliError('scan needs a URL');
+  if (flags.project && !flags.save) throw createCliError('--project only applies with --save');
+
+  const body = {
+    url,
+    maxPages: parsePositiveIntFlag(flags, 'max-pages'),
+    maxDepth: parsePositiveIntFlag(flags, 'max-depth'),
+  };
+  if (flags.map) {
+    body.mapId = flags.map;
+    body.rescan = true;
+  }
+  const projectId = await resolveProjectId(client, flags.project);
+
+  const { jobId } = await client.json('/scan-jobs', { method: 'POST', body });
+  output.progress(`Started scan job ${jobId} for ${url}`);
+
+  const job = await waitForScanJob(client, jobId, output);
+  if (job.status !== 'complete') {
+    throw createCliError(`Scan ${job.status}${job.error ? `: ${job.error}` : ''}`, CLI_EXIT_CODES.SCAN_FAILED);
+  }
+
+  const result = job.result || {};
+  if (flags.out) output.write(`${JSON.stringify(result, null, 2)}\n`, flags.out);
+
+  let savedMap = null;
+  if (flags.save) {
+    const { map } = await client.json('/api/maps', {
+      method: 'POST',
+      body: buildMapFromScanResult(result, { name: flags.save, projectId }),
+    });
+    savedMap = { id: map.id, name: map.name, projectId: map.project_id || null };
+    output.progress(`Saved map "${map.name}" (${map.id})`);
+  }
+
+  const summary = {
+    jobId,
+    url,
+    pages: countPages([result.root, ...(result.orphans || []), ...(result.subdomains || [])]),
+    orphans: (result.orphans || []).length,
+    brokenLinks: (result.brokenLinks || []).length,
+    errors: (result.errors || []).length,
+    changes: result.changeSet?.summary || null,
+    map: savedMap,
+  };
+
+  if (flags.json) {
+    output.write(`${JSON.stringify(summary, null, 2)}\n`);
+  } else {
+    output.write(`Scanned ${url}: ${summary.pages} pages, ${summary.orphans} orphans, `
+      + `${summary.brokenLinks} broken links, ${summary.errors} errors\n`);
+    if (result.changeSet) output.write(formatDiff(result.changeSet));
+  }
+
+  return flags['fail-on-broken'] && summary.brokenLinks > 0 ? CLI_EXIT_CODES.CHECK_FAILED : CLI_EXIT_CODES.OK;
+}
+
+async function runProjects(client, positionals, flags, output) {
+  const { projects } = await client.json('/api/projects');
+  if (flags.json) {
+    output.write(`${JSON.stringify(projects || [], null, 2)}\n`);
+    return CLI_EXIT_CODES.OK;
+  }
+  (projects || []).forEach((project) => {
+    output.write(`${project.id}\t${project.name}\t${project.map_count ?? 0} maps\n`);
+  });
+  return CLI_EXIT_CODES.OK;
+}
+
+async function runMaps(client, positionals, flags, output) {
+  const projectId = await resolveProjectId(client, flags.project);
+  const maps = [];
+  for (let offset = 0; ; offset += 100) {
+    const query = new URLSearchParams({ limit: '100', offset: String(offset) });
+    if (projectId) query.set('project_id', projectId);
+    const page = await client.json(`/api/maps?${query.toString()}`);
+    maps.push(...(page.maps || []));
+    if (!page.maps?.length || maps.length >= (page.pagination?.total ?? 0)) break;
+  }
+  if (flags.json) {
+    output.write(`${JSON.stringify(maps.map((map) => ({
+      id: map.id,
+      name: map.name,
+      url: map.url,
+      projectId: map.project_id || null,
+      updatedAt: map.updated_at,
+    })), null, 2)}\n`);
+    return CLI_EXIT_CODES.OK;
+  }
+  maps.forEach((map) => output.write(`${map.id}\t${map.name}\t${map.url || ''}\t${map.updated_at}\n`));
+  return CLI_EXIT_CODES.OK;
+}
+
+async function runExport(client, positionals, flags, output) {
+  const mapId = positionals[0];
+  if (!mapId) throw createCliError('export needs a map id');
+  const format = flags.format || 'json';
+  if (!['json', 'csv'].includes(format)) throw createCliError('--format must be json or csv');
+
+  const { map } = await client.json(`/api/maps/${encodeURIComponent(mapId)}`);
+  output.write(format === 'csv' ? buildMapCsv(map) : buildMapJson(map), flags.out);
+  if (flags.out) output.progress(`Wrote ${format.toUpperCase()} export of "${map.name}" to ${flags.out}`);
+  return CLI_EXIT_CODES.OK;
+}
+
+async function runDiff(client, positionals, flags, output) {
+  const [mapId, fromRef, toRef = 'current'] = positionals;
+  if (!mapId || !fromRef) throw createCliError('diff needs a map id and a version');
+
+  const id = encodeURIComponent(mapId);
+  const { map } = await client.json(`/api/maps/${id}`);
+  const { versions } = await client.json(`/api/maps/${id}/versions`);
+  const from = resolveMapSnapshot(map, versions, fromRef);
+  const to = resolveMapSnapshot(map, versions, toRef);
+  const diff = diffMapSnapshots(from, to);
+
+  if (flags.json) {
+    output.write(`${JSON.stringify({ mapId: map.id, from: from.label, to: to.label, ...diff }, null, 2)}\n`);
+  } else {
+    output.write(`${map.name}: ${from.label} -> ${to.label}\n`);
+    output.write(formatDiff(diff));
+  }
+
+  const { unchanged, ...changed } = diff.summary;
+  const hasChanges = Object.values(changed).some((count) => count > 0);
+  return flags['exit-code'] && hasChanges ? CLI_EXIT_CODES.CHECK_FAILED : CLI_EXIT_CODES.OK;
+}
+
+async function runGate(client, positionals, flags, output) {
+  const mapId = positionals[0];
+  if (!mapId) throw createCliError('gate needs a map id');
+  const format = flags.format || (flags.json || flags.out ? 'json' : null);
+  if (format && !LINK_GATE_FORMATS.includes(format)) {
+    throw createCliError(`--format must be one of ${LINK_GATE_FORMATS.join(', ')}`);
+  }
+
+  const { jobId } = await client.json('/link-gate-jobs', {
+    method: 'POST',
+    body: {
+      mapId,
+      url: flags.url,
+      maxPages: parsePositiveIntFlag(flags, 'max-pages'),
+      maxDepth: parsePositiveIntFlag(flags, 'max-depth'),
+      updateBaseline: Boolean(flags['update-baseline']),
+    },
+  });
+  output.progress(`Started link gate job ${jobId} for map ${mapId}`);
+
+  const job = await waitForScanJob(client, jobId, output);
+  if (job.status !== 'complete') {
+    throw createCliError(`Scan ${job.status}${job.error ? `: ${job.error}` : ''}`, CLI_EXIT_CODES.SCAN_FAILED);
+  }
+
+  const { verdict } = await client.json(`/link-gate-jobs/${jobId}`);
+  if (!verdict) throw createCliError(`Link gate job ${jobId} has no verdict`, CLI_EXIT_CODES.API_ERROR);
+
+  if (!format) {
+    output.write(formatLinkGateVerdict(verdict));
+  } else {
+    let report = `${JSON.stringify(verdict, null, 2)}\n`;
+    if (format !== 'json') {
+      const response = await client.request(`/link-gate-jobs/${jobId}?format=${format}`);
+      report = await response.text();
+      if (!response.ok) {
+        throw createCliError(`Fetching the ${format} verdict failed with HTTP ${response.status}`, CLI_EXIT_CODES.API_ERROR);
+      }
+    }
+    output.write(report, flags.out);
+    output.progress(formatLinkGateVerdict({ ...verdict, newlyBroken: [] }).trim());
+    if (flags.out) output.progress(`Wrote ${format} verdict to ${flags.out}`);
+  }
+
+  return verdict.status === 'failed' ? CLI_EXIT_CODES.CHECK_FAILED : CLI_EXIT_CODES.OK;
+}
+
+const COMMANDS = {
+  scan: runScan,
+  projects: runProjects,
+  maps: runMaps,
+  export: runExport,
+  diff: runDiff,
+  gate: runGate,
+};
+
+async function main(argv) {
+  const { positionals, flags } = parseCliArgs(argv, { booleans: BOOLEAN_FLAGS });
+  const [command, ...rest] = positionals;
+  if (!command || command === 'help' || flags.help) {
+    process.stdout.write(USAGE);
+    return command || flags.help ? CLI_EXIT_CODES.OK : CLI_EXIT_CODES.USAGE;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw createCliError(`Unknown command: ${command}`);
+
+  const client = createClient({
+    api: flags.api || process.env.MAPMAT_API || 'http://localhost:4002',
+    token: flags.token || process.env.MAPMAT_TOKEN || null,
+    apiKey: flags['api-key'] || process.env.MAPMAT_API_KEY || null,
+  });
+  return run(client, rest, flags, createOutput(flags));
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`mapmat: ${error.message}`);
+    if (error.exitCode === CLI_EXIT_CODES.USAGE) console.error('Run "mapmat help" for usage.');
+    process.exitCode = error.exitCode ?? CLI_EXIT_CODES.API_ERROR;
+  });
@@ -211,6 +211,7 @@ ensureColumn('scan_history', 'scan_options', 'TEXT');
 ensureColumn('scan_history', 'scan_depth', 'INTEGER');
 ensureColumn('scan_history', 'map_id', 'TEXT');
 ensureColumn('usage_events', 'meta', 'TEXT');
+ensureColumn('usage_events', 'access_token_id', 'TEXT');
 ensureColumn('pages', 'placement', "TEXT NOT NULL DEFAULT 'Primary'");
 ensureColumn('pages', 'status', "TEXT NOT NULL DEFAULT 'Active'");
 ensureColumn('pages', 'severity', "TEXT NOT NULL DEFAULT 'Healthy'");
@@ -218,6 +219,12 @@ ensureColumn('pages', 'parent_url', 'TEXT');
 ensureColumn('pages', 'discovery_source', "TEXT NOT NULL DEFAULT 'crawl'");
 ensureColumn('pages', 'links_in', 'INTEGER NOT NULL DEFAULT 0');
 ensureColumn('pages', 'depth', 'INTEGER');
+ensureColumn('pages', 'meta_description', 'TEXT');
+ensureColumn('pages', 'h1', 'TEXT');
+ensureColumn('pages', 'meta_robots', 'TEXT');
+ensureColumn('pages', 'open_graph', 'TEXT');
+ensureColumn('pages', 'word_count', 'INTEGER');
+ensureColumn('pages', 'response_time_ms', 'INTEGER');
 
 db.prepare("UPDATE pages SET placement = 'Primary' WHERE placement IS NULL OR placement = ''").run();
 db.prepare("UPDATE pages SET status = 'Active' WHERE status IS NULL OR status = ''").run();
@@ -42,10 +42,17 @@ import ProfileDrawer from './components/drawers/ProfileDrawer';
 import SettingsDrawer from './components/drawers/SettingsDrawer';
 import VersionHistoryDrawer from './components/drawers/VersionHistoryDrawer';
 import ProjectsModal from './components/modals/ProjectsModal';
+import WebhooksModal from './components/modals/WebhooksModal';
 import PromptModal from './components/modals/PromptModal';
 import ReportDrawer from './components/reports/ReportDrawer';
+import LinksPanel from './components/reports/LinksPanel';
+import MigrationDrawer from './components/reports/MigrationDrawer';
 import SaveMapModal from './components/modals/SaveMapModal';
 import SaveVersionModal from './components/modals/SaveVersionModal';
+import ScanAuthModal from './components/modals/ScanAuthModal';
+import RescanReviewModal from './components/modals/RescanReviewModal';
+import InventoryReviewModal from './components/modals/InventoryReviewModal';
+import ScanScheduleModal from './components/modals/ScanScheduleModal';
 import ShareModal from './components/modals/ShareModal';
 import ScanProgressModal from './components/scan/ScanProgressModal';
 import VersionEditPromptModal from './components/modals/VersionEditPromptModal';
@@ -58,10 +65,26 @@ import {
   ACCESS_LEVELS,
   SCAN_MESSAGES,
   REPORT_TYPE_OPTIONS,
+  SEO_ISSUE_OPTIONS,
+  DEEP_PAGE_CLICK_DEPTH,
   ANNOTATION_STATUS_OPTIONS,
+  ANNOTATION_STATUS_LABELS,
   LAYOUT,
 } from './utils/constants';
-import { sanitizeUrl, downloadText, clamp } from './utils/helpers';
+import { sanitizeUrl, downloadBlob, downloadText, clamp } from './utils/helpers';
+import { REDIRECT_MAP_FORMATS, buildRedirectMap, collectRedirectRows } from './utils/redirectMap';
+import { DIAGRAM_FORMATS, buildDiagram, buildDiagramModel } from './utils/diagramExport';
+import { SITEMAP_SKIP_REASONS, buildSitemapFiles, collectSitemapEntries } from './utils/sitemapXml';
+import { buildZip } from './utils/zipWriter';
+import { csvCell } from './utils/textEscape';
+import { NODE_COLOR_MODES, getNodeHeatmapColor, hasLinkMetrics } from './utils/linkEquity';
+import {
+  buildMigrationMappingCsv,
+  buildMigrationPlan,
+  buildNoDestinationCsv,
+  captureMigrationBaseline,
+  needsMigrationBaseline,
+} from './utils/migrationPlan';
 import {
   buildExpandedStackMap,
   getMaxDepth,
@@ -84,7 +107,23 @@ import {
   parseMarkdown,
   parsePlainText,
   buildTreeFromUrls,
+  parseOpml,
+  parseFreeMind,
+  parseXMind,
+  parseIndentedOutline,
+  isIndentedOutline,
+  parseSitemapJson,
+  countOutlineNodes,
 } from './utils/importParsers';
+import {
+  INVENTORY_COLUMNS,
+  applyInventoryChanges,
+  buildInventoryChangeSet,
+  getInventoryColumns,
+  parseCsvRows,
+} from './utils/inventorySheet';
+import { readXlsxRows } from './utils/xlsxReader';
+import { applyRescanChanges } from './utils/rescanChanges';
 import { computeLayout, getNodeH } from './layout/computeLayout';
 import { AuthProvider } from './contexts/AuthContext';
 import { useCoeditingLive, COEDITING_LIVE_STATUS } from './hooks/useCoeditingLive';
@@ -132,6 +171,13 @@ const SCREENSHOT_JOB_PIPELINE_ENABLED = parseEnvBool(
   process.env.REACT_APP_SCREENSHOT_JOB_PIPELINE_ENABLED,
   false
 );
+// Saved maps with at least this many pages export to PNG/PDF through a server export job, as the
+// browser hits canvas size limits on large maps. 0 keeps every export in the browser.
+const SERVER_EXPORT_MIN_PAGES = Math.max(
+  0,
+  Number.parseInt(process.env.REACT_APP_SERVER_EXPORT_MIN_PAGES || '300', 10) || 0
+);
+const SERVER_EXPORT_TIMEOUT_MS = 300000;
 const REALTIME_PRESENCE_HEARTBEAT_SEC = clamp(
   Number.parseInt(process.env.REACT_APP_REALTIME_PRESENCE_HEARTBEAT_SEC || '20', 10) || 20,
   5,
@@ -156,6 +202,7 @@ const SitemapTree = ({
   snapTarget,
   onAnchorMouseDown,
   colors,
+  getNodeColor,
   scale = 1,
   onDelete,
   onEdit,
@@ -221,11 +268,15 @@ const SitemapTree = ({
     if (orphanType === 'file' && badgeVisibility?.files) badges.push('File');
     if (orphanType === 'broken' && !isOrphanRoot && badgeVisibility?.brokenLinks) badges.push('Broken Link');
     if (orphanType === 'inactive' && badgeVisibility?.inactivePages) badges.push('Inactive');
+    if (orphanType === 'robots' && badgeVisibility?.robotsBlocked) badges.push('Robots');
     if (node.isFile && badgeVisibility?.files && !badges.includes('File')) badges.push('File');
     if (node.isBroken && !isOrphanRoot && badgeVisibility?.brokenLinks && !badges.includes('Broken Link')) {
       badges.push('Broken Link');
     }
     if (node.isInactive && badgeVisibility?.inactivePages && !badges.includes('Inactive')) badges.push('Inactive');
+    if (node.isRobotsBlocked && badgeVisibility?.robotsBlocked && !badges.includes('Robots')) badges.push('Robots');
+    if (node.hreflangIssues?.length && badgeVisibility?.hreflangIssues) badges.push('Hreflang');
+    if (node.seoIssues?.length && badgeVisibility?.seoIssues) badges.push('SEO');
     if (node.authRequired && badgeVisibility?.authenticatedPages) badges.push('Auth');
     if (node.isError && badgeVisibility?.errorPages) badges.push('Error');
     return badges;
@@ -264,7 +315,7 @@ const SitemapTree = ({
 
       {/* Render all nodes with absolute positioning */}
       {Array.from(layout.nodes.values()).map(nodeData => {
-        const color = colors[Math.min(nodeData.depth, colors.length - 1)];
+        const color = getNodeColor?.(nodeData.node) || colors[Math.min(nodeData.depth, colors.length - 1)];
         const isRoot = nodeData.node.id === data.id;
         const badges = getBadgesForNode(nodeData.node, nodeData);
         const annotations = nodeData.node?.annotations || {};
@@ -505,6 +556,14 @@ const getNodeStatusFlags = (node, nodeMeta) => {
   };
 };
 
+// SEO layers highlight rather than hide: they start off, and turning one on ghosts every node without
+// that issue.
+const SEO_LAYERS_OFF = Object.fromEntries(SEO_ISSUE_OPTIONS.map(({ layerKey }) => [layerKey, false]));
+
+const getSeoLayerAvailability = (nodes) => Object.fromEntries(
+  SEO_ISSUE_OPTIONS.map(({ key, layerKey }) => [layerKey, nodes.some((node) => node.seoIssues?.includes(key))])
+);
+
 const isNodeGhosted = (node, nodeMeta, visibility) => {
   if (!visibility) return false;
   const placement = getNodePlacement(nodeMeta);
@@ -521,6 +580,8 @@ const isNodeGhosted = (node, nodeMeta, visibility) => {
   if (status.inactive && !visibility.statusInactive) return true;
   if (status.auth && !visibility.statusAuth) return true;
   if (status.duplicate && !visibility.statusDuplicate) return true;
+  if (visibility.seoHighlight?.length
+    && !visibility.seoHighlight.some((issue) => node?.seoIssues?.includes(issue))) return true;
   return false;
 };
 
@@ -651,6 +712,25 @@ const applyScanArtifacts = (rootNode, orphanNodes, scanResult) => {
     }, 'inactive');
   });
 
+  (scanResult.robotsBlocked || []).forEach((blocked) => {
+    if (!blocked?.url) return;
+    const existing = urlNodeMap.get(blocked.url);
+    if (existing) {
+      existing.isRobotsBlocked = true;
+      existing.robotsRule = blocked.rule || null;
+      return;
+    }
+    addOrphanNode({
+      id: makeNodeIdFromUrl(blocked.url),
+      url: blocked.url,
+      title: getUrlLabel(blocked.url),
+      children: [],
+      parentUrl: blocked.sourceUrl || null,
+      isRobotsBlocked: true,
+      robotsRule: blocked.rule || null,
+    }, 'robots');
+  });
+
   // Seed normalized map for existing nodes in case we missed any
   indexNodeUrls(rootNode);
   mergedOrphans.forEach(indexNodeUrls);
@@ -689,8 +769,24 @@ export default function App() {
     duplicates: false,
     files: false,
     crosslinks: false,
+    robotsBlocked: false,
+    renderJs: false,
+    groupLanguages: false,
   });
   const [showScanOptions, setShowScanOptions] = useState(false);
+  const [scanUrlRules, setScanUrlRules] = useState({ include: '', exclude: '' });
+  const [scanQueryPolicy, setScanQueryPolicy] = useState({ mode: 'preserve', params: '' });
+  const [scanAuth, setScanAuth] = useState(null);
+  // Last canceled or failed scan job, offered as "Resume" while the URL still matches.
+  const [resumableScan, setResumableScan] = useState(null);
+  // Change set from a re-scan of the current map, waiting for review.
+  const [rescanReview, setRescanReview] = useState(null);
+  const [inventoryReview, setInventoryReview] = useState(null);
+  const [showScanAuthModal, setShowScanAuthModal] = useState(false);
+  const [savedScanAuth, setSavedScanAuth] = useState(null);
+  const [showScanScheduleModal, setShowScanScheduleModal] = useState(false);
+  const [scanSchedules, setScanSchedules] = useState(null);
+  const [scanScheduleRuns, setScanScheduleRuns] = useState(null);
   const [scanDepth, setScanDepth] = useState('4');
   const [scanMeta, setScanMeta] = useState({
     brokenLinks: [],
@@ -706,6 +802,7 @@ export default function App() {
     statusInactive: false,
     statusAuth: false,
     statusDuplicate: false,
+    ...SEO_LAYERS_OFF,
   });
   const [scanLayerVisibility, setScanLayerVisibility] = useState({
     placementPrimary: true,
@@ -718,6 +815,7 @@ export default function App() {
     statusInactive: true,
     statusAuth: true,
     statusDuplicate: true,
+    ...SEO_LAYERS_OFF,
   });
   const [mapName, setMapName] = useState('');
   const [isEditingMapName, setIsEditingMapName] = useState(false);
@@ -736,6 +834,7 @@ export default function App() {
   const [colors, setColors] = useState(DEFAULT_COLORS);
   const [connectionColors, setConnectionColors] = useState(DEFAULT_CONNECTION_COLORS);
   const [showColorKey, setShowColorKey] = useState(false);
+  const [nodeColorMode, setNodeColorMode] = useState('level'); // 'level', 'clickDepth', 'linkScore'
   const [showMinimap, setShowMinimap] = useState(false);
   const [editingColorDepth, setEditingColorDepth] = useState(null);
   const [editingConnectionKey, setEditingConnectionKey] = useState(null);
@@ -749,6 +848,7 @@ export default function App() {
   const [showShareModal, setShowShareModal] = useState(false);
   const [showExportModal, setShowExportModal] = useState(false);
   const [showProjectsModal, setShowProjectsModal] = useState(false);
+  const [webhookProject, setWebhookProject] = useState(null);
   const [showCreateMapModal, setShowCreateMapModal] = useState(false);
   const [showSaveMapModal, setShowSaveMapModal] = useState(false);
   const [showVersionHistoryDrawer, setShowVersionHistoryDrawer] = useState(false);
@@ -837,6 +937,9 @@ export default function App() {
   const [isShiftPressed, setIsShiftPressed] = useState(false);
   const [showCommentsPanel, setShowCommentsPanel] = useState(false);
   const [showReportDrawer, setShowReportDrawer] = useState(false);
+  const [showMigrationDrawer, setShowMigrationDrawer] = useState(false);
+  const [linkGraph, setLinkGraph] = useState(null); // { id, map_id } of the scan's saved link graph
+  const [linksPanelNodeId, setLinksPanelNodeId] = useState(null);
   const [lastScanAt, setLastScanAt] = useState(null);
   const [expandedStacks, setExpandedStacks] = useState({});
   const [commentingNodeId, setCommentingNodeId] = useState(null); // Node currently showing comment popover
@@ -884,6 +987,7 @@ export default function App() {
 
   const canvasRef = useRef(null);
   const scanJobIdRef = useRef(null);
+  const scanRequestRef = useRef(null);
   const eventSourceRef = useRef(null);
   const scanTimerRef = useRef(null);
   const messageTimerRef = useRef(null);
@@ -1063,6 +1167,60 @@ export default function App() {
     return nodes.every((node) => node.thumbnailUrl?.includes('/screenshots/'));
   }, [root, orphans]);
 
+  const nodesByUrl = useMemo(() => {
+    const byUrl = new Map();
+    if (!linksPanelNodeId) return byUrl;
+    collectAllNodesWithOrphans(root, orphans).forEach((node) => {
+      if (node?.url && !byUrl.has(node.url)) byUrl.set(node.url, node);
+    });
+    return byUrl;
+  }, [linksPanelNodeId, root, orphans]);
+
+  const linkMetrics = useMemo(() => {
+    let available = false;
+    let maxClickDepth = 0;
+    collectAllNodesWithOrphans(root, orphans).forEach((node) => {
+      if (!hasLinkMetrics(node)) return;
+      available = true;
+      if (node.clickDepth > maxClickDepth) maxClickDepth = node.clickDepth;
+    });
+    return { available, maxClickDepth };
+  }, [root, orphans]);
+
+  const activeNodeColorMode = linkMetrics.available ? nodeColorMode : 'level';
+  const getHeatmapNodeColor = useMemo(() => {
+    if (activeNodeColorMode === 'level') return null;
+    return (node) => getNodeHeatmapColor(node, activeNodeColorMode, { maxClickDepth: linkMetrics.maxClickDepth });
+  }, [activeNodeColorMode, linkMetrics.maxClickDepth]);
+
+  // Saved maps load their newest link graph; an unsaved scan keeps its own until it is saved.
+  const linkGraphMapId = linkGraph?.map_id || null;
+  useEffect(() => {
+    const mapId = currentMap?.id;
+    if (!mapId || !isLoggedIn || linkGraphMapId === mapId) return undefined;
+    let cancelled = false;
+    api.getMapLinkGraph(mapId)
+      .then(({ graph }) => {
+        if (!cancelled) setLinkGraph(graph);
+      })
+      .catch(() => {
+        if (!cancelled) setLinkGraph(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentMap?.id, isLoggedIn, linkGraphMapId]);
+
+  useEffect(() => {
+    if (showCommentsPanel || showReportDrawer || !linkGraph) setLinksPanelNodeId(null);
+  }, [showCommentsPanel, showReportDrawer, linkGraph]);
+
+  useEffect(() => {
+    if (!linksPanelNodeId || selectedNodeIds.size !== 1) return;
+    const [selectedId] = selectedNodeIds;
+    setLinksPanelNodeId(selectedId);
+  }, [linksPanelNodeId, selectedNodeIds]);
+
   const maxDepth = useMemo(() => {
     const orphanDepth = (orphans || []).reduce((max, orphan) => {
       return Math.max(max, getMaxDepth(orphan));
@@ -1081,6 +1239,9 @@ export default function App() {
     statusInactive: scanLayerAvailability.statusInactive ? scanLayerVisibility.statusInactive : true,
     statusAuth: scanLayerAvailability.statusAuth ? scanLayerVisibility.statusAuth : true,
     statusDuplicate: scanLayerAvailability.statusDuplicate ? scanLayerVisibility.statusDuplicate : true,
+    seoHighlight: SEO_ISSUE_OPTIONS
+      .filter(({ layerKey }) => scanLayerAvailability[layerKey] && scanLayerVisibility[layerKey])
+      .map(({ key }) => key),
   }), [scanLayerAvailability, scanLayerVisibility]);
 
   const badgeVisibility = useMemo(() => ({
@@ -1092,6 +1253,9 @@ export default function App() {
     authenticatedPages: true,
     errorPages: true,
     duplicates: true,
+    robotsBlocked: true,
+    hreflangIssues: true,
+    seoIssues: true,
   }), []);
 
   const reportLayout = useMemo(() => {
@@ -1176,6 +1340,7 @@ export default function App() {
       statusInactive: hasInactive,
       statusAuth: hasAuth,
       statusDuplicate: hasDuplicates,
+      ...getSeoLayerAvailability(nodesForCounts),
     }));
   }, [root, orphans]);
 
@@ -1199,6 +1364,11 @@ export default function App() {
     [reportEntries]
   );
 
+  const migrationPlan = useMemo(
+    () => (showMigrationDrawer ? buildMigrationPlan(root, orphans) : null),
+    [showMigrationDrawer, root, orphans]
+  );
+
   const reportStats = useMemo(() => {
     const stats = { total: reportEntries.length };
     REPORT_TYPE_OPTIONS.forEach((option) => {
@@ -1858,6 +2028,7 @@ export default function App() {
 
   const resetScanLayers = useCallback(() => {
     setScanMeta({ brokenLinks: [] });
+    setLinkGraph(null);
     setScanLayerAvailability({
       placementPrimary: false,
       placementSubdomain: false,
@@ -1869,6 +2040,7 @@ export default function App() {
       statusInactive: false,
       statusAuth: false,
       statusDuplicate: false,
+      ...SEO_LAYERS_OFF,
     });
     setScanLayerVisibility({
       placementPrimary: true,
@@ -1881,6 +2053,7 @@ export default function App() {
       statusInactive: true,
       statusAuth: true,
       statusDuplicate: true,
+      ...SEO_LAYERS_OFF,
     });
   }, []);
 
@@ -2904,6 +3077,7 @@ export default function App() {
     setShowSettingsDrawer(false);
     setShowCommentsPanel(false);
     setShowReportDrawer(false);
+    setShowMigrationDrawer(false);
     setShowVersionHistoryDrawer(false);
     setShowProjectsModal(false);
     setShowHistoryModal(false);
@@ -2914,6 +3088,7 @@ export default function App() {
     setShowProfileDrawer(false);
     setShowCommentsPanel(false);
     setShowReportDrawer(false);
+    setShowMigrationDrawer(false);
     setShowVersionHistoryDrawer(false);
     setShowProjectsModal(false);
     setShowHistoryModal(false);
@@ -2924,6 +3099,7 @@ export default function App() {
     setShowHistoryModal(false);
     setShowCommentsPanel(false);
     setShowReportDrawer(false);
+    setShowMigrationDrawer(false);
     setShowProfileDrawer(false);
     setShowSettingsDrawer(false);
     setShowVersionHistoryDrawer(false);
@@ -2934,6 +3110,7 @@ export default function App() {
     setShowProjectsModal(false);
     setShowCommentsPanel(false);
     setShowReportDrawer(false);
+    setShowMigrationDrawer(false);
     setShowProfileDrawer(false);
     setShowSettingsDrawer(false);
     setShowVersionHistoryDrawer(false);
@@ -3604,6 +3781,165 @@ export default function App() {
     }
   };
 
+  const canSaveScanAuth = isLoggedIn && !!currentMap?.id;
+
+  const canRescanMap = canSaveScanAuth && canEditValue && !isImportedMap && !!currentMap?.url;
+
+  const startRescan = () => {
+    if (!canRescanMap) return;
+    // The diff is taken against the saved map, so push pending edits first.
+    flushAutosave();
+    scan(currentMap.url, true, { rescanMapId: currentMap.id });
+  };
+
+  const applyRescanReview = (selectedChanges) => {
+    if (!rescanReview || !root) return;
+    if (isLiveActive) {
+      warnLiveModeUnsupported('Re-scan changes cannot be applied while live editing is active.');
+      return;
+    }
+    const result = applyRescanChanges({
+      root,
+      orphans,
+      changes: selectedChanges,
+      tagStatus: (node, status) => {
+        node.annotations = buildAnnotations({ status }, node.annotations);
+      },
+    });
+    saveStateForUndo();
+    setRoot(result.root);
+    setOrphans(result.orphans);
+    setRescanReview(null);
+    setLastScanAt(new Date().toISOString());
+    showToast(
+      result.skipped
+        ? `Applied ${result.applied} changes (${result.skipped} no longer matched the map)`
+        : `Applied ${result.applied} changes`,
+      'success'
+    );
+  };
+
+  const applyInventoryReview = (selectedChanges) => {
+    if (!inventoryReview || !root) return;
+    if (isLiveActive) {
+      warnLiveModeUnsupported('Inventory imports are not live-synced yet.');
+      return;
+    }
+    const result = applyInventoryChanges({
+      root,
+      orphans,
+      changes: selectedChanges,
+      setAnnotation: (node, patch) => {
+        node.annotations = buildAnnotations(patch, node.annotations);
+      },
+    });
+    saveStateForUndo();
+    setRoot(result.root);
+    setOrphans(result.orphans);
+    setInventoryReview(null);
+    showToast(
+      result.skipped
+        ? `Applied ${result.applied} changes (${result.skipped} no longer matched the map)`
+        : `Applied ${result.applied} changes`,
+      'success'
+    );
+  };
+
+  const openScanScheduleModal = () => {
+    if (!canRescanMap) return;
+    setScanSchedules(null);
+    setScanScheduleRuns(null);
+    setShowScanScheduleModal(true);
+    api.getMapScanSchedules(currentMap.id)
+      .then((data) => setScanSchedules(data.schedules || []))
+      .catch((error) => {
+        setScanSchedules([]);
+        showToast(error.message || 'Failed to load scan schedules', 'error');
+      });
+  };
+
+  // New schedules scan the saved map URL with the scan settings currently in the toolbar.
+  const handleCreateScanSchedule = async (timing) => {
+    const { schedule } = await api.createMapScanSchedule(currentMap.id, {
+      ...timing,
+      url: currentMap.url,
+      maxDepth: getScanDepthValue(),
+      options: buildScanConfig(),
+    });
+    setScanSchedules((prev) => [...(prev || []), schedule]);
+    showToast('Scan schedule added', 'success');
+  };
+
+  const handleToggleScanSchedule = async (schedule) => {
+    try {
+      const { schedule: updated } = await api.updateMapScanSchedule(currentMap.id, schedule.id, {
+        enabled: !schedule.enabled,
+      });
+      setScanSchedules((prev) => (prev || []).map((item) => (item.id === updated.id ? updated : item)));
+    } catch (error) {
+      showToast(error.message || 'Failed to update scan schedule', 'error');
+    }
+  };
+
+  const handleDeleteScanSchedule = async (schedule) => {
+    try {
+      await api.deleteMapScanSchedule(currentMap.id, schedule.id);
+      setScanSchedules((prev) => (prev || []).filter((item) => item.id !== schedule.id));
+      setScanScheduleRuns((prev) => (prev?.scheduleId === schedule.id ? null : prev));
+    } catch (error) {
+      showToast(error.message || 'Failed to delete scan schedule', 'error');
+    }
+  };
+
+  const handleLoadScanScheduleRuns = async (schedule) => {
+    if (scanScheduleRuns?.scheduleId === schedule.id) {
+      setScanScheduleRuns(null);
+      return;
+    }
+    try {
+      const { runs } = await api.getMapScanScheduleRuns(currentMap.id, schedule.id);
+      setScanScheduleRuns({ scheduleId: schedule.id, runs: runs || [] });
+    } catch (error) {
+      showToast(error.message || 'Failed to load run history', 'error');
+    }
+  };
+
+  const openScanAuthModal = () => {
+    setShowScanOptions(false);
+    setShowScanAuthModal(true);
+    if (!canSaveScanAuth) {
+      setSavedScanAuth(null);
+      return;
+    }
+    api.getMapScanAuth(currentMap.id)
+      .then(setSavedScanAuth)
+      .catch(() => setSavedScanAuth(null));
+  };
+
+  const handleApplyScanAuth = async (auth, { saveToMap = false } = {}) => {
+    setScanAuth(auth);
+    setShowScanAuthModal(false);
+    if (!saveToMap || !auth || !canSaveScanAuth) return;
+    try {
+      const saved = await api.saveMapScanAuth(currentMap.id, { auth, url: sanitizeUrl(urlInput) || undefined });
+      setSavedScanAuth(saved);
+      showToast('Scan credentials saved', 'success');
+    } catch (error) {
+      showToast(error.message || 'Failed to save scan credentials', 'error');
+    }
+  };
+
+  const handleForgetScanAuth = async () => {
+    if (!canSaveScanAuth) return;
+    try {
+      await api.deleteMapScanAuth(currentMap.id);
+      setSavedScanAuth(null);
+      showToast('Saved scan credentials removed', 'success');
+    } catch (error) {
+      showToast(error.message || 'Failed to remove scan credentials', 'error');
+    }
+  };
+
   const duplicateCurrentMap = () => {
     if (!root) {
       showToast('No map to duplicate', 'warning');
@@ -3879,6 +4215,15 @@ export default function App() {
         return updated;
       });
 
+      if (wasNewMap && linkGraph && !linkGraph.map_id) {
+        try {
+          const { graph } = await api.attachMapLinkGraph(savedMap.id, linkGraph.id);
+          setLinkGraph(graph);
+        } catch (err) {
+          console.error('Failed to attach link graph to map:', err);
+        }
+      }
+
       setCurrentMap(savedMap);
       setMapSaveConflict(null);
       setShowSaveMapModal(false);
@@ -4170,6 +4515,7 @@ export default function App() {
     scanJobIdRef.current = null;
     if (jobId) {
       api.cancelScanJob(jobId).catch(() => {});
+      if (scanRequestRef.current) setResumableScan({ jobId, ...scanRequestRef.current });
     }
     stopScanTimers();
     setLoading(false);
@@ -4178,34 +4524,58 @@ export default function App() {
     showToast('Scan cancelled', 'info');
   };
 
-  const scan = async (overrideUrl, preserveName = false) => {
+  // `resumeFrom` is a resumableScan entry; the job is requeued with its original URL and options.
+  // `rescanMapId` diffs the crawl against that saved map instead of replacing the tree.
+  const getScanDepthValue = () => {
+    const parsedDepth = Number.parseInt(scanDepth, 10);
+    return Number.isFinite(parsedDepth) ? Math.min(Math.max(parsedDepth, 1), 8) : 4;
+  };
+
+  // Scan options as sent to the backend; also used for scheduled scans.
+  const buildScanConfig = () => {
+    const toRuleList = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+    const urlRules = {
+      include: toRuleList(scanUrlRules.include),
+      exclude: toRuleList(scanUrlRules.exclude),
+    };
+    return {
+      ...scanOptions,
+      ...(urlRules.include.length || urlRules.exclude.length ? { urlRules } : {}),
+      ...(scanQueryPolicy.mode !== 'preserve' ? { queryPolicy: scanQueryPolicy } : {}),
+    };
+  };
+
+  const scan = async (overrideUrl, preserveName = false, { resumeFrom = null, rescanMapId = null } = {}) => {
     let urlToScan = urlInput;
     if (typeof overrideUrl === 'string') {
       urlToScan = overrideUrl;
     }
-    const url = sanitizeUrl(urlToScan);
+    const url = resumeFrom ? resumeFrom.url : sanitizeUrl(urlToScan);
     if (!url) {
       showToast('Please enter a valid URL', 'warning');
       return;
     }
 
-    const parsedDepth = Number.parseInt(scanDepth, 10);
-    const depthValue = Number.isFinite(parsedDepth) ? Math.min(Math.max(parsedDepth, 1), 8) : 4;
+    const depthValue = resumeFrom ? resumeFrom.maxDepth : getScanDepthValue();
 
     setLoading(true);
+    setResumableScan(null);
     setScanProgress({ scanned: 0, queued: 0 });
     startScanTimers();
 
-    const scanConfig = {
-      ...scanOptions,
-    };
+    const scanConfig = resumeFrom ? resumeFrom.scanConfig : buildScanConfig();
     let jobId;
     try {
-      const jobResponse = await api.createScanJob({
-        url,
-        maxDepth: depthValue,
-        options: scanConfig,
-      });
+      const jobResponse = resumeFrom
+        ? await api.resumeScanJob(resumeFrom.jobId)
+        : await api.createScanJob({
+          url,
+          maxDepth: depthValue,
+          options: scanConfig,
+          ...(scanAuth ? { auth: scanAuth } : {}),
+          ...(canSaveScanAuth ? { mapId: currentMap.id } : {}),
+          ...(rescanMapId ? { mapId: rescanMapId, rescan: true } : {}),
+        });
       jobId = jobResponse?.jobId;
       if (!jobId) {
         throw new Error('Failed to start scan');
@@ -4213,6 +4583,7 @@ export default function App() {
     } catch (err) {
       console.error('Scan job creation failed:', err);
       showToast(err.message || 'Failed to start scan', 'error');
+      if (resumeFrom) setResumableScan(resumeFrom);
       stopScanTimers();
       setLoading(false);
       setScanProgress({ scanned: 0, queued: 0 });
@@ -4220,6 +4591,7 @@ export default function App() {
     }
 
     scanJobIdRef.current = jobId;
+    scanRequestRef.current = { url, maxDepth: depthValue, scanConfig, preserveName, rescanMapId };
 
     const eventSource = new EventSource(`${API_BASE}/scan-jobs/${jobId}/stream`);
     eventSourceRef.current = eventSource;
@@ -4251,6 +4623,7 @@ export default function App() {
 
       if (job?.status === 'failed') {
         showToast(`Scan failed: ${job.error || 'Unknown error'}`, 'error');
+        setResumableScan({ jobId, ...scanRequestRef.current });
         eventSource.close();
         eventSourceRef.current = null;
         scanJobIdRef.current = null;
@@ -4262,6 +4635,7 @@ export default function App() {
 
       if (job?.status === 'canceled') {
         showToast('Scan cancelled', 'info');
+        setResumableScan({ jobId, ...scanRequestRef.current });
         eventSource.close();
         eventSourceRef.current = null;
         scanJobIdRef.current = null;
@@ -4284,6 +4658,18 @@ export default function App() {
         return;
       }
 
+      if (data.changeSet) {
+        if (data.linkGraph) setLinkGraph({ id: data.linkGraph.id, map_id: rescanMapId });
+        setRescanReview(data.changeSet);
+        eventSource.close();
+        eventSourceRef.current = null;
+        scanJobIdRef.current = null;
+        stopScanTimers();
+        setLoading(false);
+        setScanProgress({ scanned: 0, queued: 0 });
+        return;
+      }
+
       let merged = { root: data.root, orphans: data.orphans || [] };
       try {
         merged = applyScanArtifacts(data.root, data.orphans || [], data);
@@ -4292,6 +4678,7 @@ export default function App() {
         showToast('Scan completed with partial data', 'warning');
       }
 
+      captureMigrationBaseline(merged.root, merged.orphans);
       const nodesForCounts = collectAllNodesWithOrphans(merged.root, merged.orphans);
       const forestIndexForCounts = buildForestIndex(merged.root, merged.orphans);
       const isTopLevelOrphanRootMeta = (meta) => meta?.treeType === 'orphan' && meta.parentId === null;
@@ -4330,6 +4717,7 @@ export default function App() {
       resetThumbnailQueue(0);
       setConnections(scannedCrosslinks);
       setScanMeta({ brokenLinks: data.brokenLinks || [] });
+      setLinkGraph(data.linkGraph ? { id: data.linkGraph.id, map_id: null } : null);
       setScanLayerAvailability({
         placementPrimary: true,
         placementSubdomain: hasSubdomains,
@@ -4341,6 +4729,7 @@ export default function App() {
         statusInactive: hasInactive,
         statusAuth: authCount > 0,
         statusDuplicate: duplicateCount > 0,
+        ...getSeoLayerAvailability(nodesForCounts),
       });
       setScanLayerVisibility({
         placementPrimary: true,
@@ -4353,6 +4742,7 @@ export default function App() {
         statusInactive: hasInactive,
         statusAuth: authCount > 0,
         statusDuplicate: duplicateCount > 0,
+        ...SEO_LAYERS_OFF,
       });
       setCurrentMap(null);
       setDraftVersionFromSnapshot({
@@ -4379,6 +4769,9 @@ export default function App() {
         const pageCount = countNodes(merged.root);
         addToHistory(url, merged.root, pageCount, scanConfig, depthValue);
         showToast(`Scan complete: ${new URL(url).hostname}`, 'success');
+        if (data.auth?.login === 'failed') {
+          showToast('Login step failed; pages were scanned without a session', 'warning');
+        }
         setTimeout(resetView, 100);
 
       eventSource.close();
@@ -4900,6 +5293,7 @@ export default function App() {
           const next = !prev;
           if (next) {
             setShowReportDrawer(false);
+            setShowMigrationDrawer(false);
             setShowProfileDrawer(false);
             setShowSettingsDrawer(false);
             setShowProjectsModal(false);
@@ -4912,6 +5306,7 @@ export default function App() {
         setShowReportDrawer(prev => {
           const next = !prev;
           if (next) {
+            setShowMigrationDrawer(false);
             setShowCommentsPanel(false);
             setShowProfileDrawer(false);
             setShowSettingsDrawer(false);
@@ -4928,6 +5323,7 @@ export default function App() {
           if (next) {
             setShowCommentsPanel(false);
             setShowReportDrawer(false);
+            setShowMigrationDrawer(false);
             setShowProfileDrawer(false);
             setShowSettingsDrawer(false);
             setShowProjectsModal(false);
@@ -4975,6 +5371,10 @@ export default function App() {
         if (showReportDrawer) {
           setShowReportDrawer(false);
         }
+        setLinksPanelNodeId(null);
+        if (showMigrationDrawer) {
+          setShowMigrationDrawer(false);
+        }
         if (showProfileDrawer) {
           setShowProfileDrawer(false);
         }
@@ -4995,7 +5395,7 @@ export default function App() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [undoStack, redoStack, root, activeTool, connectionTool, connectionMenu, nodeMenu, showCommentsPanel, showReportDrawer, showProfileDrawer, showSettingsDrawer, showVersionHistoryDrawer, zoomAtClientPoint, getZoomBounds]);
+  }, [undoStack, redoStack, root, activeTool, connectionTool, connectionMenu, nodeMenu, showCommentsPanel, showReportDrawer, showMigrationDrawer, showProfileDrawer, showSettingsDrawer, showVersionHistoryDrawer, zoomAtClientPoint, getZoomBounds]);
 
   // Smooth wheel handling for pan/zoom
   const wheelStateRef = useRef({
@@ -5090,7 +5490,10 @@ export default function App() {
 
     // Flatten tree to array with all node data
     const rows = [];
-    const flattenWithNumber = (node, depth = 0, number = '1') => {
+    const flattenWithNumber = (node, depth = 0, number = '1', parentId = '') => {
+      const seo = node.seo || {};
+      const og = seo.openGraph || {};
+      const annotations = node.annotations || {};
       rows.push({
         number,
         depth,
@@ -5098,16 +5501,36 @@ export default function App() {
         url: node.url || '',
         hasChildren: node.children?.length > 0 ? 'Yes' : 'No',
         childCount: node.children?.length || 0,
+        metaDescription: seo.metaDescription || '',
+        h1: (seo.h1 || []).join(' | '),
+        metaRobots: seo.metaRobots || '',
+        ogTitle: og.title || '',
+        ogDescription: og.description || '',
+        ogImage: og.image || '',
+        wordCount: seo.wordCount ?? '',
+        responseTimeMs: seo.responseTimeMs ?? '',
+        id: node.id,
+        parentId,
+        pageType: node.pageType || '',
+        status: ANNOTATION_STATUS_LABELS[annotations.status || 'none'] || annotations.status,
+        note: annotations.note || '',
       });
       (node.children || []).forEach((child, idx) => {
-        flattenWithNumber(child, depth + 1, `${number}.${idx + 1}`);
+        flattenWithNumber(child, depth + 1, `${number}.${idx + 1}`, node.id);
       });
     };
 
     flattenWithNumber(root, 0, '1');
 
     // Create CSV content
-    const headers = ['Page Number', 'Depth Level', 'Page Title', 'URL', 'Has Children', 'Child Count'];
+    const headers = [
+      'Page Number', 'Depth Level', 'Page Title', 'URL', 'Has Children', 'Child Count',
+      'Meta Description', 'H1', 'Meta Robots', 'OG Title', 'OG Description', 'OG Image',
+      'Word Count', 'Response Time (ms)',
+      // Inventory columns, read back by the spreadsheet import (utils/inventorySheet.js)
+      INVENTORY_COLUMNS.id, INVENTORY_COLUMNS.parentId, INVENTORY_COLUMNS.pageType,
+      INVENTORY_COLUMNS.status, INVENTORY_COLUMNS.note,
+    ];
     const csvRows = [
       headers.join(','),
       ...rows.map(row => [
@@ -5117,6 +5540,19 @@ export default function App() {
         `"${row.url}"`,
         row.hasChildren,
         row.childCount,
+        csvCell(row.metaDescription),
+        csvCell(row.h1),
+        csvCell(row.metaRobots),
+        csvCell(row.ogTitle),
+        csvCell(row.ogDescription),
+        csvCell(row.ogImage),
+        row.wordCount,
+        row.responseTimeMs,
+        csvCell(row.id),
+        csvCell(row.parentId),
+        csvCell(row.pageType),
+        csvCell(row.status),
+        csvCell(row.note),
       ].join(','))
     ];
 
@@ -5124,8 +5560,195 @@ export default function App() {
     showToast('Downloaded CSV');
   };
 
+  const exportRedirectMap = (format) => {
+    if (!root) return;
+    const rows = collectRedirectRows(root, orphans);
+    if (!rows.length) {
+      showToast('No redirects found in this map', 'warning');
+      return;
+    }
+    const { filename, label } = REDIRECT_MAP_FORMATS.find((option) => option.key === format);
+    downloadText(filename, buildRedirectMap(rows, format, { baseUrl: root.url }));
+    showToast(`Downloaded ${label} redirect map`);
+  };
+
+  // Diagram exports cover every page (stacks expanded) and the connection layers that are shown.
+  const exportDiagram = (format) => {
+    if (!root || !reportLayout) return;
+    const model = buildDiagramModel({
+      layout: reportLayout,
+      colors,
+      connections: connections.filter((conn) => (
+        (conn.type === 'userflow' && layers.userFlows) || (conn.type === 'crosslink' && layers.crossLinks)
+      )),
+      connectionColors: { ...DEFAULT_CONNECTION_COLORS, ...connectionColors },
+    });
+    const { filename, label } = DIAGRAM_FORMATS.find((option) => option.key === format);
+    const hostname = getHostname(root.url);
+    downloadText(hostname ? filename.replace('sitemap', `sitemap-${hostname}`) : filename, buildDiagram(model, format));
+    showToast(`Downloaded ${label} diagram`);
+  };
+
+  // One sitemap.xml downloads as is; several hosts or a split sitemap download as one zip.
+  const exportSitemapXml = () => {
+    if (!root) return;
+    const { entries, skipped } = collectSitemapEntries({ root, orphans });
+    if (!entries.length) {
+      showToast('No valid page URLs to put in a sitemap', 'error');
+      return;
+    }
+    const files = buildSitemapFiles(entries);
+    if (files.length === 1) {
+      downloadText(files[0].name, files[0].content);
+    } else {
+      downloadBlob(`sitemap-${getHostname(root.url) || 'export'}.zip`, buildZip(files));
+    }
+
+    const skippedCounts = skipped.reduce((acc, item) => {
+      acc[item.reason] = (acc[item.reason] || 0) + 1;
+      return acc;
+    }, {});
+    const skippedSummary = Object.entries(SITEMAP_SKIP_REASONS)
+      .filter(([reason]) => skippedCounts[reason])
+      .map(([reason, label]) => `${skippedCounts[reason]} ${label.toLowerCase()}`)
+      .join(', ');
+    const firstInvalid = skipped.find((item) => item.reason === 'invalid');
+    const message = `Downloaded sitemap with ${entries.length} URL${entries.length === 1 ? '' : 's'}`
+      + `${files.length > 1 ? ` in ${files.length} files` : ''}`
+      + `${skippedSummary ? `; skipped ${skippedSummary}` : ''}`
+      + `${firstInvalid ? ` (e.g. ${firstInvalid.url}: ${firstInvalid.detail})` : ''}`;
+    showToast(message, firstInvalid ? 'warning' : 'success');
+  };
+
+  // Pages without a recorded original URL (maps saved before the planner, or restored from an
+  // import) are baselined at their current URL the first time the planner is opened.
+  const openMigrationDrawer = () => {
+    if (root && canEdit() && !isLiveActive && needsMigrationBaseline(root, orphans)) {
+      setRoot((prev) => {
+        if (!prev) return prev;
+        const copy = structuredClone(prev);
+        captureMigrationBaseline(copy);
+        return copy;
+      });
+      setOrphans((prev) => {
+        const next = structuredClone(prev);
+        return captureMigrationBaseline(null, next) ? next : prev;
+      });
+    }
+    setShowMigrationDrawer(true);
+    setShowReportDrawer(false);
+    setShowCommentsPanel(false);
+    setShowProfileDrawer(false);
+    setShowSettingsDrawer(false);
+    setShowVersionHistoryDrawer(false);
+    setShowProjectsModal(false);
+    setShowHistoryModal(false);
+  };
+
+  const setMigrationSlug = (nodeId, slug) => {
+    if (isLiveActive) {
+      warnLiveModeUnsupported('Migration slugs are not live-synced yet.');
+      return;
+    }
+    const idSet = new Set([nodeId]);
+    const updateNode = (node) => {
+      const migration = { ...(node.migration || {}) };
+      if (slug) migration.slug = slug;
+      else delete migration.slug;
+      node.migration = migration;
+    };
+
+    saveStateForUndo();
+
+    setRoot((prev) => {
+      if (!prev) return prev;
+      const copy = structuredClone(prev);
+      applyAnnotationsInTree(copy, idSet, updateNode);
+      return copy;
+    });
+
+    setOrphans((prev) => {
+      let updated = false;
+      const next = prev.map((orphan) => {
+        if (!orphan) return orphan;
+        const orphanCopy = structuredClone(orphan);
+        const changed = applyAnnotationsInTree(orphanCopy, idSet, updateNode);
+        if (changed) updated = true;
+        return changed ? orphanCopy : orphan;
+      });
+      return updated ? next : prev;
+    });
+  };
+
+  const exportMigrationMapping = (format) => {
+    if (!migrationPlan) return;
+    if (!migrationPlan.redirects.length) {
+      showToast('No planned URL changes to export', 'warning');
+      return;
+    }
+    if (format === 'csv') {
+      downloadText('migration-301-map.csv', buildMigrationMappingCsv(migrationPlan.entries));
+    } else {
+      const { filename } = REDIRECT_MAP_FORMATS.find((option) => option.key === format);
+      downloadText(filename, buildRedirectMap(migrationPlan.redirects, format, { baseUrl: root?.url }));
+    }
+    if (migrationPlan.collisions.length) {
+      showToast(`Downloaded 301 map with ${migrationPlan.collisions.length} unresolved URL collisions`, 'warning');
+      return;
+    }
+    showToast('Downloaded 301 mapping');
+  };
+
+  const exportNoDestination = () => {
+    if (!migrationPlan) return;
+    if (!migrationPlan.noDestination.length) {
+      showToast('Every scanned page has a destination', 'warning');
+      return;
+    }
+    downloadText('no-destination.csv', buildNoDestinationCsv(migrationPlan.entries));
+    showToast(`Downloaded ${migrationPlan.noDestination.length} pages with no destination`);
+  };
+
+  // Renders a large saved map on the server from its last saved version. Returns false when the
+  // browser should render instead: small, unsaved or unsynced maps, or a failed server export.
+  const exportOnServer = async (format) => {
+    if (!SERVER_EXPORT_MIN_PAGES || totalNodes < SERVER_EXPORT_MIN_PAGES) return false;
+    if (!isLoggedIn || !currentMap?.id || isImportedMap || isViewingHistoricalVersion) return false;
+    if (autosavePendingRef.current || autosaveInFlightRef.current) return false;
+
+    const label = format.toUpperCase();
+    showToast(`Rendering ${label} on the server...`, 'info', true);
+    let jobId = null;
+    try {
+      ({ jobId } = await api.createExportJob({ mapId: currentMap.id, format }));
+      const startedAt = Date.now();
+      while (true) {
+        const { job } = await api.getExportJob(jobId);
+        if (job.status === 'complete') {
+          const blob = await api.downloadExportJob(jobId);
+          downloadBlob(job.result?.filename || `sitemap.${format}`, blob);
+          const tileCount = job.result?.tiles?.count || 1;
+          const detail = tileCount > 1 ? ` (${tileCount} ${format === 'pdf' ? 'pages' : 'tiles'})` : '';
+          showToast(`${label} downloaded${detail}`, 'success');
+          return true;
+        }
+        if (job.status === 'failed') throw new Error(job.error || 'Export failed');
+        if (job.status === 'canceled') throw new Error('Export canceled');
+        if (Date.now() - startedAt > SERVER_EXPORT_TIMEOUT_MS) {
+          api.cancelExportJob(jobId).catch(() => {});
+          throw new Error('Export timed out');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 1500));
+      }
+    } catch (e) {
+      showToast(`Server export failed (${e.message}); rendering in the browser instead`, 'warning');
+      return false;
+    }
+  };
+
   const exportPdf = async () => {
     if (!hasMap || !contentRef.current || !canvasRef.current) return;
+    if (await exportOnServer('pdf')) return;
 
     // Save current transform state
     const savedScale = scaleRef.current;
@@ -5292,8 +5915,13 @@ export default function App() {
         `Duplicates: ${reportStats.duplicates}`,
         `Broken links: ${reportStats.brokenLinks}`,
         `Inactive: ${reportStats.inactivePages}`,
+        `Blocked by robots.txt: ${reportStats.robotsBlocked}`,
+        `Hreflang issues: ${reportStats.hreflangIssues}`,
         `Errors: ${reportStats.errorPages}`,
         `Missing: ${reportStats.missing}`,
+        ...(reportStats.deepPages > 0
+          ? [`Deep pages (more than ${DEEP_PAGE_CLICK_DEPTH} clicks): ${reportStats.deepPages}`]
+          : []),
       ];
 
       statLines.forEach((line) => {
@@ -5301,6 +5929,19 @@ export default function App() {
         y += 14;
       });
 
+      const seoLines = SEO_ISSUE_OPTIONS
+        .filter(({ key }) => reportStats[key] > 0)
+        .map(({ key, label }) => `${label}: ${reportStats[key]}`);
+      if (seoLines.length) {
+        y += 6;
+        pdf.text('SEO audit', marginX, y);
+        y += 14;
+        seoLines.forEach((line) => {
+          pdf.text(line, marginX + 10, y);
+          y += 14;
+        });
+      }
+
       y += 8;
       pdf.setFontSize(10);
       pdf.text('Page', marginX, y);
@@ -5501,6 +6142,7 @@ export default function App() {
 
   const exportPng = async () => {
     if (!hasMap || !contentRef.current || !canvasRef.current) return;
+    if (await exportOnServer('png')) return;
 
     // Save current transform state
     const savedScale = scaleRef.current;
@@ -6915,7 +7557,7 @@ export default function App() {
 
         const nextAnnotations = buildAnnotations(updatedNode.annotations, currentNode.annotations);
         const changes = {};
-        const fields = ['title', 'url', 'pageType', 'thumbnailUrl', 'description', 'metaTags'];
+        const fields = ['title', 'url', 'pageType', 'thumbnailUrl', 'description', 'metaTags', 'sitemap'];
         fields.forEach((field) => {
           const nextValue = updatedNode[field];
           const currentValue = currentNode[field];
@@ -6955,6 +7597,7 @@ export default function App() {
             thumbnailUrl: updatedNode.thumbnailUrl || '',
             description: updatedNode.description || '',
             metaTags: updatedNode.metaTags || {},
+            sitemap: updatedNode.sitemap,
             annotations: buildAnnotations(updatedNode.annotations, {
               status: 'none',
               tags: [],
@@ -7022,6 +7665,7 @@ export default function App() {
             thumbnailUrl: updatedNode.thumbnailUrl,
             description: updatedNode.description,
             metaTags: updatedNode.metaTags,
+            sitemap: updatedNode.sitemap,
             annotations: buildAnnotations(updatedNode.annotations, removedNode.annotations),
           });
           maybeMarkNodeMoved(removedNode);
@@ -7063,6 +7707,7 @@ export default function App() {
               thumbnailUrl: updatedNode.thumbnailUrl,
               description: updatedNode.description,
               metaTags: updatedNode.metaTags,
+              sitemap: updatedNode.sitemap,
               annotations: buildAnnotations(updatedNode.annotations, target.annotations),
             });
 
@@ -7113,6 +7758,7 @@ export default function App() {
             thumbnailUrl: updatedNode.thumbnailUrl,
             description: updatedNode.description,
             metaTags: updatedNode.metaTags,
+            sitemap: updatedNode.sitemap,
             annotations: buildAnnotations(updatedNode.annotations, target.annotations),
           });
 
@@ -7206,6 +7852,7 @@ export default function App() {
         thumbnailUrl: updatedNode.thumbnailUrl || '',
         description: updatedNode.description || '',
         metaTags: updatedNode.metaTags || {},
+        sitemap: updatedNode.sitemap,
         annotations: buildAnnotations(updatedNode.annotations, {
           status: 'none',
           tags: [],
@@ -7903,13 +8550,53 @@ export default function App() {
     setImportLoading(true);
 
     try {
-      const text = await file.text();
       // Use file extension - don't rely on file.type which is often empty for XML
       const ext = file.name.split('.').pop()?.toLowerCase() || '';
+      const isBinary = ext === 'xlsx' || ext === 'xmind';
+      const text = isBinary ? '' : await file.text();
       let urls = [];
+      // Set directly by outline formats, which keep the file's own hierarchy and titles.
+      let outlineTree;
       let parseType = '';
 
-      if (ext === 'xml') {
+      // A spreadsheet exported with inventory columns updates the open map instead of replacing it.
+      const sheetRows = ext === 'xlsx'
+        ? await readXlsxRows(await file.arrayBuffer())
+        : (ext === 'csv' ? parseCsvRows(text) : null);
+      if (sheetRows && getInventoryColumns(sheetRows)) {
+        if (!root) {
+          showToast('Open the map this inventory was exported from, then import it again', 'warning');
+        } else if (!canEdit()) {
+          showToast('You do not have permission to edit this map.', 'warning');
+        } else if (isLiveActive) {
+          warnLiveModeUnsupported('Inventory imports are not live-synced yet.');
+        } else {
+          setInventoryReview(buildInventoryChangeSet({ root, orphans, rows: sheetRows }));
+          setShowImportModal(false);
+        }
+        setImportLoading(false);
+        return;
+      }
+
+      if (ext === 'opml') {
+        outlineTree = parseOpml(text);
+        parseType = 'OPML';
+      } else if (ext === 'mm') {
+        outlineTree = parseFreeMind(text);
+        parseType = 'FreeMind';
+      } else if (ext === 'xmind') {
+        outlineTree = await parseXMind(await file.arrayBuffer());
+        parseType = 'XMind';
+      } else if (ext === 'json') {
+        outlineTree = parseSitemapJson(text);
+        parseType = 'JSON';
+      } else if ((ext === 'txt' || ext === 'text') && isIndentedOutline(text)) {
+        outlineTree = parseIndentedOutline(text);
+        parseType = 'Outline';
+      } else if (ext === 'xlsx') {
+        urls = [...new Set(sheetRows.flat().map((cell) => cell.trim()).filter((cell) => /^https?:\/\//i.test(cell)))];
+        parseType = 'XLSX';
+      } else if (ext === 'xml') {
         // Could be sitemap or RSS/Atom
         if (text.includes('<rss') || text.includes('<feed')) {
           urls = parseRssAtom(text);
@@ -7935,15 +8622,17 @@ export default function App() {
         parseType = 'Text';
       }
 
-      console.log(`Parsed ${parseType}: found ${urls.length} URLs`);
-
-      if (urls.length === 0) {
-        showToast(`No URLs found in ${parseType} file`, 'error');
+      const isOutline = outlineTree !== undefined;
+      if (isOutline ? !outlineTree : urls.length === 0) {
+        showToast(`No ${isOutline ? 'pages' : 'URLs'} found in ${parseType} file`, 'error');
         setImportLoading(false);
         return;
       }
+      if (!isOutline) {
+        console.log(`Parsed ${parseType}: found ${urls.length} URLs`);
+      }
 
-      const tree = buildTreeFromUrls(urls);
+      const tree = isOutline ? outlineTree : buildTreeFromUrls(urls);
       if (tree) {
         setRoot(tree);
         setOrphans([]); // Clear orphans when importing new URLs
@@ -7960,7 +8649,12 @@ export default function App() {
         setUrlInput(tree.url || '');
         setMapName('');
         setShowImportModal(false);
-        showToast(`Imported ${urls.length} URLs from ${parseType}`, 'success');
+        showToast(
+          isOutline
+            ? `Imported ${countOutlineNodes(tree)} pages from ${parseType}`
+            : `Imported ${urls.length} URLs from ${parseType}`,
+          'success'
+        );
       } else {
         showToast('Could not build sitemap from URLs', 'error');
       }
@@ -8026,6 +8720,12 @@ export default function App() {
         scanLayerAvailability={scanLayerAvailability}
         scanLayerVisibility={scanLayerVisibility}
         onToggleScanLayer={(key) => setScanLayerVisibility(prev => ({ ...prev, [key]: !prev[key] }))}
+        hasScanCredentials={!!scanAuth}
+        onOpenScanCredentials={openScanAuthModal}
+        scanUrlRules={scanUrlRules}
+        onScanUrlRulesChange={(key, value) => setScanUrlRules(prev => ({ ...prev, [key]: value }))}
+        scanQueryPolicy={scanQueryPolicy}
+        onScanQueryPolicyChange={(changes) => setScanQueryPolicy(prev => ({ ...prev, ...changes }))}
         scanDepth={scanDepth}
         onScanDepthChange={(value) => {
           const cleaned = value.replace(/[^\d]/g, '');
@@ -8037,6 +8737,12 @@ export default function App() {
           setScanDepth(String(nextValue));
         }}
         onScan={scan}
+        canResumeScan={!loading && !isImportedMap && !!resumableScan && resumableScan.url === sanitizeUrl(urlInput)}
+        onResumeScan={() => scan(undefined, resumableScan.preserveName, { resumeFrom: resumableScan })}
+        canRescan={canRescanMap && !loading}
+        onRescan={startRescan}
+        canScheduleScans={canRescanMap}
+        onOpenScanSchedules={openScanScheduleModal}
         scanDisabled={loading || isImportedMap || !sanitizeUrl(urlInput)}
         scanTitle={isImportedMap ? "Cannot scan imported maps" : !sanitizeUrl(urlInput) ? "Enter a valid URL to scan" : "Scan URL"}
         optionsDisabled={!urlInput.trim() || hasMap}
@@ -8273,6 +8979,7 @@ export default function App() {
                   snapTarget={drawingConnection?.snapTarget || draggingEndpoint?.snapTarget}
                   onAnchorMouseDown={handleAnchorMouseDown}
                   colors={colors}
+                  getNodeColor={getHeatmapNodeColor}
                   scale={scale}
                   onDelete={requestDeleteNode}
                   onEdit={openEditModal}
@@ -8760,6 +9467,23 @@ export default function App() {
                   >
                     <span>Clear</span>
                   </button>
+                  {linkGraph && getNodeById(nodeMenu.nodeId)?.url && (
+                    <>
+                      <div className="node-menu-divider" />
+                      <button
+                        className="node-menu-item"
+                        onClick={() => {
+                          setShowCommentsPanel(false);
+                          setShowReportDrawer(false);
+                          setSelectedNodeIds(new Set([nodeMenu.nodeId]));
+                          setLinksPanelNodeId(nodeMenu.nodeId);
+                          setNodeMenu(null);
+                        }}
+                      >
+                        <span>Show links</span>
+                      </button>
+                    </>
+                  )}
                 </div>
               )}
 
@@ -8916,6 +9640,10 @@ export default function App() {
                 editingDepth: editingColorDepth,
                 editingConnectionKey,
                 connectionLegend,
+                colorModeOptions: linkMetrics.available ? NODE_COLOR_MODES : null,
+                colorMode: activeNodeColorMode,
+                onColorModeChange: setNodeColorMode,
+                maxClickDepth: linkMetrics.maxClickDepth,
                 onEditDepth: (depth, position) => {
                   beginColorEdit();
                   setEditingColorDepth(depth);
@@ -8955,6 +9683,7 @@ export default function App() {
                     const next = !prev;
                     if (next) {
                       setShowReportDrawer(false);
+                      setShowMigrationDrawer(false);
                       setShowProfileDrawer(false);
                       setShowSettingsDrawer(false);
                       setShowVersionHistoryDrawer(false);
@@ -8970,6 +9699,7 @@ export default function App() {
                   setShowReportDrawer((prev) => {
                     const next = !prev;
                     if (next) {
+                      setShowMigrationDrawer(false);
                       setShowCommentsPanel(false);
                       setShowProfileDrawer(false);
                       setShowSettingsDrawer(false);
@@ -8980,6 +9710,14 @@ export default function App() {
                     return next;
                   });
                 },
+                showMigrationDrawer,
+                onToggleMigrationDrawer: () => {
+                  if (showMigrationDrawer) {
+                    setShowMigrationDrawer(false);
+                    return;
+                  }
+                  openMigrationDrawer();
+                },
                 onToggleImageMenu: () => {
                   setShowImageMenu((prev) => !prev);
                 },
@@ -9010,6 +9748,7 @@ export default function App() {
                     if (next) {
                       setShowCommentsPanel(false);
                       setShowReportDrawer(false);
+                      setShowMigrationDrawer(false);
                       setShowProfileDrawer(false);
                       setShowSettingsDrawer(false);
                       setShowProjectsModal(false);
@@ -9080,6 +9819,21 @@ export default function App() {
               reportTitle={reportTitle}
               reportTimestamp={reportTimestamp}
             />
+            {migrationPlan && (
+              <MigrationDrawer
+                isOpen={showMigrationDrawer}
+                onClose={() => setShowMigrationDrawer(false)}
+                plan={migrationPlan}
+                canEdit={canEditValue && !isLiveActive}
+                onSlugChange={setMigrationSlug}
+                onResetSlug={(nodeId) => setMigrationSlug(nodeId, null)}
+                onLocateNode={(nodeId) => {
+                  focusNodeById(nodeId);
+                }}
+                onExportMapping={exportMigrationMapping}
+                onExportNoDestination={exportNoDestination}
+              />
+            )}
           </DndContext>
         )}
         {showThumbnails && thumbnailStats.total > 0 && (() => {
@@ -9119,6 +9873,21 @@ export default function App() {
         })()}
       </div>
 
+      {/* Links Panel - inbound and outbound links of one page */}
+      {linkGraph && linksPanelNodeId && (
+        <LinksPanel
+          graphId={linkGraph.id}
+          node={getNodeById(linksPanelNodeId)}
+          nodesByUrl={nodesByUrl}
+          onClose={() => setLinksPanelNodeId(null)}
+          onSelectNode={(nodeId) => {
+            setSelectedNodeIds(new Set([nodeId]));
+            setLinksPanelNodeId(nodeId);
+            focusNodeById(nodeId);
+          }}
+        />
+      )}
+
       {/* Comments Panel - Right Rail */}
       {showCommentsPanel && (
         <CommentsPanel
@@ -9164,6 +9933,9 @@ export default function App() {
         onExportCsv={() => { exportCsv(); setShowExportModal(false); }}
         onExportJson={() => { exportJson(); setShowExportModal(false); }}
         onExportSiteIndex={() => { exportSiteIndex(); setShowExportModal(false); }}
+        onExportRedirectMap={(format) => { exportRedirectMap(format); setShowExportModal(false); }}
+        onExportDiagram={(format) => { exportDiagram(format); setShowExportModal(false); }}
+        onExportSitemapXml={() => { exportSitemapXml(); setShowExportModal(false); }}
       />
 
       <ShareModal
@@ -9245,6 +10017,41 @@ export default function App() {
         defaultName="Updated"
       />
 
+      <ScanAuthModal
+        show={showScanAuthModal}
+        onClose={() => setShowScanAuthModal(false)}
+        onApply={handleApplyScanAuth}
+        onForget={canSaveScanAuth ? handleForgetScanAuth : null}
+        initialAuth={scanAuth}
+        savedCredentials={savedScanAuth}
+        canSave={canSaveScanAuth}
+      />
+
+      <ScanScheduleModal
+        show={showScanScheduleModal}
+        onClose={() => setShowScanScheduleModal(false)}
+        schedules={scanSchedules}
+        runs={scanScheduleRuns}
+        onCreate={handleCreateScanSchedule}
+        onToggle={handleToggleScanSchedule}
+        onDelete={handleDeleteScanSchedule}
+        onLoadRuns={handleLoadScanScheduleRuns}
+      />
+
+      <RescanReviewModal
+        show={!!rescanReview}
+        changeSet={rescanReview}
+        onClose={() => setRescanReview(null)}
+        onApply={applyRescanReview}
+      />
+
+      <InventoryReviewModal
+        show={!!inventoryReview}
+        changeSet={inventoryReview}
+        onClose={() => setInventoryReview(null)}
+        onApply={applyInventoryReview}
+      />
+
       <ProjectsModal
         show={showProjectsModal}
         onClose={() => { setShowProjectsModal(false); setEditingProjectId(null); }}
@@ -9273,8 +10080,11 @@ export default function App() {
           });
           if (name) createProject(name);
         }}
+        onOpenWebhooks={setWebhookProject}
       />
 
+      <WebhooksModal project={webhookProject} onClose={() => setWebhookProject(null)} />
+
       <HistoryModal
         show={showHistoryModal}
         onClose={() => { setShowHistoryModal(false); setSelectedHistoryItems(new Set()); }}
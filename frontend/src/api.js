@@ -129,6 +129,22 @@ export async function deleteAccount(password) {
   return result;
 }
 
+// Personal access tokens for scripts and CI. The plaintext token is only in the create response.
+export async function getAccessTokens() {
+  return fetchApi('/auth/tokens');
+}
+
+export async function createAccessToken(payload) {
+  return fetchApi('/auth/tokens', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function revokeAccessToken(tokenId) {
+  return fetchApi(`/auth/tokens/${tokenId}`, { method: 'DELETE' });
+}
+
 // ============================================
 // PROJECTS
 // ============================================
@@ -163,6 +179,36 @@ export async function deleteProject(id) {
   return fetchApi(`/api/projects/${id}`, { method: 'DELETE' });
 }
 
+export async function getProjectWebhooks(projectId) {
+  return fetchApi(`/api/projects/${projectId}/webhooks`);
+}
+
+export async function createProjectWebhook(projectId, payload) {
+  return fetchApi(`/api/projects/${projectId}/webhooks`, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function updateProjectWebhook(projectId, webhookId, payload) {
+  return fetchApi(`/api/projects/${projectId}/webhooks/${webhookId}`, {
+    method: 'PUT',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function deleteProjectWebhook(projectId, webhookId) {
+  return fetchApi(`/api/projects/${projectId}/webhooks/${webhookId}`, { method: 'DELETE' });
+}
+
+export async function pingProjectWebhook(projectId, webhookId) {
+  return fetchApi(`/api/projects/${projectId}/webhooks/${webhookId}/ping`, { method: 'POST' });
+}
+
+export async function getProjectWebhookDeliveries(projectId, webhookId) {
+  return fetchApi(`/api/projects/${projectId}/webhooks/${webhookId}/deliveries`);
+}
+
 // ============================================
 // MAPS
 // ============================================
@@ -220,6 +266,63 @@ export async function createMapVersion(mapId, payload) {
   });
 }
 
+export async function getMapScanAuth(mapId) {
+  return fetchApi(`/api/maps/${mapId}/scan-auth`);
+}
+
+export async function saveMapScanAuth(mapId, payload) {
+  return fetchApi(`/api/maps/${mapId}/scan-auth`, {
+    method: 'PUT',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function deleteMapScanAuth(mapId) {
+  return fetchApi(`/api/maps/${mapId}/scan-auth`, { method: 'DELETE' });
+}
+
+export async function getMapScanSchedules(mapId) {
+  return fetchApi(`/api/maps/${mapId}/scan-schedules`);
+}
+
+export async function createMapScanSchedule(mapId, payload) {
+  return fetchApi(`/api/maps/${mapId}/scan-schedules`, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function updateMapScanSchedule(mapId, scheduleId, payload) {
+  return fetchApi(`/api/maps/${mapId}/scan-schedules/${scheduleId}`, {
+    method: 'PUT',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function deleteMapScanSchedule(mapId, scheduleId) {
+  return fetchApi(`/api/maps/${mapId}/scan-schedules/${scheduleId}`, { method: 'DELETE' });
+}
+
+export async function getMapScanScheduleRuns(mapId, scheduleId) {
+  return fetchApi(`/api/maps/${mapId}/scan-schedules/${scheduleId}/runs`);
+}
+
+export async function getMapLinkGraph(mapId) {
+  return fetchApi(`/api/maps/${mapId}/link-graph`);
+}
+
+export async function attachMapLinkGraph(mapId, graphId) {
+  return fetchApi(`/api/maps/${mapId}/link-graph`, {
+    method: 'PUT',
+    body: JSON.stringify({ graphId }),
+  });
+}
+
+export async function getLinkGraphLinks(graphId, url) {
+  const params = new URLSearchParams({ url });
+  return fetchApi(`/api/link-graphs/${graphId}/links?${params.toString()}`);
+}
+
 export async function getCoeditingLiveDocument(mapId) {
   return fetchApi(`/api/maps/${mapId}/live-document`);
 }
@@ -308,6 +411,10 @@ export async function cancelScanJob(id) {
   return fetchApi(`/scan-jobs/${id}/cancel`, { method: 'POST' });
 }
 
+export async function resumeScanJob(id) {
+  return fetchApi(`/scan-jobs/${id}/resume`, { method: 'POST' });
+}
+
 export async function createScreenshotJob(payload) {
   return fetchApi('/screenshot-jobs', {
     method: 'POST',
@@ -324,6 +431,38 @@ export async function cancelScreenshotJob(id) {
   return fetchApi(`/screenshot-jobs/${id}/cancel`, { method: 'POST' });
 }
 
+export async function createExportJob(payload) {
+  return fetchApi('/export-jobs', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function getExportJob(id, { includeResult = true } = {}) {
+  const query = includeResult ? '' : '?include_result=false';
+  return fetchApi(`/export-jobs/${id}${query}`);
+}
+
+export async function cancelExportJob(id) {
+  return fetchApi(`/export-jobs/${id}/cancel`, { method: 'POST' });
+}
+
+// The rendered file is binary, so this bypasses fetchApi's JSON handling. Resolves to a Blob.
+export async function downloadExportJob(id) {
+  const authToken = getStoredAuthToken();
+  const response = await fetch(`${API_BASE}/export-jobs/${id}/download`, {
+    credentials: 'include',
+    headers: authToken ? { Authorization: `Bearer ${authToken}` } : {},
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || 'Download failed');
+    error.status = response.status;
+    throw error;
+  }
+  return response.blob();
+}
+
 // ============================================
 // COLLABORATION
 // ============================================
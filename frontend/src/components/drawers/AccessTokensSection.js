@@ -0,0 +1,197 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Copy, KeyRound, Loader2, Trash2 } from 'lucide-react';
+
+import * as api from '../../api';
+
+const SCOPE_OPTIONS = [
+  { value: 'maps:read', label: 'Read maps' },
+  { value: 'maps:write', label: 'Write maps' },
+  { value: 'scans:run', label: 'Run scans' },
+];
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const EMPTY_FORM = { name: '', scopes: ['maps:read'], expiresInDays: '30' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const describeToken = (token) => {
+  if (token.status === 'revoked') return `Revoked ${formatDate(token.revokedAt)}`;
+  if (token.status === 'expired') return `Expired ${formatDate(token.expiresAt)}`;
+  return `Expires ${formatDate(token.expiresAt)} · Last used ${formatDate(token.lastUsedAt)}`;
+};
+
+// Personal access tokens for CI and scripts, listed in the profile drawer.
+const AccessTokensSection = ({ isOpen, user, showToast }) => {
+  const [tokens, setTokens] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [createdToken, setCreatedToken] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const readOnly = !user || user.authMode === 'demo';
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const { tokens: list } = await api.getAccessTokens();
+      setTokens(list || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load access tokens');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(EMPTY_FORM);
+    setCreatedToken('');
+    setError('');
+    if (!readOnly) loadTokens();
+  }, [isOpen, readOnly, loadTokens]);
+
+  const toggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((value) => value !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) {
+      setError('Give the token a name');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const { token } = await api.createAccessToken({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        expiresInDays: Number(form.expiresInDays),
+      });
+      setCreatedToken(token);
+      setForm(EMPTY_FORM);
+      await loadTokens();
+    } catch (err) {
+      setError(err.message || 'Failed to create access token');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    setError('');
+    try {
+      await api.revokeAccessToken(token.id);
+      showToast?.(`Revoked "${token.name}"`, 'success');
+      await loadTokens();
+    } catch (err) {
+      setError(err.message || 'Failed to revoke access token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      showToast?.('Token copied', 'success');
+    } catch {
+      showToast?.('Copy failed — select the token and copy it manually', 'error');
+    }
+  };
+
+  if (readOnly) return null;
+
+  return (
+    <div className="form-section access-tokens">
+      <h4>Access tokens</h4>
+      <p className="access-tokens-hint">
+        Use a token as <code>Authorization: Bearer …</code> to call the API from CI or scripts.
+      </p>
+      {error && <div className="auth-error">{error}</div>}
+
+      {createdToken && (
+        <div className="access-tokens-created">
+          <div>Copy this token now — it will not be shown again.</div>
+          <div className="access-tokens-secret">
+            <code>{createdToken}</code>
+            <button type="button" className="access-tokens-link" onClick={handleCopy} title="Copy token">
+              <Copy size={14} />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.map((token) => (
+        <div key={token.id} className={`access-tokens-item ${token.status}`}>
+          <div className="access-tokens-item-header">
+            <KeyRound size={14} />
+            <span className="access-tokens-name">{token.name}</span>
+            <code>{token.prefix}…</code>
+            {token.status === 'active' && (
+              <button
+                type="button"
+                className="access-tokens-link"
+                onClick={() => handleRevoke(token)}
+                title="Revoke token"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+          <div className="access-tokens-meta">
+            {token.scopes.join(', ')} · {describeToken(token)}
+          </div>
+        </div>
+      ))}
+
+      <div className="form-group">
+        <label>New token name</label>
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+          placeholder="e.g. Nightly CI"
+          maxLength={80}
+          disabled={loading}
+        />
+      </div>
+      <div className="access-tokens-scopes">
+        {SCOPE_OPTIONS.map((option) => (
+          <label key={option.value}>
+            <input
+              type="checkbox"
+              checked={form.scopes.includes(option.value)}
+              onChange={() => toggleScope(option.value)}
+              disabled={loading}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+      <div className="form-group">
+        <label>Expires after</label>
+        <select
+          value={form.expiresInDays}
+          onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+          disabled={loading}
+        >
+          {EXPIRY_OPTIONS.map((days) => (
+            <option key={days} value={String(days)}>{days} days</option>
+          ))}
+        </select>
+      </div>
+      <button
+        type="button"
+        className="modal-btn secondary"
+        onClick={handleCreate}
+        disabled={loading || !form.scopes.length}
+      >
+        {loading ? <Loader2 size={18} className="btn-spinner" /> : null}
+        Create Token
+      </button>
+    </div>
+  );
+};
+
+export default AccessTokensSection;
@@ -3,6 +3,7 @@ import { AlertTriangle, Loader2, User } from 'lucide-react';
 
 import * as api from '../../api';
 import AccountDrawer from './AccountDrawer';
+import AccessTokensSection from './AccessTokensSection';
 
 const ProfileDrawer = ({ isOpen, user, onClose, onUpdate, onLogout, showToast }) => {
   const [name, setName] = useState('');
@@ -199,6 +200,8 @@ const ProfileDrawer = ({ isOpen, user, onClose, onUpdate, onLogout, showToast })
             Save Changes
           </button>
 
+          <AccessTokensSection isOpen={isOpen} user={user} showToast={showToast} />
+
           <div className="form-section danger-zone">
             <h4>Delete account</h4>
             <p>Deleting your account will permanently remove all your projects, maps, and data.</p>
@@ -2,6 +2,7 @@ import React, { useRef, useState } from 'react';
 import { Upload, X } from 'lucide-react';
 
 import { ANNOTATION_STATUS_OPTIONS } from '../../utils/constants';
+import { SITEMAP_CHANGEFREQ_OPTIONS, normalizeSitemapSettings } from '../../utils/sitemapXml';
 
 // Page types for dropdown
 const PAGE_TYPES = [
@@ -17,6 +18,23 @@ const PAGE_TYPES = [
   'Portfolio',
 ];
 
+// Read-only crawl fields from `node.seo`, in display order.
+const getSeoRows = (seo) => {
+  if (!seo) return [];
+  const og = seo.openGraph || {};
+  return [
+    ['Meta description', seo.metaDescription || '—'],
+    ['H1', seo.h1?.length ? seo.h1.join(' · ') : '—'],
+    ['Meta robots', seo.metaRobots || 'index, follow'],
+    ['Open Graph', ['title', 'description', 'image', 'type']
+      .filter((key) => og[key])
+      .map((key) => `${key}: ${og[key]}`)
+      .join('\n') || '—'],
+    ['Word count', Number.isFinite(seo.wordCount) ? String(seo.wordCount) : '—'],
+    ['Response time', Number.isFinite(seo.responseTimeMs) ? `${seo.responseTimeMs} ms` : '—'],
+  ];
+};
+
 // Helper to get all descendant IDs of a node
 const getDescendantIds = (node, ids = new Set()) => {
   if (!node) return ids;
@@ -57,8 +75,14 @@ const EditNodeModal = ({
   const [annotationStatus, setAnnotationStatus] = useState(node?.annotations?.status || 'none');
   const [annotationTags, setAnnotationTags] = useState((node?.annotations?.tags || []).join(', '));
   const [annotationNote, setAnnotationNote] = useState(node?.annotations?.note || '');
+  const [sitemapLastmod, setSitemapLastmod] = useState(node?.sitemap?.lastmod?.slice(0, 10) || '');
+  const [sitemapChangefreq, setSitemapChangefreq] = useState(node?.sitemap?.changefreq || '');
+  const [sitemapPriority, setSitemapPriority] = useState(
+    node?.sitemap?.priority === undefined ? '' : String(node.sitemap.priority)
+  );
   const fileInputRef = useRef(null);
   const trimmedUrl = url.trim();
+  const seoRows = mode === 'edit' ? getSeoRows(node?.seo) : [];
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -76,6 +100,11 @@ const EditNodeModal = ({
       thumbnailUrl,
       description,
       metaTags,
+      sitemap: normalizeSitemapSettings({
+        lastmod: sitemapLastmod,
+        changefreq: sitemapChangefreq,
+        priority: sitemapPriority,
+      }),
       annotations: {
         status: annotationStatus || 'none',
         tags,
@@ -339,6 +368,56 @@ const EditNodeModal = ({
               />
             </div>
 
+            <div className="form-row">
+              <div className="form-group">
+                <label>Sitemap Last Modified</label>
+                <input
+                  type="date"
+                  value={sitemapLastmod}
+                  onChange={(e) => setSitemapLastmod(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label>Change Frequency</label>
+                <select
+                  value={sitemapChangefreq}
+                  onChange={(e) => setSitemapChangefreq(e.target.value)}
+                >
+                  <option value="">Not set</option>
+                  {SITEMAP_CHANGEFREQ_OPTIONS.map((option) => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Priority</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.1"
+                  value={sitemapPriority}
+                  onChange={(e) => setSitemapPriority(e.target.value)}
+                  placeholder="0.0 – 1.0"
+                />
+              </div>
+            </div>
+
+            {seoRows.length > 0 && (
+              <div className="form-group">
+                <label>Crawl Data</label>
+                <dl className="edit-node-seo">
+                  {seoRows.map(([label, value]) => (
+                    <React.Fragment key={label}>
+                      <dt>{label}</dt>
+                      <dd>{value}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+                <div className="form-helper">From the last scan. Re-scan the site to refresh.</div>
+              </div>
+            )}
+
             <div className="form-group">
               <label>Marker</label>
               <select
@@ -1,5 +1,7 @@
 import React from 'react';
-import { FileImage, FileJson, FileSpreadsheet, FileText, List, X } from 'lucide-react';
+import { ArrowRightLeft, FileCode, FileImage, FileJson, FileSpreadsheet, FileText, List, Network, X } from 'lucide-react';
+import { DIAGRAM_FORMATS } from '../../utils/diagramExport';
+import { REDIRECT_MAP_FORMATS } from '../../utils/redirectMap';
 
 const ExportModal = ({
   show,
@@ -9,6 +11,9 @@ const ExportModal = ({
   onExportCsv,
   onExportJson,
   onExportSiteIndex,
+  onExportRedirectMap,
+  onExportDiagram,
+  onExportSitemapXml,
 }) => {
   if (!show) return null;
 
@@ -58,6 +63,51 @@ const ExportModal = ({
                 <span className="export-btn-desc">Page list document for Word or Google Docs</span>
               </div>
             </button>
+            <button className="export-btn" onClick={onExportSitemapXml}>
+              <FileCode size={24} />
+              <div className="export-btn-text">
+                <span className="export-btn-title">sitemap.xml</span>
+                <span className="export-btn-desc">Planned pages for search engines, without pages marked for deletion</span>
+              </div>
+            </button>
+            <div className="export-btn export-btn-group">
+              <Network size={24} />
+              <div className="export-btn-text">
+                <span className="export-btn-title">Diagram</span>
+                <span className="export-btn-desc">Vector and diagram files for draw.io, Mermaid or Graphviz</span>
+                <div className="export-format-options">
+                  {DIAGRAM_FORMATS.map((option) => (
+                    <button
+                      key={option.key}
+                      type="button"
+                      className="export-format-btn"
+                      onClick={() => onExportDiagram(option.key)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <div className="export-btn export-btn-group">
+              <ArrowRightLeft size={24} />
+              <div className="export-btn-text">
+                <span className="export-btn-title">Redirect Map</span>
+                <span className="export-btn-desc">Old URL to final URL, with hop counts</span>
+                <div className="export-format-options">
+                  {REDIRECT_MAP_FORMATS.map((option) => (
+                    <button
+                      key={option.key}
+                      type="button"
+                      className="export-format-btn"
+                      onClick={() => onExportRedirectMap(option.key)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
           </div>
         </div>
       </div>
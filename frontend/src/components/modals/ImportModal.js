@@ -28,9 +28,11 @@ const ImportModal = ({
               <li><strong>XML</strong> - Standard sitemap.xml files</li>
               <li><strong>RSS/Atom</strong> - Feed files with links</li>
               <li><strong>HTML</strong> - Extracts all links from the page</li>
-              <li><strong>CSV</strong> - Comma-separated URLs</li>
+              <li><strong>CSV / XLSX</strong> - URLs from any column. A content inventory exported from a map updates that map in place.</li>
               <li><strong>Markdown</strong> - Extracts URLs from markdown</li>
-              <li><strong>TXT</strong> - Plain text with URLs</li>
+              <li><strong>TXT</strong> - Plain text with URLs, or an indented outline</li>
+              <li><strong>OPML / FreeMind / XMind</strong> - Outlines and mind maps, keeping their hierarchy</li>
+              <li><strong>JSON</strong> - Page trees from Mapmat or other visual sitemap tools</li>
             </ul>
           </div>
           <label
@@ -41,7 +43,7 @@ const ImportModal = ({
           >
             <input
               type="file"
-              accept=".xml,.rss,.atom,.html,.htm,.csv,.md,.markdown,.txt"
+              accept=".xml,.rss,.atom,.html,.htm,.csv,.xlsx,.md,.markdown,.txt,.opml,.mm,.xmind,.json"
               onChange={onFileChange}
               disabled={loading}
             />
@@ -54,7 +56,7 @@ const ImportModal = ({
               <>
                 <FileUp size={48} />
                 <span>Click to select file or drag and drop</span>
-                <span className="import-hint">.xml, .rss, .atom, .html, .csv, .md, .txt</span>
+                <span className="import-hint">.xml, .rss, .atom, .html, .csv, .xlsx, .md, .txt, .opml, .mm, .xmind, .json</span>
               </>
             )}
           </label>
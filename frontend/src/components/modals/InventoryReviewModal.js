@@ -0,0 +1,149 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { ANNOTATION_STATUS_LABELS } from '../../utils/constants';
+import { INVENTORY_CHANGE_TYPES } from '../../utils/inventorySheet';
+
+const GROUP_LABELS = {
+  title: 'Title changes',
+  pageType: 'Page type changes',
+  status: 'Annotation status changes',
+  note: 'Note changes',
+  parent: 'Moved pages',
+};
+
+const quote = (value) => (value ? `“${value}”` : 'empty');
+
+const describeChange = (change) => {
+  if (change.type === 'status') {
+    return `${ANNOTATION_STATUS_LABELS[change.before] || change.before} → ${ANNOTATION_STATUS_LABELS[change.after] || change.after}`;
+  }
+  if (change.type === 'parent') return `now under ${quote(change.after)}`;
+  return `${quote(change.before)} → ${quote(change.after)}`;
+};
+
+// Preview of a content inventory re-import (see utils/inventorySheet.js). Rows that cannot be
+// applied are listed as conflicts and never offered for selection.
+const InventoryReviewModal = ({ show, changeSet, onClose, onApply }) => {
+  const [selected, setSelected] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!show || !changeSet) return;
+    setSelected(new Set(changeSet.changes.map((change) => change.id)));
+  }, [show, changeSet]);
+
+  const groups = useMemo(() => INVENTORY_CHANGE_TYPES
+    .map((type) => ({ type, changes: (changeSet?.changes || []).filter((change) => change.type === type) }))
+    .filter((group) => group.changes.length), [changeSet]);
+
+  if (!show || !changeSet) return null;
+
+  const toggleChange = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleGroup = (changes, checked) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      changes.forEach((change) => (checked ? next.add(change.id) : next.delete(change.id)));
+      return next;
+    });
+  };
+
+  const { summary, conflicts } = changeSet;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card modal-md rescan-review-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Inventory Changes</h3>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="rescan-review-summary">
+            {summary.title} retitled · {summary.pageType} page type · {summary.status} status
+            · {summary.note} notes · {summary.parent} moved · {summary.unchanged} unchanged
+          </div>
+
+          {!groups.length && !conflicts.length ? (
+            <div className="rescan-review-hint">The spreadsheet matches the map.</div>
+          ) : null}
+
+          {conflicts.length ? (
+            <div className="rescan-review-group">
+              <div className="rescan-review-group-header inventory-review-conflicts">
+                <AlertTriangle size={14} />
+                <span>Conflicts, not applied ({conflicts.length})</span>
+              </div>
+              <ul className="rescan-review-list">
+                {conflicts.map((conflict) => (
+                  <li key={`${conflict.line}-${conflict.type || 'row'}`}>
+                    <label>
+                      <span className="rescan-review-url" title={conflict.title}>
+                        Row {conflict.line}: {conflict.title}
+                      </span>
+                      <span className="rescan-review-detail" title={conflict.reason}>{conflict.reason}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+
+          {groups.map(({ type, changes }) => {
+            const checkedCount = changes.filter((change) => selected.has(change.id)).length;
+            return (
+              <div key={type} className="rescan-review-group">
+                <label className="rescan-review-group-header">
+                  <input
+                    type="checkbox"
+                    checked={checkedCount === changes.length}
+                    onChange={(e) => toggleGroup(changes, e.target.checked)}
+                  />
+                  <span>{GROUP_LABELS[type]} ({checkedCount}/{changes.length})</span>
+                </label>
+                <ul className="rescan-review-list">
+                  {changes.map((change) => (
+                    <li key={change.id}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={selected.has(change.id)}
+                          onChange={() => toggleChange(change.id)}
+                        />
+                        <span className="rescan-review-url" title={change.title}>{change.title}</span>
+                        <span className="rescan-review-detail" title={describeChange(change)}>{describeChange(change)}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>
+            Discard
+          </button>
+          <button
+            className="modal-btn primary"
+            onClick={() => onApply(changeSet.changes.filter((change) => selected.has(change.id)))}
+            disabled={!selected.size}
+          >
+            Apply {selected.size} Change{selected.size === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InventoryReviewModal;
@@ -8,6 +8,7 @@ import {
   FolderInput,
   Network,
   Trash2,
+  Webhook,
 } from 'lucide-react';
 
 import AccountDrawer from '../drawers/AccountDrawer';
@@ -30,6 +31,7 @@ const ProjectsModal = ({
   onDeleteMap,
   onMoveMap,
   onAddProject,
+  onOpenWebhooks,
 }) => {
   const [movingMapId, setMovingMapId] = useState(null);
   const [moveTarget, setMoveTarget] = useState('');
@@ -100,6 +102,13 @@ const ProjectsModal = ({
                             >
                               <Edit2 size={14} />
                             </button>
+                            <button
+                              className="project-action-btn"
+                              title="Webhooks"
+                              onClick={() => onOpenWebhooks(project)}
+                            >
+                              <Webhook size={14} />
+                            </button>
                             <button
                               className="project-action-btn danger"
                               title="Delete Project"
@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { X } from 'lucide-react';
+import { RESCAN_CHANGE_TYPES } from '../../utils/rescanChanges';
+
+const GROUP_LABELS = {
+  added: 'New pages',
+  removed: 'Removed pages',
+  title: 'Title changes',
+  status: 'Status changes',
+  moved: 'Moved pages',
+};
+
+const describeChange = (change) => {
+  if (change.type === 'title') return `“${change.before || ''}” → “${change.after}”`;
+  if (change.type === 'status') return `${change.before} → ${change.after}`;
+  if (change.type === 'moved') return change.toParentUrl ? `now under ${change.toParentUrl}` : 'now unlinked (orphan)';
+  return change.title;
+};
+
+const RescanReviewModal = ({ show, changeSet, onClose, onApply }) => {
+  const [selected, setSelected] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!show || !changeSet) return;
+    setSelected(new Set(changeSet.changes.map((change) => change.id)));
+  }, [show, changeSet]);
+
+  const groups = useMemo(() => RESCAN_CHANGE_TYPES
+    .map((type) => ({ type, changes: (changeSet?.changes || []).filter((change) => change.type === type) }))
+    .filter((group) => group.changes.length), [changeSet]);
+
+  if (!show || !changeSet) return null;
+
+  const toggleChange = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleGroup = (changes, checked) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      changes.forEach((change) => (checked ? next.add(change.id) : next.delete(change.id)));
+      return next;
+    });
+  };
+
+  const { summary } = changeSet;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card modal-md rescan-review-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Re-scan Changes</h3>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="rescan-review-summary">
+            {summary.added} new · {summary.removed} removed · {summary.titleChanged} retitled
+            · {summary.statusChanged} status · {summary.moved} moved · {summary.unchanged} unchanged
+          </div>
+          {changeSet.truncated ? (
+            <div className="rescan-review-hint">Only the first {changeSet.changes.length} changes are listed.</div>
+          ) : null}
+
+          {!groups.length ? (
+            <div className="rescan-review-hint">The site matches the saved map.</div>
+          ) : null}
+
+          {groups.map(({ type, changes }) => {
+            const checkedCount = changes.filter((change) => selected.has(change.id)).length;
+            return (
+              <div key={type} className="rescan-review-group">
+                <label className="rescan-review-group-header">
+                  <input
+                    type="checkbox"
+                    checked={checkedCount === changes.length}
+                    onChange={(e) => toggleGroup(changes, e.target.checked)}
+                  />
+                  <span>{GROUP_LABELS[type]} ({checkedCount}/{changes.length})</span>
+                </label>
+                <ul className="rescan-review-list">
+                  {changes.map((change) => (
+                    <li key={change.id}>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={selected.has(change.id)}
+                          onChange={() => toggleChange(change.id)}
+                        />
+                        <span className="rescan-review-url" title={change.url}>{change.url}</span>
+                        <span className="rescan-review-detail">{describeChange(change)}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>
+            Discard
+          </button>
+          <button
+            className="modal-btn primary"
+            onClick={() => onApply(changeSet.changes.filter((change) => selected.has(change.id)))}
+            disabled={!selected.size}
+          >
+            Apply {selected.size} Change{selected.size === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RescanReviewModal;
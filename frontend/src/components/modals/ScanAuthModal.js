@@ -0,0 +1,230 @@
+import React, { useEffect, useState } from 'react';
+import { KeyRound, X } from 'lucide-react';
+
+const EMPTY_FORM = {
+  username: '',
+  password: '',
+  headers: '',
+  cookies: '',
+  loginUrl: '',
+  loginFields: '',
+  formSelector: '',
+};
+
+const parseLines = (text, separator) => text
+  .split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const index = line.indexOf(separator);
+    if (index <= 0) return null;
+    return { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+  });
+
+const toForm = (auth) => {
+  if (!auth) return EMPTY_FORM;
+  return {
+    username: auth.basicAuth?.username || '',
+    password: auth.basicAuth?.password || '',
+    headers: Object.entries(auth.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n'),
+    cookies: typeof auth.cookies === 'string' ? auth.cookies : '',
+    loginUrl: auth.login?.url || '',
+    loginFields: Object.entries(auth.login?.fields || {}).map(([name, value]) => `${name}=${value}`).join('\n'),
+    formSelector: auth.login?.formSelector || '',
+  };
+};
+
+const ScanAuthModal = ({
+  show,
+  onClose,
+  onApply,
+  onForget,
+  initialAuth,
+  savedCredentials,
+  canSave,
+}) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saveToMap, setSaveToMap] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!show) return;
+    setForm(toForm(initialAuth));
+    setSaveToMap(false);
+    setError('');
+  }, [show, initialAuth]);
+
+  if (!show) return null;
+
+  const updateField = (key) => (e) => {
+    setForm((prev) => ({ ...prev, [key]: e.target.value }));
+    if (error) setError('');
+  };
+
+  const buildAuth = () => {
+    const headerEntries = parseLines(form.headers, ':');
+    if (headerEntries.some((entry) => !entry)) {
+      throw new Error('Headers must be one "Name: value" per line');
+    }
+    const fieldEntries = parseLines(form.loginFields, '=');
+    if (fieldEntries.some((entry) => !entry)) {
+      throw new Error('Login fields must be one "name=value" per line');
+    }
+    if (form.loginUrl.trim() && !fieldEntries.length) {
+      throw new Error('Add at least one login field');
+    }
+
+    const auth = {};
+    if (headerEntries.length) {
+      auth.headers = Object.fromEntries(headerEntries.map((entry) => [entry.name, entry.value]));
+    }
+    if (form.cookies.trim()) auth.cookies = form.cookies.trim();
+    if (form.username.trim()) {
+      auth.basicAuth = { username: form.username.trim(), password: form.password };
+    }
+    if (form.loginUrl.trim()) {
+      auth.login = {
+        url: form.loginUrl.trim(),
+        formSelector: form.formSelector.trim() || undefined,
+        fields: Object.fromEntries(fieldEntries.map((entry) => [entry.name, entry.value])),
+      };
+    }
+    return Object.keys(auth).length ? auth : null;
+  };
+
+  const handleApply = () => {
+    try {
+      onApply(buildAuth(), { saveToMap: canSave && saveToMap });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const savedSummary = savedCredentials?.summary;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card modal-md scan-auth-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Scan Credentials</h3>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {savedCredentials?.configured ? (
+            <div className="scan-auth-saved">
+              <KeyRound size={14} />
+              <span>
+                Saved for {savedCredentials.host}
+                {savedSummary?.basicAuth ? ` · basic auth (${savedSummary.basicAuth.username})` : ''}
+                {savedSummary?.headers?.length ? ` · headers: ${savedSummary.headers.join(', ')}` : ''}
+                {savedSummary?.cookies?.length ? ` · cookies: ${savedSummary.cookies.join(', ')}` : ''}
+                {savedSummary?.login ? ' · login step' : ''}
+              </span>
+              {onForget ? (
+                <button type="button" className="modal-btn secondary" onClick={onForget}>
+                  Forget
+                </button>
+              ) : null}
+            </div>
+          ) : null}
+
+          <div className="scan-auth-row">
+            <div className="form-group">
+              <label>Basic auth username</label>
+              <input type="text" value={form.username} onChange={updateField('username')} autoComplete="off" />
+            </div>
+            <div className="form-group">
+              <label>Basic auth password</label>
+              <input type="password" value={form.password} onChange={updateField('password')} autoComplete="new-password" />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Headers (one per line)</label>
+            <textarea
+              value={form.headers}
+              onChange={updateField('headers')}
+              placeholder="Authorization: Bearer …"
+              rows={3}
+              spellCheck={false}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Cookies</label>
+            <input
+              type="text"
+              value={form.cookies}
+              onChange={updateField('cookies')}
+              placeholder="session=abc123; locale=en"
+              spellCheck={false}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Login page URL (optional)</label>
+            <input
+              type="text"
+              value={form.loginUrl}
+              onChange={updateField('loginUrl')}
+              placeholder="https://example.com/login"
+              spellCheck={false}
+            />
+          </div>
+
+          {form.loginUrl.trim() ? (
+            <>
+              <div className="form-group">
+                <label>Login fields (one name=value per line)</label>
+                <textarea
+                  value={form.loginFields}
+                  onChange={updateField('loginFields')}
+                  placeholder={'email=crawler@example.com\npassword=…'}
+                  rows={3}
+                  spellCheck={false}
+                />
+              </div>
+              <div className="form-group">
+                <label>Form selector (optional)</label>
+                <input
+                  type="text"
+                  value={form.formSelector}
+                  onChange={updateField('formSelector')}
+                  placeholder="form#login"
+                  spellCheck={false}
+                />
+              </div>
+            </>
+          ) : null}
+
+          {canSave ? (
+            <label className="scan-auth-save-toggle">
+              <input
+                type="checkbox"
+                checked={saveToMap}
+                onChange={() => setSaveToMap((value) => !value)}
+              />
+              <span>Save encrypted with this map for future scans</span>
+            </label>
+          ) : null}
+
+          {error ? <div className="form-error">{error}</div> : null}
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="modal-btn primary" onClick={handleApply}>
+            Use for Scan
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScanAuthModal;
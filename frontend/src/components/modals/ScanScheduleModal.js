@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { CalendarClock, Trash2, X } from 'lucide-react';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_FORM = {
+  frequency: 'weekly',
+  time: '06:00',
+  weekday: '1',
+  cron: '0 6 * * 1',
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Schedules are stored as cron; daily and weekly ones are always `M H * * *` / `M H * * D`.
+const describeSchedule = (schedule) => {
+  const [minute, hour, , , weekday] = schedule.cron.split(' ');
+  const time = `${pad(hour)}:${pad(minute)} UTC`;
+  if (schedule.frequency === 'daily') return `Daily at ${time}`;
+  if (schedule.frequency === 'weekly') return `${WEEKDAYS[Number(weekday)]}s at ${time}`;
+  return `Cron ${schedule.cron} (UTC)`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const describeRun = (run) => {
+  if (run.summary) {
+    const { added, removed, titleChanged, statusChanged, moved } = run.summary;
+    return `${run.pages_scanned ?? 0} pages · ${added} new · ${removed} removed · ${titleChanged} retitled`
+      + ` · ${statusChanged} status · ${moved} moved`;
+  }
+  if (run.job_status === 'failed') return `Failed${run.job_error ? `: ${run.job_error}` : ''}`;
+  return run.job_status || 'Pending';
+};
+
+const ScanScheduleModal = ({
+  show,
+  onClose,
+  schedules,
+  runs,
+  onCreate,
+  onToggle,
+  onDelete,
+  onLoadRuns,
+}) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!show) return;
+    setForm(EMPTY_FORM);
+    setError('');
+  }, [show]);
+
+  if (!show) return null;
+
+  const updateField = (key) => (e) => {
+    setForm((prev) => ({ ...prev, [key]: e.target.value }));
+    if (error) setError('');
+  };
+
+  const handleCreate = async () => {
+    const payload = { frequency: form.frequency };
+    if (form.frequency === 'cron') payload.cron = form.cron.trim();
+    else payload.time = form.time;
+    if (form.frequency === 'weekly') payload.weekday = Number(form.weekday);
+
+    setSaving(true);
+    try {
+      await onCreate(payload);
+    } catch (err) {
+      setError(err.message || 'Failed to create schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card modal-md scan-schedule-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Scheduled Scans</h3>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="scan-schedule-hint">
+            Each run scans the map's URL with the current scan settings and records what changed since the
+            previous run. The map itself is not modified.
+          </div>
+
+          {!schedules ? <div className="scan-schedule-hint">Loading…</div> : null}
+          {schedules && !schedules.length ? (
+            <div className="scan-schedule-hint">No schedules yet.</div>
+          ) : null}
+
+          {(schedules || []).map((schedule) => (
+            <div key={schedule.id} className="scan-schedule-item">
+              <div className="scan-schedule-item-header">
+                <CalendarClock size={14} />
+                <span className="scan-schedule-label">{describeSchedule(schedule)}</span>
+                <label className="scan-schedule-toggle">
+                  <input
+                    type="checkbox"
+                    checked={schedule.enabled}
+                    onChange={() => onToggle(schedule)}
+                  />
+                  <span>Enabled</span>
+                </label>
+                <button
+                  type="button"
+                  className="scan-schedule-delete"
+                  onClick={() => onDelete(schedule)}
+                  title="Delete schedule and its run history"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              <div className="scan-schedule-meta">
+                Next run: {schedule.enabled ? formatDate(schedule.next_run_at) : 'paused'}
+                {' · '}Last run: {formatDate(schedule.last_run_at)}
+                {' · '}
+                <button type="button" className="scan-schedule-link" onClick={() => onLoadRuns(schedule)}>
+                  History
+                </button>
+              </div>
+              {runs?.scheduleId === schedule.id ? (
+                <ul className="scan-schedule-runs">
+                  {!runs.runs.length ? <li>No runs yet.</li> : null}
+                  {runs.runs.map((run) => (
+                    <li key={run.id}>
+                      <span className="scan-schedule-run-date">{formatDate(run.scheduled_for || run.created_at)}</span>
+                      <span>{describeRun(run)}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : null}
+            </div>
+          ))}
+
+          <div className="scan-schedule-form">
+            <div className="form-group">
+              <label>Repeat</label>
+              <select value={form.frequency} onChange={updateField('frequency')}>
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="cron">Cron expression</option>
+              </select>
+            </div>
+            {form.frequency === 'weekly' ? (
+              <div className="form-group">
+                <label>Day</label>
+                <select value={form.weekday} onChange={updateField('weekday')}>
+                  {WEEKDAYS.map((day, index) => (
+                    <option key={day} value={String(index)}>{day}</option>
+                  ))}
+                </select>
+              </div>
+            ) : null}
+            {form.frequency === 'cron' ? (
+              <div className="form-group">
+                <label>Cron (UTC)</label>
+                <input
+                  type="text"
+                  value={form.cron}
+                  onChange={updateField('cron')}
+                  placeholder="0 6 * * 1-5"
+                  spellCheck={false}
+                />
+              </div>
+            ) : (
+              <div className="form-group">
+                <label>Time (UTC)</label>
+                <input type="time" value={form.time} onChange={updateField('time')} />
+              </div>
+            )}
+          </div>
+
+          {error ? <div className="form-error">{error}</div> : null}
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>
+            Close
+          </button>
+          <button className="modal-btn primary" onClick={handleCreate} disabled={saving || !schedules}>
+            Add Schedule
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScanScheduleModal;
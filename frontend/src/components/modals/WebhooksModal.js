@@ -0,0 +1,256 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Copy, Send, Trash2, Webhook, X } from 'lucide-react';
+
+import * as api from '../../api';
+
+const EVENT_OPTIONS = [
+  { value: 'scan.completed', label: 'Scan completed' },
+  { value: 'scan.failed', label: 'Scan failed' },
+  { value: 'map.updated', label: 'Map updated' },
+  { value: 'version.created', label: 'Version created' },
+  { value: 'comment.added', label: 'Comment added' },
+  { value: 'invite.accepted', label: 'Invite accepted' },
+];
+
+const EMPTY_FORM = { url: '', events: ['scan.completed', 'scan.failed'] };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const describeDelivery = (delivery) => {
+  const response = delivery.response_status ? `HTTP ${delivery.response_status}` : delivery.error || 'No response';
+  if (delivery.status === 'succeeded') return `Delivered · ${response} · ${delivery.duration_ms ?? 0} ms`;
+  if (delivery.status === 'failed') return `Failed after ${delivery.attempts} attempts · ${response}`;
+  if (!delivery.attempts) return 'Queued';
+  return `Retrying ${formatDate(delivery.next_attempt_at)} · ${response}`;
+};
+
+// Outbound webhooks of one project, opened from the projects drawer.
+const WebhooksModal = ({ project, onClose }) => {
+  const [webhooks, setWebhooks] = useState(null);
+  const [deliveries, setDeliveries] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [createdSecret, setCreatedSecret] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const projectId = project?.id;
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const { webhooks: list } = await api.getProjectWebhooks(projectId);
+      setWebhooks(list || []);
+    } catch (err) {
+      setWebhooks([]);
+      setError(err.message || 'Failed to load webhooks');
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (!projectId) return;
+    setWebhooks(null);
+    setDeliveries(null);
+    setForm(EMPTY_FORM);
+    setCreatedSecret('');
+    setError('');
+    loadWebhooks();
+  }, [projectId, loadWebhooks]);
+
+  if (!project) return null;
+
+  const run = async (action, fallbackError) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || fallbackError);
+    }
+  };
+
+  const loadDeliveries = (webhook) => run(async () => {
+    const { deliveries: list } = await api.getProjectWebhookDeliveries(projectId, webhook.id);
+    setDeliveries({ webhookId: webhook.id, deliveries: list || [] });
+  }, 'Failed to load deliveries');
+
+  const toggleEvent = (event) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter((value) => value !== event)
+        : [...prev.events, event],
+    }));
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    await run(async () => {
+      const { secret } = await api.createProjectWebhook(projectId, {
+        url: form.url.trim(),
+        events: form.events,
+      });
+      setCreatedSecret(secret);
+      setForm(EMPTY_FORM);
+      await loadWebhooks();
+    }, 'Failed to create webhook');
+    setSaving(false);
+  };
+
+  const handleToggle = (webhook) => run(async () => {
+    const { webhook: updated } = await api.updateProjectWebhook(projectId, webhook.id, {
+      enabled: !webhook.enabled,
+    });
+    setWebhooks((prev) => (prev || []).map((item) => (item.id === updated.id ? updated : item)));
+  }, 'Failed to update webhook');
+
+  const handleRotate = (webhook) => run(async () => {
+    const { secret } = await api.updateProjectWebhook(projectId, webhook.id, { rotateSecret: true });
+    setCreatedSecret(secret);
+  }, 'Failed to rotate secret');
+
+  const handleDelete = (webhook) => run(async () => {
+    await api.deleteProjectWebhook(projectId, webhook.id);
+    setWebhooks((prev) => (prev || []).filter((item) => item.id !== webhook.id));
+    setDeliveries((prev) => (prev?.webhookId === webhook.id ? null : prev));
+  }, 'Failed to delete webhook');
+
+  const handlePing = (webhook) => run(async () => {
+    await api.pingProjectWebhook(projectId, webhook.id);
+    await loadDeliveries(webhook);
+  }, 'Failed to send test delivery');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdSecret);
+    } catch {
+      setError('Copy failed — select the secret and copy it manually');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card modal-md webhooks-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Webhooks · {project.name}</h3>
+          <button className="modal-close" onClick={onClose}>
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="webhooks-hint">
+            Each event is POSTed as JSON, signed in the <code>X-MapMat-Signature</code> header. Failed
+            deliveries are retried with backoff.
+          </div>
+
+          {createdSecret ? (
+            <div className="webhooks-secret">
+              <div>Signing secret — copy it now, it will not be shown again.</div>
+              <div className="webhooks-secret-value">
+                <code>{createdSecret}</code>
+                <button type="button" className="webhooks-link" onClick={handleCopy} title="Copy secret">
+                  <Copy size={14} />
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          {!webhooks ? <div className="webhooks-hint">Loading…</div> : null}
+          {webhooks && !webhooks.length ? <div className="webhooks-hint">No webhooks yet.</div> : null}
+
+          {(webhooks || []).map((webhook) => (
+            <div key={webhook.id} className="webhooks-item">
+              <div className="webhooks-item-header">
+                <Webhook size={14} />
+                <span className="webhooks-url" title={webhook.url}>{webhook.url}</span>
+                <label className="webhooks-toggle">
+                  <input type="checkbox" checked={webhook.enabled} onChange={() => handleToggle(webhook)} />
+                  <span>Enabled</span>
+                </label>
+                <button
+                  type="button"
+                  className="webhooks-link"
+                  onClick={() => handlePing(webhook)}
+                  title="Send a test delivery"
+                  disabled={!webhook.enabled}
+                >
+                  <Send size={14} />
+                </button>
+                <button
+                  type="button"
+                  className="webhooks-link muted"
+                  onClick={() => handleDelete(webhook)}
+                  title="Delete webhook and its delivery log"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              <div className="webhooks-meta">
+                {webhook.events.join(', ')}
+                {' · '}
+                <button type="button" className="webhooks-link" onClick={() => loadDeliveries(webhook)}>
+                  Deliveries
+                </button>
+                {' · '}
+                <button type="button" className="webhooks-link" onClick={() => handleRotate(webhook)}>
+                  Rotate secret
+                </button>
+              </div>
+              {deliveries?.webhookId === webhook.id ? (
+                <ul className="webhooks-deliveries">
+                  {!deliveries.deliveries.length ? <li>No deliveries yet.</li> : null}
+                  {deliveries.deliveries.map((delivery) => (
+                    <li key={delivery.id} className={delivery.status}>
+                      <span className="webhooks-delivery-date">{formatDate(delivery.created_at)}</span>
+                      <span className="webhooks-delivery-event">{delivery.event}</span>
+                      <span>{describeDelivery(delivery)}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : null}
+            </div>
+          ))}
+
+          <div className="form-group">
+            <label>Payload URL</label>
+            <input
+              type="url"
+              value={form.url}
+              onChange={(e) => setForm((prev) => ({ ...prev, url: e.target.value }))}
+              placeholder="https://example.com/hooks/mapmat"
+              disabled={saving}
+            />
+          </div>
+          <div className="webhooks-events">
+            {EVENT_OPTIONS.map((option) => (
+              <label key={option.value}>
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(option.value)}
+                  onChange={() => toggleEvent(option.value)}
+                  disabled={saving}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          {error ? <div className="form-error">{error}</div> : null}
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>
+            Close
+          </button>
+          <button
+            className="modal-btn primary"
+            onClick={handleCreate}
+            disabled={saving || !webhooks || !form.url.trim() || !form.events.length}
+          >
+            Add Webhook
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WebhooksModal;
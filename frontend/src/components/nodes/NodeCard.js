@@ -55,6 +55,7 @@ const NodeCard = ({
   const [thumbError, setThumbError] = useState(false);
   const [thumbLoading, setThumbLoading] = useState(true);
   const [thumbKey, setThumbKey] = useState(0);
+  const [activeLanguageUrl, setActiveLanguageUrl] = useState(null);
   const thumbImgRef = useRef(null);
 
   const isScreenshotThumb = node.thumbnailUrl?.includes('/screenshots/');
@@ -77,6 +78,11 @@ const NodeCard = ({
   if (tags.length > 0) badgeTitleParts.push(`Tags: ${tags.join(', ')}`);
   const badgeTitle = badgeTitleParts.join('\n');
   const isDeleted = showAnnotations && status === 'deleted';
+  // Grouped hreflang variants: the switcher only changes which language's title and link are shown.
+  const languageVariants = node.languageVariants?.length > 1 ? node.languageVariants : null;
+  const activeVariant = languageVariants?.find((variant) => variant.url === activeLanguageUrl) || null;
+  const displayTitle = activeVariant?.title || node.title;
+  const displayUrl = activeVariant?.url || node.url;
   const shouldGhost = isGhosted || isDeleted;
 
   // Reset thumbnail state when showThumbnails is toggled on
@@ -290,8 +296,8 @@ const NodeCard = ({
 
       <div className="card-content">
         <div className="card-content-top">
-          <div className="card-title" title={node.title}>
-            {node.title}
+          <div className="card-title" title={displayTitle}>
+            {displayTitle}
           </div>
           {showBadge && (
             <div
@@ -331,9 +337,26 @@ const NodeCard = ({
             </button>
           )}
         </div>
-        {node.url && (
+        {languageVariants && (
+          <select
+            className="node-lang-select"
+            value={activeVariant?.url || node.url}
+            onChange={(e) => setActiveLanguageUrl(e.target.value === node.url ? null : e.target.value)}
+            onClick={(e) => e.stopPropagation()}
+            onMouseDown={(e) => e.stopPropagation()}
+            onPointerDown={(e) => e.stopPropagation()}
+            title="Language versions"
+          >
+            {languageVariants.map((variant) => (
+              <option key={variant.url} value={variant.url}>
+                {variant.lang === 'x-default' ? 'Default' : (variant.lang || '?').toUpperCase()}
+              </option>
+            ))}
+          </select>
+        )}
+        {displayUrl && (
           <a
-            href={node.url}
+            href={displayUrl}
             target="_blank"
             rel="noopener noreferrer"
             className="btn-icon-flat external-link-btn"
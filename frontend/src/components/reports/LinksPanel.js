@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react';
+import { Locate, X } from 'lucide-react';
+
+import * as api from '../../api';
+import IconButton from '../ui/IconButton';
+
+const DIRECTIONS = [
+  { key: 'inbound', label: 'Links here' },
+  { key: 'outbound', label: 'Links out' },
+];
+
+const POSITION_LABELS = { body: 'Body', nav: 'Nav', footer: 'Footer' };
+
+const getPath = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+};
+
+// Pages linking to and linked from one node, read from the link graph saved with its scan.
+const LinksPanel = ({ graphId, node, nodesByUrl, onClose, onSelectNode }) => {
+  const [direction, setDirection] = useState('inbound');
+  const [links, setLinks] = useState(null);
+  const [error, setError] = useState(null);
+  const nodeUrl = node?.url || null;
+
+  useEffect(() => {
+    if (!graphId || !nodeUrl) return undefined;
+    let cancelled = false;
+    setLinks(null);
+    setError(null);
+    api.getLinkGraphLinks(graphId, nodeUrl)
+      .then((data) => {
+        if (!cancelled) setLinks(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load links');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [graphId, nodeUrl]);
+
+  const entries = links?.[direction] || [];
+  const total = links?.counts?.[direction] ?? 0;
+
+  return (
+    <div
+      className="links-panel"
+      role="dialog"
+      aria-label="Page links"
+      onPointerDown={(e) => e.stopPropagation()}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div className="links-panel-header">
+        <div className="links-panel-heading">
+          <h3>{node?.title || 'Untitled'}</h3>
+          <div className="links-panel-url" title={nodeUrl || ''}>{nodeUrl}</div>
+        </div>
+        <IconButton className="links-panel-close" onClick={onClose} aria-label="Close links panel">
+          <X size={18} />
+        </IconButton>
+      </div>
+
+      <div className="links-panel-tabs">
+        {DIRECTIONS.map((option) => (
+          <button
+            key={option.key}
+            type="button"
+            className={`links-panel-tab${direction === option.key ? ' active' : ''}`}
+            onClick={() => setDirection(option.key)}
+          >
+            {option.label}
+            <span className="links-panel-count">{links ? links.counts[option.key] : '…'}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="links-panel-body">
+        {error && <div className="links-panel-empty">{error}</div>}
+        {!error && !links && <div className="links-panel-empty">Loading links…</div>}
+        {!error && links && entries.length === 0 && (
+          <div className="links-panel-empty">
+            {direction === 'inbound' ? 'No scanned page links here' : 'This page links to no scanned pages'}
+          </div>
+        )}
+        {entries.length > 0 && (
+          <div className="links-panel-list">
+            {entries.map((entry) => {
+              const linkedNode = nodesByUrl.get(entry.url);
+              return (
+                <div key={entry.url} className="links-panel-item">
+                  <div className="links-panel-item-main">
+                    <div className="links-panel-item-title" title={entry.url}>
+                      {linkedNode?.title || getPath(entry.url)}
+                    </div>
+                    <div className="links-panel-item-path">{getPath(entry.url)}</div>
+                    <div className="links-panel-item-meta">
+                      {entry.positions.map((position) => (
+                        <span key={position} className={`links-panel-position links-panel-position-${position}`}>
+                          {POSITION_LABELS[position] || position}
+                        </span>
+                      ))}
+                      {entry.occurrences > 1 && (
+                        <span className="links-panel-occurrences">{entry.occurrences}×</span>
+                      )}
+                    </div>
+                    {entry.text && <div className="links-panel-anchor">“{entry.text}”</div>}
+                  </div>
+                  {linkedNode && (
+                    <button
+                      type="button"
+                      className="links-panel-locate"
+                      onClick={() => onSelectNode(linkedNode.id)}
+                      title="Show on map"
+                    >
+                      <Locate size={16} />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+            {total > entries.length && (
+              <div className="links-panel-more">
+                Showing {entries.length} of {total} pages
+              </div>
+            )}
+          </div>
+        )}
+        {links?.graph?.truncated && (
+          <div className="links-panel-note">This scan had more links than were saved, so some may be missing.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LinksPanel;
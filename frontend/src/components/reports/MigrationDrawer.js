@@ -0,0 +1,272 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, Download, Locate, RotateCcw, Search, X } from 'lucide-react';
+import { REDIRECT_MAP_FORMATS } from '../../utils/redirectMap';
+import { slugify } from '../../utils/migrationPlan';
+
+const VIEW_OPTIONS = [
+  { key: 'changed', label: 'Changing URL' },
+  { key: 'all', label: 'All pages' },
+  { key: 'collisions', label: 'Collisions' },
+  { key: 'noDestination', label: 'No destination' },
+];
+
+const matchesView = (entry, view) => {
+  if (view === 'changed') return entry.changed || entry.isNew;
+  if (view === 'collisions') return entry.collision;
+  if (view === 'noDestination') return entry.noDestination;
+  return true;
+};
+
+const getParentPath = (path) => {
+  const parent = path.split('/').slice(0, -1).join('/');
+  return `${parent}/`;
+};
+
+// Edits the last segment of a planned path; commits on Enter or blur, Escape cancels.
+const SlugInput = ({ entry, onCommit }) => {
+  const [value, setValue] = useState(entry.slug);
+
+  useEffect(() => {
+    setValue(entry.slug);
+  }, [entry.slug]);
+
+  const commit = () => {
+    const next = slugify(value);
+    if (!next) {
+      setValue(entry.slug);
+      return;
+    }
+    if (next !== entry.slug) onCommit(entry.id, next);
+    else setValue(entry.slug);
+  };
+
+  return (
+    <input
+      type="text"
+      className="migration-slug-input"
+      value={value}
+      aria-label={`Planned slug for ${entry.title}`}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') e.currentTarget.blur();
+        if (e.key === 'Escape') {
+          setValue(entry.slug);
+          e.currentTarget.blur();
+        }
+      }}
+    />
+  );
+};
+
+const MigrationDrawer = ({
+  isOpen,
+  onClose,
+  plan,
+  canEdit,
+  onSlugChange,
+  onResetSlug,
+  onLocateNode,
+  onExportMapping,
+  onExportNoDestination,
+}) => {
+  const [view, setView] = useState('changed');
+  const [search, setSearch] = useState('');
+
+  const stats = useMemo(() => ({
+    total: plan.entries.length,
+    changed: plan.entries.filter((entry) => entry.changed).length,
+    isNew: plan.entries.filter((entry) => entry.isNew).length,
+    collisions: plan.collisions.length,
+    noDestination: plan.noDestination.length,
+  }), [plan]);
+
+  const visibleEntries = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return plan.entries.filter((entry) => {
+      if (!matchesView(entry, view)) return false;
+      if (!query) return true;
+      return (
+        entry.title.toLowerCase().includes(query)
+        || (entry.originalPath || '').toLowerCase().includes(query)
+        || entry.plannedPath.toLowerCase().includes(query)
+      );
+    });
+  }, [plan, view, search]);
+
+  if (!isOpen) return null;
+
+  return (
+    <aside
+      className="report-drawer report-drawer-open migration-drawer"
+      role="dialog"
+      aria-label="Migration plan"
+      onPointerDown={(e) => e.stopPropagation()}
+      onWheel={(e) => {
+        e.stopPropagation();
+        e.nativeEvent?.stopImmediatePropagation?.();
+      }}
+    >
+      <header className="report-drawer-header">
+        <div className="report-header-title">
+          <div className="report-drawer-title">Migration plan</div>
+          <div className="report-drawer-subtitle">Original scanned URLs against planned URLs</div>
+        </div>
+        <div className="report-header-actions">
+          <button className="report-drawer-close" onClick={onClose} aria-label="Close migration plan">
+            <X size={22} />
+          </button>
+        </div>
+      </header>
+
+      <div className="report-drawer-body">
+        <section className="report-summary">
+          <div className="report-total-card">
+            <div className="report-total-value">{stats.changed}</div>
+            <div className="report-total-label">URLs changing</div>
+          </div>
+          <div className="report-stat-cards">
+            <div className="report-stat">
+              <div className="report-stat-label">Pages</div>
+              <div className="report-stat-value">{stats.total}</div>
+            </div>
+            <div className="report-stat">
+              <div className="report-stat-label">New pages</div>
+              <div className="report-stat-value">{stats.isNew}</div>
+            </div>
+            <div className="report-stat">
+              <div className="report-stat-label">Collisions</div>
+              <div className="report-stat-value">{stats.collisions}</div>
+            </div>
+            <div className="report-stat">
+              <div className="report-stat-label">No destination</div>
+              <div className="report-stat-value">{stats.noDestination}</div>
+            </div>
+          </div>
+        </section>
+
+        {plan.collisions.length > 0 && (
+          <div className="migration-warning" role="alert">
+            <AlertTriangle size={16} />
+            <div>
+              {plan.collisions.length === 1 ? '1 planned URL is' : `${plan.collisions.length} planned URLs are`}
+              {' '}used by more than one page:
+              {' '}
+              {plan.collisions.slice(0, 5).map((collision) => collision.path).join(', ')}
+              {plan.collisions.length > 5 ? '…' : ''}
+            </div>
+          </div>
+        )}
+
+        <section className="migration-exports">
+          <div className="migration-export-group">
+            <span className="migration-export-label">301 mapping</span>
+            <button type="button" className="export-format-btn" onClick={() => onExportMapping('csv')}>
+              CSV
+            </button>
+            {REDIRECT_MAP_FORMATS.filter((option) => option.key !== 'csv').map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                className="export-format-btn"
+                onClick={() => onExportMapping(option.key)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <button type="button" className="report-open-link" onClick={onExportNoDestination}>
+            <Download size={14} />
+            Pages with no destination
+          </button>
+        </section>
+
+        <div className="report-divider" />
+
+        <section className="report-filters">
+          <div className="report-filter-row">
+            <div className="migration-view-options">
+              {VIEW_OPTIONS.map((option) => (
+                <button
+                  key={option.key}
+                  type="button"
+                  className={`migration-view-btn ${view === option.key ? 'active' : ''}`}
+                  onClick={() => setView(option.key)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <label className="report-search">
+              <Search size={16} />
+              <input
+                type="text"
+                placeholder="Search by page name or path"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+            </label>
+          </div>
+        </section>
+
+        <section className="migration-table">
+          <div className="migration-table-header">
+            <div>Page</div>
+            <div>Original</div>
+            <div>Planned</div>
+            <div />
+          </div>
+          {visibleEntries.length === 0 && (
+            <div className="migration-empty">No pages in this view.</div>
+          )}
+          {visibleEntries.map((entry) => (
+            <div
+              key={entry.id}
+              className={`migration-row${entry.collision ? ' migration-row-collision' : ''}${entry.noDestination ? ' migration-row-removed' : ''}`}
+            >
+              <div className="migration-cell migration-cell-title" title={entry.title}>{entry.title}</div>
+              <div className="migration-cell migration-cell-path" title={entry.originalUrl || ''}>
+                {entry.originalPath || <span className="migration-tag">New</span>}
+              </div>
+              <div className="migration-cell migration-cell-planned">
+                {entry.noDestination ? (
+                  <span className="migration-tag">No destination</span>
+                ) : (
+                  <>
+                    <span className="migration-parent-path">{getParentPath(entry.plannedPath)}</span>
+                    {canEdit && entry.plannedPath !== '/' ? (
+                      <SlugInput entry={entry} onCommit={onSlugChange} />
+                    ) : (
+                      <span>{entry.slug}</span>
+                    )}
+                    {canEdit && entry.slugEdited && (
+                      <button
+                        type="button"
+                        className="migration-icon-btn"
+                        onClick={() => onResetSlug(entry.id)}
+                        title="Reset slug"
+                      >
+                        <RotateCcw size={14} />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+              <button
+                type="button"
+                className="migration-icon-btn"
+                onClick={() => onLocateNode?.(entry.id)}
+                title="See on map"
+              >
+                <Locate size={16} />
+              </button>
+            </div>
+          ))}
+        </section>
+      </div>
+    </aside>
+  );
+};
+
+export default MigrationDrawer;
@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
+  ArrowDown,
   ArrowUp,
   ChevronDown,
   ChevronUp,
@@ -10,6 +11,31 @@ import {
   Search,
   X,
 } from 'lucide-react';
+import { DEEP_PAGE_CLICK_DEPTH } from '../../utils/constants';
+
+// Sortable columns; entries without a value sort last in both directions.
+const SORT_COMPARERS = {
+  title: (a, b) => (a.title || a.url).localeCompare(b.title || b.url),
+  clickDepth: (a, b) => a.clickDepth - b.clickDepth,
+  linkScore: (a, b) => a.linkScore - b.linkScore,
+};
+
+const hasSortValue = (entry, key) => (key === 'clickDepth' || key === 'linkScore' ? entry[key] !== null : true);
+
+const sortEntries = (entries, sort) => {
+  if (!sort) return entries;
+  const compare = SORT_COMPARERS[sort.key];
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  return [...entries].sort((a, b) => {
+    const aHas = hasSortValue(a, sort.key);
+    const bHas = hasSortValue(b, sort.key);
+    if (aHas !== bHas) return aHas ? -1 : 1;
+    if (!aHas) return 0;
+    return compare(a, b) * direction;
+  });
+};
+
+const formatLinkScore = (score) => (score === null ? '--' : score.toFixed(1));
 
 const ReportDrawer = ({
   isOpen,
@@ -29,6 +55,7 @@ const ReportDrawer = ({
   const [search, setSearch] = useState('');
   const [expandedRow, setExpandedRow] = useState(null);
   const [showBackToTop, setShowBackToTop] = useState(false);
+  const [sort, setSort] = useState(null); // { key, direction }; null keeps page number order
   const bodyRef = useRef(null);
   const [filters, setFilters] = useState(() => {
     const initial = {};
@@ -117,6 +144,34 @@ const ReportDrawer = ({
     });
   }, [entries, activeFilterKeys, search, visibleFilterOptions, filters]);
 
+  const sortedEntries = useMemo(() => sortEntries(filteredEntries, sort), [filteredEntries, sort]);
+
+  const showLinkMetrics = useMemo(() => entries.some(entry => entry.linkScore !== null), [entries]);
+
+  // Click once for ascending (descending for link equity), again to reverse, a third time to reset.
+  const toggleSort = (key) => {
+    const firstDirection = key === 'linkScore' ? 'desc' : 'asc';
+    setSort(prev => {
+      if (prev?.key !== key) return { key, direction: firstDirection };
+      if (prev.direction === firstDirection) return { key, direction: firstDirection === 'asc' ? 'desc' : 'asc' };
+      return null;
+    });
+  };
+
+  const renderSortHeader = (key, label, className = '') => {
+    const active = sort?.key === key;
+    return (
+      <button
+        type="button"
+        className={`report-sort-header${active ? ' active' : ''}${className ? ` ${className}` : ''}`}
+        onClick={() => toggleSort(key)}
+      >
+        {label}
+        {active && (sort.direction === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+      </button>
+    );
+  };
+
   const truncatedTitle = reportTitle.length > 56
     ? `${reportTitle.slice(0, 56).trim()}…`
     : reportTitle;
@@ -140,6 +195,17 @@ const ReportDrawer = ({
     { key: 'subdomains', label: 'Subdomains' },
     { key: 'missing', label: 'Missing' },
     { key: 'duplicates', label: 'Duplicate' },
+    { key: 'robotsBlocked', label: 'Blocked by robots.txt' },
+    { key: 'hreflangIssues', label: 'Hreflang issues' },
+    { key: 'deepPages', label: `Deep pages (> ${DEEP_PAGE_CLICK_DEPTH} clicks)` },
+    { key: 'missingTitle', label: 'Missing title' },
+    { key: 'duplicateTitle', label: 'Duplicate title' },
+    { key: 'missingMetaDescription', label: 'Missing meta description' },
+    { key: 'multipleH1', label: 'Multiple H1s' },
+    { key: 'noindexInNav', label: 'Noindex in navigation' },
+    { key: 'canonicalElsewhere', label: 'Canonical elsewhere' },
+    { key: 'redirectChain', label: 'Redirect chain' },
+    { key: 'thinContent', label: 'Thin content' },
   ].filter(segment => stats[segment.key] > 0);
 
   return (
@@ -250,12 +316,14 @@ const ReportDrawer = ({
           )}
         </section>
 
-        <section className="report-table">
+        <section className={`report-table${showLinkMetrics ? ' report-table-link-metrics' : ''}`}>
           <div className="report-table-header">
             <div />
             <div>Number</div>
             <div>Page type</div>
-            <div>Page name</div>
+            {renderSortHeader('title', 'Page name')}
+            {showLinkMetrics && renderSortHeader('clickDepth', 'Clicks', 'report-header-metric')}
+            {showLinkMetrics && renderSortHeader('linkScore', 'Link equity', 'report-header-metric')}
             <div className="report-header-issues">Issues</div>
             <div>Show on map</div>
             <div />
@@ -265,7 +333,7 @@ const ReportDrawer = ({
             onWheel={(e) => e.stopPropagation()}
             onWheelCapture={(e) => e.stopPropagation()}
           >
-          {filteredEntries.map(entry => {
+          {sortedEntries.map(entry => {
             const isExpanded = expandedRow === entry.id;
             return (
               <div key={entry.id} className="report-row">
@@ -290,6 +358,16 @@ const ReportDrawer = ({
                   <div className="report-cell report-cell-title" title={entry.title || entry.url}>
                     {entry.title || entry.url}
                   </div>
+                  {showLinkMetrics && (
+                    <div
+                      className={`report-cell report-cell-metric${entry.clickDepth > DEEP_PAGE_CLICK_DEPTH ? ' report-cell-deep' : ''}`}
+                    >
+                      {entry.clickDepth ?? '--'}
+                    </div>
+                  )}
+                  {showLinkMetrics && (
+                    <div className="report-cell report-cell-metric">{formatLinkScore(entry.linkScore)}</div>
+                  )}
                   <div className="report-cell report-cell-count">{entry.types.length}</div>
                   <button
                     className="report-map-link"
@@ -1,5 +1,5 @@
 import React from 'react';
-import { RotateCcw, Scan, SlidersHorizontal } from 'lucide-react';
+import { CalendarClock, KeyRound, RotateCcw, Scan, SlidersHorizontal } from 'lucide-react';
 
 const ScanBar = ({
   canEdit,
@@ -14,9 +14,21 @@ const ScanBar = ({
   scanLayerAvailability,
   scanLayerVisibility,
   onToggleScanLayer,
+  hasCredentials,
+  onOpenCredentials,
+  urlRules,
+  onUrlRulesChange,
+  queryPolicy,
+  onQueryPolicyChange,
   scanDepth,
   onScanDepthChange,
   onScan,
+  canResumeScan,
+  onResumeScan,
+  canRescan,
+  onRescan,
+  canScheduleScans,
+  onOpenSchedules,
   scanDisabled,
   scanTitle,
   sharedTitle,
@@ -82,6 +94,78 @@ const ScanBar = ({
                   ))}
                 </select>
               </label>
+              <label className={`layers-panel-item${optionsDisabled ? ' disabled' : ''}`}>
+                <span>Query strings</span>
+                <select
+                  className="layers-panel-select-input"
+                  value={queryPolicy.mode}
+                  onChange={(e) => onQueryPolicyChange({ mode: e.target.value })}
+                  disabled={optionsDisabled}
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <option value="preserve">Keep</option>
+                  <option value="strip_tracking">Strip tracking</option>
+                  <option value="strip_all">Strip all</option>
+                  <option value="allowlist">Keep listed</option>
+                  <option value="sort">Sort</option>
+                </select>
+              </label>
+              {queryPolicy.mode === 'allowlist' && (
+                <label className={`layers-panel-rules${optionsDisabled ? ' disabled' : ''}`}>
+                  <input
+                    className="layers-panel-rules-input"
+                    value={queryPolicy.params}
+                    onChange={(e) => onQueryPolicyChange({ params: e.target.value })}
+                    placeholder="page, q"
+                    spellCheck={false}
+                    disabled={optionsDisabled}
+                  />
+                </label>
+              )}
+              <label className={`layers-panel-item${optionsDisabled ? ' disabled' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={options.renderJs}
+                  onChange={() => onOptionChange('renderJs')}
+                  disabled={optionsDisabled}
+                />
+                <span>Render JavaScript</span>
+              </label>
+              <button
+                className={`layers-panel-item${!urlInput.trim() ? ' disabled' : ''}`}
+                type="button"
+                onClick={onOpenCredentials}
+                disabled={!urlInput.trim()}
+              >
+                <KeyRound size={14} />
+                <span>{hasCredentials ? 'Credentials (set)' : 'Credentials…'}</span>
+              </button>
+              <div className="layers-panel-section">URL Rules</div>
+              <label className={`layers-panel-rules${optionsDisabled ? ' disabled' : ''}`}>
+                <span>Only include</span>
+                <textarea
+                  className="layers-panel-rules-input"
+                  value={urlRules.include}
+                  onChange={(e) => onUrlRulesChange('include', e.target.value)}
+                  placeholder="/blog/*"
+                  rows={2}
+                  spellCheck={false}
+                  disabled={optionsDisabled}
+                />
+              </label>
+              <label className={`layers-panel-rules${optionsDisabled ? ' disabled' : ''}`}>
+                <span>Exclude</span>
+                <textarea
+                  className="layers-panel-rules-input"
+                  value={urlRules.exclude}
+                  onChange={(e) => onUrlRulesChange('exclude', e.target.value)}
+                  placeholder={'/tag/*\n?replytocom=\nre:/page/\\d+'}
+                  rows={3}
+                  spellCheck={false}
+                  disabled={optionsDisabled}
+                />
+              </label>
+              <div className="layers-panel-hint">One rule per line. Globs match the path; prefix with re: for a regex on the full URL.</div>
               <div className="layers-panel-section">Placement</div>
               <label className={`layers-panel-item${optionsDisabled ? ' disabled' : ''}`}>
                 <input
@@ -101,6 +185,15 @@ const ScanBar = ({
                 />
                 <span>Orphan Pages</span>
               </label>
+              <label className={`layers-panel-item${optionsDisabled ? ' disabled' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={options.groupLanguages}
+                  onChange={() => onOptionChange('groupLanguages')}
+                  disabled={optionsDisabled}
+                />
+                <span>Group language variants</span>
+              </label>
 
               <div className="layers-panel-section">Status</div>
               <label className={`layers-panel-item${optionsDisabled ? ' disabled' : ''}`}>
@@ -139,6 +232,15 @@ const ScanBar = ({
                 />
                 <span>Authenticated Pages</span>
               </label>
+              <label className={`layers-panel-item${optionsDisabled ? ' disabled' : ''}`}>
+                <input
+                  type="checkbox"
+                  checked={options.robotsBlocked}
+                  onChange={() => onOptionChange('robotsBlocked')}
+                  disabled={optionsDisabled}
+                />
+                <span>Blocked by robots.txt</span>
+              </label>
 
               <div className="layers-panel-section">Type</div>
               <label className={`layers-panel-item${optionsDisabled ? ' disabled' : ''}`}>
@@ -186,6 +288,34 @@ const ScanBar = ({
       >
         Scan
       </button>
+      {canResumeScan ? (
+        <button
+          className="scan-btn scan-resume-btn"
+          onClick={onResumeScan}
+          title="Continue the interrupted scan from its last checkpoint"
+        >
+          <RotateCcw size={14} />
+          <span>Resume</span>
+        </button>
+      ) : null}
+      {canRescan ? (
+        <button
+          className="scan-btn scan-rescan-btn"
+          onClick={onRescan}
+          title="Scan the site again and review changes against the saved map"
+        >
+          Re-scan
+        </button>
+      ) : null}
+      {canScheduleScans ? (
+        <button
+          className="scan-btn scan-schedule-btn"
+          onClick={onOpenSchedules}
+          title="Scan this map's site on a recurring schedule"
+        >
+          <CalendarClock size={14} />
+        </button>
+      ) : null}
     </>
   );
 };
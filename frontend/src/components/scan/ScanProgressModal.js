@@ -14,6 +14,7 @@ const ScanProgressModal = ({
 }) => {
   if (!loading) return null;
   const hasQueue = scanProgress.queued > 0;
+  const urlRules = scanProgress.urlRules?.rules || [];
 
   return (
     <div className="modal-overlay scanning-overlay">
@@ -39,6 +40,24 @@ const ScanProgressModal = ({
                   </div>
                 )}
               </div>
+              {urlRules.length > 0 && (
+                <ul className="scan-rule-hits">
+                  {urlRules.map((rule, index) => (
+                    <li key={`${rule.kind}-${index}`} className={`scan-rule-hit ${rule.kind}`}>
+                      <span className="scan-rule-kind">{rule.kind === 'exclude' ? 'Excluded' : 'Included'}</span>
+                      <code className="scan-rule-pattern">{rule.type === 'regex' ? `re:${rule.pattern}` : rule.pattern}</code>
+                      <span className="scan-rule-count">{rule.hits}</span>
+                    </li>
+                  ))}
+                  {scanProgress.urlRules.notIncluded > 0 && (
+                    <li className="scan-rule-hit exclude">
+                      <span className="scan-rule-kind">Skipped</span>
+                      <span className="scan-rule-pattern">Outside include rules</span>
+                      <span className="scan-rule-count">{scanProgress.urlRules.notIncluded}</span>
+                    </li>
+                  )}
+                </ul>
+              )}
               <div className="scan-stats-divider" aria-hidden="true" />
               <div className="scan-time-info">
                 <div className="scan-elapsed">
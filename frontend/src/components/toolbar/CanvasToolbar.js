@@ -1,5 +1,6 @@
 import React from 'react';
 import {
+  ArrowRightLeft,
   Bookmark,
   CopyPlus,
   Download,
@@ -33,6 +34,8 @@ const CanvasToolbar = ({
   hasAnyComments,
   showReportDrawer,
   onToggleReportDrawer,
+  showMigrationDrawer,
+  onToggleMigrationDrawer,
   onToggleImageMenu,
   onGetThumbnailsAll,
   onGetThumbnailsSelected,
@@ -160,6 +163,13 @@ const CanvasToolbar = ({
     >
       <GanttChartSquare size={20} />
     </button>
+    <button
+      className={`canvas-tool-btn ${showMigrationDrawer ? 'active' : ''}`}
+      onClick={onToggleMigrationDrawer}
+      title="Migration Plan"
+    >
+      <ArrowRightLeft size={20} />
+    </button>
 
     {canEdit && <div className="canvas-toolbar-divider" />}
 
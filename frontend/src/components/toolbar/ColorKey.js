@@ -1,5 +1,8 @@
 import React from 'react';
 import { ChevronDown, ChevronUp, Edit2, Palette } from 'lucide-react';
+import { HEATMAP_EMPTY_COLOR, HEATMAP_STOPS } from '../../utils/linkEquity';
+
+const HEATMAP_GRADIENT = `linear-gradient(to right, ${HEATMAP_STOPS.join(', ')})`;
 
 const ColorKey = ({
   showColorKey,
@@ -13,6 +16,10 @@ const ColorKey = ({
   editingConnectionKey,
   onEditConnectionColor,
   connectionLegend,
+  colorModeOptions,
+  colorMode = 'level',
+  onColorModeChange,
+  maxClickDepth = 0,
 }) => (
   <div className="color-key">
     <div className="color-key-header" onClick={onToggle}>
@@ -26,8 +33,39 @@ const ColorKey = ({
     </div>
     {showColorKey && (
       <div className="color-key-list">
+        {colorModeOptions && (
+          <div className="color-key-modes" role="group" aria-label="Color pages by">
+            {colorModeOptions.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                className={`color-key-mode${colorMode === option.key ? ' active' : ''}`}
+                onClick={() => onColorModeChange?.(option.key)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="color-key-section">Pages</div>
-        {Array.from({ length: Math.max(maxDepth + 1, colors.length) }).map((_, idx) => {
+        {colorMode !== 'level' && (
+          <>
+            <div className="color-key-heatmap" style={{ background: HEATMAP_GRADIENT }} />
+            <div className="color-key-heatmap-labels">
+              <span>{colorMode === 'clickDepth' ? '0 clicks' : 'Low'}</span>
+              <span>
+                {colorMode === 'clickDepth'
+                  ? `${maxClickDepth} click${maxClickDepth === 1 ? '' : 's'}`
+                  : 'High'}
+              </span>
+            </div>
+            <div className="color-key-item static">
+              <div className="color-swatch" style={{ backgroundColor: HEATMAP_EMPTY_COLOR }} />
+              <span>{colorMode === 'clickDepth' ? 'Not linked' : 'Not scored'}</span>
+            </div>
+          </>
+        )}
+        {colorMode === 'level' && Array.from({ length: Math.max(maxDepth + 1, colors.length) }).map((_, idx) => {
           const color = colors[idx] || colors[colors.length - 1];
           if (idx > maxDepth) return null;
           return (
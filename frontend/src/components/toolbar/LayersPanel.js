@@ -1,5 +1,6 @@
 import React from 'react';
-import { ChevronDown, ChevronUp, Eye, EyeOff, Layers } from 'lucide-react';
+import { ChevronDown, ChevronUp, Eye, EyeOff, Highlighter, Layers } from 'lucide-react';
+import { SEO_ISSUE_OPTIONS } from '../../utils/constants';
 
 const LayersPanel = ({
   layers,
@@ -32,8 +33,9 @@ const LayersPanel = ({
     || !!scanLayerAvailability?.statusInactive
     || !!scanLayerAvailability?.statusAuth
     || !!scanLayerAvailability?.statusDuplicate;
+  const seoLayers = SEO_ISSUE_OPTIONS.filter(({ layerKey }) => !!scanLayerAvailability?.[layerKey]);
 
-  const LayerToggle = ({ label, active, onToggle, disabled = false }) => (
+  const LayerToggle = ({ label, active, onToggle, disabled = false, highlight = false }) => (
     <button
       type="button"
       className={`layers-panel-item${disabled ? ' disabled' : ''}`}
@@ -42,9 +44,15 @@ const LayersPanel = ({
       disabled={disabled}
     >
       <span>{label}</span>
-      <span className="layers-panel-toggle">
-        {active ? <Eye size={16} /> : <EyeOff size={16} />}
-      </span>
+      {highlight ? (
+        <span className={`layers-panel-toggle${active ? '' : ' muted'}`}>
+          <Highlighter size={16} />
+        </span>
+      ) : (
+        <span className="layers-panel-toggle">
+          {active ? <Eye size={16} /> : <EyeOff size={16} />}
+        </span>
+      )}
     </button>
   );
 
@@ -154,6 +162,21 @@ const LayersPanel = ({
                 </>
               )}
 
+              {seoLayers.length > 0 && (
+                <>
+                  <div className="layers-panel-section">SEO Audit</div>
+                  {seoLayers.map((option) => (
+                    <LayerToggle
+                      key={option.layerKey}
+                      label={option.label}
+                      active={!!scanLayerVisibility[option.layerKey]}
+                      onToggle={() => onToggleScanLayer(option.layerKey)}
+                      highlight
+                    />
+                  ))}
+                </>
+              )}
+
               {showConnectionLayers && (
                 <>
                   <div className="layers-panel-section">Connections</div>
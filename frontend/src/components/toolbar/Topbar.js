@@ -29,9 +29,21 @@ const Topbar = ({
   scanLayerAvailability,
   scanLayerVisibility,
   onToggleScanLayer,
+  hasScanCredentials,
+  onOpenScanCredentials,
+  scanUrlRules,
+  onScanUrlRulesChange,
+  scanQueryPolicy,
+  onScanQueryPolicyChange,
   scanDepth,
   onScanDepthChange,
   onScan,
+  canResumeScan,
+  onResumeScan,
+  canRescan,
+  onRescan,
+  canScheduleScans,
+  onOpenScanSchedules,
   scanDisabled,
   scanTitle,
   optionsDisabled,
@@ -91,9 +103,21 @@ const Topbar = ({
           scanLayerAvailability={scanLayerAvailability}
           scanLayerVisibility={scanLayerVisibility}
           onToggleScanLayer={onToggleScanLayer}
+          hasCredentials={hasScanCredentials}
+          onOpenCredentials={onOpenScanCredentials}
+          urlRules={scanUrlRules}
+          onUrlRulesChange={onScanUrlRulesChange}
+          queryPolicy={scanQueryPolicy}
+          onQueryPolicyChange={onScanQueryPolicyChange}
           scanDepth={scanDepth}
           onScanDepthChange={onScanDepthChange}
           onScan={onScan}
+          canResumeScan={canResumeScan}
+          onResumeScan={onResumeScan}
+          canRescan={canRescan}
+          onRescan={onRescan}
+          canScheduleScans={canScheduleScans}
+          onOpenSchedules={onOpenScanSchedules}
           scanDisabled={scanDisabled}
           scanTitle={scanTitle}
           optionsDisabled={optionsDisabled}
@@ -27,6 +27,22 @@ export const SCAN_MESSAGES = [
   "This is looking great!",
 ];
 
+// SEO audit issue types set on `node.seoIssues` by the scan (utils/seoAudit.js). Each one is a report
+// type and a highlight layer.
+export const SEO_ISSUE_OPTIONS = [
+  { key: 'missingTitle', label: 'Missing Title', layerKey: 'seoMissingTitle' },
+  { key: 'duplicateTitle', label: 'Duplicate Title', layerKey: 'seoDuplicateTitle' },
+  { key: 'missingMetaDescription', label: 'Missing Meta Description', layerKey: 'seoMissingMetaDescription' },
+  { key: 'multipleH1', label: 'Multiple H1s', layerKey: 'seoMultipleH1' },
+  { key: 'noindexInNav', label: 'Noindex in Navigation', layerKey: 'seoNoindexInNav' },
+  { key: 'canonicalElsewhere', label: 'Canonical Elsewhere', layerKey: 'seoCanonicalElsewhere' },
+  { key: 'redirectChain', label: 'Redirect Chain', layerKey: 'seoRedirectChain' },
+  { key: 'thinContent', label: 'Thin Content', layerKey: 'seoThinContent' },
+];
+
+// Pages more clicks than this from the home page are "deep pages" (`node.clickDepth`, set by the scan).
+export const DEEP_PAGE_CLICK_DEPTH = 3;
+
 export const REPORT_TYPE_OPTIONS = [
   { key: 'standard', label: 'Standard' },
   { key: 'missing', label: 'Missing' },
@@ -38,6 +54,10 @@ export const REPORT_TYPE_OPTIONS = [
   { key: 'subdomains', label: 'Subdomains' },
   { key: 'files', label: 'Files / Downloads' },
   { key: 'authenticatedPages', label: 'Authenticated Pages' },
+  { key: 'robotsBlocked', label: 'Blocked by robots.txt' },
+  { key: 'hreflangIssues', label: 'Hreflang Issues' },
+  { key: 'deepPages', label: 'Deep Pages' },
+  ...SEO_ISSUE_OPTIONS.map(({ key, label }) => ({ key, label })),
 ];
 
 export const ANNOTATION_STATUS_OPTIONS = [
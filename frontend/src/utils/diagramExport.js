@@ -0,0 +1,257 @@
+// Diagram exports: the map as SVG, draw.io (diagrams.net) XML, Mermaid flowchart text or Graphviz
+// DOT, so it can be edited in other tools. All four are built from one model of a fully expanded
+// `computeLayout` result: pages with their level color, tree edges, and user flow / crosslink
+// connections.
+import { escapeXml } from './textEscape';
+export const DIAGRAM_FORMATS = [
+  { key: 'svg', label: 'SVG', filename: 'sitemap.svg' },
+  { key: 'drawio', label: 'draw.io', filename: 'sitemap.drawio' },
+  { key: 'mermaid', label: 'Mermaid', filename: 'sitemap.mmd' },
+  { key: 'dot', label: 'DOT', filename: 'sitemap.dot' },
+];
+
+const TREE_EDGE_COLOR = '#94a3b8';
+const NODE_FILL = '#ffffff';
+const TEXT_COLOR = '#0f172a';
+const MUTED_TEXT_COLOR = '#64748b';
+const PADDING = 40;
+
+const getPathLabel = (url) => {
+  try {
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
+  } catch {
+    return url || '';
+  }
+};
+
+// Positions match App.js getAnchorPosition, so connections leave the same side they do on the canvas.
+const getAnchorPoint = (node, anchor) => {
+  switch (anchor) {
+    case 'top': return { x: node.x + node.w / 2, y: node.y };
+    case 'right': return { x: node.x + node.w, y: node.y + node.h / 2 };
+    case 'bottom': return { x: node.x + node.w / 2, y: node.y + node.h };
+    case 'left': return { x: node.x, y: node.y + node.h / 2 };
+    default: return { x: node.x + node.w / 2, y: node.y + node.h / 2 };
+  }
+};
+
+export const buildDiagramModel = ({ layout, colors, connections = [], connectionColors = {} }) => {
+  const nodes = [];
+  const byId = new Map();
+  layout.nodes.forEach((meta, id) => {
+    const node = {
+      id,
+      key: `n${nodes.length + 1}`,
+      title: meta.node.title || meta.node.url || 'Untitled',
+      url: meta.node.url || '',
+      number: meta.number,
+      depth: meta.depth,
+      x: meta.x,
+      y: meta.y,
+      w: meta.w,
+      h: meta.h,
+      color: colors[Math.min(meta.depth, colors.length - 1)],
+      children: meta.node.children || [],
+    };
+    nodes.push(node);
+    byId.set(id, node);
+  });
+
+  const edges = [];
+  nodes.forEach((node) => {
+    node.children.forEach((child) => {
+      if (byId.has(child.id)) edges.push({ source: node, target: byId.get(child.id) });
+    });
+  });
+
+  const links = connections
+    .filter((conn) => (conn.type === 'userflow' || conn.type === 'crosslink')
+      && byId.has(conn.sourceNodeId) && byId.has(conn.targetNodeId))
+    .map((conn) => ({
+      type: conn.type,
+      source: byId.get(conn.sourceNodeId),
+      target: byId.get(conn.targetNodeId),
+      sourceAnchor: conn.sourceAnchor,
+      targetAnchor: conn.targetAnchor,
+      label: conn.label || '',
+      color: conn.type === 'userflow' ? connectionColors.userFlows : connectionColors.crossLinks,
+    }));
+
+  return { nodes, edges, links, connectors: layout.connectors, bounds: layout.bounds };
+};
+
+const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 1)}…` : value);
+
+const buildSvg = (model) => {
+  const width = model.bounds.w + PADDING * 2;
+  const height = model.bounds.h + PADDING * 2;
+  const markerIds = new Map();
+  const markerFor = (color) => {
+    if (!markerIds.has(color)) markerIds.set(color, `arrow-${markerIds.size + 1}`);
+    return markerIds.get(color);
+  };
+
+  const connectors = model.connectors.map((c) => (
+    `<path d="M ${c.x1} ${c.y1} L ${c.x2} ${c.y2}" fill="none" stroke="${TREE_EDGE_COLOR}" stroke-width="2"/>`
+  ));
+  const links = model.links.map((link) => {
+    const from = getAnchorPoint(link.source, link.sourceAnchor);
+    const to = getAnchorPoint(link.target, link.targetAnchor);
+    const isUserFlow = link.type === 'userflow';
+    const attrs = [
+      `d="M ${from.x} ${from.y} L ${to.x} ${to.y}"`,
+      'fill="none"',
+      `stroke="${link.color}"`,
+      'stroke-width="2"',
+      isUserFlow ? `marker-end="url(#${markerFor(link.color)})"` : 'stroke-dasharray="8 6"',
+    ];
+    const label = link.label
+      ? `<text x="${(from.x + to.x) / 2}" y="${(from.y + to.y) / 2 - 6}" text-anchor="middle" font-size="12" fill="${link.color}">${escapeXml(link.label)}</text>`
+      : '';
+    return `<g class="${link.type}"><path ${attrs.join(' ')}/>${label}</g>`;
+  });
+  const nodes = model.nodes.map((node) => {
+    const card = [
+      `<rect x="${node.x}" y="${node.y}" width="${node.w}" height="${node.h}" rx="12" fill="${NODE_FILL}" stroke="${node.color}" stroke-width="2"/>`,
+      `<rect x="${node.x}" y="${node.y}" width="${node.w}" height="8" rx="4" fill="${node.color}"/>`,
+      `<text x="${node.x + 16}" y="${node.y + 36}" font-size="12" fill="${MUTED_TEXT_COLOR}">${escapeXml(node.number)}</text>`,
+      `<text x="${node.x + 16}" y="${node.y + 60}" font-size="16" font-weight="600" fill="${TEXT_COLOR}">${escapeXml(truncate(node.title, 30))}</text>`,
+      node.url
+        ? `<text x="${node.x + 16}" y="${node.y + 84}" font-size="12" fill="${MUTED_TEXT_COLOR}">${escapeXml(truncate(getPathLabel(node.url), 38))}</text>`
+        : '',
+    ].join('');
+    const titled = `<g><title>${escapeXml(node.title)}</title>${card}</g>`;
+    return node.url ? `<a href="${escapeXml(node.url)}">${titled}</a>` : titled;
+  });
+  const markers = Array.from(markerIds.entries()).map(([color, id]) => (
+    `<marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+  ));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${-PADDING} ${-PADDING} ${width} ${height}" font-family="Inter, Helvetica, Arial, sans-serif">`,
+    markers.length ? `<defs>${markers.join('')}</defs>` : '',
+    `<rect x="${-PADDING}" y="${-PADDING}" width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<g class="connectors">${connectors.join('')}</g>`,
+    `<g class="pages">${nodes.join('')}</g>`,
+    `<g class="connections">${links.join('')}</g>`,
+    '</svg>',
+  ].filter(Boolean).join('\n');
+};
+
+// Tree edges use draw.io's orthogonal router rather than the canvas connector segments, so they
+// stay attached when pages are moved in draw.io. Labels are HTML there, hence escaped twice.
+const buildDrawio = (model) => {
+  const cells = ['<mxCell id="0"/>', '<mxCell id="1" parent="0"/>'];
+  model.nodes.forEach((node) => {
+    const style = `rounded=1;whiteSpace=wrap;html=1;arcSize=6;fillColor=${NODE_FILL};strokeColor=${node.color};strokeWidth=2;fontColor=${TEXT_COLOR};`;
+    const geometry = `<mxGeometry x="${node.x}" y="${node.y}" width="${node.w}" height="${node.h}" as="geometry"/>`;
+    const cell = `<mxCell style="${style}" vertex="1" parent="1">${geometry}</mxCell>`;
+    const link = node.url ? ` link="${escapeXml(node.url)}"` : '';
+    cells.push(`<UserObject id="${node.key}" label="${escapeXml(escapeXml(node.title))}" number="${escapeXml(node.number)}"${link}>${cell}</UserObject>`);
+  });
+  model.edges.forEach((edge, index) => {
+    const style = `edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=none;strokeColor=${TREE_EDGE_COLOR};strokeWidth=2;`;
+    cells.push(`<mxCell id="e${index + 1}" style="${style}" edge="1" parent="1" source="${edge.source.key}" target="${edge.target.key}"><mxGeometry relative="1" as="geometry"/></mxCell>`);
+  });
+  model.links.forEach((link, index) => {
+    const style = link.type === 'userflow'
+      ? `curved=1;html=1;endArrow=block;endFill=1;strokeColor=${link.color};strokeWidth=2;`
+      : `curved=1;html=1;endArrow=none;dashed=1;strokeColor=${link.color};strokeWidth=2;`;
+    cells.push(`<mxCell id="l${index + 1}" value="${escapeXml(escapeXml(link.label))}" style="${style}" edge="1" parent="1" source="${link.source.key}" target="${link.target.key}"><mxGeometry relative="1" as="geometry"/></mxCell>`);
+  });
+
+  return [
+    '<mxfile host="Mapmat">',
+    '<diagram name="Sitemap" id="sitemap">',
+    `<mxGraphModel dx="${model.bounds.w}" dy="${model.bounds.h}" grid="0" guides="1" page="0">`,
+    `<root>${cells.join('\n')}</root>`,
+    '</mxGraphModel>',
+    '</diagram>',
+    '</mxfile>',
+  ].join('\n');
+};
+
+const mermaidText = (value) => String(value ?? '')
+  .replace(/"/g, '#quot;')
+  .replace(/</g, '#lt;')
+  .replace(/>/g, '#gt;')
+  .replace(/[\r\n]+/g, ' ');
+
+const buildMermaid = (model) => {
+  const lines = ['flowchart TD'];
+  const levels = new Map();
+  model.nodes.forEach((node) => {
+    lines.push(`  ${node.key}["${mermaidText(node.title)}"]`);
+    if (!levels.has(node.color)) levels.set(node.color, []);
+    levels.get(node.color).push(node.key);
+  });
+  const linkStyles = [];
+  let linkIndex = 0;
+  model.edges.forEach((edge) => {
+    lines.push(`  ${edge.source.key} --- ${edge.target.key}`);
+    linkIndex += 1;
+  });
+  model.links.forEach((link) => {
+    const label = link.label ? `|"${mermaidText(link.label)}"|` : '';
+    lines.push(`  ${link.source.key} ${link.type === 'userflow' ? '-->' : '-.-'}${label} ${link.target.key}`);
+    linkStyles.push(`  linkStyle ${linkIndex} stroke:${link.color},stroke-width:2px`);
+    linkIndex += 1;
+  });
+  Array.from(levels.entries()).forEach(([color, keys], index) => {
+    lines.push(`  classDef level${index} fill:${NODE_FILL},stroke:${color},stroke-width:2px,color:${TEXT_COLOR}`);
+    lines.push(`  class ${keys.join(',')} level${index}`);
+  });
+  if (model.edges.length) {
+    const treeIndexes = model.edges.map((_, index) => index).join(',');
+    lines.push(`  linkStyle ${treeIndexes} stroke:${TREE_EDGE_COLOR},stroke-width:2px`);
+  }
+  lines.push(...linkStyles);
+  model.nodes.filter((node) => node.url).forEach((node) => {
+    lines.push(`  click ${node.key} href "${mermaidText(node.url)}" _blank`);
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+const dotText = (value) => `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]+/g, ' ')}"`;
+
+// Graphviz lays the graph out itself; connections are `constraint=false` so only the tree decides
+// the ranks.
+const buildDot = (model) => {
+  const lines = [
+    'digraph sitemap {',
+    '  rankdir=TB;',
+    `  node [shape=box, style="rounded,filled", fillcolor="${NODE_FILL}", fontname="Helvetica", fontcolor="${TEXT_COLOR}", penwidth=2];`,
+    `  edge [color="${TREE_EDGE_COLOR}", arrowhead=none, penwidth=1.5];`,
+  ];
+  model.nodes.forEach((node) => {
+    const attrs = [`label=${dotText(node.title)}`, `color="${node.color}"`];
+    if (node.url) attrs.push(`URL=${dotText(node.url)}`, `tooltip=${dotText(node.url)}`);
+    lines.push(`  ${node.key} [${attrs.join(', ')}];`);
+  });
+  model.edges.forEach((edge) => {
+    lines.push(`  ${edge.source.key} -> ${edge.target.key};`);
+  });
+  model.links.forEach((link) => {
+    const attrs = [`color="${link.color}"`, 'constraint=false'];
+    if (link.type === 'userflow') attrs.push('arrowhead=normal', 'penwidth=2');
+    else attrs.push('style=dashed', 'dir=none');
+    if (link.label) attrs.push(`label=${dotText(link.label)}`, `fontcolor="${link.color}"`);
+    lines.push(`  ${link.source.key} -> ${link.target.key} [${attrs.join(', ')}];`);
+  });
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+const BUILDERS = {
+  svg: buildSvg,
+  drawio: buildDrawio,
+  mermaid: buildMermaid,
+  dot: buildDot,
+};
+
+export const buildDiagram = (model, format) => {
+  if (!BUILDERS[format]) throw new Error(`Unknown diagram format: ${format}`);
+  return BUILDERS[format](model);
+};
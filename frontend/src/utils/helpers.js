@@ -15,8 +15,7 @@ export const sanitizeUrl = (raw) => {
   }
 };
 
-export const downloadText = (filename, text) => {
-  const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+export const downloadBlob = (filename, blob) => {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -25,6 +24,10 @@ export const downloadText = (filename, text) => {
   URL.revokeObjectURL(url);
 };
 
+export const downloadText = (filename, text) => {
+  downloadBlob(filename, new Blob([text], { type: 'text/plain;charset=utf-8' }));
+};
+
 export const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
 
 export const normalizePathname = (url) => {
@@ -1,3 +1,5 @@
+import { readZipEntries, readZipEntryText } from './zipReader';
+
 export const generateId = () => `import_${Math.random().toString(36).slice(2, 10)}`;
 
 export const parseXmlSitemap = (text) => {
@@ -259,3 +261,199 @@ export const buildTreeFromUrls = (urls) => {
 
   return root;
 };
+
+// Outline formats below keep the hierarchy and titles from the file instead of inferring them from
+// URL paths. They return a tree directly; pages without a URL become planning nodes (`url: ''`).
+const OUTLINE_ROOT_TITLE = 'Imported Sitemap';
+
+const titleFromUrl = (url) => {
+  try {
+    const u = new URL(url);
+    const last = u.pathname.split('/').filter(Boolean).pop();
+    if (!last) return u.hostname;
+    return decodeURIComponent(last).replace(/[-_]/g, ' ');
+  } catch {
+    return url;
+  }
+};
+
+const toHttpUrl = (value) => {
+  const trimmed = String(value || '').trim();
+  return /^https?:\/\//i.test(trimmed) ? trimmed : '';
+};
+
+const createOutlineNode = (title, url, children = []) => {
+  const cleanUrl = toHttpUrl(url);
+  const cleanTitle = String(title || '').replace(/\s+/g, ' ').trim();
+  return {
+    id: generateId(),
+    title: cleanTitle || (cleanUrl ? titleFromUrl(cleanUrl) : 'Untitled'),
+    url: cleanUrl,
+    children,
+  };
+};
+
+// A single top-level item is the root; several are grouped under one.
+const wrapOutlineRoots = (roots, title) => {
+  if (!roots.length) return null;
+  if (roots.length === 1) return roots[0];
+  return createOutlineNode(title || OUTLINE_ROOT_TITLE, '', roots);
+};
+
+export const countOutlineNodes = (node) => (
+  node ? 1 + (node.children || []).reduce((sum, child) => sum + countOutlineNodes(child), 0) : 0
+);
+
+const parseXmlDocument = (text, label) => {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  if (doc.querySelector('parsererror')) throw new Error(`Invalid ${label} file`);
+  return doc;
+};
+
+const childElements = (element, tagName) => Array.from(element?.children || [])
+  .filter((child) => child.tagName === tagName);
+
+export const parseOpml = (text) => {
+  const doc = parseXmlDocument(text, 'OPML');
+  const body = doc.getElementsByTagName('body')[0];
+  const toNode = (outline) => createOutlineNode(
+    outline.getAttribute('text') || outline.getAttribute('title'),
+    outline.getAttribute('htmlUrl') || outline.getAttribute('url') || outline.getAttribute('xmlUrl'),
+    childElements(outline, 'outline').map(toNode)
+  );
+  const title = doc.getElementsByTagName('title')[0]?.textContent;
+  return wrapOutlineRoots(childElements(body, 'outline').map(toNode), title);
+};
+
+// FreeMind and Freeplane .mm files: nested <node TEXT LINK>; long labels live in <richcontent>.
+export const parseFreeMind = (text) => {
+  const doc = parseXmlDocument(text, 'FreeMind');
+  const toNode = (element) => {
+    const richText = childElements(element, 'richcontent')
+      .find((rich) => (rich.getAttribute('TYPE') || 'NODE') === 'NODE')?.textContent;
+    return createOutlineNode(
+      element.getAttribute('TEXT') || richText,
+      element.getAttribute('LINK'),
+      childElements(element, 'node').map(toNode)
+    );
+  };
+  return wrapOutlineRoots(childElements(doc.documentElement, 'node').map(toNode));
+};
+
+// XMind files are zips: XMind Zen and later store content.json, XMind 8 stores content.xml.
+// Only the first sheet is imported; floating (detached) topics are skipped.
+export const parseXMind = async (buffer) => {
+  const entries = readZipEntries(buffer, '.xmind');
+  if (entries.has('content.json')) {
+    const sheets = JSON.parse(await readZipEntryText(buffer, entries.get('content.json')));
+    const toNode = (topic) => createOutlineNode(
+      topic.title,
+      topic.href,
+      (topic.children?.attached || []).map(toNode)
+    );
+    const rootTopic = (Array.isArray(sheets) ? sheets[0] : sheets)?.rootTopic;
+    return rootTopic ? toNode(rootTopic) : null;
+  }
+  if (entries.has('content.xml')) {
+    const doc = parseXmlDocument(await readZipEntryText(buffer, entries.get('content.xml')), 'XMind');
+    const toNode = (topic) => {
+      const attached = childElements(childElements(topic, 'children')[0], 'topics')
+        .filter((topics) => topics.getAttribute('type') === 'attached');
+      return createOutlineNode(
+        childElements(topic, 'title')[0]?.textContent,
+        topic.getAttribute('xlink:href') || topic.getAttribute('href'),
+        attached.flatMap((topics) => childElements(topics, 'topic')).map(toNode)
+      );
+    };
+    const sheet = doc.getElementsByTagName('sheet')[0];
+    const rootTopic = childElements(sheet, 'topic')[0];
+    return rootTopic ? toNode(rootTopic) : null;
+  }
+  throw new Error('Not a valid .xmind file');
+};
+
+const OUTLINE_BULLET = /^(?:[-*+•]|\d+[.)]|\[[ xX]\])\s+/;
+const OUTLINE_URL = /https?:\/\/[^\s<>"')\]]+/i;
+
+// "Title", "https://…", "[Title](https://…)" or "Title - https://…" (also "|", ":", "(…)" or "<…>")
+const parseOutlineLine = (line) => {
+  const text = line.replace(OUTLINE_BULLET, '').replace(OUTLINE_BULLET, '').trim();
+  const mdLink = text.match(/^\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)$/i);
+  if (mdLink) return { title: mdLink[1], url: mdLink[2] };
+  const url = text.match(OUTLINE_URL)?.[0] || '';
+  const title = url
+    ? text.replace(url, '').replace(/[<(]\s*[>)]/g, '').replace(/^[\s\-–—|:]+|[\s\-–—|:]+$/g, '')
+    : text;
+  return { title, url };
+};
+
+// Indented text: each line is a page, nested under the nearest line above it with less indentation.
+// Tabs count as four spaces; list bullets and numbering are dropped.
+export const parseIndentedOutline = (text) => {
+  const roots = [];
+  const stack = [];
+  String(text || '').split(/\r?\n/).forEach((rawLine) => {
+    if (!rawLine.trim()) return;
+    const indent = rawLine.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+    const { title, url } = parseOutlineLine(rawLine.trim());
+    const node = createOutlineNode(title, url);
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    if (stack.length) stack[stack.length - 1].node.children.push(node);
+    else roots.push(node);
+    stack.push({ indent, node });
+  });
+  return wrapOutlineRoots(roots);
+};
+
+// Plain text is an outline when any line is indented; otherwise it is a list of URLs.
+export const isIndentedOutline = (text) => String(text || '')
+  .split(/\r?\n/)
+  .some((line) => line.trim() && /^[ \t]+\S/.test(line));
+
+const JSON_TITLE_KEYS = ['title', 'name', 'text', 'label', 'topic', 'pageTitle'];
+const JSON_URL_KEYS = ['url', 'link', 'href', 'uri', 'pageUrl'];
+const JSON_CHILD_KEYS = ['children', 'pages', 'items', 'nodes', 'subpages', 'childNodes', 'sections'];
+const JSON_ROOT_KEYS = ['root', 'tree', 'sitemap', 'pages', 'items', 'nodes', 'data'];
+
+const pickString = (object, keys) => {
+  const key = keys.find((candidate) => typeof object[candidate] === 'string' && object[candidate].trim());
+  return key ? object[key] : '';
+};
+
+const pickChildren = (object) => {
+  const key = JSON_CHILD_KEYS.find((candidate) => Array.isArray(object[candidate]));
+  return key ? object[key] : [];
+};
+
+const isPageLike = (value) => value && typeof value === 'object' && !Array.isArray(value)
+  && Boolean(pickString(value, JSON_TITLE_KEYS) || pickString(value, JSON_URL_KEYS));
+
+// JSON from Mapmat's own export or other visual sitemap tools: nested page objects, found under a
+// common wrapper key or at the top level. Known title, URL and child keys are read; others ignored.
+export const parseSitemapJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid JSON file');
+  }
+  const toNode = (page) => createOutlineNode(
+    pickString(page, JSON_TITLE_KEYS),
+    pickString(page, JSON_URL_KEYS),
+    pickChildren(page).filter(isPageLike).map(toNode)
+  );
+
+  const unwrap = (value) => {
+    const key = JSON_ROOT_KEYS.find((candidate) => value[candidate] && typeof value[candidate] === 'object');
+    return key ? value[key] : null;
+  };
+  let top = data;
+  for (let depth = 0; depth < 3 && top && !Array.isArray(top) && !isPageLike(top); depth += 1) {
+    const next = unwrap(top);
+    if (!next) break;
+    top = next;
+  }
+  const pages = (Array.isArray(top) ? top : [top]).filter(isPageLike);
+  const title = data && !Array.isArray(data) ? pickString(data, ['title', 'name']) : '';
+  return wrapOutlineRoots(pages.map(toNode), pages.length > 1 ? title : '');
+};
@@ -0,0 +1,231 @@
+// Content inventory round-trip: the CSV export carries each page's node id, so an edited copy of
+// the sheet (CSV or XLSX) can be compared with the map and applied to it in place.
+import { ANNOTATION_STATUS_LABELS } from './constants';
+
+export const INVENTORY_COLUMNS = {
+  id: 'Node ID',
+  parentId: 'Parent ID',
+  title: 'Page Title',
+  pageType: 'Page Type',
+  status: 'Annotation Status',
+  note: 'Notes',
+};
+
+export const INVENTORY_CHANGE_TYPES = ['title', 'pageType', 'status', 'note', 'parent'];
+
+// RFC 4180 rows: quoted cells may hold delimiters, doubled quotes and line breaks. The delimiter is
+// whichever of comma, semicolon or tab appears most in the first line, as spreadsheet locales differ.
+export const parseCsvRows = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map((candidate) => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase();
+
+// Returns `{ columnIndex }` keyed like INVENTORY_COLUMNS when the first row is an inventory header
+// (it has a Node ID column), else null.
+export const getInventoryColumns = (rows) => {
+  const header = (rows[0] || []).map(normalizeHeader);
+  const columns = {};
+  Object.entries(INVENTORY_COLUMNS).forEach(([key, label]) => {
+    const index = header.indexOf(label.toLowerCase());
+    if (index !== -1) columns[key] = index;
+  });
+  return columns.id === undefined ? null : columns;
+};
+
+const STATUS_BY_NAME = Object.entries(ANNOTATION_STATUS_LABELS).reduce((acc, [value, label]) => {
+  acc[value] = value;
+  acc[label.toLowerCase()] = value;
+  return acc;
+}, { '': 'none' });
+
+const indexTree = (root, orphans) => {
+  const index = new Map();
+  const visit = (node, parent) => {
+    if (!node) return;
+    index.set(node.id, { node, parent });
+    (node.children || []).forEach((child) => visit(child, node));
+  };
+  visit(root, null);
+  orphans.forEach((orphan) => visit(orphan, null));
+  return index;
+};
+
+const containsNode = (node, id) => {
+  if (!node) return false;
+  if (node.id === id) return true;
+  return (node.children || []).some((child) => containsNode(child, id));
+};
+
+// Compares sheet rows with the map. Every cell that differs becomes a change; cells that cannot be
+// applied become conflicts instead, so the preview can show them without offering to apply them.
+// Blank Page Type and Parent ID cells mean "leave as is"; a blank Notes cell clears the note.
+export const buildInventoryChangeSet = ({ root, orphans = [], rows }) => {
+  const columns = getInventoryColumns(rows);
+  if (!columns) return null;
+  const index = indexTree(root, orphans);
+  const cellOf = (row, key) => (columns[key] === undefined ? undefined : String(row[columns[key]] ?? '').trim());
+
+  const changes = [];
+  const conflicts = [];
+  const seenIds = new Set();
+  let unchanged = 0;
+
+  rows.slice(1).forEach((row, rowIndex) => {
+    const line = rowIndex + 2;
+    const nodeId = cellOf(row, 'id');
+    const title = cellOf(row, 'title');
+    const label = title || nodeId || `Row ${line}`;
+    if (!nodeId) {
+      conflicts.push({ line, title: label, reason: 'No node id; add new pages on the canvas' });
+      return;
+    }
+    const entry = index.get(nodeId);
+    if (!entry) {
+      conflicts.push({ line, nodeId, title: label, reason: 'Not in this map' });
+      return;
+    }
+    if (seenIds.has(nodeId)) {
+      conflicts.push({ line, nodeId, title: label, reason: 'Listed more than once; only the first row is used' });
+      return;
+    }
+    seenIds.add(nodeId);
+
+    const { node, parent } = entry;
+    const rowChanges = [];
+    const add = (type, before, after, extra = {}) => {
+      rowChanges.push({ id: `${nodeId}:${type}`, type, nodeId, title: node.title || label, before, after, ...extra });
+    };
+    const conflict = (type, reason) => {
+      conflicts.push({ line, nodeId, type, title: node.title || label, reason });
+    };
+
+    if (title !== undefined && title !== (node.title || '').trim()) {
+      if (title) add('title', node.title || '', title);
+      else conflict('title', 'Page title is empty');
+    }
+
+    const pageType = cellOf(row, 'pageType');
+    if (pageType && pageType !== (node.pageType || '')) add('pageType', node.pageType || '', pageType);
+
+    const statusCell = cellOf(row, 'status');
+    if (statusCell !== undefined) {
+      const status = STATUS_BY_NAME[statusCell.toLowerCase()];
+      const current = node.annotations?.status || 'none';
+      if (!status) conflict('status', `Unknown annotation status "${statusCell}"`);
+      else if (status !== current) add('status', current, status);
+    }
+
+    const note = cellOf(row, 'note');
+    if (note !== undefined && note !== (node.annotations?.note || '').trim()) {
+      add('note', node.annotations?.note || '', note);
+    }
+
+    const parentId = cellOf(row, 'parentId');
+    if (parentId && parentId !== (parent?.id || '')) {
+      const target = index.get(parentId);
+      if (!target) conflict('parent', `Parent "${parentId}" is not in this map`);
+      else if (node === root) conflict('parent', 'The home page cannot be moved');
+      else if (containsNode(node, parentId)) conflict('parent', 'A page cannot move under its own child');
+      else add('parent', parent?.title || '', target.node.title || parentId, { parentId });
+    }
+
+    if (!rowChanges.length) unchanged += 1;
+    changes.push(...rowChanges);
+  });
+
+  const summary = { unchanged, conflicts: conflicts.length };
+  INVENTORY_CHANGE_TYPES.forEach((type) => {
+    summary[type] = changes.filter((change) => change.type === type).length;
+  });
+  return { changes, conflicts, summary };
+};
+
+// Applies the selected changes to copies of the trees. Annotation edits go through
+// `setAnnotation(node, { status } | { note })` so the caller controls how annotations are built.
+// Moves are re-checked against the tree as it is when applied, since earlier moves can change it.
+export const applyInventoryChanges = ({ root, orphans = [], changes, setAnnotation }) => {
+  const nextRoot = JSON.parse(JSON.stringify(root));
+  const nextOrphans = JSON.parse(JSON.stringify(orphans));
+  const index = indexTree(nextRoot, nextOrphans);
+  let applied = 0;
+  let skipped = 0;
+
+  const detach = (id) => {
+    const entry = index.get(id);
+    if (entry.parent) {
+      entry.parent.children = (entry.parent.children || []).filter((child) => child.id !== id);
+      return;
+    }
+    const orphanIndex = nextOrphans.findIndex((orphan) => orphan.id === id);
+    if (orphanIndex !== -1) nextOrphans.splice(orphanIndex, 1);
+  };
+
+  changes.forEach((change) => {
+    const entry = index.get(change.nodeId);
+    if (!entry) {
+      skipped += 1;
+      return;
+    }
+    const { node } = entry;
+    if (change.type === 'title') node.title = change.after;
+    else if (change.type === 'pageType') node.pageType = change.after;
+    else if (change.type === 'status') setAnnotation(node, { status: change.after });
+    else if (change.type === 'note') setAnnotation(node, { note: change.after });
+    else if (change.type === 'parent') {
+      const target = index.get(change.parentId)?.node;
+      if (!target || node === nextRoot || containsNode(node, target.id)) {
+        skipped += 1;
+        return;
+      }
+      detach(node.id);
+      if (node.orphanType === 'orphan') delete node.orphanType;
+      target.children = target.children || [];
+      target.children.push(node);
+      index.set(node.id, { node, parent: target });
+    }
+    applied += 1;
+  });
+
+  return { root: nextRoot, orphans: nextOrphans, applied, skipped };
+};
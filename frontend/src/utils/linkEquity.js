@@ -0,0 +1,45 @@
+// Heatmap coloring for the click depth and link equity the scan sets on nodes (`node.clickDepth`,
+// `node.linkScore`; see utils/linkGraph.js on the backend).
+export const NODE_COLOR_MODES = [
+  { key: 'level', label: 'Level' },
+  { key: 'clickDepth', label: 'Click depth' },
+  { key: 'linkScore', label: 'Link equity' },
+];
+
+export const HEATMAP_STOPS = ['#dbeafe', '#60a5fa', '#f59e0b', '#dc2626'];
+// Pages no link reaches, and pages the scan did not score (added by hand, older scans).
+export const HEATMAP_EMPTY_COLOR = '#cbd5e1';
+
+const hexToRgb = (hex) => {
+  const value = Number.parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const toHex = (channel) => Math.round(channel).toString(16).padStart(2, '0');
+
+// Color at `ratio` (0-1) along HEATMAP_STOPS.
+export const getHeatmapColor = (ratio) => {
+  const clamped = Math.min(1, Math.max(0, Number.isFinite(ratio) ? ratio : 0));
+  const position = clamped * (HEATMAP_STOPS.length - 1);
+  const index = Math.min(Math.floor(position), HEATMAP_STOPS.length - 2);
+  const mix = position - index;
+  const from = hexToRgb(HEATMAP_STOPS[index]);
+  const to = hexToRgb(HEATMAP_STOPS[index + 1]);
+  return `#${from.map((channel, i) => toHex(channel + (to[i] - channel) * mix)).join('')}`;
+};
+
+export const hasLinkMetrics = (node) => Number.isFinite(node?.linkScore);
+
+// Heatmap color of a node, or null in 'level' mode. Click depth runs from the home page to the
+// deepest page; link equity uses a square-root scale because a few pages hold most of it.
+export const getNodeHeatmapColor = (node, mode, { maxClickDepth = 0 } = {}) => {
+  if (mode === 'clickDepth') {
+    if (!Number.isFinite(node?.clickDepth)) return HEATMAP_EMPTY_COLOR;
+    return getHeatmapColor(maxClickDepth > 0 ? node.clickDepth / maxClickDepth : 0);
+  }
+  if (mode === 'linkScore') {
+    if (!hasLinkMetrics(node)) return HEATMAP_EMPTY_COLOR;
+    return getHeatmapColor(Math.sqrt(node.linkScore / 100));
+  }
+  return null;
+};
@@ -0,0 +1,178 @@
+// Migration planner: compares each page's scanned URL with the URL it will have after the
+// restructure on the canvas. `node.migration` holds `{ originalUrl, originalParentId, slug? }`;
+// the first two are captured once (captureMigrationBaseline) and `slug` is an edited last segment.
+import { csvCell } from './textEscape';
+export const MIGRATION_NO_DESTINATION_STATUSES = ['to_delete', 'deleted'];
+
+export const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const getPath = (url) => {
+  try {
+    const path = new URL(url).pathname.replace(/\/+$/, '');
+    return path || '/';
+  } catch {
+    return null;
+  }
+};
+
+const getLastSegment = (path) => {
+  const segment = (path || '').split('/').filter(Boolean).pop() || '';
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+const joinPath = (parentPath, slug) => {
+  const base = !parentPath || parentPath === '/' ? '' : parentPath;
+  return `${base}/${slug}`;
+};
+
+const getOrigin = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+// Records every page's current URL and parent as its original, unless it already has one.
+// Mutates the trees and returns how many pages were recorded.
+export const captureMigrationBaseline = (root, orphans = []) => {
+  let captured = 0;
+  const visit = (node, parentId) => {
+    if (!node) return;
+    if (!node.migration?.originalUrl && node.url) {
+      node.migration = { ...(node.migration || {}), originalUrl: node.url, originalParentId: parentId };
+      captured += 1;
+    }
+    (node.children || []).forEach((child) => visit(child, node.id));
+  };
+  visit(root, null);
+  orphans.forEach((orphan) => visit(orphan, null));
+  return captured;
+};
+
+export const needsMigrationBaseline = (root, orphans = []) => {
+  const visit = (node) => {
+    if (!node) return false;
+    if (node.url && !node.migration?.originalUrl) return true;
+    return (node.children || []).some(visit);
+  };
+  return visit(root) || orphans.some(visit);
+};
+
+// A page keeps its original path until it, or an ancestor, is moved or re-slugged; from then on its
+// path is the parent's planned path plus its slug. Pages added on the canvas have no original URL:
+// they use the URL assigned to them, else a slug of their title.
+//
+// Returns `{ entries, collisions, redirects, noDestination }`:
+// - `entries`: one per page, in tree order
+// - `collisions`: planned paths shared by more than one page, as `[{ path, ids }]`
+// - `redirects`: pages whose path changes, as `{ from, to, hops, statuses, loop }` rows for
+//   utils/redirectMap.js
+// - `noDestination`: scanned pages marked To Delete or Deleted
+export const buildMigrationPlan = (root, orphans = []) => {
+  const entries = [];
+  const baseOrigin = getOrigin(root?.migration?.originalUrl || root?.url);
+
+  const visit = (node, parent, parentEntry) => {
+    if (!node) return;
+    const migration = node.migration || {};
+    const originalUrl = migration.originalUrl || null;
+    const originalPath = originalUrl ? getPath(originalUrl) : null;
+    const slugOverride = typeof migration.slug === 'string' && migration.slug ? migration.slug : null;
+    const reparented = Boolean(originalUrl) && (migration.originalParentId ?? null) !== (parent?.id ?? null);
+    const parentChanged = Boolean(parentEntry) && parentEntry.plannedPath !== parentEntry.originalPath;
+    const assignedPath = !originalUrl && node.url ? getPath(node.url) : null;
+
+    let plannedPath;
+    if (!parent) {
+      // Tree roots stay where they are; an edited slug only replaces their last segment.
+      const path = originalPath || assignedPath || `/${slugify(node.title)}`;
+      plannedPath = slugOverride && path !== '/'
+        ? joinPath(path.split('/').slice(0, -1).join('/'), slugOverride)
+        : path;
+    } else if (originalPath && !slugOverride && !reparented && !parentChanged) {
+      plannedPath = originalPath;
+    } else if (assignedPath && !slugOverride && !parentChanged) {
+      plannedPath = assignedPath;
+    } else {
+      const slug = slugOverride
+        || (originalPath ? getLastSegment(originalPath) : null)
+        || (assignedPath ? getLastSegment(assignedPath) : null)
+        || slugify(node.title)
+        || node.id;
+      plannedPath = joinPath(parentEntry.plannedPath, slug);
+    }
+
+    const status = node.annotations?.status || 'none';
+    const origin = getOrigin(originalUrl) || baseOrigin;
+    const entry = {
+      id: node.id,
+      title: node.title || node.url || '',
+      originalUrl,
+      originalPath,
+      plannedPath,
+      plannedUrl: origin ? `${origin}${plannedPath}` : plannedPath,
+      slug: getLastSegment(plannedPath),
+      slugEdited: Boolean(slugOverride),
+      isNew: !originalUrl,
+      noDestination: Boolean(originalUrl) && MIGRATION_NO_DESTINATION_STATUSES.includes(status),
+      isDuplicate: Boolean(node.isDuplicate),
+      collision: false,
+    };
+    entry.changed = Boolean(originalPath) && !entry.noDestination && plannedPath !== originalPath;
+    entries.push(entry);
+    (node.children || []).forEach((child) => visit(child, node, entry));
+  };
+  visit(root, null, null);
+  orphans.forEach((orphan) => visit(orphan, null, null));
+
+  // Scan duplicates are aliases of another page and are expected to share its path.
+  const idsByPath = new Map();
+  entries.forEach((entry) => {
+    if (entry.noDestination || entry.isDuplicate) return;
+    if (!idsByPath.has(entry.plannedPath)) idsByPath.set(entry.plannedPath, []);
+    idsByPath.get(entry.plannedPath).push(entry.id);
+  });
+  const collisions = [];
+  idsByPath.forEach((ids, path) => {
+    if (ids.length < 2) return;
+    collisions.push({ path, ids });
+  });
+  const collidingIds = new Set(collisions.flatMap((collision) => collision.ids));
+  entries.forEach((entry) => {
+    entry.collision = collidingIds.has(entry.id);
+  });
+
+  return {
+    entries,
+    collisions,
+    redirects: entries
+      .filter((entry) => entry.changed)
+      .map((entry) => ({ from: entry.originalUrl, to: entry.plannedUrl, hops: 1, statuses: [301], loop: false })),
+    noDestination: entries.filter((entry) => entry.noDestination),
+  };
+};
+
+export const buildMigrationMappingCsv = (entries) => [
+  ['Page Title', 'Original URL', 'Planned URL'].join(','),
+  ...entries
+    .filter((entry) => entry.changed)
+    .map((entry) => [csvCell(entry.title), csvCell(entry.originalUrl), csvCell(entry.plannedUrl)].join(',')),
+].join('\n');
+
+export const buildNoDestinationCsv = (entries) => [
+  ['Page Title', 'Original URL'].join(','),
+  ...entries
+    .filter((entry) => entry.noDestination)
+    .map((entry) => [csvCell(entry.title), csvCell(entry.originalUrl)].join(',')),
+].join('\n');
@@ -0,0 +1,108 @@
+// Redirect map export: every scanned page that redirected (`node.redirectChain`, see
+// utils/redirectChain.js on the backend), from the crawled URL to where it ended up.
+import { csvCell } from './textEscape';
+export const REDIRECT_MAP_FORMATS = [
+  { key: 'csv', label: 'CSV', filename: 'redirect-map.csv' },
+  { key: 'nginx', label: 'nginx', filename: 'redirects.nginx.conf' },
+  { key: 'apache', label: 'Apache', filename: 'redirects.htaccess' },
+  { key: 'netlify', label: 'Netlify', filename: '_redirects' },
+];
+
+const PERMANENT_STATUSES = new Set([301, 308]);
+
+const normalizeHost = (hostname) => String(hostname || '').replace(/^www\./i, '').toLowerCase();
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+const decodePath = (path) => {
+  try {
+    return decodeURI(path);
+  } catch {
+    return path;
+  }
+};
+
+export const collectRedirectRows = (root, orphans = []) => {
+  const rows = [];
+  const seen = new Set();
+  const visit = (node) => {
+    if (!node) return;
+    const hops = node.redirectChain || [];
+    if (hops.length && node.url && !seen.has(node.url)) {
+      seen.add(node.url);
+      rows.push({
+        from: node.url,
+        to: node.redirectLoop ? null : (node.finalUrl || hops[hops.length - 1].location),
+        hops: hops.length,
+        statuses: hops.map((hop) => hop.status),
+        loop: !!node.redirectLoop,
+      });
+    }
+    (node.children || []).forEach(visit);
+  };
+  visit(root);
+  orphans.forEach(visit);
+  return rows;
+};
+
+const buildCsv = (rows) => [
+  ['Source URL', 'Target URL', 'Hops', 'Status Codes', 'Redirect Loop'].join(','),
+  ...rows.map((row) => [
+    csvCell(row.from),
+    csvCell(row.to),
+    row.hops,
+    csvCell(row.statuses.join(' > ')),
+    row.loop ? 'Yes' : 'No',
+  ].join(',')),
+].join('\n');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const quoteIfSpaced = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+const SERVER_RULES = {
+  nginx: ({ source, target, code }) => (
+    `location = ${quoteIfSpaced(source)} { return ${code} ${quoteIfSpaced(target)}; }`
+  ),
+  apache: ({ source, target, code }) => (
+    `RedirectMatch ${code} ${quoteIfSpaced(`^${escapeRegex(source)}$`)} ${quoteIfSpaced(target)}`
+  ),
+  netlify: ({ source, target, code }) => `${source.replace(/\s/g, '%20')}  ${target.replace(/\s/g, '%20')}  ${code}`,
+};
+
+// Server rules only match a path on the site they are installed on, so sources on another host,
+// sources with a query string and redirect loops are written as comments instead.
+const buildServerRules = (rows, format, baseUrl) => {
+  const baseHost = normalizeHost(parseUrl(baseUrl)?.hostname);
+  const lines = [`# Redirect map for ${baseHost || 'site'}`];
+  rows.forEach((row) => {
+    const from = parseUrl(row.from);
+    const to = parseUrl(row.to);
+    let skipped = null;
+    if (row.loop || !to) skipped = 'redirect loop';
+    else if (!from || normalizeHost(from.hostname) !== baseHost) skipped = 'other host';
+    else if (from.search) skipped = 'query string';
+    if (skipped) {
+      lines.push(`# skipped (${skipped}): ${row.from}`);
+      return;
+    }
+    const sameHost = normalizeHost(to.hostname) === baseHost && to.protocol === from.protocol;
+    lines.push(SERVER_RULES[format]({
+      source: decodePath(from.pathname),
+      target: sameHost ? `${to.pathname}${to.search}` : to.toString(),
+      code: PERMANENT_STATUSES.has(row.statuses[0]) ? 301 : 302,
+    }));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+export const buildRedirectMap = (rows, format, { baseUrl } = {}) => {
+  if (format === 'csv') return buildCsv(rows);
+  if (SERVER_RULES[format]) return buildServerRules(rows, format, baseUrl);
+  throw new Error(`Unknown redirect map format: ${format}`);
+};
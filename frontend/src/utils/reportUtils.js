@@ -1,3 +1,5 @@
+import { DEEP_PAGE_CLICK_DEPTH } from './constants';
+
 export const getReportTypesForNode = (node, overrides = {}) => {
   const types = new Set();
   if (!node) return [];
@@ -10,10 +12,12 @@ export const getReportTypesForNode = (node, overrides = {}) => {
     && !node.isError
     && !node.isFile
     && !node.authRequired
+    && !node.isRobotsBlocked
     && orphanType !== 'broken'
     && orphanType !== 'inactive'
     && orphanType !== 'file'
     && orphanType !== 'orphan'
+    && orphanType !== 'robots'
     && !isSubdomain) {
     types.add('standard');
   }
@@ -26,6 +30,10 @@ export const getReportTypesForNode = (node, overrides = {}) => {
   if (isSubdomain) types.add('subdomains');
   if (node.isFile || orphanType === 'file') types.add('files');
   if (node.authRequired) types.add('authenticatedPages');
+  if (node.isRobotsBlocked || orphanType === 'robots') types.add('robotsBlocked');
+  if (node.hreflangIssues?.length) types.add('hreflangIssues');
+  if (node.clickDepth > DEEP_PAGE_CLICK_DEPTH) types.add('deepPages');
+  (node.seoIssues || []).forEach((issue) => types.add(issue));
   return Array.from(types);
 };
 
@@ -65,6 +73,8 @@ export const buildReportEntries = (rootNode, orphanNodes, reportNumberMap, repor
       levelColor,
       thumbnailUrl: node.thumbnailUrl || '',
       showFullTitle,
+      clickDepth: Number.isFinite(node.clickDepth) ? node.clickDepth : null,
+      linkScore: Number.isFinite(node.linkScore) ? node.linkScore : null,
     });
     node.children?.forEach((child) => visit(child, { isSubdomain, orphanType }));
   };
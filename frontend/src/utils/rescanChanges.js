@@ -0,0 +1,120 @@
+// Applies the selected entries of a re-scan change set (see utils/scanDiff.js on the backend)
+// to copies of the current tree. Nodes are tagged through `tagStatus(node, status)` so the
+// caller controls how annotations are built.
+export const RESCAN_CHANGE_TYPES = ['added', 'removed', 'title', 'status', 'moved'];
+
+export const RESCAN_STATUS_BY_TYPE = {
+  added: 'new',
+  removed: 'deleted',
+  moved: 'moved',
+};
+
+const indexTree = (root, orphans) => {
+  const index = new Map();
+  const visit = (node, parent) => {
+    if (!node) return;
+    index.set(node.id, { node, parent });
+    (node.children || []).forEach((child) => visit(child, node));
+  };
+  visit(root, null);
+  orphans.forEach((orphan) => visit(orphan, null));
+  return index;
+};
+
+const containsNode = (node, id) => {
+  if (!node) return false;
+  if (node.id === id) return true;
+  return (node.children || []).some((child) => containsNode(child, id));
+};
+
+export const applyRescanChanges = ({ root, orphans = [], changes, tagStatus }) => {
+  const nextRoot = JSON.parse(JSON.stringify(root));
+  const nextOrphans = JSON.parse(JSON.stringify(orphans));
+  const index = indexTree(nextRoot, nextOrphans);
+  // canonical key -> node id, for pages added by this change set
+  const addedIdsByKey = new Map();
+  let applied = 0;
+  let skipped = 0;
+
+  const resolveParent = (nodeId, key) => {
+    if (nodeId && index.has(nodeId)) return index.get(nodeId).node;
+    if (key && addedIdsByKey.has(key)) return index.get(addedIdsByKey.get(key)).node;
+    return null;
+  };
+
+  // Pages without a parent in the scan become orphans; returns the attached node and its parent.
+  const attach = (node, parent, hasParentKey) => {
+    const target = parent || (hasParentKey ? nextRoot : null);
+    if (!target) {
+      node.orphanType = node.orphanType || 'orphan';
+      nextOrphans.push(node);
+      return { node, parent: null };
+    }
+    if (node.orphanType === 'orphan') delete node.orphanType;
+    target.children = target.children || [];
+    target.children.push(node);
+    return { node, parent: target };
+  };
+
+  const detach = (id) => {
+    const entry = index.get(id);
+    if (entry.parent) {
+      entry.parent.children = (entry.parent.children || []).filter((child) => child.id !== id);
+      return;
+    }
+    const orphanIndex = nextOrphans.findIndex((orphan) => orphan.id === id);
+    if (orphanIndex !== -1) nextOrphans.splice(orphanIndex, 1);
+  };
+
+  const byType = (type) => changes.filter((change) => change.type === type);
+
+  byType('title').concat(byType('status')).forEach((change) => {
+    const entry = index.get(change.nodeId);
+    if (!entry) {
+      skipped += 1;
+      return;
+    }
+    if (change.type === 'title') entry.node.title = change.after;
+    if (change.type === 'status') entry.node.httpStatus = change.after;
+    applied += 1;
+  });
+
+  // Added pages arrive parents-first, so a new parent exists before its new children.
+  byType('added').forEach((change) => {
+    let id = change.node?.id || `rescan-${change.id}`;
+    while (index.has(id)) id = `${id}-new`;
+    const node = { ...change.node, id, children: [] };
+    tagStatus(node, RESCAN_STATUS_BY_TYPE.added);
+    const parent = resolveParent(change.parentNodeId, change.parentKey);
+    index.set(id, attach(node, parent, Boolean(change.parentKey)));
+    addedIdsByKey.set(change.key, id);
+    applied += 1;
+  });
+
+  byType('moved').forEach((change) => {
+    const entry = index.get(change.nodeId);
+    const parent = resolveParent(change.toParentNodeId, change.toParentKey);
+    const missingParent = change.toParentKey && !parent;
+    if (!entry || entry.node === nextRoot || missingParent || (parent && containsNode(entry.node, parent.id))) {
+      skipped += 1;
+      return;
+    }
+    detach(change.nodeId);
+    tagStatus(entry.node, RESCAN_STATUS_BY_TYPE.moved);
+    index.set(change.nodeId, attach(entry.node, parent, Boolean(change.toParentKey)));
+    applied += 1;
+  });
+
+  // Removed pages stay on the map, tagged, so their notes and comments are not lost.
+  byType('removed').forEach((change) => {
+    const entry = index.get(change.nodeId);
+    if (!entry) {
+      skipped += 1;
+      return;
+    }
+    tagStatus(entry.node, RESCAN_STATUS_BY_TYPE.removed);
+    applied += 1;
+  });
+
+  return { root: nextRoot, orphans: nextOrphans, applied, skipped };
+};
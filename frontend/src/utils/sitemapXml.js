@@ -0,0 +1,188 @@
+// sitemap.xml export for a planned map. Pages are taken from the root, orphan and subdomain trees;
+// pages marked for deletion, missing placeholders and unreachable pages are left out, and every URL
+// is validated against the sitemaps.org protocol. Per-page lastmod / changefreq / priority come from
+// `node.sitemap`, edited in EditNodeModal.
+import { escapeXml } from './textEscape';
+export const SITEMAP_CHANGEFREQ_OPTIONS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+// Protocol limits for a single sitemap file; larger sets are split under a sitemap index.
+export const SITEMAP_MAX_URLS = 50000;
+export const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+const MAX_URL_LENGTH = 2048;
+
+export const SITEMAP_SKIP_REASONS = {
+  status: 'Marked for deletion',
+  missing: 'Missing placeholder',
+  unreachable: 'Broken, inactive or error page',
+  noUrl: 'No URL',
+  invalid: 'Invalid URL',
+  duplicate: 'Duplicate URL',
+};
+
+const EXCLUDED_STATUSES = new Set(['to_delete', 'deleted']);
+const XMLNS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const W3C_DATETIME = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+const isValidLastmod = (value) => {
+  const match = W3C_DATETIME.exec(value);
+  if (!match) return false;
+  // Round-trip the date part so 2024-02-30 is rejected rather than rolled over.
+  const day = new Date(`${match[1]}T00:00:00Z`);
+  return !Number.isNaN(day.getTime()) && day.toISOString().slice(0, 10) === match[1]
+    && !Number.isNaN(Date.parse(value));
+};
+
+// Keeps only valid settings; returns undefined when nothing is set, so untouched pages stay clean.
+export const normalizeSitemapSettings = (settings) => {
+  if (!settings) return undefined;
+  const next = {};
+  const lastmod = String(settings.lastmod ?? '').trim();
+  if (lastmod && isValidLastmod(lastmod)) next.lastmod = lastmod;
+  if (SITEMAP_CHANGEFREQ_OPTIONS.includes(settings.changefreq)) next.changefreq = settings.changefreq;
+  const priorityText = String(settings.priority ?? '').trim();
+  const priority = Number(priorityText);
+  if (priorityText && Number.isFinite(priority) && priority >= 0 && priority <= 1) {
+    next.priority = Math.round(priority * 10) / 10;
+  }
+  return Object.keys(next).length ? next : undefined;
+};
+
+// Returns `{ loc }` for a URL the protocol accepts, else `{ reason, detail }`. Fragments are dropped
+// because they never name a separate page.
+export const normalizeSitemapUrl = (value) => {
+  const raw = String(value || '').trim();
+  if (!raw) return { reason: 'noUrl' };
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return { reason: 'invalid', detail: 'Not an absolute URL' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { reason: 'invalid', detail: 'Only http and https URLs are allowed' };
+  }
+  if (parsed.username || parsed.password) {
+    return { reason: 'invalid', detail: 'URLs with credentials are not allowed' };
+  }
+  parsed.hash = '';
+  if (parsed.href.length > MAX_URL_LENGTH) {
+    return { reason: 'invalid', detail: `Longer than ${MAX_URL_LENGTH.toLocaleString()} characters` };
+  }
+  return { loc: parsed.href };
+};
+
+const isUnreachable = (node) => node.isBroken || node.isInactive || node.isError
+  || node.orphanType === 'broken' || node.orphanType === 'inactive';
+
+// Walks the trees in map order. Skipped pages do not hide their children: a page can stay while
+// its parent is removed. Returns `{ entries, skipped }`.
+export const collectSitemapEntries = ({ root, orphans = [] }) => {
+  const entries = [];
+  const skipped = [];
+  const seen = new Set();
+
+  const visit = (node) => {
+    if (!node) return;
+    const skip = (reason, detail) => {
+      skipped.push({ nodeId: node.id, title: node.title || node.url || 'Untitled', url: node.url || '', reason, detail });
+    };
+    const status = node.annotations?.status;
+    if (EXCLUDED_STATUSES.has(status)) skip('status');
+    else if (node.isMissing) skip('missing');
+    else if (isUnreachable(node)) skip('unreachable');
+    else {
+      const { loc, reason, detail } = normalizeSitemapUrl(node.url);
+      if (!loc) skip(reason, detail);
+      else if (seen.has(loc)) skip('duplicate');
+      else {
+        seen.add(loc);
+        entries.push({ nodeId: node.id, loc, ...normalizeSitemapSettings(node.sitemap) });
+      }
+    }
+    (node.children || []).forEach(visit);
+  };
+
+  visit(root);
+  orphans.forEach(visit);
+  return { entries, skipped };
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const URLSET_OPEN = `${XML_HEADER}<urlset xmlns="${XMLNS}">\n`;
+const URLSET_CLOSE = '</urlset>\n';
+
+const buildUrlBlock = (entry) => {
+  const lines = [`    <loc>${escapeXml(entry.loc)}</loc>`];
+  if (entry.lastmod) lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+  if (entry.changefreq) lines.push(`    <changefreq>${entry.changefreq}</changefreq>`);
+  if (entry.priority !== undefined) lines.push(`    <priority>${entry.priority.toFixed(1)}</priority>`);
+  return `  <url>\n${lines.join('\n')}\n  </url>\n`;
+};
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// Splits url blocks into files that stay under both protocol limits.
+const chunkUrlBlocks = (entries) => {
+  const baseBytes = byteLength(URLSET_OPEN) + byteLength(URLSET_CLOSE);
+  const chunks = [];
+  let current = null;
+  entries.forEach((entry) => {
+    const block = buildUrlBlock(entry);
+    const bytes = byteLength(block);
+    if (!current || current.blocks.length >= SITEMAP_MAX_URLS || current.bytes + bytes > SITEMAP_MAX_BYTES) {
+      current = { blocks: [], bytes: baseBytes, lastmod: null };
+      chunks.push(current);
+    }
+    current.blocks.push(block);
+    current.bytes += bytes;
+    if (entry.lastmod && (!current.lastmod || Date.parse(entry.lastmod) > Date.parse(current.lastmod))) {
+      current.lastmod = entry.lastmod;
+    }
+  });
+  return chunks;
+};
+
+const buildSitemapIndex = (sitemaps) => {
+  const items = sitemaps.map(({ loc, lastmod }) => {
+    const lines = [`    <loc>${escapeXml(loc)}</loc>`];
+    if (lastmod) lines.push(`    <lastmod>${lastmod}</lastmod>`);
+    return `  <sitemap>\n${lines.join('\n')}\n  </sitemap>\n`;
+  });
+  return `${XML_HEADER}<sitemapindex xmlns="${XMLNS}">\n${items.join('')}</sitemapindex>\n`;
+};
+
+const getFolderName = (origin) => {
+  const { protocol, host } = new URL(origin);
+  return `${protocol === 'http:' ? 'http-' : ''}${host.replace(/:/g, '_')}`;
+};
+
+// Builds `[{ name, content }]`. A sitemap may only list URLs from its own host, so each origin gets
+// its own sitemap.xml (in a folder named after the host when there is more than one). An origin
+// over the protocol limits gets sitemap-1.xml, sitemap-2.xml, ... and a sitemap.xml index that
+// points at them from the site root.
+export const buildSitemapFiles = (entries) => {
+  const byOrigin = new Map();
+  entries.forEach((entry) => {
+    const { origin } = new URL(entry.loc);
+    if (!byOrigin.has(origin)) byOrigin.set(origin, []);
+    byOrigin.get(origin).push(entry);
+  });
+
+  const files = [];
+  byOrigin.forEach((originEntries, origin) => {
+    const prefix = byOrigin.size > 1 ? `${getFolderName(origin)}/` : '';
+    const chunks = chunkUrlBlocks(originEntries);
+    if (chunks.length === 1) {
+      files.push({ name: `${prefix}sitemap.xml`, content: `${URLSET_OPEN}${chunks[0].blocks.join('')}${URLSET_CLOSE}` });
+      return;
+    }
+    chunks.forEach((chunk, index) => {
+      files.push({ name: `${prefix}sitemap-${index + 1}.xml`, content: `${URLSET_OPEN}${chunk.blocks.join('')}${URLSET_CLOSE}` });
+    });
+    files.push({
+      name: `${prefix}sitemap.xml`,
+      content: buildSitemapIndex(chunks.map((chunk, index) => ({ loc: `${origin}/sitemap-${index + 1}.xml`, lastmod: chunk.lastmod }))),
+    });
+  });
+  return files;
+};
@@ -0,0 +1,13 @@
+// Escaping shared by the export utils (CSV, sitemap XML, diagram SVG and draw.io). The backend keeps
+// the same helpers in utils/textEscape.js.
+
+// A double-quoted CSV field; embedded quotes are doubled.
+export const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Text or attribute value for XML and SVG output.
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
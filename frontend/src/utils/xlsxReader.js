@@ -0,0 +1,65 @@
+// Reads the first worksheet of an .xlsx file into rows of cell strings. An .xlsx file is a zip of
+// XML parts (see utils/zipReader.js).
+import { readZipEntries, readZipEntryText } from './zipReader';
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+const textOf = (element) => Array.from(element.getElementsByTagName('t'))
+  .filter((t) => t.parentNode?.localName !== 'rPh')
+  .map((t) => t.textContent)
+  .join('');
+
+// "BC12" -> 54 (zero-based column index)
+const columnIndex = (ref) => {
+  const letters = (ref.match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+};
+
+const resolveSheetPath = async (buffer, entries) => {
+  const workbookEntry = entries.get('xl/workbook.xml');
+  const relsEntry = entries.get('xl/_rels/workbook.xml.rels');
+  if (workbookEntry && relsEntry) {
+    const workbook = parseXml(await readZipEntryText(buffer, workbookEntry));
+    const sheet = workbook.getElementsByTagName('sheet')[0];
+    const relId = sheet?.getAttribute('r:id')
+      || sheet?.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+    const rels = parseXml(await readZipEntryText(buffer, relsEntry));
+    const rel = Array.from(rels.getElementsByTagName('Relationship')).find((item) => item.getAttribute('Id') === relId);
+    const target = rel?.getAttribute('Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+export const readXlsxRows = async (buffer) => {
+  const entries = readZipEntries(buffer, '.xlsx');
+  const sheetEntry = entries.get(await resolveSheetPath(buffer, entries));
+  if (!sheetEntry) throw new Error('The .xlsx file has no worksheet');
+
+  const sharedStrings = [];
+  const sharedEntry = entries.get('xl/sharedStrings.xml');
+  if (sharedEntry) {
+    const doc = parseXml(await readZipEntryText(buffer, sharedEntry));
+    Array.from(doc.getElementsByTagName('si')).forEach((item) => sharedStrings.push(textOf(item)));
+  }
+
+  const sheet = parseXml(await readZipEntryText(buffer, sheetEntry));
+  return Array.from(sheet.getElementsByTagName('row')).map((rowElement) => {
+    const row = [];
+    Array.from(rowElement.getElementsByTagName('c')).forEach((cell, position) => {
+      const ref = cell.getAttribute('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cell.getAttribute('t');
+      const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+      let text = value;
+      if (type === 's') text = sharedStrings[Number(value)] ?? '';
+      else if (type === 'inlineStr') text = textOf(cell);
+      else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+      while (row.length < index) row.push('');
+      row[index] = text;
+    });
+    return row;
+  });
+};
@@ -0,0 +1,52 @@
+// Minimal zip reader for office-style files (.xlsx, .xmind). Entries are inflated with the browser's
+// DecompressionStream, so no zip library is needed. Zip64 archives are not supported.
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Returns a Map of entry name -> `{ method, compressedSize, localOffset }`.
+export const readZipEntries = (buffer, label = 'zip') => {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 65557); offset -= 1) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error(`Not a valid ${label} file`);
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  for (let i = 0; i < count; i += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error(`Not a valid ${label} file`);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+export const readZipEntryText = async (buffer, entry) => {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.localOffset, true) !== LOCAL_SIGNATURE) throw new Error('Corrupt zip entry');
+  const start = entry.localOffset + 30
+    + view.getUint16(entry.localOffset + 26, true)
+    + view.getUint16(entry.localOffset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error('Unsupported zip compression');
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed files; export the file in another format instead');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
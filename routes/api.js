@@ -10,6 +10,10 @@ const collaborationStore = require('../stores/collaborationStore');
 const historyStore = require('../stores/historyStore');
 const shareStore = require('../stores/shareStore');
 const usageStore = require('../stores/usageStore');
+const scanAuthStore = require('../stores/scanAuthStore');
+const scanScheduleStore = require('../stores/scanScheduleStore');
+const linkGateStore = require('../stores/linkGateStore');
+const linkGraphStore = require('../stores/linkGraphStore');
 const { authMiddleware, requireAuth } = require('./auth');
 const permissionPolicy = require('../policies/permissionPolicy');
 const {
@@ -18,11 +22,58 @@ const {
   summarizeCoeditingRolloutConfigAsync,
 } = require('../utils/coeditingRollout');
 const { getCoeditingHealthSnapshotAsync } = require('../utils/coeditingObservability');
+const {
+  normalizeScanAuth,
+  summarizeScanAuth,
+  getScanAuthHost,
+  getScanAuthSecret,
+  encryptScanAuth,
+  decryptScanAuth,
+} = require('../utils/scanAuth');
+const {
+  normalizeScanSchedule,
+  getNextRunAt,
+  toScheduleTimestamp,
+  fromScheduleTimestamp,
+} = require('../utils/scanSchedule');
+const { normalizeUrlRules } = require('../utils/urlRules');
+const { assertSafeUrl } = require('../utils/urlSafety');
+const { normalizeQueryPolicy } = require('../utils/queryPolicy');
+const { LINK_GRAPHS_KEPT, summarizeLinkedPages } = require('../utils/linkGraph');
+const webhookStore = require('../stores/webhookStore');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_PING_EVENT,
+  normalizeWebhookInput,
+  parseWebhookEvents,
+  generateWebhookSecret,
+  findAddedComments,
+} = require('../utils/webhooks');
+const {
+  emitMapWebhookEvent,
+  emitMapUpdatedWebhookEvent,
+  queueWebhookDeliveryAsync,
+} = require('../utils/webhookEvents');
 
 const router = express.Router();
 
 const DEFAULT_PAGE_SIZE = 50;
 const MAX_PAGE_SIZE = 100;
+const MAX_SCAN_SCHEDULES_PER_MAP = 5;
+// Request fields reported as `changed` in map.updated webhooks.
+const MAP_UPDATE_FIELDS = [
+  'name',
+  'notes',
+  'root',
+  'orphans',
+  'connections',
+  'colors',
+  'connectionColors',
+  'project_id',
+];
+const SCAN_SCHEDULE_RUNS_LISTED = 50;
+const MAX_WEBHOOKS_PER_PROJECT = 10;
+const WEBHOOK_DELIVERIES_LISTED = 50;
 const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
 const COLLABORATION_BACKEND_ENABLED = parseEnvBool(
   process.env.COLLABORATION_BACKEND_ENABLED,
@@ -332,6 +383,221 @@ router.delete('/projects/:id', requireAuth, async (req, res) => {
   }
 });
 
+// ============================================
+// PROJECT WEBHOOKS
+// ============================================
+
+// Stored timestamps are UTC 'YYYY-MM-DD HH:MM:SS'; the API returns ISO strings.
+function fromWebhookTimestamp(value) {
+  return value ? `${String(value).replace(' ', 'T').slice(0, 19)}Z` : null;
+}
+
+// The secret is stored encrypted with the scan credential key and never listed; it is returned
+// once on create and on rotation.
+function serializeWebhook(row) {
+  return {
+    id: row.id,
+    project_id: row.project_id,
+    url: row.url,
+    events: parseWebhookEvents(row.events),
+    enabled: Boolean(row.enabled),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+// List rows carry no payload or response body; a single delivery includes both.
+function serializeWebhookDelivery(row) {
+  const delivery = {
+    id: row.id,
+    event: row.event,
+    status: row.status,
+    attempts: Number(row.attempts || 0),
+    next_attempt_at: row.status === 'pending' ? fromWebhookTimestamp(row.next_attempt_at) : null,
+    last_attempt_at: fromWebhookTimestamp(row.last_attempt_at),
+    delivered_at: fromWebhookTimestamp(row.delivered_at),
+    response_status: row.response_status ?? null,
+    duration_ms: row.duration_ms ?? null,
+    error: row.error || null,
+    created_at: row.created_at,
+  };
+  if (row.payload !== undefined) {
+    delivery.payload = safeParse(row.payload, 'payload', null);
+    delivery.response_body = row.response_body ?? null;
+  }
+  return delivery;
+}
+
+// Webhooks belong to the project; whoever may change the project manages them.
+async function loadProjectForWebhooksAsync(req, res) {
+  const project = await projectStore.getProjectForUserAsync(req.params.id, req.user.id);
+  if (!ensureResourceAction({
+    req,
+    res,
+    resource: project,
+    action: permissionPolicy.ACTIONS.PROJECT_UPDATE,
+    failureError: 'Project not found',
+  })) return null;
+  return project;
+}
+
+async function loadProjectWebhookAsync(req, res) {
+  const project = await loadProjectForWebhooksAsync(req, res);
+  if (!project) return null;
+
+  const webhook = await webhookStore.getWebhookSubscriptionAsync(req.params.webhookId);
+  if (!webhook || webhook.project_id !== project.id) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return { project, webhook };
+}
+
+// GET /api/projects/:id/webhooks - Webhook subscriptions of a project
+router.get('/projects/:id/webhooks', requireAuth, async (req, res) => {
+  try {
+    const project = await loadProjectForWebhooksAsync(req, res);
+    if (!project) return;
+
+    const webhooks = await webhookStore.listWebhookSubscriptionsByProjectAsync(project.id);
+    res.json({ webhooks: webhooks.map(serializeWebhook), events: Object.values(WEBHOOK_EVENTS) });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to get webhooks' });
+  }
+});
+
+// POST /api/projects/:id/webhooks - Subscribe a URL to project events
+router.post('/projects/:id/webhooks', requireAuth, async (req, res) => {
+  try {
+    const project = await loadProjectForWebhooksAsync(req, res);
+    if (!project) return;
+
+    if (await webhookStore.countWebhookSubscriptionsByProjectAsync(project.id) >= MAX_WEBHOOKS_PER_PROJECT) {
+      return res.status(409).json({ error: `A project can have at most ${MAX_WEBHOOKS_PER_PROJECT} webhooks` });
+    }
+
+    let input;
+    try {
+      input = normalizeWebhookInput(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message || 'Invalid webhook' });
+    }
+
+    const webhookId = uuidv4();
+    const secret = generateWebhookSecret();
+    await webhookStore.insertWebhookSubscriptionAsync({
+      id: webhookId,
+      projectId: project.id,
+      userId: req.user.id,
+      secret: encryptScanAuth(secret, getScanAuthSecret()),
+      ...input,
+    });
+
+    const saved = await webhookStore.getWebhookSubscriptionAsync(webhookId);
+    res.status(201).json({ webhook: serializeWebhook(saved), secret });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// PUT /api/projects/:id/webhooks/:webhookId - Change URL or events, pause, or rotate the secret
+router.put('/projects/:id/webhooks/:webhookId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadProjectWebhookAsync(req, res);
+    if (!loaded) return;
+    const { webhook } = loaded;
+
+    let input;
+    try {
+      input = normalizeWebhookInput(req.body || {}, webhook);
+    } catch (error) {
+      return res.status(400).json({ error: error.message || 'Invalid webhook' });
+    }
+
+    const secret = req.body?.rotateSecret ? generateWebhookSecret() : null;
+    await webhookStore.updateWebhookSubscriptionAsync(webhook.id, {
+      url: input.url ?? webhook.url,
+      events: input.events ?? parseWebhookEvents(webhook.events),
+      enabled: input.enabled ?? Boolean(webhook.enabled),
+      secret: secret ? encryptScanAuth(secret, getScanAuthSecret()) : webhook.secret,
+    });
+
+    const saved = await webhookStore.getWebhookSubscriptionAsync(webhook.id);
+    res.json({
+      webhook: serializeWebhook(saved),
+      ...(req.body?.rotateSecret ? { secret } : {}),
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// DELETE /api/projects/:id/webhooks/:webhookId - Remove a webhook and its delivery log
+router.delete('/projects/:id/webhooks/:webhookId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadProjectWebhookAsync(req, res);
+    if (!loaded) return;
+
+    await webhookStore.deleteWebhookSubscriptionAsync(loaded.webhook.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// POST /api/projects/:id/webhooks/:webhookId/ping - Queue a signed test delivery
+router.post('/projects/:id/webhooks/:webhookId/ping', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadProjectWebhookAsync(req, res);
+    if (!loaded) return;
+
+    const deliveryId = await queueWebhookDeliveryAsync(loaded.webhook, WEBHOOK_PING_EVENT, {
+      project: { id: loaded.project.id, name: loaded.project.name },
+      actor: { id: req.user.id, name: req.user.name || null },
+    });
+    const delivery = await webhookStore.getWebhookDeliveryAsync(deliveryId);
+    res.status(202).json({ delivery: serializeWebhookDelivery(delivery) });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({ error: 'Failed to queue test delivery' });
+  }
+});
+
+// GET /api/projects/:id/webhooks/:webhookId/deliveries - Delivery log, newest first
+router.get('/projects/:id/webhooks/:webhookId/deliveries', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadProjectWebhookAsync(req, res);
+    if (!loaded) return;
+
+    const deliveries = await webhookStore.listWebhookDeliveriesAsync(loaded.webhook.id, WEBHOOK_DELIVERIES_LISTED);
+    res.json({ deliveries: deliveries.map(serializeWebhookDelivery) });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to get webhook deliveries' });
+  }
+});
+
+// GET /api/projects/:id/webhooks/:webhookId/deliveries/:deliveryId - One delivery with its payload
+router.get('/projects/:id/webhooks/:webhookId/deliveries/:deliveryId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadProjectWebhookAsync(req, res);
+    if (!loaded) return;
+
+    const delivery = await webhookStore.getWebhookDeliveryAsync(req.params.deliveryId);
+    if (!delivery || delivery.subscription_id !== loaded.webhook.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json({ delivery: serializeWebhookDelivery(delivery) });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ error: 'Failed to get webhook delivery' });
+  }
+});
+
 // ============================================
 // MAPS
 // ============================================
@@ -571,6 +837,24 @@ router.put('/maps/:id', requireAuth, async (req, res) => {
 
     const updated = await mapStore.getMapByIdAsync(id);
 
+    const actor = { id: req.user.id, name: req.user.name || null };
+    emitMapUpdatedWebhookEvent(updated, {
+      actor,
+      changed: MAP_UPDATE_FIELDS.filter((field) => req.body[field] !== undefined),
+      updatedAt: updated.updated_at,
+    });
+    // Comments live on the nodes and are saved with the map, so new ones are found by diffing.
+    if (root !== undefined || orphans !== undefined) {
+      const previous = parseMapFields(map);
+      const next = parseMapFields(updated);
+      findAddedComments(
+        [previous.root, ...(previous.orphans || [])],
+        [next.root, ...(next.orphans || [])]
+      ).forEach((comment) => {
+        emitMapWebhookEvent(updated, WEBHOOK_EVENTS.COMMENT_ADDED, { actor, comment });
+      });
+    }
+
     res.json({
       map: {
         ...updated,
@@ -682,6 +966,17 @@ router.post('/maps/:id/versions', requireAuth, async (req, res) => {
 
     const saved = await mapStore.getMapVersionByIdAsync(versionId);
 
+    emitMapWebhookEvent(map, WEBHOOK_EVENTS.VERSION_CREATED, {
+      actor: { id: req.user.id, name: req.user.name || null },
+      version: {
+        id: saved.id,
+        number: saved.version_number,
+        name: saved.name,
+        notes: saved.notes || null,
+        createdAt: saved.created_at,
+      },
+    });
+
     res.json({
       version: {
         ...saved,
@@ -694,6 +989,515 @@ router.post('/maps/:id/versions', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/maps/:id/scan-auth - Summary of saved scan credentials (secrets are never returned)
+router.get('/maps/:id/scan-auth', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const map = await mapStore.getMapForUserAsync(id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_UPDATE,
+      failureError: 'Map not found',
+    })) return;
+
+    const row = await scanAuthStore.getScanCredentialsByMapIdAsync(id);
+    if (!row) {
+      return res.json({ configured: false, host: null, summary: null, updated_at: null });
+    }
+
+    let summary = null;
+    try {
+      summary = summarizeScanAuth(decryptScanAuth(row.encrypted_payload, getScanAuthSecret()));
+    } catch (error) {
+      console.error('Decrypt scan credentials error:', error.message);
+    }
+
+    res.json({
+      configured: true,
+      host: row.host,
+      summary,
+      updated_at: row.updated_at,
+    });
+  } catch (error) {
+    console.error('Get scan credentials error:', error);
+    res.status(500).json({ error: 'Failed to get scan credentials' });
+  }
+});
+
+// PUT /api/maps/:id/scan-auth - Save encrypted scan credentials for a map
+router.put('/maps/:id/scan-auth', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { auth, url } = req.body || {};
+
+    const map = await mapStore.getMapForUserAsync(id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_UPDATE,
+      failureError: 'Map not found',
+    })) return;
+
+    let scanAuth = null;
+    try {
+      scanAuth = normalizeScanAuth(auth);
+    } catch (error) {
+      return res.status(400).json({ error: error.message || 'Invalid scan credentials' });
+    }
+    if (!scanAuth) {
+      return res.status(400).json({ error: 'Scan credentials are required' });
+    }
+    if (scanAuth.login) {
+      try {
+        await assertSafeUrl(scanAuth.login.url);
+      } catch (error) {
+        return res.status(400).json({ error: error.message || 'Invalid login URL' });
+      }
+    }
+
+    const host = getScanAuthHost(url || map.url);
+    if (!host) {
+      return res.status(400).json({ error: 'A site URL is required to save scan credentials' });
+    }
+
+    const saved = await scanAuthStore.upsertScanCredentialsAsync({
+      mapId: id,
+      host,
+      encryptedPayload: encryptScanAuth(scanAuth, getScanAuthSecret()),
+      userId: req.user.id,
+    });
+
+    res.json({
+      configured: true,
+      host: saved.host,
+      summary: summarizeScanAuth(scanAuth),
+      updated_at: saved.updated_at,
+    });
+  } catch (error) {
+    console.error('Save scan credentials error:', error);
+    res.status(500).json({ error: 'Failed to save scan credentials' });
+  }
+});
+
+// DELETE /api/maps/:id/scan-auth - Remove saved scan credentials
+router.delete('/maps/:id/scan-auth', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const map = await mapStore.getMapForUserAsync(id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_UPDATE,
+      failureError: 'Map not found',
+    })) return;
+
+    await scanAuthStore.deleteScanCredentialsByMapIdAsync(id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete scan credentials error:', error);
+    res.status(500).json({ error: 'Failed to delete scan credentials' });
+  }
+});
+
+// ============================================
+// SCAN SCHEDULES
+// ============================================
+
+function serializeScanSchedule(row) {
+  return {
+    ...row,
+    options: safeParse(row.options, 'options', {}),
+    enabled: Boolean(row.enabled),
+    next_run_at: row.enabled ? fromScheduleTimestamp(row.next_run_at) : null,
+    last_run_at: fromScheduleTimestamp(row.last_run_at),
+  };
+}
+
+// List rows carry no `changes`; a single run includes the parsed change set.
+function serializeScanScheduleRun(row) {
+  const run = {
+    ...row,
+    scheduled_for: fromScheduleTimestamp(row.scheduled_for),
+    summary: safeParse(row.summary, 'summary', null),
+    changes: undefined,
+  };
+  if (row.changes !== undefined) {
+    const diff = safeParse(row.changes, 'changes', null);
+    run.baseline = diff?.baseline || null;
+    run.previous_run_id = diff?.previousRunId || null;
+    run.truncated = Boolean(diff?.truncated);
+    run.changes = diff?.changes || [];
+  }
+  return run;
+}
+
+// Merges a create/update body over the existing schedule. Timing is replaced as a whole: send
+// `frequency` with its `time`/`weekday` or `cron`. URL safety and scan limits are checked by the
+// worker each time a run is queued.
+function resolveScanScheduleInput(body, map, existing = null) {
+  const timing = body.frequency !== undefined || !existing
+    ? normalizeScanSchedule(body)
+    : { frequency: existing.frequency, cron: existing.cron };
+
+  const rawUrl = body.url || existing?.url || map.url;
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw Object.assign(new Error('A valid site URL is required'), { code: 'INVALID_SCAN_SCHEDULE' });
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw Object.assign(new Error('Only http and https URLs can be scanned'), { code: 'INVALID_SCAN_SCHEDULE' });
+  }
+
+  const options = body.options !== undefined ? body.options || {} : safeParse(existing?.options, 'options', {});
+  normalizeUrlRules(options.urlRules);
+  normalizeQueryPolicy(options.queryPolicy);
+
+  const toLimit = (value, fallback) => {
+    const parsed = Number.parseInt(value ?? fallback, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+  };
+  const enabled = body.enabled !== undefined ? Boolean(body.enabled) : (existing ? Boolean(existing.enabled) : true);
+  return {
+    ...timing,
+    url: url.toString(),
+    maxPages: toLimit(body.maxPages, existing?.max_pages),
+    maxDepth: toLimit(body.maxDepth, existing?.max_depth),
+    options: JSON.stringify(options),
+    enabled,
+    nextRunAt: enabled ? toScheduleTimestamp(getNextRunAt(timing.cron)) : null,
+  };
+}
+
+async function loadMapScanScheduleAsync(req, res) {
+  const map = await mapStore.getMapForUserAsync(req.params.id, req.user.id);
+  if (!ensureResourceAction({
+    req,
+    res,
+    resource: map,
+    action: permissionPolicy.ACTIONS.MAP_UPDATE,
+    failureError: 'Map not found',
+  })) return null;
+
+  const schedule = await scanScheduleStore.getScanScheduleAsync(req.params.scheduleId);
+  if (!schedule || schedule.map_id !== map.id) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  return { map, schedule };
+}
+
+// GET /api/maps/:id/scan-schedules - Recurring scans attached to a map
+router.get('/maps/:id/scan-schedules', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const map = await mapStore.getMapForUserAsync(id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_UPDATE,
+      failureError: 'Map not found',
+    })) return;
+
+    const schedules = await scanScheduleStore.listScanSchedulesByMapAsync(id);
+    res.json({ schedules: schedules.map(serializeScanSchedule) });
+  } catch (error) {
+    console.error('Get scan schedules error:', error);
+    res.status(500).json({ error: 'Failed to get scan schedules' });
+  }
+});
+
+// POST /api/maps/:id/scan-schedules - Create a daily, weekly or cron schedule (UTC)
+router.post('/maps/:id/scan-schedules', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const map = await mapStore.getMapForUserAsync(id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_UPDATE,
+      failureError: 'Map not found',
+    })) return;
+
+    if (await scanScheduleStore.countScanSchedulesByMapAsync(id) >= MAX_SCAN_SCHEDULES_PER_MAP) {
+      return res.status(409).json({ error: `A map can have at most ${MAX_SCAN_SCHEDULES_PER_MAP} scan schedules` });
+    }
+
+    let input;
+    try {
+      input = resolveScanScheduleInput(req.body || {}, map);
+    } catch (error) {
+      return res.status(400).json({ error: error.message || 'Invalid scan schedule' });
+    }
+
+    const scheduleId = uuidv4();
+    await scanScheduleStore.insertScanScheduleAsync({
+      id: scheduleId,
+      mapId: id,
+      userId: req.user.id,
+      ...input,
+    });
+
+    const saved = await scanScheduleStore.getScanScheduleAsync(scheduleId);
+    res.status(201).json({ schedule: serializeScanSchedule(saved) });
+  } catch (error) {
+    console.error('Create scan schedule error:', error);
+    res.status(500).json({ error: 'Failed to create scan schedule' });
+  }
+});
+
+// PUT /api/maps/:id/scan-schedules/:scheduleId - Change timing or scan settings, pause or resume
+router.put('/maps/:id/scan-schedules/:scheduleId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadMapScanScheduleAsync(req, res);
+    if (!loaded) return;
+
+    let input;
+    try {
+      input = resolveScanScheduleInput(req.body || {}, loaded.map, loaded.schedule);
+    } catch (error) {
+      return res.status(400).json({ error: error.message || 'Invalid scan schedule' });
+    }
+
+    await scanScheduleStore.updateScanScheduleAsync(loaded.schedule.id, input);
+    const saved = await scanScheduleStore.getScanScheduleAsync(loaded.schedule.id);
+    res.json({ schedule: serializeScanSchedule(saved) });
+  } catch (error) {
+    console.error('Update scan schedule error:', error);
+    res.status(500).json({ error: 'Failed to update scan schedule' });
+  }
+});
+
+// DELETE /api/maps/:id/scan-schedules/:scheduleId - Remove a schedule and its run history
+router.delete('/maps/:id/scan-schedules/:scheduleId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadMapScanScheduleAsync(req, res);
+    if (!loaded) return;
+
+    await scanScheduleStore.deleteScanScheduleAsync(loaded.schedule.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete scan schedule error:', error);
+    res.status(500).json({ error: 'Failed to delete scan schedule' });
+  }
+});
+
+// GET /api/maps/:id/scan-schedules/:scheduleId/runs - Run history with change counts, newest first
+router.get('/maps/:id/scan-schedules/:scheduleId/runs', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadMapScanScheduleAsync(req, res);
+    if (!loaded) return;
+
+    const runs = await scanScheduleStore.listScanScheduleRunsAsync(loaded.schedule.id, SCAN_SCHEDULE_RUNS_LISTED);
+    res.json({ runs: runs.map(serializeScanScheduleRun) });
+  } catch (error) {
+    console.error('Get scan schedule runs error:', error);
+    res.status(500).json({ error: 'Failed to get scan schedule runs' });
+  }
+});
+
+// GET /api/maps/:id/scan-schedules/:scheduleId/runs/:runId - One run with its full change list
+router.get('/maps/:id/scan-schedules/:scheduleId/runs/:runId', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadMapScanScheduleAsync(req, res);
+    if (!loaded) return;
+
+    const run = await scanScheduleStore.getScanScheduleRunAsync(req.params.runId);
+    if (!run || run.schedule_id !== loaded.schedule.id) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ run: serializeScanScheduleRun(run) });
+  } catch (error) {
+    console.error('Get scan schedule run error:', error);
+    res.status(500).json({ error: 'Failed to get scan schedule run' });
+  }
+});
+
+// ============================================
+// LINK GATE BASELINES
+// ============================================
+
+// GET /api/maps/:id/link-gate-baseline - Broken links that link gate scans of this map tolerate
+router.get('/maps/:id/link-gate-baseline', requireAuth, async (req, res) => {
+  try {
+    const map = await mapStore.getMapForUserAsync(req.params.id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_READ,
+      failureError: 'Map not found',
+    })) return;
+
+    const row = await linkGateStore.getLinkGateBaselineAsync(map.id);
+    if (!row) return res.status(404).json({ error: 'No link gate baseline' });
+
+    let links = [];
+    try {
+      links = JSON.parse(row.links);
+    } catch {
+      links = [];
+    }
+    res.json({
+      baseline: {
+        map_id: row.map_id,
+        job_id: row.job_id,
+        created_at: fromScheduleTimestamp(row.created_at),
+        link_count: links.length,
+        links: links.map(({ key, ...link }) => link),
+      },
+    });
+  } catch (error) {
+    console.error('Get link gate baseline error:', error);
+    res.status(500).json({ error: 'Failed to get link gate baseline' });
+  }
+});
+
+// DELETE /api/maps/:id/link-gate-baseline - The next gate scan records a new baseline
+router.delete('/maps/:id/link-gate-baseline', requireAuth, async (req, res) => {
+  try {
+    const map = await mapStore.getMapForUserAsync(req.params.id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_UPDATE,
+      failureError: 'Map not found',
+    })) return;
+
+    await linkGateStore.deleteLinkGateBaselineAsync(map.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete link gate baseline error:', error);
+    res.status(500).json({ error: 'Failed to delete link gate baseline' });
+  }
+});
+
+// ============================================
+// LINK GRAPHS
+// ============================================
+
+// Linked pages listed per direction; `counts` has the totals.
+const MAX_LINK_GRAPH_EDGES_LISTED = 500;
+
+function serializeLinkGraph(row) {
+  return {
+    id: row.id,
+    map_id: row.map_id || null,
+    root_url: row.root_url,
+    page_count: Number(row.page_count) || 0,
+    edge_count: Number(row.edge_count) || 0,
+    truncated: Boolean(row.truncated),
+    created_at: fromScheduleTimestamp(row.created_at),
+  };
+}
+
+// GET /api/maps/:id/link-graph - Newest link graph recorded for this map
+router.get('/maps/:id/link-graph', requireAuth, async (req, res) => {
+  try {
+    const map = await mapStore.getMapForUserAsync(req.params.id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_READ,
+      failureError: 'Map not found',
+    })) return;
+
+    const row = await linkGraphStore.getLatestLinkGraphForMapAsync(map.id);
+    if (!row) return res.status(404).json({ error: 'No link graph' });
+    res.json({ graph: serializeLinkGraph(row) });
+  } catch (error) {
+    console.error('Get map link graph error:', error);
+    res.status(500).json({ error: 'Failed to get link graph' });
+  }
+});
+
+// PUT /api/maps/:id/link-graph - Attach the link graph of one of the user's scans saved as this map
+router.put('/maps/:id/link-graph', requireAuth, async (req, res) => {
+  try {
+    const map = await mapStore.getMapForUserAsync(req.params.id, req.user.id);
+    if (!ensureResourceAction({
+      req,
+      res,
+      resource: map,
+      action: permissionPolicy.ACTIONS.MAP_UPDATE,
+      failureError: 'Map not found',
+    })) return;
+
+    const graphId = typeof req.body?.graphId === 'string' ? req.body.graphId : '';
+    const row = graphId ? await linkGraphStore.getLinkGraphAsync(graphId) : null;
+    if (!row || row.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Link graph not found' });
+    }
+
+    await linkGraphStore.attachLinkGraphToMapAsync(row.id, map.id);
+    await linkGraphStore.pruneLinkGraphsAsync({ mapId: map.id, keep: LINK_GRAPHS_KEPT });
+    res.json({ graph: serializeLinkGraph({ ...row, map_id: map.id }) });
+  } catch (error) {
+    console.error('Attach map link graph error:', error);
+    res.status(500).json({ error: 'Failed to attach link graph' });
+  }
+});
+
+// GET /api/link-graphs/:id/links?url= - Pages linking to and linked from one page
+router.get('/link-graphs/:id/links', requireAuth, async (req, res) => {
+  try {
+    const row = await linkGraphStore.getLinkGraphAsync(req.params.id);
+    if (!row) return res.status(404).json({ error: 'Link graph not found' });
+    if (row.user_id !== req.user.id) {
+      // A map's graphs are readable by whoever can read the map.
+      const map = row.map_id ? await mapStore.getMapForUserAsync(row.map_id, req.user.id) : null;
+      if (!ensureResourceAction({
+        req,
+        res,
+        resource: map,
+        action: permissionPolicy.ACTIONS.MAP_READ,
+        failureError: 'Link graph not found',
+      })) return;
+    }
+
+    const url = typeof req.query.url === 'string' ? req.query.url.trim() : '';
+    if (!url) return res.status(400).json({ error: 'url is required' });
+
+    const [inboundEdges, outboundEdges, inboundCount, outboundCount] = await Promise.all([
+      linkGraphStore.listLinkGraphEdgesAsync(row.id, { targetUrl: url, limit: MAX_LINK_GRAPH_EDGES_LISTED }),
+      linkGraphStore.listLinkGraphEdgesAsync(row.id, { sourceUrl: url, limit: MAX_LINK_GRAPH_EDGES_LISTED }),
+      linkGraphStore.countLinkGraphEdgesAsync(row.id, { targetUrl: url }),
+      linkGraphStore.countLinkGraphEdgesAsync(row.id, { sourceUrl: url }),
+    ]);
+    const toEdge = (edge) => ({
+      source: edge.source_url,
+      target: edge.target_url,
+      position: edge.position,
+      text: edge.anchor_text,
+      occurrences: Number(edge.occurrences) || 1,
+    });
+
+    res.json({
+      graph: serializeLinkGraph(row),
+      url,
+      inbound: summarizeLinkedPages(inboundEdges.map(toEdge), 'source'),
+      outbound: summarizeLinkedPages(outboundEdges.map(toEdge), 'target'),
+      counts: { inbound: inboundCount, outbound: outboundCount },
+    });
+  } catch (error) {
+    console.error('Get link graph links error:', error);
+    res.status(500).json({ error: 'Failed to get links' });
+  }
+});
+
 // ============================================
 // SCAN HISTORY
 // ============================================
@@ -2,10 +2,23 @@
  * Authentication routes for Map Mat
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const authStore = require('../stores/authStore');
+const accessTokenStore = require('../stores/accessTokenStore');
+const usageStore = require('../stores/usageStore');
+const {
+  hashAccessToken,
+  isAccessToken,
+  generateAccessToken,
+  normalizeAccessTokenInput,
+  parseAccessTokenScopes,
+  getAccessTokenInactiveReason,
+  resolveAccessTokenScope,
+  hasAccessTokenScope,
+} = require('../utils/accessTokens');
 
 const router = express.Router();
 
@@ -61,6 +74,12 @@ const AUTH_SIGNUP_RATE_LIMIT = Number(
 const AUTH_PROFILE_RATE_LIMIT = Number(
   process.env.AUTH_PROFILE_RATE_LIMIT ?? (isProd ? 50 : 150)
 );
+// Personal access tokens are rate-limited per token rather than per IP, since CI runners share IPs.
+const ACCESS_TOKEN_RATE_WINDOW_MS = Number(process.env.ACCESS_TOKEN_RATE_WINDOW_MS ?? 60 * 1000);
+const ACCESS_TOKEN_RATE_LIMIT = Number(process.env.ACCESS_TOKEN_RATE_LIMIT ?? 120);
+const MAX_ACCESS_TOKENS_PER_USER = Number(process.env.MAX_ACCESS_TOKENS_PER_USER ?? 20);
+// last_used_at is informational, so it is written at most this often per token.
+const ACCESS_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
 
 function normalizeEmail(email) {
   return String(email || '').trim().toLowerCase();
@@ -286,10 +305,138 @@ async function authenticateRequestAsync(req) {
   }
 }
 
+const accessTokenHits = new Map();
+const accessTokenTouchedAt = new Map();
+let accessTokenLastSweep = Date.now();
+
+// Fixed-window counter per token id. Returns seconds to wait, or 0 when the request may go ahead.
+function consumeAccessTokenRate(tokenId, now = Date.now()) {
+  const windowMs = Number.isFinite(ACCESS_TOKEN_RATE_WINDOW_MS) && ACCESS_TOKEN_RATE_WINDOW_MS > 0
+    ? ACCESS_TOKEN_RATE_WINDOW_MS
+    : 60 * 1000;
+  const max = Number.isFinite(ACCESS_TOKEN_RATE_LIMIT) && ACCESS_TOKEN_RATE_LIMIT > 0
+    ? ACCESS_TOKEN_RATE_LIMIT
+    : 120;
+
+  if (now - accessTokenLastSweep >= windowMs) {
+    accessTokenLastSweep = now;
+    for (const [key, bucket] of accessTokenHits.entries()) {
+      if (now - bucket.start >= windowMs) accessTokenHits.delete(key);
+    }
+  }
+
+  const entry = accessTokenHits.get(tokenId);
+  if (!entry || now - entry.start >= windowMs) {
+    accessTokenHits.set(tokenId, { start: now, count: 1 });
+    return 0;
+  }
+  if (entry.count >= max) {
+    return Math.max(1, Math.ceil((entry.start + windowMs - now) / 1000));
+  }
+  entry.count += 1;
+  return 0;
+}
+
+function recordAccessTokenUse(req, token, path) {
+  const now = Date.now();
+  const ip = getClientIp(req);
+  usageStore.insertUsageEventAsync({
+    id: crypto.randomUUID(),
+    userId: token.user_id,
+    accessTokenId: token.id,
+    ipHash: ip ? crypto.createHash('sha256').update(ip).digest('hex') : null,
+    eventType: 'api_request',
+    quantity: 1,
+    meta: { method: req.method, path },
+  }).catch((error) => {
+    console.warn('Access token usage record error:', error.message);
+  });
+
+  if (now - (accessTokenTouchedAt.get(token.id) || 0) < ACCESS_TOKEN_TOUCH_INTERVAL_MS) return;
+  accessTokenTouchedAt.set(token.id, now);
+  accessTokenStore.touchAccessTokenAsync(token.id, new Date(now).toISOString()).catch((error) => {
+    console.warn('Access token touch error:', error.message);
+  });
+}
+
+// Authenticates a `Bearer mm_pat_...` request. Unlike session auth, a bad token is rejected outright
+// instead of falling back to anonymous, and the route must be one tokens may call with their scopes.
+async function authenticateAccessTokenAsync(req, res, rawToken) {
+  const path = String(req.originalUrl || req.url || '').split('?')[0];
+  const token = await accessTokenStore.getAccessTokenByHashAsync(hashAccessToken(rawToken));
+  const inactiveReason = getAccessTokenInactiveReason(token);
+  if (inactiveReason) {
+    logSecurityEvent('access_token_rejected', {
+      reason: inactiveReason,
+      tokenId: token?.id || null,
+      ip: getClientIp(req),
+      method: req.method,
+      path,
+    });
+    res.status(401).json({ error: 'Invalid, expired or revoked access token' });
+    return false;
+  }
+
+  const scopes = parseAccessTokenScopes(token.scopes);
+  const required = resolveAccessTokenScope(req.method, path);
+  if (!required) {
+    res.status(403).json({ error: 'This endpoint cannot be used with an access token' });
+    return false;
+  }
+  if (!hasAccessTokenScope(scopes, required.scope)) {
+    res.status(403).json({ error: `Access token is missing the ${required.scope} scope`, scope: required.scope });
+    return false;
+  }
+
+  const retryAfterSec = consumeAccessTokenRate(token.id);
+  if (retryAfterSec) {
+    res.set('Retry-After', String(retryAfterSec));
+    logSecurityEvent('access_token_rate_limit_blocked', {
+      tokenId: token.id,
+      method: req.method,
+      path,
+      max: ACCESS_TOKEN_RATE_LIMIT,
+      windowMs: ACCESS_TOKEN_RATE_WINDOW_MS,
+    });
+    res.status(429).json({ error: 'Rate limit exceeded for this access token' });
+    return false;
+  }
+
+  const user = await authStore.getPublicUserByIdAsync(token.user_id);
+  if (!user) {
+    res.status(401).json({ error: 'Invalid, expired or revoked access token' });
+    return false;
+  }
+
+  req.user = user;
+  req.accessToken = {
+    id: token.id,
+    name: token.name,
+    scopes,
+    expiresAt: token.expires_at,
+  };
+  recordAccessTokenUse(req, token, path);
+  return true;
+}
+
 // Auth middleware - attaches user to request if authenticated
 async function authMiddleware(req, res, next) {
+  // Routers mounted on the same prefix each run this; a token is checked and counted once.
+  if (req.accessToken) return next();
+
+  const bearerToken = extractBearerToken(req);
+  if (isAccessToken(bearerToken)) {
+    try {
+      if (!(await authenticateAccessTokenAsync(req, res, bearerToken))) return undefined;
+    } catch (error) {
+      console.error('Access token auth error:', error);
+      return res.status(500).json({ error: 'Failed to authenticate access token' });
+    }
+    return next();
+  }
+
   req.user = await authenticateRequestAsync(req);
-  next();
+  return next();
 }
 
 // Require auth middleware - returns 401 if not authenticated
@@ -428,6 +575,7 @@ router.get('/me', authMiddleware, (req, res) => {
       name: req.user.name,
       createdAt: req.user.created_at,
     },
+    accessToken: req.accessToken || undefined,
   });
 });
 
@@ -506,4 +654,85 @@ router.delete('/me', authMiddleware, requireAuth, profileMutationLimiter, async
   }
 });
 
+function serializeAccessToken(row) {
+  const inactiveReason = getAccessTokenInactiveReason(row);
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: parseAccessTokenScopes(row.scopes),
+    status: inactiveReason || 'active',
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at || null,
+    revokedAt: row.revoked_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+// GET /auth/tokens - Personal access tokens of the current user (never the secrets)
+router.get('/tokens', authMiddleware, requireAuth, async (req, res) => {
+  try {
+    const rows = await accessTokenStore.listAccessTokensByUserAsync(req.user.id);
+    res.json({ tokens: rows.map(serializeAccessToken) });
+  } catch (error) {
+    console.error('List access tokens error:', error);
+    res.status(500).json({ error: 'Failed to list access tokens' });
+  }
+});
+
+// POST /auth/tokens - Issue a scoped token; the plaintext is only returned here
+router.post('/tokens', authMiddleware, requireAuth, profileMutationLimiter, async (req, res) => {
+  try {
+    let input;
+    try {
+      input = normalizeAccessTokenInput(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message || 'Invalid access token' });
+    }
+
+    const active = await accessTokenStore.countActiveAccessTokensByUserAsync(
+      req.user.id,
+      new Date().toISOString()
+    );
+    if (active >= MAX_ACCESS_TOKENS_PER_USER) {
+      return res.status(409).json({ error: `You can have at most ${MAX_ACCESS_TOKENS_PER_USER} active access tokens` });
+    }
+
+    const { token, tokenHash, tokenPrefix } = generateAccessToken();
+    const id = crypto.randomUUID();
+    await accessTokenStore.insertAccessTokenAsync({
+      id,
+      userId: req.user.id,
+      name: input.name,
+      tokenHash,
+      tokenPrefix,
+      scopes: input.scopes,
+      expiresAt: input.expiresAt,
+    });
+
+    const saved = await accessTokenStore.getAccessTokenAsync(id);
+    res.status(201).json({ accessToken: serializeAccessToken(saved), token });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Failed to create access token' });
+  }
+});
+
+// DELETE /auth/tokens/:id - Revoke a token; it stops working immediately
+router.delete('/tokens/:id', authMiddleware, requireAuth, profileMutationLimiter, async (req, res) => {
+  try {
+    const row = await accessTokenStore.getAccessTokenAsync(req.params.id);
+    if (!row || row.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    await accessTokenStore.revokeAccessTokenAsync(row.id, new Date().toISOString());
+    const saved = await accessTokenStore.getAccessTokenAsync(row.id);
+    res.json({ accessToken: serializeAccessToken(saved) });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Failed to revoke access token' });
+  }
+});
+
 module.exports = { router, authMiddleware, requireAuth, authenticateRequestAsync };
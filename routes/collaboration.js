@@ -6,6 +6,8 @@ const mapStore = require('../stores/mapStore');
 const authStore = require('../stores/authStore');
 const collaborationStore = require('../stores/collaborationStore');
 const permissionPolicy = require('../policies/permissionPolicy');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { emitMapWebhookEvent } = require('../utils/webhookEvents');
 
 const router = express.Router();
 
@@ -294,6 +296,16 @@ router.post('/collaboration/invites/:token/accept', async (req, res) => {
       collaborationStore.getMembershipByMapAndUserAsync(invite.map_id, req.user.id),
     ]);
 
+    emitMapWebhookEvent(map, WEBHOOK_EVENTS.INVITE_ACCEPTED, {
+      invite: {
+        id: invite.id,
+        role: invite.role,
+        inviteeEmail: invite.invitee_email,
+        invitedByUserId: invite.inviter_user_id,
+      },
+      member: { id: req.user.id, name: req.user.name || null, email: req.user.email },
+    });
+
     res.json({
       success: true,
       invite: serializeInvite(acceptedInvite),
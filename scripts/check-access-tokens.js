@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  ACCESS_TOKEN_PREFIX,
+  ACCESS_TOKEN_SCOPES,
+  MAX_ACCESS_TOKEN_TTL_DAYS,
+  hashAccessToken,
+  isAccessToken,
+  generateAccessToken,
+  normalizeAccessTokenInput,
+  parseAccessTokenScopes,
+  getAccessTokenInactiveReason,
+  resolveAccessTokenScope,
+  hasAccessTokenScope,
+} = require('../utils/accessTokens');
+
+const { MAPS_READ, MAPS_WRITE, SCANS_RUN } = ACCESS_TOKEN_SCOPES;
+
+function expectInvalid(fn, pattern) {
+  assert.throws(fn, (error) => error.code === 'INVALID_ACCESS_TOKEN' && pattern.test(error.message));
+}
+
+function checkGenerate() {
+  const first = generateAccessToken();
+  const second = generateAccessToken();
+  assert.ok(first.token.startsWith(ACCESS_TOKEN_PREFIX));
+  assert.ok(isAccessToken(first.token));
+  assert.ok(!isAccessToken('eyJhbGciOiJIUzI1NiJ9.payload.sig'), 'session JWTs are not access tokens');
+  assert.ok(!isAccessToken(null));
+  assert.notStrictEqual(first.token, second.token);
+  assert.strictEqual(first.tokenHash, hashAccessToken(first.token));
+  assert.ok(first.token.startsWith(first.tokenPrefix));
+  assert.ok(first.tokenPrefix.length < first.token.length - 20, 'the display prefix does not reveal the secret');
+}
+
+function checkInput() {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const input = normalizeAccessTokenInput({ name: ' CI ', scopes: [SCANS_RUN, MAPS_READ] }, now);
+  assert.strictEqual(input.name, 'CI');
+  assert.deepStrictEqual(input.scopes, [MAPS_READ, SCANS_RUN], 'scopes are kept in canonical order');
+  assert.strictEqual(input.expiresAt, '2026-01-31T00:00:00.000Z', 'tokens expire after 30 days by default');
+  assert.strictEqual(
+    normalizeAccessTokenInput({ name: 'a', scopes: [MAPS_WRITE], expiresInDays: '7' }, now).expiresAt,
+    '2026-01-08T00:00:00.000Z'
+  );
+
+  expectInvalid(() => normalizeAccessTokenInput({ scopes: [MAPS_READ] }), /name is required/);
+  expectInvalid(() => normalizeAccessTokenInput({ name: 'a', scopes: [] }), /at least one scope/);
+  expectInvalid(() => normalizeAccessTokenInput({ name: 'a', scopes: ['admin'] }), /Unknown scope: admin/);
+  expectInvalid(() => normalizeAccessTokenInput({ name: 'a', scopes: [MAPS_READ], expiresInDays: 0 }), /Expiry/);
+  expectInvalid(() => normalizeAccessTokenInput({
+    name: 'a',
+    scopes: [MAPS_READ],
+    expiresInDays: MAX_ACCESS_TOKEN_TTL_DAYS + 1,
+  }), /Expiry/);
+
+  assert.deepStrictEqual(parseAccessTokenScopes('maps:read,bogus,scans:run'), [MAPS_READ, SCANS_RUN]);
+}
+
+function checkLifecycle() {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const row = { expires_at: '2026-02-01T00:00:00.000Z', revoked_at: null };
+  assert.strictEqual(getAccessTokenInactiveReason(row, now), null);
+  assert.strictEqual(getAccessTokenInactiveReason({ ...row, revoked_at: '2026-01-01T00:00:00Z' }, now), 'revoked');
+  assert.strictEqual(getAccessTokenInactiveReason(row, new Date('2026-02-01T00:00:00Z')), 'expired');
+  assert.strictEqual(getAccessTokenInactiveReason({ ...row, expires_at: null }, now), 'expired');
+  assert.strictEqual(getAccessTokenInactiveReason(null, now), 'unknown');
+}
+
+function checkScopes() {
+  const scopeFor = (method, path) => resolveAccessTokenScope(method, path)?.scope;
+
+  assert.strictEqual(scopeFor('GET', '/api/maps'), MAPS_READ);
+  assert.strictEqual(scopeFor('GET', '/api/maps/abc?include=all'), MAPS_READ);
+  assert.strictEqual(scopeFor('POST', '/api/maps'), MAPS_WRITE);
+  assert.strictEqual(scopeFor('PUT', '/api/maps/abc/'), MAPS_WRITE);
+  assert.strictEqual(scopeFor('POST', '/api/maps/abc/versions'), MAPS_WRITE);
+  assert.strictEqual(scopeFor('DELETE', '/api/projects/p1'), MAPS_WRITE);
+  assert.strictEqual(scopeFor('GET', '/api/maps/abc/scan-schedules/s1/runs'), MAPS_READ);
+  assert.strictEqual(scopeFor('POST', '/api/maps/abc/scan-schedules'), SCANS_RUN);
+  assert.strictEqual(scopeFor('GET', '/api/maps/abc/link-gate-baseline'), MAPS_READ);
+  assert.strictEqual(scopeFor('DELETE', '/api/maps/abc/link-gate-baseline'), SCANS_RUN);
+  assert.strictEqual(scopeFor('GET', '/link-gate-jobs/j1'), SCANS_RUN);
+  assert.strictEqual(scopeFor('GET', '/api/maps/abc/link-graph'), MAPS_READ);
+  assert.strictEqual(scopeFor('PUT', '/api/maps/abc/link-graph'), MAPS_WRITE);
+  assert.strictEqual(scopeFor('GET', '/api/link-graphs/g1/links?url=x'), MAPS_READ);
+  assert.strictEqual(resolveAccessTokenScope('DELETE', '/api/link-graphs/g1/links'), null);
+  assert.strictEqual(scopeFor('POST', '/scan-jobs'), SCANS_RUN);
+  assert.strictEqual(scopeFor('GET', '/scan-jobs/j1/stream'), SCANS_RUN);
+  assert.strictEqual(scopeFor('GET', '/scan-stream?url=x'), SCANS_RUN);
+  assert.strictEqual(scopeFor('POST', '/export-jobs'), MAPS_READ);
+  assert.deepStrictEqual(resolveAccessTokenScope('GET', '/auth/me'), { scope: null });
+
+  // Session-only routes: tokens cannot mint tokens, read stored credentials or manage shares.
+  assert.strictEqual(resolveAccessTokenScope('POST', '/auth/tokens'), null);
+  assert.strictEqual(resolveAccessTokenScope('PUT', '/auth/me'), null);
+  assert.strictEqual(resolveAccessTokenScope('GET', '/api/maps/abc/scan-auth'), null);
+  assert.strictEqual(resolveAccessTokenScope('POST', '/api/shares'), null);
+  assert.strictEqual(resolveAccessTokenScope('GET', '/api/admin/usage'), null);
+  assert.strictEqual(resolveAccessTokenScope('GET', '/api/maps/abc/members'), null);
+
+  assert.ok(hasAccessTokenScope([MAPS_WRITE], MAPS_READ), 'write implies read');
+  assert.ok(!hasAccessTokenScope([MAPS_READ], MAPS_WRITE));
+  assert.ok(!hasAccessTokenScope([MAPS_WRITE], SCANS_RUN));
+  assert.ok(hasAccessTokenScope([SCANS_RUN], null));
+}
+
+function main() {
+  checkGenerate();
+  checkInput();
+  checkLifecycle();
+  checkScopes();
+  console.log('[access-tokens] Passed. Token generation, input validation, expiry and scopes are consistent.');
+}
+
+main();
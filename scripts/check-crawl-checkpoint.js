@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  CRAWL_CHECKPOINT_VERSION,
+  getCrawlCheckpointKey,
+  buildCrawlCheckpoint,
+  restoreCrawlCheckpoint,
+} = require('../utils/crawlCheckpoint');
+
+const KEY_INPUT = { url: 'https://example.com/', maxPages: 100, maxDepth: 3, options: { files: true } };
+
+function buildSampleState(pending) {
+  return {
+    key: getCrawlCheckpointKey(KEY_INPUT),
+    queue: [
+      { url: 'https://example.com/', depth: 0 },
+      { url: 'https://example.com/a', depth: 1 },
+      { url: 'https://example.com/b', depth: 1 },
+      { url: 'https://example.com/c', depth: 2 },
+    ],
+    queueIndex: 4,
+    discoveryCounter: 4,
+    visited: new Map([
+      ['https://example.com/', 0],
+      ['https://example.com/a', 1],
+      ['https://example.com/b', 2],
+      ['https://example.com/c', 3],
+    ]),
+    pending,
+    referrerMap: new Map([['https://example.com/c', 'https://example.com/a']]),
+    pageMap: new Map([
+      ['https://example.com/', { url: 'https://example.com/', title: 'Home', discoveryIndex: 0 }],
+      ['https://example.com/a', { url: 'https://example.com/a', title: 'A', discoveryIndex: 1 }],
+    ]),
+    linksByUrl: new Map([['https://example.com/a', ['https://example.com/c']]]),
+    linkGraphByUrl: new Map([
+      ['https://example.com/a', [{ target: 'https://example.com/c', position: 'nav', text: 'C', occurrences: 1 }]],
+    ]),
+    discoverySourceByUrl: new Map([['https://example.com/c', 'crawl']]),
+    linkEdges: [
+      ['https://example.com/', 'https://example.com/a'],
+      ['https://example.com/', 'https://example.com/b'],
+      ['https://example.com/a', 'https://example.com/b'],
+    ],
+    sitemapOrder: new Map([['https://example.com/b', 0]]),
+    errors: [],
+    inactivePages: [],
+    brokenLinks: [{ url: 'https://example.com/gone', status: 404 }],
+    files: [],
+    redirects: [{ url: 'https://example.com/old', finalUrl: 'https://example.com/a', status: 200, hops: [] }],
+    linkStatusCache: new Map([['https://example.com/gone', 404], ['https://example.com/slow', null]]),
+    brokenChecks: 2,
+    robotsBlocked: [{ url: 'https://example.com/private', sourceUrl: null, rule: '/private' }],
+    urlRules: { verdicts: [['https://example.com/tag/x', 0, 0]] },
+  };
+}
+
+function checkKey() {
+  const key = getCrawlCheckpointKey(KEY_INPUT);
+  assert.strictEqual(key, getCrawlCheckpointKey({ ...KEY_INPUT }));
+  assert.notStrictEqual(key, getCrawlCheckpointKey({ ...KEY_INPUT, maxPages: 101 }));
+  assert.notStrictEqual(key, getCrawlCheckpointKey({ ...KEY_INPUT, options: { files: false } }));
+}
+
+function checkPendingRollback() {
+  const pending = [
+    { url: 'https://example.com/b', queuePos: 2, discoveryIndex: 2 },
+    { url: 'https://example.com/c', queuePos: 3, discoveryIndex: 3 },
+  ];
+  const checkpoint = buildCrawlCheckpoint(buildSampleState(pending));
+  assert.strictEqual(checkpoint.v, CRAWL_CHECKPOINT_VERSION);
+  assert.strictEqual(checkpoint.queueIndex, 2, 'resume point is the first pending page');
+  assert.strictEqual(checkpoint.discoveryCounter, 2);
+  assert.deepStrictEqual(
+    checkpoint.visited.map(([url]) => url),
+    ['https://example.com/', 'https://example.com/a'],
+    'pending pages are no longer visited'
+  );
+  assert.deepStrictEqual(checkpoint.linkStatuses, [['https://example.com/gone', 404]], 'unfinished checks are dropped');
+
+  const idle = buildCrawlCheckpoint(buildSampleState([]));
+  assert.strictEqual(idle.queueIndex, 4);
+  assert.strictEqual(idle.visited.length, 4);
+}
+
+function checkRoundTrip() {
+  const state = buildSampleState([{ url: 'https://example.com/c', queuePos: 3, discoveryIndex: 3 }]);
+  const raw = JSON.stringify(buildCrawlCheckpoint(state));
+  const restored = restoreCrawlCheckpoint(raw, state.key);
+  assert.ok(restored);
+  assert.deepStrictEqual(restored.queue, state.queue);
+  assert.strictEqual(restored.queueIndex, 3);
+  assert.strictEqual(restored.visited.get('https://example.com/b'), 2);
+  assert.strictEqual(restored.visited.has('https://example.com/c'), false);
+  assert.strictEqual(restored.pageMap.get('https://example.com/a').title, 'A');
+  assert.strictEqual(restored.referrerMap.get('https://example.com/c'), 'https://example.com/a');
+  assert.strictEqual(restored.linksInCounts.get('https://example.com/b'), 2, 'incoming link counts are rebuilt from edges');
+  assert.strictEqual(restored.linkStatusCache.has('https://example.com/slow'), false);
+  assert.strictEqual(restored.brokenChecks, 1, 'unfinished checks do not count against the check budget');
+  assert.deepStrictEqual(restored.robotsBlocked, state.robotsBlocked);
+  assert.deepStrictEqual(restored.redirects, state.redirects);
+  assert.deepStrictEqual(restored.urlRules, state.urlRules);
+  assert.deepStrictEqual(restored.linkGraphByUrl, state.linkGraphByUrl);
+}
+
+function checkMismatch() {
+  const state = buildSampleState([]);
+  const raw = JSON.stringify(buildCrawlCheckpoint(state));
+  assert.strictEqual(restoreCrawlCheckpoint(raw, getCrawlCheckpointKey({ ...KEY_INPUT, maxDepth: 4 })), null);
+  assert.strictEqual(restoreCrawlCheckpoint('{not json', state.key), null);
+  assert.strictEqual(restoreCrawlCheckpoint(JSON.stringify({ ...JSON.parse(raw), v: 0 }), state.key), null);
+  assert.strictEqual(restoreCrawlCheckpoint(null, state.key), null);
+}
+
+function main() {
+  checkKey();
+  checkPendingRollback();
+  checkRoundTrip();
+  checkMismatch();
+  console.log('[crawl-checkpoint] Passed. Checkpoint keys, pending rollback, round-trip and mismatch handling verified.');
+}
+
+main();
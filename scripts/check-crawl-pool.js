@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const { createHostThrottle, mapWithConcurrency } = require('../utils/crawlPool');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function checkHostThrottle() {
+  let clock = 1000;
+  const throttle = createHostThrottle({ minGapMs: 200, now: () => clock });
+
+  assert.strictEqual(throttle.reserve('a.example'), 0, 'first request to a host is immediate');
+  assert.strictEqual(throttle.reserve('a.example'), 200);
+  assert.strictEqual(throttle.reserve('a.example'), 400, 'queued callers are spaced by the gap');
+  assert.strictEqual(throttle.reserve('b.example'), 0, 'hosts are throttled independently');
+  assert.strictEqual(throttle.reserve('b.example', 1000), 1000, 'a larger per-call gap wins');
+
+  clock += 5000;
+  assert.strictEqual(throttle.reserve('a.example'), 0, 'an idle host is available again');
+}
+
+async function checkMapWithConcurrency() {
+  let active = 0;
+  let peak = 0;
+  const delays = [30, 5, 20, 1, 10, 2];
+  const results = await mapWithConcurrency(delays, 3, async (delay, index) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await sleep(delay);
+    active -= 1;
+    return `${index}:${delay}`;
+  });
+
+  assert.deepStrictEqual(results, delays.map((delay, index) => `${index}:${delay}`), 'results keep input order');
+  assert.ok(peak <= 3, `concurrency limit exceeded: ${peak}`);
+  assert.ok(peak > 1, 'work should overlap');
+
+  assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  assert.deepStrictEqual(await mapWithConcurrency([1, 2], 0, async (n) => n * 2), [2, 4], 'limit is at least 1');
+}
+
+async function main() {
+  checkHostThrottle();
+  await checkMapWithConcurrency();
+  console.log('[crawl-pool] Passed. Host throttle spacing and ordered bounded concurrency verified.');
+}
+
+main().catch((error) => {
+  console.error('[crawl-pool] Failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  normalizeHreflangCode,
+  analyzeHreflang,
+  annotateHreflangNodes,
+  groupLanguageVariants,
+} = require('../utils/hreflang');
+
+const SITE = 'https://example.com';
+const getKey = (url) => url.replace(/\/$/, '');
+
+const alternatesFor = (map) => Object.entries(map).map(([hreflang, path]) => ({ hreflang, url: `${SITE}${path}` }));
+const page = (path, alternates = {}, httpStatus = 200) => ({
+  url: `${SITE}${path}`,
+  finalUrl: `${SITE}${path}`,
+  httpStatus,
+  alternates: alternatesFor(alternates),
+});
+const node = (path, children = []) => ({ id: path, url: `${SITE}${path}`, title: path, children });
+
+const HOME = { 'x-default': '/', en: '/en/', de: '/de/' };
+const ABOUT = { en: '/en/about', de: '/de/about' };
+
+function checkCodes() {
+  assert.strictEqual(normalizeHreflangCode('en'), 'en');
+  assert.strictEqual(normalizeHreflangCode(' en-GB '), 'en-gb');
+  assert.strictEqual(normalizeHreflangCode('zh-Hant-TW'), 'zh-hant-tw');
+  assert.strictEqual(normalizeHreflangCode('es-419'), 'es-419');
+  assert.strictEqual(normalizeHreflangCode('X-Default'), 'x-default');
+  assert.strictEqual(normalizeHreflangCode('en_US'), null);
+  assert.strictEqual(normalizeHreflangCode('english'), null);
+  assert.strictEqual(normalizeHreflangCode(''), null);
+}
+
+function checkAnalysis() {
+  const analysis = analyzeHreflang({
+    getKey,
+    pages: [
+      page('/', HOME),
+      page('/en/', HOME),
+      page('/de/', HOME),
+      page('/en/about', { ...ABOUT, fr: '/fr/about', it: '/it/about' }),
+      // No return link to /en/about and no self-reference.
+      page('/de/about', { en_US: '/en/about' }),
+      page('/fr/about', {}, 404),
+      page('/contact'),
+    ],
+  });
+
+  assert.strictEqual(analysis.summary.annotatedPages, 5);
+  assert.strictEqual(analysis.summary.groups, 2);
+  assert.strictEqual(analysis.summary.unverified, 1, '/it/about was never crawled');
+
+  const home = analysis.groupByKey.get(getKey(`${SITE}/`));
+  assert.deepStrictEqual(
+    home.members.map(({ url, lang, isDefault }) => [url, lang, isDefault]).sort(),
+    [
+      [`${SITE}/`, 'x-default', true],
+      [`${SITE}/de/`, 'de', false],
+      [`${SITE}/en/`, 'en', false],
+    ]
+  );
+  assert.strictEqual(analysis.issuesByKey.has(getKey(`${SITE}/en/`)), false, 'a complete cluster has no issues');
+
+  const enAbout = analysis.issuesByKey.get(getKey(`${SITE}/en/about`));
+  assert.deepStrictEqual(enAbout.map((issue) => issue.type).sort(), ['brokenTarget', 'missingReturn']);
+  assert.strictEqual(enAbout.find((issue) => issue.type === 'missingReturn').url, `${SITE}/de/about`);
+
+  const deAbout = analysis.issuesByKey.get(getKey(`${SITE}/de/about`));
+  assert.deepStrictEqual(deAbout.map((issue) => issue.type).sort(), ['invalidCode', 'missingSelf']);
+  const aboutGroup = analysis.groupByKey.get(getKey(`${SITE}/de/about`));
+  assert.strictEqual(aboutGroup.members.find((member) => member.url === `${SITE}/de/about`).lang, 'de');
+
+  assert.deepStrictEqual(analysis.summary.issues, {
+    invalidCode: 1,
+    missingSelf: 1,
+    missingReturn: 1,
+    brokenTarget: 1,
+  });
+  assert.strictEqual(analysis.groupByKey.has(getKey(`${SITE}/contact`)), false);
+}
+
+function checkGrouping() {
+  const analysis = analyzeHreflang({
+    getKey,
+    pages: [
+      page('/', HOME),
+      page('/en/', HOME),
+      page('/de/', HOME),
+      page('/en/about', ABOUT),
+      page('/de/about', ABOUT),
+      page('/en/team', { en: '/en/team', de: '/de/team' }),
+      page('/de/team', { en: '/en/team', de: '/de/team' }),
+    ],
+  });
+
+  const root = node('/', [
+    node('/de/', [node('/de/about', [node('/de/about/jobs')])]),
+    node('/en/', [node('/en/about')]),
+  ]);
+  // An orphan tree whose root is a variant of a page in the main tree.
+  const teamLead = node('/de/team/lead');
+  const orphan = node('/de/team', [teamLead]);
+  const teamPrimary = node('/en/team');
+  root.children[1].children[0].children.push(teamPrimary);
+
+  const trees = [root, orphan];
+  annotateHreflangNodes(trees, analysis, getKey);
+  assert.strictEqual(root.language, 'x-default');
+  assert.strictEqual(root.children[0].language, 'de');
+  assert.strictEqual(root.children[0].hreflangGroup, root.hreflangGroup);
+
+  const result = groupLanguageVariants(trees, analysis, getKey);
+  assert.strictEqual(result.merged, 4);
+  assert.deepStrictEqual(result.trees, [root, teamLead], 'the orphan variant is removed and its page becomes a tree');
+  assert.deepStrictEqual(result.replacedRoots.get(orphan), [teamLead]);
+  assert.strictEqual(result.replacedRoots.has(root), false);
+
+  // The root is the primary of the home group; /de/ and /en/ are gone and their pages take their place.
+  assert.deepStrictEqual(root.languageVariants.map((variant) => variant.lang).sort(), ['de', 'en', 'x-default']);
+  // /de/about comes first in pre-order, so it is the primary of the about group. /en/about is removed
+  // and /en/team moves up to where it was, rather than under the German page.
+  assert.deepStrictEqual(root.children.map((child) => child.url), [`${SITE}/de/about`, `${SITE}/en/team`]);
+
+  const about = root.children[0];
+  assert.deepStrictEqual(about.languageVariants.map((variant) => [variant.lang, variant.url]), [
+    ['de', `${SITE}/de/about`],
+    ['en', `${SITE}/en/about`],
+  ]);
+  assert.deepStrictEqual(
+    about.children.map((child) => child.url),
+    [`${SITE}/de/about/jobs`],
+    'the primary keeps only its own children'
+  );
+  assert.strictEqual(root.children[1].languageVariants.length, 2);
+}
+
+function checkGroupingGuards() {
+  // The x-default page sits below its German variant; removing /de/ would take the primary with it.
+  const pair = { de: '/de/', 'x-default': '/de/start' };
+  const analysis = analyzeHreflang({
+    getKey,
+    pages: [page('/de/', pair), page('/de/start', pair)],
+  });
+  const primary = node('/de/start');
+  const parentVariant = node('/de/', [primary]);
+  const root = node('/', [parentVariant]);
+  const result = groupLanguageVariants([root], analysis, getKey);
+  assert.strictEqual(result.merged, 0);
+  assert.strictEqual(root.children[0], parentVariant, 'the ancestor stays in place');
+  assert.deepStrictEqual(primary.languageVariants.map((variant) => variant.lang), ['de', 'x-default']);
+  assert.strictEqual(primary.languageVariants[1].isDefault, true);
+}
+
+function main() {
+  checkCodes();
+  checkAnalysis();
+  checkGrouping();
+  checkGroupingGuards();
+  console.log('[hreflang] Passed. Code validation, reciprocity issues and language variant grouping verified.');
+}
+
+main();
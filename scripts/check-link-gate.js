@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  collectBrokenLinks,
+  compareBrokenLinks,
+  buildLinkGateVerdict,
+  buildLinkGateJUnit,
+  buildLinkGateSarif,
+} = require('../utils/linkGate');
+
+const getKey = (url) => url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+
+const scanResult = (brokenLinks, errors = []) => ({ brokenLinks, errors });
+
+function checkCollect() {
+  const links = collectBrokenLinks(scanResult([
+    { url: 'https://example.com/gone', status: 404 },
+    { url: 'https://www.example.com/gone/', status: 404, sourceUrl: 'https://example.com/blog' },
+    { url: 'https://other.example/down', reason: 'fetch_failed', sourceUrl: 'https://example.com/' },
+    { url: 'https://example.com/boom', sourceUrl: 'https://example.com/' },
+    { url: 'https://example.com/careers', status: 404 },
+  ], [
+    { url: 'https://example.com/boom', status: 500 },
+    { url: 'https://example.com/careers', status: 404 },
+    { url: 'https://example.com/account', status: 401, authRequired: true },
+    { url: 'https://example.com/staff', status: 403 },
+  ]), getKey);
+
+  assert.deepStrictEqual(
+    links.map((link) => link.key),
+    ['example.com/boom', 'example.com/gone', 'other.example/down'],
+    'probed URLs that nothing links to are left out'
+  );
+  const gone = links.find((link) => link.key === 'example.com/gone');
+  assert.strictEqual(gone.url, 'https://example.com/gone');
+  assert.strictEqual(gone.sourceUrl, 'https://example.com/blog', 'a later duplicate fills in the missing source');
+  assert.strictEqual(links.find((link) => link.key === 'other.example/down').reason, 'fetch_failed');
+  assert.strictEqual(links.find((link) => link.key === 'example.com/boom').status, 500, 'error pages fill in the status');
+  assert.deepStrictEqual(collectBrokenLinks(null, getKey), []);
+}
+
+function checkCompare() {
+  const baseline = collectBrokenLinks(scanResult([
+    { url: 'https://example.com/old', status: 404, sourceUrl: 'https://example.com/' },
+    { url: 'https://example.com/fixed', status: 410, sourceUrl: 'https://example.com/' },
+  ]), getKey);
+  const current = collectBrokenLinks(scanResult([
+    { url: 'https://example.com/old/', status: 404, sourceUrl: 'https://example.com/about' },
+    { url: 'https://example.com/new', status: 404, sourceUrl: 'https://example.com/pricing' },
+  ]), getKey);
+
+  const comparison = compareBrokenLinks(baseline, current);
+  assert.deepStrictEqual(comparison.newlyBroken.map((link) => link.url), ['https://example.com/new']);
+  assert.deepStrictEqual(comparison.stillBroken.map((link) => link.url), ['https://example.com/old/']);
+  assert.deepStrictEqual(comparison.fixed.map((link) => link.url), ['https://example.com/fixed']);
+
+  return { baseline, current };
+}
+
+function checkVerdicts({ baseline, current }) {
+  const evaluatedAt = '2026-01-02T03:04:05.000Z';
+  const first = buildLinkGateVerdict({
+    mapId: 'map-1',
+    jobId: 'job-1',
+    url: 'https://example.com/',
+    baseline: null,
+    links: baseline,
+    evaluatedAt,
+  });
+  assert.strictEqual(first.status, 'passed', 'the first run becomes the baseline');
+  assert.deepStrictEqual(first.baseline, { created: true, jobId: 'job-1', createdAt: evaluatedAt, links: 2 });
+  assert.deepStrictEqual(first.summary, { newlyBroken: 0, stillBroken: 2, fixed: 0, total: 2 });
+
+  const second = buildLinkGateVerdict({
+    mapId: 'map-1',
+    jobId: 'job-2',
+    url: 'https://example.com/',
+    baseline: { jobId: 'job-1', createdAt: '2026-01-01T00:00:00.000Z', links: baseline },
+    links: current,
+    evaluatedAt,
+  });
+  assert.strictEqual(second.status, 'failed');
+  assert.strictEqual(second.baseline.created, false);
+  assert.strictEqual(second.baseline.jobId, 'job-1');
+  assert.deepStrictEqual(second.summary, { newlyBroken: 1, stillBroken: 1, fixed: 1, total: 2 });
+  assert.deepStrictEqual(second.newlyBroken, [{
+    url: 'https://example.com/new',
+    status: 404,
+    reason: null,
+    sourceUrl: 'https://example.com/pricing',
+  }]);
+  assert.ok(!('key' in second.fixed[0]), 'internal keys are not reported');
+  return second;
+}
+
+function checkJUnit(failed) {
+  const xml = buildLinkGateJUnit({
+    ...failed,
+    newlyBroken: [...failed.newlyBroken, {
+      url: 'https://example.com/search?q=a&b="c"',
+      status: null,
+      reason: 'fetch_failed',
+      sourceUrl: null,
+    }],
+  });
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+  assert.ok(xml.includes('<testsuites name="Map Mat link gate" tests="2" failures="2">'));
+  assert.ok(xml.includes('<testcase classname="https://example.com/pricing" name="https://example.com/new">'));
+  assert.ok(xml.includes('New broken link (HTTP 404)'));
+  assert.ok(xml.includes('name="https://example.com/search?q=a&amp;b=&quot;c&quot;"'), 'attributes are escaped');
+  assert.ok(xml.includes('New broken link (fetch failed)'));
+  assert.ok(xml.includes('<property name="baselineJobId" value="job-1"/>'));
+
+  const passing = buildLinkGateJUnit({ ...failed, status: 'passed', newlyBroken: [] });
+  assert.ok(passing.includes('tests="1" failures="0"'));
+  assert.ok(passing.includes('<testcase classname="https://example.com/" name="No new broken links"/>'));
+  assert.ok(!passing.includes('<failure'));
+}
+
+function checkSarif(failed) {
+  const sarif = buildLinkGateSarif(failed);
+  assert.strictEqual(sarif.version, '2.1.0');
+  const [run] = sarif.runs;
+  assert.strictEqual(run.tool.driver.rules[0].id, 'broken-link');
+  assert.strictEqual(run.properties.status, 'failed');
+  assert.strictEqual(run.results.length, 1);
+  const [result] = run.results;
+  assert.strictEqual(result.ruleId, 'broken-link');
+  assert.strictEqual(result.level, 'error');
+  assert.strictEqual(result.locations[0].physicalLocation.artifactLocation.uri, 'https://example.com/pricing');
+  assert.strictEqual(result.properties.targetUrl, 'https://example.com/new');
+  assert.doesNotThrow(() => JSON.parse(JSON.stringify(sarif)));
+}
+
+function main() {
+  checkCollect();
+  const links = checkCompare();
+  const failed = checkVerdicts(links);
+  checkJUnit(failed);
+  checkSarif(failed);
+  console.log('[link-gate] Passed. Broken-link collection, baseline comparison, JUnit and SARIF verdicts are consistent.');
+}
+
+main();
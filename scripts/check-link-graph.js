@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const cheerio = require('cheerio');
+const {
+  extractLinkAnchors,
+  buildPageLinks,
+  flattenLinkGraph,
+  summarizeLinkedPages,
+  computeClickDepths,
+  computeLinkImportance,
+  analyzeLinkEquity,
+  annotateLinkEquityNodes,
+} = require('../utils/linkGraph');
+
+const normalize = (url) => {
+  const parsed = new URL(url);
+  if (parsed.hostname !== 'example.com') return null;
+  parsed.hash = '';
+  return parsed.toString().replace(/\/$/, '');
+};
+
+const PAGE = `
+  <header><a href="/">Home</a><nav><a href="/pricing">Pricing</a></nav></header>
+  <main>
+    <p>Read our <a href="/pricing">  plans
+      and pricing </a> or <a href="/blog#latest">the blog</a>.</p>
+    <a href="/blog"><img src="b.png" alt="Blog banner"></a>
+    <a href="/team" aria-label="Our team"></a>
+    <a href="mailto:hi@example.com">Mail</a>
+    <a href="https://other.example/">Elsewhere</a>
+  </main>
+  <footer><nav><a href="/privacy">Privacy</a></nav><a href="/pricing">Pricing</a></footer>
+`;
+
+function checkExtract() {
+  const anchors = extractLinkAnchors(cheerio.load(PAGE), { baseUrl: 'https://example.com/about', normalize });
+  const find = (url, position) => anchors.find((anchor) => anchor.url === url && anchor.position === position);
+
+  assert.strictEqual(find('https://example.com', 'nav').text, 'Home', 'header links are navigation');
+  assert.strictEqual(find('https://example.com/pricing', 'nav').text, 'Pricing');
+  assert.strictEqual(find('https://example.com/pricing', 'body').text, 'plans and pricing', 'whitespace is collapsed');
+  assert.strictEqual(find('https://example.com/pricing', 'footer').text, 'Pricing');
+  assert.strictEqual(find('https://example.com/privacy', 'footer').position, 'footer', 'a nav inside the footer is footer');
+  assert.ok(!find('https://example.com/privacy', 'nav'));
+
+  const blog = find('https://example.com/blog', 'body');
+  assert.strictEqual(blog.occurrences, 2, 'fragments and repeats are one edge');
+  assert.strictEqual(blog.text, 'the blog');
+  assert.strictEqual(find('https://example.com/team', 'body').text, 'Our team', 'aria-label fills in empty links');
+
+  assert.ok(!anchors.some((anchor) => anchor.url.startsWith('mailto:')), 'mailto links are skipped');
+  assert.ok(!anchors.some((anchor) => anchor.url.includes('other.example')), 'normalize can drop links');
+
+  const image = extractLinkAnchors(cheerio.load('<a href="/x"><img alt="Logo"></a>'), { baseUrl: 'https://example.com/', normalize });
+  assert.strictEqual(image[0].text, 'Logo', 'image links use the alt text');
+  assert.deepStrictEqual(extractLinkAnchors(cheerio.load(''), { baseUrl: 'https://example.com/', normalize }), []);
+  return anchors;
+}
+
+function checkPageLinks(anchors) {
+  const links = buildPageLinks('https://example.com/about', [
+    'https://example.com/pricing',
+    'https://example.com/pricing',
+    'https://example.com/about',
+    'https://example.com/rendered',
+  ], anchors);
+
+  assert.deepStrictEqual(
+    links.map((link) => `${link.position} ${link.target}`),
+    [
+      'nav https://example.com/pricing',
+      'body https://example.com/pricing',
+      'footer https://example.com/pricing',
+      'body https://example.com/rendered',
+    ],
+    'only crawled targets are kept, without self links'
+  );
+  assert.deepStrictEqual(links[3], {
+    target: 'https://example.com/rendered',
+    position: 'body',
+    text: null,
+    occurrences: 1,
+  }, 'targets without an anchor are body links with no text');
+  return links;
+}
+
+function checkSummaries(aboutLinks) {
+  const edges = flattenLinkGraph(new Map([
+    ['https://example.com/about', aboutLinks],
+    ['https://example.com', [{ target: 'https://example.com/pricing', position: 'body', text: null, occurrences: 3 }]],
+  ]));
+  assert.strictEqual(edges.length, 5);
+  assert.strictEqual(edges[0].source, 'https://example.com/about');
+
+  const inbound = summarizeLinkedPages(
+    edges.filter((edge) => edge.target === 'https://example.com/pricing'),
+    'source'
+  );
+  assert.deepStrictEqual(inbound, [
+    { url: 'https://example.com', positions: ['body'], text: null, occurrences: 3 },
+    {
+      url: 'https://example.com/about',
+      positions: ['body', 'nav', 'footer'],
+      text: 'Pricing',
+      occurrences: 3,
+    },
+  ]);
+
+  const outbound = summarizeLinkedPages(
+    edges.filter((edge) => edge.source === 'https://example.com/about'),
+    'target'
+  );
+  assert.deepStrictEqual(outbound.map((entry) => entry.url), [
+    'https://example.com/pricing',
+    'https://example.com/rendered',
+  ]);
+}
+
+function checkLinkEquity() {
+  // home -> a, b; a -> c; c -> d; b -> a; d -> home. `sitemap-only` has no inbound links.
+  const links = new Map([
+    ['/', ['/a', '/b', '/']],
+    ['/a', ['/c', '/c']],
+    ['/b', ['/a']],
+    ['/c', ['/d']],
+    ['/d', ['/', '/external']],
+    ['/sitemap-only', ['/a']],
+  ]);
+  const pages = ['/', '/a', '/b', '/c', '/d', '/sitemap-only'];
+
+  const depths = computeClickDepths('/', links);
+  assert.deepStrictEqual(Object.fromEntries(depths), { '/': 0, '/a': 1, '/b': 1, '/c': 2, '/d': 3, '/external': 4 });
+  assert.ok(!depths.has('/sitemap-only'), 'unreachable pages have no click depth');
+  assert.strictEqual(computeClickDepths(null, links).size, 0);
+
+  const importance = computeLinkImportance(pages, links);
+  const total = Array.from(importance.values()).reduce((sum, value) => sum + value, 0);
+  assert.ok(Math.abs(total - 1) < 1e-6, 'importance sums to 1');
+  assert.ok(!importance.has('/external'), 'only scanned pages are scored');
+  assert.ok(importance.get('/a') > importance.get('/b'), 'more inbound links mean more importance');
+  assert.ok(importance.get('/sitemap-only') < importance.get('/b'));
+
+  const ring = computeLinkImportance(['x', 'y', 'z'], new Map([['x', ['y']], ['y', ['z']], ['z', ['x']]]));
+  ring.forEach((value) => assert.ok(Math.abs(value - 1 / 3) < 1e-6, 'a ring scores every page the same'));
+  const dangling = computeLinkImportance(['x', 'y'], new Map([['x', ['y']]]));
+  assert.ok(dangling.get('y') > dangling.get('x'), 'pages without links still pass their score on');
+  assert.strictEqual(computeLinkImportance([], links).size, 0);
+
+  // `/c?ref=nav` is the same page as `/c` under the scan's key, and `/gone` is a missing-page
+  // placeholder, which the crawler does not pass as a page.
+  const getKey = (url) => url.split('?')[0];
+  links.set('/c?ref=nav', ['/d', '/gone']);
+  const analysis = analyzeLinkEquity({
+    rootUrl: '/',
+    pageUrls: [...pages, '/c?ref=nav'],
+    linksBySource: links,
+    getKey,
+  });
+  assert.deepStrictEqual(analysis.summary, {
+    pages: 6,
+    reachable: 5,
+    unreachable: 1,
+    maxClickDepth: 3,
+    clickDepths: { 0: 1, 1: 2, 2: 1, 3: 1 },
+  });
+  assert.ok(!analysis.byKey.has('/gone'), 'placeholders are not scored');
+  const scores = Array.from(analysis.byKey.values()).map((entry) => entry.linkScore);
+  assert.strictEqual(Math.max(...scores), 100, 'the most important page scores 100');
+  assert.ok(scores.every((score) => score > 0 && score <= 100));
+
+  const tree = {
+    url: '/',
+    children: [{ url: '/d', children: [] }, { url: '/unknown' }, { url: '/c?ref=nav' }],
+  };
+  const orphan = { url: '/sitemap-only' };
+  annotateLinkEquityNodes([tree, orphan, null], analysis, getKey);
+  assert.strictEqual(tree.clickDepth, 0);
+  assert.strictEqual(tree.children[0].clickDepth, 3);
+  assert.strictEqual(tree.children[0].linkScore, analysis.byKey.get('/d').linkScore);
+  assert.ok(!('clickDepth' in tree.children[1]), 'pages outside the graph are left alone');
+  assert.strictEqual(tree.children[2].clickDepth, 2, 'nodes are matched by key');
+  assert.strictEqual(tree.children[2].linkScore, analysis.byKey.get('/c').linkScore);
+  assert.strictEqual(orphan.clickDepth, null);
+  assert.ok(orphan.linkScore > 0);
+}
+
+function main() {
+  const anchors = checkExtract();
+  const links = checkPageLinks(anchors);
+  checkSummaries(links);
+  checkLinkEquity();
+  console.log('[link-graph] Passed. Anchor positions, anchor text, page links, linked-page summaries, click depth and link equity are consistent.');
+}
+
+main();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  LAYOUT,
+  layoutMap,
+  buildMapSvg,
+  planTiles,
+  buildRenderDocument,
+} = require('../utils/mapRender');
+const { crc32, createZipArchive } = require('../utils/zipArchive');
+const { importFrontendModule } = require('./lib/frontendModules');
+
+const page = (id, children = [], extra = {}) => ({
+  id,
+  title: id,
+  url: `https://example.com/${id}`,
+  children,
+  ...extra,
+});
+
+function checkLayout() {
+  const root = page('home', [
+    page('about', [page('team'), page('jobs', [page('engineer')])]),
+    page('blog'),
+  ]);
+  const orphans = [page('lost'), page('shop', [page('cart')], { subdomainRoot: true, orphanType: 'subdomain' })];
+  const layout = layoutMap(root, orphans);
+  const byId = new Map(layout.nodes.map((item) => [item.node.id, item]));
+  const { NODE_W, NODE_H, GAP_L1_X, GAP_STACK_Y, INDENT_X, BUS_Y_GAP } = LAYOUT;
+
+  assert.strictEqual(layout.nodes.length, 9);
+  assert.strictEqual(byId.get('home').number, '0');
+  assert.strictEqual(byId.get('jobs').number, '1.2');
+  assert.strictEqual(byId.get('engineer').number, '1.2.1');
+  assert.strictEqual(byId.get('lost').number, '0.1');
+  assert.strictEqual(byId.get('shop').number, 's1');
+  assert.strictEqual(byId.get('cart').number, 's1.1');
+
+  // Orphans first, then subdomains, then the main tree, each a level 1 gap apart.
+  assert.strictEqual(byId.get('lost').x, 0);
+  assert.strictEqual(byId.get('shop').x, NODE_W + GAP_L1_X);
+  const rootX = 2 * (NODE_W + GAP_L1_X);
+  assert.strictEqual(byId.get('home').x, rootX);
+  assert.strictEqual(byId.get('about').y, NODE_H + BUS_Y_GAP);
+
+  // Subtrees stack under their level 1 page, indented, and push later siblings down.
+  const team = byId.get('team');
+  const jobs = byId.get('jobs');
+  assert.strictEqual(team.x, rootX + INDENT_X);
+  assert.strictEqual(team.y, byId.get('about').y + NODE_H + GAP_STACK_Y);
+  assert.strictEqual(jobs.y, team.y + NODE_H + GAP_STACK_Y);
+  assert.strictEqual(byId.get('engineer').x, rootX + 2 * INDENT_X);
+
+  // Level 1 siblings leave room for the widest descendant.
+  assert.strictEqual(byId.get('blog').x, rootX + 2 * INDENT_X + NODE_W + GAP_L1_X);
+  assert.strictEqual(layout.bounds.w, byId.get('blog').x + NODE_W + 50);
+  assert.strictEqual(layout.bounds.h, byId.get('engineer').y + NODE_H + 50);
+
+  assert.deepStrictEqual(layoutMap(null, []).nodes, []);
+}
+
+// layoutMap mirrors the canvas layout, so both must place every page and connector the same way.
+async function checkLayoutMatchesFrontend() {
+  const { computeLayout } = await importFrontendModule('layout/computeLayout.js');
+  const { buildExpandedStackMap } = await importFrontendModule('utils/treeUtils.js');
+  const { LAYOUT: FRONTEND_LAYOUT } = await importFrontendModule('utils/constants.js');
+
+  ['NODE_W', 'GAP_L1_X', 'GAP_STACK_Y', 'INDENT_X', 'BUS_Y_GAP', 'STROKE_PAD_X'].forEach((key) => {
+    assert.strictEqual(LAYOUT[key], FRONTEND_LAYOUT[key], `LAYOUT.${key} matches the frontend`);
+  });
+  assert.strictEqual(LAYOUT.NODE_H, FRONTEND_LAYOUT.NODE_H_COLLAPSED);
+
+  // Enough similar children to form a stack, which export layouts always expand.
+  const posts = Array.from({ length: 6 }, (_, index) => page(`post-${index + 1}`));
+  const cases = [
+    [page('home'), []],
+    [
+      page('home', [
+        page('about', [page('team'), page('jobs', [page('engineer')])]),
+        page('blog', posts),
+        page('contact'),
+      ]),
+      [
+        page('lost', [page('lost-child')]),
+        page('old'),
+        page('shop', [page('cart'), page('checkout')], { subdomainRoot: true, orphanType: 'subdomain' }),
+        page('docs', [], { subdomainRoot: true, orphanType: 'subdomain' }),
+      ],
+    ],
+  ];
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const connectorKey = ({ x1, y1, x2, y2 }) => [x1, y1, x2, y2].map(round).join(',');
+  cases.forEach(([root, orphans]) => {
+    const expected = computeLayout(root, orphans, false, buildExpandedStackMap(root, orphans), {
+      mode: 'after-root',
+      renderOrphanChildren: true,
+    });
+    const actual = layoutMap(root, orphans);
+
+    assert.deepStrictEqual(
+      actual.nodes.map(({ node, x, y, w, h, depth, number }) => [node.id, x, y, w, h, depth, number]).sort(),
+      Array.from(expected.nodes.values())
+        .map(({ node, x, y, w, h, depth, number }) => [node.id, x, y, w, h, depth, number])
+        .sort(),
+      'pages are placed as on the canvas'
+    );
+    assert.deepStrictEqual(
+      actual.connectors.map(connectorKey).sort(),
+      expected.connectors.map(connectorKey).sort(),
+      'connectors are drawn as on the canvas'
+    );
+    assert.deepStrictEqual(actual.bounds, expected.bounds);
+  });
+}
+
+function checkSvg() {
+  const root = page('home', [page('a'), page('b')], { title: 'Home & <Garden>' });
+  const layout = layoutMap(root, []);
+  const svg = buildMapSvg(layout, {
+    colors: ['#111111', '#222222'],
+    connections: [
+      { id: 'c1', type: 'userflow', sourceNodeId: 'a', targetNodeId: 'b', label: 'Next "step"' },
+      { id: 'c2', type: 'crosslink', sourceNodeId: 'a', targetNodeId: 'missing' },
+    ],
+    connectionColors: { userFlows: '#00ff00' },
+  });
+
+  assert.ok(svg.content.includes('Home &amp; &lt;Garden&gt;'));
+  assert.ok(svg.content.includes('Next &quot;step&quot;'));
+  assert.ok(svg.content.includes('stroke="#111111"'), 'root uses the first level color');
+  assert.ok(svg.content.includes('stroke="#222222"'), 'level 1 uses the second level color');
+  assert.ok(svg.defs.includes('fill="#00ff00"'), 'user flow arrow marker uses its color');
+  assert.ok(!svg.content.includes('stroke-dasharray'), 'connections to missing pages are dropped');
+  assert.strictEqual(svg.width, Math.ceil(layout.bounds.w + 80));
+  assert.strictEqual(svg.height, Math.ceil(layout.bounds.h + 80));
+}
+
+function checkTiles() {
+  const single = planTiles({ width: 1200, height: 800, tileSize: 4096 });
+  assert.deepStrictEqual(single, {
+    rows: 1,
+    cols: 1,
+    tiles: [{ row: 0, col: 0, x: 0, y: 0, width: 1200, height: 800 }],
+  });
+
+  const { rows, cols, tiles } = planTiles({ width: 9000, height: 5000, tileSize: 4096 });
+  assert.strictEqual(rows, 2);
+  assert.strictEqual(cols, 3);
+  assert.strictEqual(tiles.length, 6);
+  assert.deepStrictEqual(tiles[2], { row: 0, col: 2, x: 8192, y: 0, width: 808, height: 4096 });
+  assert.deepStrictEqual(tiles[5], { row: 1, col: 2, x: 8192, y: 4096, width: 808, height: 904 });
+  const area = tiles.reduce((sum, tile) => sum + tile.width * tile.height, 0);
+  assert.strictEqual(area, 9000 * 5000, 'tiles cover the drawing exactly once');
+
+  const svg = buildMapSvg(layoutMap(page('home'), []));
+  const html = buildRenderDocument(svg, tiles);
+  assert.strictEqual(html.match(/class="tile"/g).length, 6);
+  assert.strictEqual(html.match(/<g id="map">/g).length, 1, 'the drawing is included once');
+  assert.ok(html.includes('viewBox="8192 4096 808 904"'));
+}
+
+function checkZip() {
+  assert.strictEqual(crc32(Buffer.from('hello')), 0x3610a686);
+
+  const archive = createZipArchive([
+    { name: 'tile-r1-c1.png', data: Buffer.from([1, 2, 3]) },
+    { name: 'tiles.json', data: '{"rows":1}' },
+  ]);
+  const end = archive.length - 22;
+  assert.strictEqual(archive.readUInt32LE(end), 0x06054b50);
+  assert.strictEqual(archive.readUInt16LE(end + 10), 2);
+  const centralOffset = archive.readUInt32LE(end + 16);
+  assert.strictEqual(archive.readUInt32LE(centralOffset), 0x02014b50);
+  assert.strictEqual(centralOffset + archive.readUInt32LE(end + 12), end);
+
+  assert.strictEqual(archive.readUInt32LE(0), 0x04034b50);
+  const nameLength = archive.readUInt16LE(26);
+  assert.strictEqual(archive.toString('utf8', 30, 30 + nameLength), 'tile-r1-c1.png');
+  assert.deepStrictEqual([...archive.subarray(30 + nameLength, 33 + nameLength)], [1, 2, 3]);
+}
+
+// createZipArchive mirrors frontend/src/utils/zipWriter.js; the same files must give the same bytes.
+async function checkZipMatchesFrontend() {
+  const { buildZip } = await importFrontendModule('utils/zipWriter.js');
+  const now = new Date(2026, 0, 15, 9, 30, 12);
+  const files = [
+    { name: 'sitemap.xml', content: '<urlset></urlset>' },
+    { name: 'pages/über.csv', content: 'Page,URL\n"Café",https://example.com/caf%C3%A9\n' },
+  ];
+  const expected = Buffer.from(await buildZip(files, now).arrayBuffer());
+  const actual = createZipArchive(files.map(({ name, content }) => ({ name, data: content })), now);
+  assert.ok(actual.equals(expected), 'the backend and frontend zip writers produce the same archive');
+}
+
+async function main() {
+  checkLayout();
+  await checkLayoutMatchesFrontend();
+  checkSvg();
+  checkTiles();
+  checkZip();
+  await checkZipMatchesFrontend();
+  console.log('[map-render] Passed. Layout, SVG, tiling and zip artifacts are consistent and match the frontend.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  CLI_EXIT_CODES,
+  parseCliArgs,
+  parsePositiveIntFlag,
+  createSseParser,
+  countPages,
+  buildMapFromScanResult,
+  buildMapJson,
+  buildMapCsv,
+  getPageKey,
+  diffMapSnapshots,
+  resolveMapSnapshot,
+  formatDiff,
+  formatLinkGateVerdict,
+} = require('../utils/mapmatCli');
+
+function expectUsageError(fn, pattern) {
+  assert.throws(fn, (error) => error.exitCode === CLI_EXIT_CODES.USAGE && pattern.test(error.message));
+}
+
+function checkArgs() {
+  const parsed = parseCliArgs(
+    ['scan', 'https://example.com', '--max-pages', '50', '--save=Nightly', '--json', '--', '--literal'],
+    { booleans: ['json'] }
+  );
+  assert.deepStrictEqual(parsed.positionals, ['scan', 'https://example.com', '--literal']);
+  assert.deepStrictEqual(parsed.flags, { 'max-pages': '50', save: 'Nightly', json: true });
+
+  expectUsageError(() => parseCliArgs(['--project']), /needs a value/);
+  expectUsageError(() => parseCliArgs(['--project', '--json'], { booleans: ['json'] }), /needs a value/);
+  expectUsageError(() => parseCliArgs(['--json=yes'], { booleans: ['json'] }), /does not take a value/);
+
+  assert.strictEqual(parsePositiveIntFlag({ 'max-pages': '50' }, 'max-pages'), 50);
+  assert.strictEqual(parsePositiveIntFlag({}, 'max-pages'), undefined);
+  expectUsageError(() => parsePositiveIntFlag({ 'max-pages': '0' }, 'max-pages'), /positive whole number/);
+  expectUsageError(() => parsePositiveIntFlag({ 'max-pages': '2.5' }, 'max-pages'), /positive whole number/);
+}
+
+function checkSse() {
+  const events = [];
+  const feed = createSseParser((event, data) => events.push([event, data]));
+  feed('event: update\ndata: {"status":"run');
+  feed('ning"}\n\nevent: complete\r\ndata: {"status":"complete"}\r\n\r\n');
+  feed(': keep-alive comment\n\ndata: plain text\n\n');
+  assert.deepStrictEqual(events, [
+    ['update', { status: 'running' }],
+    ['complete', { status: 'complete' }],
+    ['message', 'plain text'],
+  ]);
+}
+
+function checkExports() {
+  const root = {
+    id: 'root',
+    title: 'Home "main"',
+    url: 'https://example.com/',
+    seo: { h1: ['Welcome', 'Hi'], wordCount: 120 },
+    children: [
+      { id: 'a', title: 'About', url: 'https://example.com/about', annotations: { status: 'to_move', note: 'Merge' } },
+    ],
+  };
+  const csv = buildMapCsv({ root }).trim().split('\n');
+  assert.strictEqual(csv.length, 3);
+  assert.ok(csv[0].startsWith('Page Number,Depth Level,Page Title,URL'));
+  assert.ok(csv[0].endsWith('Node ID,Parent ID,Page Type,Annotation Status,Notes'));
+  assert.strictEqual(
+    csv[1],
+    '"1",0,"Home ""main""","https://example.com/",Yes,1,"","Welcome | Hi","","","","",120,,"root","","","None",""'
+  );
+  assert.ok(csv[2].startsWith('"1.1",1,"About"'));
+  assert.ok(csv[2].endsWith('"a","root","","To Move","Merge"'));
+
+  assert.deepStrictEqual(JSON.parse(buildMapJson({ root, colors: ['#111'] })), { root, colors: ['#111'] });
+
+  const body = buildMapFromScanResult({
+    root,
+    orphans: [{ id: 'o', url: 'https://example.com/lost' }],
+    subdomains: [{ id: 's', url: 'https://blog.example.com/' }],
+  }, { name: 'Nightly', projectId: 'p1' });
+  assert.strictEqual(body.name, 'Nightly');
+  assert.strictEqual(body.url, 'https://example.com/');
+  assert.strictEqual(body.project_id, 'p1');
+  assert.deepStrictEqual(body.orphans.map((node) => node.orphanType), ['orphan', 'subdomain']);
+  assert.strictEqual(buildMapFromScanResult({ root }).name, 'example.com');
+  assert.throws(() => buildMapFromScanResult({}), (error) => error.exitCode === CLI_EXIT_CODES.SCAN_FAILED);
+  assert.strictEqual(countPages([root, null, { id: 'o' }]), 3);
+}
+
+function checkDiff() {
+  assert.strictEqual(getPageKey('https://WWW.Example.com/docs/index.html#top'), 'example.com/docs');
+  assert.strictEqual(getPageKey('https://example.com/docs/?utm_source=x'), 'example.com/docs');
+  assert.strictEqual(getPageKey('not a url'), 'not a url');
+
+  const before = {
+    root: {
+      id: 'r',
+      url: 'https://example.com/',
+      title: 'Home',
+      children: [
+        { id: 'a', url: 'https://example.com/about', title: 'About', children: [] },
+        { id: 'b', url: 'https://example.com/blog', title: 'Blog', children: [] },
+      ],
+    },
+    orphans: [],
+  };
+  const after = {
+    root: {
+      id: 'r',
+      url: 'https://www.example.com/',
+      title: 'Home',
+      children: [
+        { id: 'a', url: 'https://example.com/about/', title: 'About us', children: [] },
+        { id: 'c', url: 'https://example.com/careers', title: 'Careers', children: [] },
+      ],
+    },
+    orphans: [{ id: 'b', url: 'https://example.com/blog', title: 'Blog' }],
+  };
+  const diff = diffMapSnapshots(before, after);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 0, titleChanged: 1, statusChanged: 0, moved: 1, unchanged: 1 });
+  const text = formatDiff(diff);
+  assert.ok(text.includes('+ https://example.com/careers'));
+  assert.ok(text.includes('title: About -> About us'));
+  assert.ok(text.includes('> https://example.com/blog  moved under (top level)'));
+
+  const map = { root: after.root, orphans: after.orphans };
+  const versions = [
+    { id: 'v-2', version_number: 2, name: 'Launch', root: after.root, orphans: [] },
+    { id: 'v-1', version_number: 1, name: null, root: before.root, orphans: [] },
+  ];
+  assert.strictEqual(resolveMapSnapshot(map, versions, 'current').label, 'current');
+  assert.strictEqual(resolveMapSnapshot(map, versions, '2').label, 'v2 (Launch)');
+  assert.strictEqual(resolveMapSnapshot(map, versions, 'v1').root, before.root);
+  assert.strictEqual(resolveMapSnapshot(map, versions, 'v-1').label, 'v1');
+  expectUsageError(() => resolveMapSnapshot(map, versions, '3'), /not found/);
+}
+
+function checkLinkGateSummary() {
+  const text = formatLinkGateVerdict({
+    status: 'failed',
+    baseline: { created: false, jobId: 'job-1' },
+    summary: { newlyBroken: 2, stillBroken: 1, fixed: 0, total: 3 },
+    truncated: false,
+    newlyBroken: [
+      { url: 'https://example.com/gone', status: 404, sourceUrl: 'https://example.com/' },
+      { url: 'https://down.example/', status: null, reason: 'fetch_failed', sourceUrl: null },
+    ],
+  });
+  assert.strictEqual(text, [
+    'Link gate failed: 2 new broken · 1 still broken · 0 fixed (baseline from job job-1)',
+    '! https://example.com/gone  HTTP 404, linked from https://example.com/',
+    '! https://down.example/  fetch failed, linked from an unknown page',
+    '',
+  ].join('\n'));
+}
+
+function main() {
+  checkArgs();
+  checkSse();
+  checkExports();
+  checkDiff();
+  checkLinkGateSummary();
+  console.log('[mapmat-cli] Passed. Argument parsing, event streams, exports, version diffs and gate summaries are consistent.');
+}
+
+main();
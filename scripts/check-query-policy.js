@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  DEFAULT_QUERY_POLICY,
+  isTrackingParam,
+  normalizeQueryPolicy,
+  applyQueryPolicy,
+  getQueryBehavior,
+} = require('../utils/queryPolicy');
+
+function checkNormalization() {
+  assert.strictEqual(normalizeQueryPolicy(null), DEFAULT_QUERY_POLICY);
+  assert.deepStrictEqual(normalizeQueryPolicy('strip_tracking'), { mode: 'strip_tracking', params: [] });
+  assert.deepStrictEqual(
+    normalizeQueryPolicy({ mode: 'allowlist', params: 'page, q page' }),
+    { mode: 'allowlist', params: ['page', 'q'] },
+    'allowlist params accept a comma/space separated string and are de-duplicated'
+  );
+  assert.deepStrictEqual(normalizeQueryPolicy({ mode: 'sort', params: ['ignored'] }), { mode: 'sort', params: [] });
+  assert.throws(() => normalizeQueryPolicy('drop_everything'), /Unknown query policy/);
+  assert.throws(() => normalizeQueryPolicy({ mode: 'allowlist', params: { page: true } }), /must be a list/);
+}
+
+function checkModes() {
+  const search = '?utm_source=news&page=2&gclid=abc&color=red&q=shoes';
+
+  assert.strictEqual(applyQueryPolicy(search, DEFAULT_QUERY_POLICY), search, 'preserve leaves the query untouched');
+  assert.strictEqual(applyQueryPolicy(search, { mode: 'strip_all' }), '');
+  assert.strictEqual(applyQueryPolicy(search, { mode: 'strip_tracking' }), '?page=2&color=red&q=shoes');
+  assert.strictEqual(applyQueryPolicy(search, { mode: 'allowlist', params: ['page', 'q'] }), '?page=2&q=shoes');
+  assert.strictEqual(applyQueryPolicy('?utm_source=x', { mode: 'strip_tracking' }), '', 'an emptied query is dropped');
+  assert.strictEqual(
+    applyQueryPolicy('?b=2&tag=z&a=1&tag=y', { mode: 'sort' }),
+    '?a=1&b=2&tag=z&tag=y',
+    'sorting is stable for repeated keys'
+  );
+  assert.strictEqual(applyQueryPolicy('', { mode: 'sort' }), '');
+
+  assert.ok(isTrackingParam('UTM_Campaign'));
+  assert.ok(isTrackingParam('fbclid'));
+  assert.ok(!isTrackingParam('page'));
+}
+
+function checkQueryBehavior() {
+  assert.strictEqual(getQueryBehavior(DEFAULT_QUERY_POLICY), 'preserved', 'default keeps the existing IA summary value');
+  assert.strictEqual(getQueryBehavior({ mode: 'strip_all' }), 'stripped');
+  assert.strictEqual(getQueryBehavior({ mode: 'sort' }), 'sorted');
+}
+
+function main() {
+  checkNormalization();
+  checkModes();
+  checkQueryBehavior();
+  console.log('[query-policy] Passed. Policy parsing, query rewriting modes and IA behavior labels verified.');
+}
+
+main();
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const { followRedirects, isRedirectStatus } = require('../utils/redirectChain');
+
+const SITE = 'https://example.com';
+
+// Serves `routes` as `{ path: [status, location] }`; anything else is a 200.
+const createRequest = (routes) => {
+  const requested = [];
+  const request = async (url) => {
+    requested.push(url);
+    const [status, location] = routes[new URL(url).pathname] || [200, null];
+    return { status, headers: location ? { location } : {}, data: `<p>${url}</p>` };
+  };
+  return { request, requested };
+};
+
+async function checkChain() {
+  const { request, requested } = createRequest({
+    '/old': [301, '/older'],
+    '/older': [302, 'https://www.example.com/new'],
+  });
+  const result = await followRedirects(`${SITE}/old`, request);
+  assert.strictEqual(result.finalUrl, 'https://www.example.com/new');
+  assert.strictEqual(result.response.status, 200);
+  assert.deepStrictEqual(result.hops, [
+    { url: `${SITE}/old`, status: 301, location: `${SITE}/older` },
+    { url: `${SITE}/older`, status: 302, location: 'https://www.example.com/new' },
+  ]);
+  assert.strictEqual(requested.length, 3);
+
+  const direct = await followRedirects(`${SITE}/page`, request);
+  assert.deepStrictEqual(direct.hops, []);
+  assert.strictEqual(direct.finalUrl, `${SITE}/page`);
+
+  // A 3xx without Location is the final response.
+  const { request: bare } = createRequest({ '/moved': [302, null] });
+  const noLocation = await followRedirects(`${SITE}/moved`, bare);
+  assert.strictEqual(noLocation.response.status, 302);
+  assert.deepStrictEqual(noLocation.hops, []);
+
+  assert.strictEqual(isRedirectStatus(308), true);
+  assert.strictEqual(isRedirectStatus(304), false);
+}
+
+async function checkLoopAndLimit() {
+  const { request } = createRequest({
+    '/a': [301, '/b'],
+    '/b': [302, '/c'],
+    '/c': [301, '/a'],
+  });
+  await assert.rejects(followRedirects(`${SITE}/a`, request), (error) => {
+    assert.strictEqual(error.code, 'REDIRECT_LOOP');
+    assert.strictEqual(error.url, `${SITE}/a`);
+    assert.deepStrictEqual(error.redirectChain.map((hop) => hop.location), [`${SITE}/b`, `${SITE}/c`, `${SITE}/a`]);
+    return true;
+  });
+
+  const { request: self } = createRequest({ '/self': [301, '/self'] });
+  await assert.rejects(followRedirects(`${SITE}/self`, self), { code: 'REDIRECT_LOOP' });
+
+  const { request: long, requested } = createRequest({
+    '/1': [301, '/2'],
+    '/2': [301, '/3'],
+    '/3': [301, '/4'],
+  });
+  await assert.rejects(followRedirects(`${SITE}/1`, long, { maxHops: 2 }), (error) => {
+    assert.strictEqual(error.code, 'TOO_MANY_REDIRECTS');
+    assert.strictEqual(error.redirectChain.length, 2);
+    return true;
+  });
+  assert.strictEqual(requested.length, 2, 'the hop past the limit is not requested');
+}
+
+async function main() {
+  await checkChain();
+  await checkLoopAndLimit();
+  console.log('[redirect-chain] Passed. Hop recording, loop detection and hop limit verified.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const cheerio = require('cheerio');
+const {
+  collectRenderedLinks,
+  mergeLinks,
+  readRedirectChain,
+  fetchWithRenderFallback,
+} = require('../utils/renderedPage');
+
+// Just enough of the DOM for collectRenderedLinks, backed by cheerio.
+const withDocument = (html, baseURI, fn) => {
+  const $ = cheerio.load(html);
+  global.document = {
+    baseURI,
+    querySelectorAll: (selector) => $(selector).toArray().map((el) => ({
+      getAttribute: (name) => $(el).attr(name) ?? null,
+    })),
+  };
+  try {
+    return fn();
+  } finally {
+    delete global.document;
+  }
+};
+
+function checkCollectLinks() {
+  const links = withDocument(`
+    <a href="/about">About</a>
+    <a href="  pricing  ">Pricing</a>
+    <a href="mailto:hi@example.com">Mail</a>
+    <a href="#top">Top</a>
+    <a href="javascript:void(0)">JS</a>
+    <a href="http://[bad">Bad</a>
+    <button routerlink="/dashboard">Dashboard</button>
+    <router-link to="/settings">Settings</router-link>
+    <div data-href="https://other.example/x"></div>
+    <span data-link="/docs"></span>
+  `, 'https://example.com/app/', collectRenderedLinks);
+
+  assert.deepStrictEqual(links, [
+    'https://example.com/about',
+    'https://example.com/app/pricing',
+    'https://example.com/dashboard',
+    'https://example.com/settings',
+    'https://other.example/x',
+    'https://example.com/docs',
+  ]);
+  assert.strictEqual(
+    collectRenderedLinks.toString().includes('require('),
+    false,
+    'the collector runs in the page, so it cannot use modules'
+  );
+}
+
+function checkMergeLinks() {
+  const normalize = (url) => (url.includes('other.example') ? null : url.replace(/\/$/, ''));
+  const merged = mergeLinks(
+    ['https://example.com/a'],
+    ['https://example.com/a/', 'https://example.com/b', 'https://other.example/x', 'https://example.com/b'],
+    normalize
+  );
+  assert.deepStrictEqual(merged, ['https://example.com/a', 'https://example.com/b']);
+  assert.deepStrictEqual(mergeLinks(['x'], undefined, normalize), ['x']);
+}
+
+// Playwright-shaped request/response objects for a navigation that went through `hops`.
+const createNavigation = (hops, finalUrl) => {
+  let previous = null;
+  [...hops.map((hop) => hop.url), finalUrl].forEach((url, index) => {
+    const status = index < hops.length ? hops[index].status : 200;
+    const from = previous;
+    const request = {
+      url: () => url,
+      redirectedFrom: () => from,
+      response: async () => ({ status: () => status }),
+    };
+    previous = request;
+  });
+  const last = previous;
+  return { request: () => last, url: () => finalUrl };
+};
+
+async function checkRedirectChain() {
+  const response = createNavigation([
+    { url: 'http://example.com/old', status: 301 },
+    { url: 'https://example.com/old', status: 308 },
+  ], 'https://example.com/new');
+  assert.deepStrictEqual(await readRedirectChain(response), [
+    { url: 'http://example.com/old', status: 301, location: 'https://example.com/old' },
+    { url: 'https://example.com/old', status: 308, location: 'https://example.com/new' },
+  ]);
+  assert.deepStrictEqual(await readRedirectChain(createNavigation([], 'https://example.com/')), []);
+  assert.deepStrictEqual(await readRedirectChain(null), []);
+}
+
+async function checkFallback() {
+  const stats = { rendered: 0, fallbacks: 0 };
+  const rendered = await fetchWithRenderFallback({
+    render: async () => 'rendered',
+    fetchStatic: async () => 'static',
+    stats,
+  });
+  assert.strictEqual(rendered, 'rendered');
+
+  const fallback = await fetchWithRenderFallback({
+    render: async () => {
+      throw new Error('Timeout');
+    },
+    fetchStatic: async () => 'static',
+    stats,
+  });
+  assert.strictEqual(fallback, 'static', 'a failed render falls back to a static fetch');
+  assert.deepStrictEqual(stats, { rendered: 1, fallbacks: 1 });
+
+  await assert.rejects(
+    fetchWithRenderFallback({
+      render: async () => {
+        throw new Error('No browser');
+      },
+      fetchStatic: async () => {
+        throw new Error('Static fetch failed');
+      },
+    }),
+    /Static fetch failed/,
+    'static fetch errors are the page error'
+  );
+}
+
+async function main() {
+  checkCollectLinks();
+  checkMergeLinks();
+  await checkRedirectChain();
+  await checkFallback();
+  console.log('[rendered-page] Passed. Rendered link collection, link merging, redirect chains and static fallback are consistent.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  parseRobotsTxt,
+  selectRobotsGroup,
+  createRobotsPolicy,
+} = require('../utils/robotsTxt');
+
+function checkGroupSelection() {
+  const parsed = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /private',
+    '',
+    'User-agent: MapMatBot',
+    'User-agent: OtherBot',
+    'Disallow: /mapmat-only',
+    'Crawl-delay: 2',
+    '',
+    'Sitemap: https://example.com/sitemap-extra.xml',
+  ].join('\n'));
+
+  assert.strictEqual(parsed.groups.length, 2);
+  assert.deepStrictEqual(parsed.sitemaps, ['https://example.com/sitemap-extra.xml']);
+
+  const group = selectRobotsGroup(parsed, 'MapMatBot');
+  assert.strictEqual(group.rules.length, 1, 'specific group should replace the wildcard group');
+  assert.strictEqual(group.crawlDelay, 2);
+
+  const fallback = selectRobotsGroup(parsed, 'SomeoneElse');
+  assert.strictEqual(fallback.rules[0].pattern, '/private');
+  assert.strictEqual(fallback.crawlDelay, null);
+}
+
+function checkRulePrecedence() {
+  const policy = createRobotsPolicy({
+    status: 200,
+    text: [
+      'User-agent: *',
+      'Disallow: /docs/',
+      'Allow: /docs/public/',
+      'Disallow: /*.pdf$',
+      'Disallow: /search?',
+      'Allow: /page',
+      'Disallow: /page',
+      'Crawl-delay: 1.5',
+    ].join('\n'),
+  });
+
+  assert.strictEqual(policy.crawlDelayMs, 1500);
+  assert.strictEqual(policy.check('https://example.com/').allowed, true);
+  assert.strictEqual(policy.check('https://example.com/docs/intro').allowed, false);
+  assert.strictEqual(policy.check('https://example.com/docs/intro').rule, 'Disallow: /docs/');
+  assert.strictEqual(policy.check('https://example.com/docs/public/a').allowed, true, 'longest match wins');
+  assert.strictEqual(policy.check('https://example.com/files/a.pdf').allowed, false);
+  assert.strictEqual(policy.check('https://example.com/files/a.pdf?x=1').allowed, true, '$ anchors the end');
+  assert.strictEqual(policy.check('https://example.com/search?q=a').allowed, false, 'query string is matched');
+  assert.strictEqual(policy.check('https://example.com/search').allowed, true);
+  assert.strictEqual(policy.check('https://example.com/page').allowed, true, 'allow wins ties');
+  assert.strictEqual(policy.check('https://example.com/robots.txt').allowed, true);
+}
+
+function checkStatusSemantics() {
+  const missing = createRobotsPolicy({ status: 404, text: 'User-agent: *\nDisallow: /' });
+  assert.strictEqual(missing.mode, 'allow_all');
+  assert.strictEqual(missing.check('https://example.com/anything').allowed, true);
+
+  const unavailable = createRobotsPolicy({ status: 503 });
+  assert.strictEqual(unavailable.mode, 'disallow_all');
+  assert.strictEqual(unavailable.check('https://example.com/').allowed, false);
+
+  const unreachable = createRobotsPolicy({ status: 0 });
+  assert.strictEqual(unreachable.mode, 'disallow_all');
+
+  const empty = createRobotsPolicy({ status: 200, text: '' });
+  assert.strictEqual(empty.check('https://example.com/x').allowed, true);
+  assert.strictEqual(empty.crawlDelayMs, 0);
+
+  const emptyDisallow = createRobotsPolicy({ status: 200, text: 'User-agent: *\nDisallow:' });
+  assert.strictEqual(emptyDisallow.check('https://example.com/x').allowed, true);
+}
+
+function main() {
+  checkGroupSelection();
+  checkRulePrecedence();
+  checkStatusSemantics();
+  console.log('[robots-txt] Passed. Parser, group selection, precedence and status handling verified.');
+}
+
+main();
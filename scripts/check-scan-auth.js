@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  normalizeScanAuth,
+  summarizeScanAuth,
+  getScanAuthHost,
+  encryptScanAuth,
+  decryptScanAuth,
+  parseSetCookieHeaders,
+  mergeCookies,
+  buildScanAuthHeaders,
+  buildLoginFormSubmission,
+} = require('../utils/scanAuth');
+
+function checkNormalization() {
+  assert.strictEqual(normalizeScanAuth(null), null);
+  assert.strictEqual(normalizeScanAuth({ headers: {}, cookies: '' }), null, 'empty auth is treated as none');
+
+  const auth = normalizeScanAuth({
+    headers: { 'X-Staging-Token': 'abc' },
+    cookies: 'session=s1; theme=dark',
+    basicAuth: { username: 'stage', password: 'p@ss:word' },
+    login: { url: 'https://example.com/login', fields: { email: 'a@b.c', password: 'secret' } },
+  });
+  assert.deepStrictEqual(auth.headers, { 'X-Staging-Token': 'abc' });
+  assert.deepStrictEqual(auth.cookies, [{ name: 'session', value: 's1' }, { name: 'theme', value: 'dark' }]);
+  assert.strictEqual(auth.login.fields.password, 'secret');
+
+  assert.throws(() => normalizeScanAuth({ headers: { Host: 'evil.example' } }), /not allowed/);
+  assert.throws(() => normalizeScanAuth({ headers: { Cookie: 'a=b' } }), /Use cookies/);
+  assert.throws(() => normalizeScanAuth({ headers: { 'X-Bad': 'a\r\nInjected: 1' } }), /invalid characters/);
+  assert.throws(() => normalizeScanAuth({ basicAuth: { username: 'a:b', password: 'x' } }), /cannot contain/);
+  assert.throws(() => normalizeScanAuth({ login: { url: 'ftp://example.com', fields: { a: 'b' } } }), /Invalid login URL/);
+  assert.throws(() => normalizeScanAuth({ login: { url: 'https://example.com/login' } }), /at least one/);
+}
+
+function checkSummaryHidesSecrets() {
+  const auth = normalizeScanAuth({
+    headers: { Authorization: 'Bearer top-secret' },
+    cookies: [{ name: 'session', value: 'cookie-secret' }],
+    basicAuth: { username: 'stage', password: 'basic-secret' },
+    login: { url: 'https://example.com/login', fields: { password: 'login-secret' } },
+  });
+  const summary = summarizeScanAuth(auth);
+  const serialized = JSON.stringify(summary);
+  ['top-secret', 'cookie-secret', 'basic-secret', 'login-secret'].forEach((secret) => {
+    assert.ok(!serialized.includes(secret), `summary leaked ${secret}`);
+  });
+  assert.deepStrictEqual(summary.headers, ['Authorization']);
+  assert.deepStrictEqual(summary.basicAuth, { username: 'stage' });
+}
+
+function checkHostBinding() {
+  assert.strictEqual(getScanAuthHost('https://WWW.Staging.Example.com/path'), 'staging.example.com');
+  assert.strictEqual(getScanAuthHost('not a url'), null);
+}
+
+function checkEncryptionRoundTrip() {
+  const password = 'pw-never-in-token-1234';
+  const auth = normalizeScanAuth({ basicAuth: { username: 'stage', password } });
+  const token = encryptScanAuth(auth, 'secret-a');
+  assert.ok(token.startsWith('v1:'));
+  assert.ok(!token.includes(password));
+  const ciphertext = Buffer.from(token.split(':')[3], 'base64').toString('utf8');
+  assert.ok(!ciphertext.includes(password), 'the stored value is encrypted, not encoded');
+  assert.notStrictEqual(ciphertext, JSON.stringify(auth));
+  assert.notStrictEqual(token, encryptScanAuth(auth, 'secret-a'), 'each encryption uses a fresh IV');
+  assert.deepStrictEqual(decryptScanAuth(token, 'secret-a'), auth);
+  assert.throws(() => decryptScanAuth(token, 'secret-b'));
+  assert.throws(() => decryptScanAuth('plain-text', 'secret-a'), /Unsupported/);
+}
+
+function checkHeadersAndCookies() {
+  const auth = normalizeScanAuth({
+    headers: { 'X-Env': 'staging' },
+    cookies: 'a=1',
+    basicAuth: { username: 'u', password: 'p' },
+  });
+  const fromLogin = parseSetCookieHeaders(['b=2; Path=/; HttpOnly', 'a=3; Secure']);
+  assert.deepStrictEqual(fromLogin, [{ name: 'b', value: '2' }, { name: 'a', value: '3' }]);
+
+  const jar = mergeCookies(auth.cookies, fromLogin);
+  const headers = buildScanAuthHeaders(auth, jar);
+  assert.strictEqual(headers['X-Env'], 'staging');
+  assert.strictEqual(headers.Authorization, `Basic ${Buffer.from('u:p').toString('base64')}`);
+  assert.strictEqual(headers.Cookie, 'a=3; b=2');
+  assert.deepStrictEqual(buildScanAuthHeaders(null), {});
+}
+
+function checkLoginForm() {
+  const html = `
+    <form id="search" action="/search"><input name="q"></form>
+    <form action="/session" method="post">
+      <input type="hidden" name="csrf" value="tok123">
+      <input type="text" name="email">
+      <input type="password" name="password">
+      <input type="checkbox" name="remember" value="1">
+      <button type="submit">Sign in</button>
+    </form>`;
+  const submission = buildLoginFormSubmission(html, 'https://example.com/login', {
+    fields: { email: 'a@b.c', password: 'pw' },
+  });
+  assert.strictEqual(submission.action, 'https://example.com/session');
+  assert.strictEqual(submission.method, 'POST');
+  assert.deepStrictEqual(submission.fields, { csrf: 'tok123', email: 'a@b.c', password: 'pw' });
+
+  const bySelector = buildLoginFormSubmission(html, 'https://example.com/login', {
+    formSelector: '#search',
+    fields: { q: 'x' },
+  });
+  assert.strictEqual(bySelector.action, 'https://example.com/search');
+  assert.strictEqual(bySelector.method, 'GET', 'forms without a method submit with GET');
+
+  const noForm = buildLoginFormSubmission('<p>api login</p>', 'https://example.com/api/login', {
+    fields: { user: 'u' },
+  });
+  assert.strictEqual(noForm.action, 'https://example.com/api/login');
+  assert.deepStrictEqual(noForm.fields, { user: 'u' });
+}
+
+function main() {
+  checkNormalization();
+  checkSummaryHidesSecrets();
+  checkHostBinding();
+  checkEncryptionRoundTrip();
+  checkHeadersAndCookies();
+  checkLoginForm();
+  console.log('[scan-auth] Passed. Validation, redaction, encryption, cookies and login form handling verified.');
+}
+
+main();
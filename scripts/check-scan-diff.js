@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const { diffScanAgainstMap } = require('../utils/scanDiff');
+
+// Stand-in for the server's canonical key: host + path without a trailing slash.
+const getKey = (url) => {
+  const u = new URL(url);
+  const path = u.pathname !== '/' ? u.pathname.replace(/\/+$/, '') : '/';
+  return `${u.hostname}${path}`;
+};
+
+const page = (id, path, title, children = [], extra = {}) => ({
+  id,
+  url: `https://example.com${path}`,
+  title,
+  children,
+  ...extra,
+});
+
+function buildSavedMap() {
+  const root = page('home', '/', 'Home', [
+    page('about', '/about', 'About us', [], { httpStatus: 200, annotations: { status: 'none', note: 'keep' } }),
+    page('blog', '/blog', 'Blog', [
+      page('post-1', '/blog/post-1', 'Post 1', [], { httpStatus: 200 }),
+    ]),
+    // A manual section without a URL; its children still count as children of Home.
+    { id: 'section', title: 'Company', url: '', children: [page('team', '/team', 'Team')] },
+    page('old', '/old-page', 'Old page'),
+    page('missing', '/docs', 'Docs', [], { isMissing: true }),
+  ]);
+  const orphans = [page('broken', '/gone', 'Gone', [], { orphanType: 'broken' })];
+  return [root, ...orphans];
+}
+
+function buildScan() {
+  return [page('n_home', '/', 'Home', [
+    page('n_about', '/about/', 'About', [], { httpStatus: 200 }),
+    page('n_blog', '/blog', 'Blog', [
+      page('n_post2', '/blog/post-2', 'Post 2', [page('n_post2a', '/blog/post-2/comments', 'Comments')]),
+    ]),
+    page('n_post1', '/blog/post-1', 'Post 1', [], { httpStatus: 404 }),
+    page('n_team', '/team', 'Team'),
+  ])];
+}
+
+function checkChangeSet() {
+  const { summary, changes, truncated } = diffScanAgainstMap({
+    mapTrees: buildSavedMap(),
+    scanTrees: buildScan(),
+    getKey,
+  });
+  assert.strictEqual(truncated, false);
+  assert.deepStrictEqual(summary, { added: 2, removed: 1, titleChanged: 1, statusChanged: 1, moved: 1, unchanged: 3 });
+
+  const byType = (type) => changes.filter((change) => change.type === type);
+  const [title] = byType('title');
+  assert.deepStrictEqual(
+    { nodeId: title.nodeId, before: title.before, after: title.after },
+    { nodeId: 'about', before: 'About us', after: 'About' },
+    'matches by canonical key, so /about/ is the saved /about'
+  );
+
+  const [status] = byType('status');
+  assert.deepStrictEqual([status.nodeId, status.before, status.after], ['post-1', 200, 404]);
+
+  const [moved] = byType('moved');
+  assert.strictEqual(moved.nodeId, 'post-1');
+  assert.strictEqual(moved.fromParentNodeId, 'blog');
+  assert.strictEqual(moved.toParentNodeId, 'home');
+
+  const added = byType('added');
+  assert.deepStrictEqual(added.map((change) => change.url), [
+    'https://example.com/blog/post-2',
+    'https://example.com/blog/post-2/comments',
+  ], 'new parents are listed before their children');
+  assert.strictEqual(added[0].parentNodeId, 'blog');
+  assert.strictEqual(added[1].parentNodeId, null, 'parent is new too');
+  assert.strictEqual(added[1].parentKey, added[0].key);
+  assert.strictEqual(added[0].node.children, undefined);
+
+  const [removed] = byType('removed');
+  assert.strictEqual(removed.nodeId, 'old', 'placeholders, artifacts and URL-less nodes are never removed');
+
+  assert.strictEqual(new Set(changes.map((change) => change.id)).size, changes.length);
+}
+
+function checkStatusWithoutHistory() {
+  const { summary } = diffScanAgainstMap({
+    mapTrees: [page('home', '/', 'Home')],
+    scanTrees: [page('n_home', '/', 'Home', [], { httpStatus: 200 })],
+    getKey,
+  });
+  assert.strictEqual(summary.statusChanged, 0, 'maps saved without statuses are not flagged');
+  assert.strictEqual(summary.unchanged, 1);
+}
+
+function main() {
+  checkChangeSet();
+  checkStatusWithoutHistory();
+  console.log('[scan-diff] Passed. Key matching, added/removed/title/status/moved changes and artifact skipping verified.');
+}
+
+main();
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  parseCron,
+  normalizeScanSchedule,
+  getNextRunAt,
+} = require('../utils/scanSchedule');
+
+const at = (iso) => new Date(iso);
+const next = (cron, from) => getNextRunAt(cron, at(from)).toISOString();
+
+function expectInvalid(fn, pattern) {
+  assert.throws(fn, (error) => error.code === 'INVALID_SCAN_SCHEDULE' && pattern.test(error.message));
+}
+
+function checkParse() {
+  const parsed = parseCron('5/15 9-17 * * 1-5');
+  assert.deepStrictEqual([...parsed.minutes], [5, 20, 35, 50]);
+  assert.deepStrictEqual([...parsed.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.strictEqual(parsed.anyDay, true);
+  assert.ok(parseCron('0 0 * * 7').daysOfWeek.has(0), '7 is Sunday too');
+
+  expectInvalid(() => parseCron('0 0 * *'), /5 fields/);
+  expectInvalid(() => parseCron('60 0 * * *'), /minute/);
+  expectInvalid(() => parseCron('0 0 0 * *'), /day of month/);
+  expectInvalid(() => parseCron('0 0 * * MON'), /day of week/);
+}
+
+function checkNormalize() {
+  assert.deepStrictEqual(
+    normalizeScanSchedule({ frequency: 'Daily', time: '6:05' }),
+    { frequency: 'daily', cron: '5 6 * * *' }
+  );
+  assert.deepStrictEqual(
+    normalizeScanSchedule({ frequency: 'weekly', time: '23:30', weekday: 0 }),
+    { frequency: 'weekly', cron: '30 23 * * 0' }
+  );
+  assert.deepStrictEqual(
+    normalizeScanSchedule({ frequency: 'cron', cron: ' 0  */6 * * * ' }),
+    { frequency: 'cron', cron: '0 */6 * * *' }
+  );
+
+  expectInvalid(() => normalizeScanSchedule(null), /required/);
+  expectInvalid(() => normalizeScanSchedule({ frequency: 'hourly' }), /Frequency/);
+  expectInvalid(() => normalizeScanSchedule({ frequency: 'daily', time: '24:00' }), /HH:MM/);
+  expectInvalid(() => normalizeScanSchedule({ frequency: 'weekly', time: '09:00', weekday: 7 }), /Weekday/);
+  expectInvalid(() => normalizeScanSchedule({ frequency: 'cron', cron: '0 0 31 2 *' }), /never matches/);
+  expectInvalid(() => normalizeScanSchedule({ frequency: 'cron', cron: '*/15 * * * *' }), /once an hour/);
+  expectInvalid(() => normalizeScanSchedule({ frequency: 'cron', cron: '0,30 9 * * 1' }), /once an hour/);
+}
+
+function checkNextRun() {
+  assert.strictEqual(next('0 9 * * *', '2026-03-01T08:59:30Z'), '2026-03-01T09:00:00.000Z');
+  assert.strictEqual(next('0 9 * * *', '2026-03-01T09:00:00Z'), '2026-03-02T09:00:00.000Z', 'strictly after `from`');
+  assert.strictEqual(next('30 23 * * 0', '2026-03-02T00:00:00Z'), '2026-03-08T23:30:00.000Z');
+  assert.strictEqual(next('0 0 1 * *', '2026-12-15T12:00:00Z'), '2027-01-01T00:00:00.000Z');
+  assert.strictEqual(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  // Both day fields restricted: the 13th or any Friday, whichever comes first.
+  assert.strictEqual(next('0 12 13 * 5', '2026-03-01T00:00:00Z'), '2026-03-06T12:00:00.000Z');
+  assert.strictEqual(next('0 12 13 * 5', '2026-03-10T00:00:00Z'), '2026-03-13T12:00:00.000Z');
+}
+
+function main() {
+  checkParse();
+  checkNormalize();
+  checkNextRun();
+  console.log('[scan-schedule] Passed. Cron parsing, daily/weekly/cron normalization and next-run calculation verified.');
+}
+
+main();
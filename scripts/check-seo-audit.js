@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const { SEO_ISSUE_TYPES, auditSeo, annotateSeoIssueNodes } = require('../utils/seoAudit');
+
+const SITE = 'https://example.com';
+const getKey = (url) => url.replace(/\/$/, '').toLowerCase();
+
+const seoFor = (overrides = {}) => ({
+  title: 'Page',
+  metaDescription: 'A page.',
+  h1: ['Page'],
+  noindex: false,
+  wordCount: 500,
+  ...overrides,
+});
+const page = (path, seo = {}, extra = {}) => ({
+  url: `${SITE}${path}`,
+  finalUrl: `${SITE}${path}`,
+  canonicalUrl: null,
+  httpStatus: 200,
+  redirectChain: undefined,
+  seo: seoFor({ title: path, ...seo }),
+  ...extra,
+});
+
+function checkAudit() {
+  const audit = auditSeo({
+    getKey,
+    thinContentWords: 100,
+    pages: [
+      page('/', {}, { navLinks: [`${SITE}/members`, `${SITE}/about`] }),
+      page('/about', { title: 'About us' }),
+      page('/team', { title: '  about   US ' }),
+      // Same title, but it defers to /about, so neither is a duplicate because of it.
+      page('/about-us', { title: 'About us' }, { canonicalUrl: `${SITE}/about` }),
+      page('/untitled', { title: null, metaDescription: null }),
+      page('/headings', { h1: ['One', 'Two'] }),
+      page('/members', { noindex: true }),
+      page('/hidden', { noindex: true }),
+      page('/old', {}, {
+        finalUrl: `${SITE}/new`,
+        redirectChain: [
+          { url: `${SITE}/old`, status: 301, location: `${SITE}/older` },
+          { url: `${SITE}/older`, status: 302, location: `${SITE}/new` },
+        ],
+      }),
+      // A single redirect is not a chain.
+      page('/moved', {}, {
+        finalUrl: `${SITE}/new`,
+        redirectChain: [{ url: `${SITE}/moved`, status: 301, location: `${SITE}/new` }],
+      }),
+      page('/short', { wordCount: 12 }),
+      page('/gone', { title: null }, { httpStatus: 404 }),
+      page('/file.pdf', undefined, { seo: undefined }),
+    ],
+  });
+
+  const issuesOf = (path) => audit.issuesByKey.get(getKey(`${SITE}${path}`)) || [];
+  assert.deepStrictEqual(issuesOf('/'), []);
+  assert.deepStrictEqual(issuesOf('/about'), ['duplicateTitle']);
+  assert.deepStrictEqual(issuesOf('/team'), ['duplicateTitle'], 'titles are compared case- and space-insensitively');
+  assert.deepStrictEqual(issuesOf('/about-us'), ['canonicalElsewhere']);
+  assert.deepStrictEqual(issuesOf('/untitled'), ['missingTitle', 'missingMetaDescription']);
+  assert.deepStrictEqual(issuesOf('/headings'), ['multipleH1']);
+  assert.deepStrictEqual(issuesOf('/members'), ['noindexInNav']);
+  assert.deepStrictEqual(issuesOf('/hidden'), [], 'noindex pages outside navigation are fine');
+  assert.deepStrictEqual(issuesOf('/old'), ['redirectChain']);
+  assert.deepStrictEqual(issuesOf('/moved'), []);
+  assert.deepStrictEqual(issuesOf('/short'), ['thinContent']);
+  assert.deepStrictEqual(issuesOf('/gone'), [], 'error pages are not audited');
+  assert.deepStrictEqual(issuesOf('/file.pdf'), [], 'pages without crawl data are not audited');
+
+  assert.strictEqual(audit.summary.auditedPages, 11);
+  assert.strictEqual(audit.summary.pagesWithIssues, 8);
+  assert.strictEqual(audit.summary.thinContentWords, 100);
+  assert.deepStrictEqual(Object.keys(audit.summary.issues), SEO_ISSUE_TYPES);
+  assert.deepStrictEqual(audit.summary.issues, {
+    missingTitle: 1,
+    duplicateTitle: 2,
+    missingMetaDescription: 1,
+    multipleH1: 1,
+    noindexInNav: 1,
+    canonicalElsewhere: 1,
+    redirectChain: 1,
+    thinContent: 1,
+  });
+}
+
+function checkAliasesAndAnnotation() {
+  // Two crawled URLs that redirect to the same page share its title without being duplicates.
+  const audit = auditSeo({
+    getKey,
+    pages: [
+      page('/a', { title: 'Home', metaDescription: null }, { finalUrl: `${SITE}/home` }),
+      page('/home', { title: 'Home' }),
+    ],
+  });
+  assert.deepStrictEqual(audit.issuesByKey.get(getKey(`${SITE}/a`)), ['missingMetaDescription']);
+  assert.strictEqual(audit.issuesByKey.has(getKey(`${SITE}/home`)), false);
+
+  const child = { id: 'a', url: `${SITE}/A/`, children: [] };
+  const root = { id: 'home', url: `${SITE}/home`, children: [child] };
+  annotateSeoIssueNodes([root, null], audit, getKey);
+  assert.deepStrictEqual(child.seoIssues, ['missingMetaDescription']);
+  assert.strictEqual('seoIssues' in root, false);
+}
+
+function main() {
+  checkAudit();
+  checkAliasesAndAnnotation();
+  console.log('[seo-audit] Passed. Title, description, H1, noindex, canonical, redirect and thin content issues verified.');
+}
+
+main();
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { extractSeoMetadata, parseRobotsDirectives } = require('../utils/seoMetadata');
+
+const PAGE = `<!doctype html>
+<html>
+<head>
+  <title>Pricing</title>
+  <meta name="Description" content="  Plans for
+    every team. ">
+  <meta name="robots" content="NoIndex, follow">
+  <meta property="og:title" content="Pricing | Example">
+  <meta property="og:image" content="https://example.com/og.png">
+  <meta name="og:type" content="website">
+  <style>.hidden { display: none; }</style>
+  <script>var tracking = 'not words';</script>
+</head>
+<body>
+  <h1>Simple pricing</h1>
+  <div>Start free<p>Upgrade when you're ready.</p></div>
+  <h1> </h1>
+  <h1>Compare plans</h1>
+  <noscript>Enable JavaScript</noscript>
+</body>
+</html>`;
+
+function checkExtraction() {
+  const $ = cheerio.load(PAGE);
+  const parsed = $.html();
+  const seo = extractSeoMetadata($, { responseTimeMs: 123.6 });
+  assert.strictEqual($.html(), parsed, 'the crawler shares the parsed page, so it is not modified');
+  assert.strictEqual(seo.title, 'Pricing');
+  assert.strictEqual(seo.metaDescription, 'Plans for every team.');
+  assert.deepStrictEqual(seo.h1, ['Simple pricing', 'Compare plans'], 'empty H1s are skipped');
+  assert.strictEqual(seo.metaRobots, 'noindex, follow');
+  assert.strictEqual(seo.noindex, true);
+  assert.strictEqual(seo.nofollow, false);
+  assert.deepStrictEqual(seo.openGraph, {
+    title: 'Pricing | Example',
+    image: 'https://example.com/og.png',
+    type: 'website',
+  });
+  // Simple pricing / Start free / Upgrade when you're ready. / Compare plans
+  assert.strictEqual(seo.wordCount, 10, 'scripts, styles and noscript are not counted');
+  assert.strictEqual(seo.responseTimeMs, 124);
+}
+
+function checkEmptyPage() {
+  const seo = extractSeoMetadata(cheerio.load('<html><body></body></html>'));
+  assert.deepStrictEqual(seo, {
+    title: null,
+    metaDescription: null,
+    h1: [],
+    metaRobots: null,
+    noindex: false,
+    nofollow: false,
+    openGraph: {},
+    wordCount: 0,
+    responseTimeMs: null,
+  });
+}
+
+function checkRobots() {
+  assert.deepStrictEqual(parseRobotsDirectives(['index, follow', 'NOINDEX']), ['index', 'follow', 'noindex']);
+  assert.deepStrictEqual(parseRobotsDirectives(['bingbot: noindex', 'googlebot: nofollow']), ['nofollow']);
+  assert.deepStrictEqual(parseRobotsDirectives(['max-snippet:50']), ['max-snippet:50']);
+
+  const headerOnly = extractSeoMetadata(cheerio.load('<html><body>Hi</body></html>'), { robotsHeader: 'none' });
+  assert.strictEqual(headerOnly.metaRobots, 'none');
+  assert.strictEqual(headerOnly.noindex, true);
+  assert.strictEqual(headerOnly.nofollow, true);
+}
+
+function main() {
+  checkExtraction();
+  checkEmptyPage();
+  checkRobots();
+  console.log('[seo-metadata] Passed. Meta description, H1, robots, Open Graph and word count extraction verified.');
+}
+
+main();
@@ -1,17 +1,24 @@
 const path = require('path');
 
 const STORE_MODULES = [
+  'accessTokenStore',
   'authStore',
   'coeditingStore',
   'collaborationStore',
   'historyStore',
   'jobStore',
+  'linkGateStore',
+  'linkGraphStore',
   'mapStore',
   'pageStore',
   'presenceStore',
   'projectStore',
+  'scanAuthStore',
+  'scanCheckpointStore',
+  'scanScheduleStore',
   'shareStore',
   'usageStore',
+  'webhookStore',
 ];
 
 let hasError = false;
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const { csvCell, escapeXml } = require('../utils/textEscape');
+const { importFrontendModule } = require('./lib/frontendModules');
+
+const SAMPLES = [null, undefined, '', 0, 'plain', 'Say "hi"', 'Tom & Jerry\'s <b>', 'line\nbreak, comma'];
+
+function checkEscaping() {
+  assert.strictEqual(csvCell('Say "hi", then go'), '"Say ""hi"", then go"');
+  assert.strictEqual(csvCell(null), '""');
+  assert.strictEqual(csvCell(0), '"0"');
+
+  assert.strictEqual(escapeXml('Tom & Jerry\'s <b class="x">'), 'Tom &amp; Jerry&apos;s &lt;b class=&quot;x&quot;&gt;');
+  assert.strictEqual(escapeXml(undefined), '');
+  assert.strictEqual(escapeXml('&amp;'), '&amp;amp;', 'existing entities are escaped again');
+}
+
+// The frontend exports keep their own copy; both sides must escape the same way.
+async function checkMatchesFrontend() {
+  const frontend = await importFrontendModule('utils/textEscape.js');
+  SAMPLES.forEach((value) => {
+    assert.strictEqual(frontend.csvCell(value), csvCell(value));
+    assert.strictEqual(frontend.escapeXml(value), escapeXml(value));
+  });
+}
+
+async function main() {
+  checkEscaping();
+  await checkMatchesFrontend();
+  console.log('[text-escape] Passed. CSV and XML escaping is consistent with the frontend.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const { MAX_URL_RULES, normalizeUrlRules, createUrlRuleFilter } = require('../utils/urlRules');
+
+function checkNormalization() {
+  assert.deepStrictEqual(normalizeUrlRules(null), { include: [], exclude: [] });
+
+  const rules = normalizeUrlRules({
+    include: '/blog/*\n\n',
+    exclude: ['/tag/*', { pattern: '\\/page\\/\\d+', type: 'regex', flags: 'i' }, 're: replytocom'],
+  });
+  assert.deepStrictEqual(rules.include, [{ kind: 'include', type: 'glob', pattern: '/blog/*', flags: '' }]);
+  assert.deepStrictEqual(rules.exclude[1], { kind: 'exclude', type: 'regex', pattern: '\\/page\\/\\d+', flags: 'i' });
+  assert.strictEqual(rules.exclude[2].type, 'regex');
+  assert.deepStrictEqual(normalizeUrlRules(rules), rules, 'normalizing twice is a no-op');
+
+  assert.throws(() => normalizeUrlRules({ exclude: ['re:('] }), /Invalid regex rule/);
+  assert.throws(() => normalizeUrlRules({ exclude: ['re:(a)\\1'] }), /Invalid regex rule/, 'no backreferences');
+  assert.throws(() => normalizeUrlRules({ exclude: ['re:/(?!blog)'] }), /Invalid regex rule/, 'no lookarounds');
+  assert.throws(() => normalizeUrlRules({ exclude: [{ pattern: 'a', type: 'regex', flags: 'g' }] }), /Invalid regex flags/);
+  assert.throws(() => normalizeUrlRules({ exclude: { pattern: '/x' } }), /must be a list/);
+  assert.throws(
+    () => normalizeUrlRules({ exclude: Array.from({ length: MAX_URL_RULES + 1 }, (_, i) => `/p${i}`) }),
+    /At most/
+  );
+}
+
+function checkGlobMatching() {
+  const filter = createUrlRuleFilter({ exclude: ['/tag/*', '?replytocom=', '/fr/', '/print$'] });
+  const blocked = (url) => !filter.check(url).allowed;
+
+  assert.ok(blocked('https://blog.example/tag/news/page/2'));
+  assert.ok(!blocked('https://blog.example/posts/tag/news'), 'path rules are anchored at the start');
+  assert.ok(blocked('https://blog.example/post-1?replytocom=42'), 'non-path rules match anywhere');
+  assert.ok(blocked('https://blog.example/fr/about'));
+  assert.ok(blocked('https://blog.example/print'));
+  assert.ok(!blocked('https://blog.example/print/all'), '$ anchors the end');
+  assert.ok(!blocked('https://blog.example/french'));
+
+  const fullUrl = createUrlRuleFilter({ exclude: ['https://docs.example.com/*'] });
+  assert.ok(!fullUrl.check('https://docs.example.com/a').allowed);
+  assert.ok(fullUrl.check('https://www.example.com/docs').allowed);
+}
+
+function checkIncludeAndHits() {
+  const filter = createUrlRuleFilter({
+    include: ['/blog/*'],
+    exclude: ['/blog/tag/*', 're:\\?page=\\d+$'],
+  });
+
+  assert.ok(filter.check('https://example.com/blog/post-1').allowed);
+  assert.ok(!filter.check('https://example.com/blog/tag/a').allowed, 'exclude wins over include');
+  assert.ok(!filter.check('https://example.com/blog/tag/a').allowed);
+  assert.ok(!filter.check('https://example.com/blog/post-1?page=2').allowed);
+  assert.ok(!filter.check('https://example.com/shop').allowed, 'URLs outside include rules are skipped');
+
+  assert.deepStrictEqual(filter.summary(), {
+    rules: [
+      { kind: 'exclude', type: 'glob', pattern: '/blog/tag/*', hits: 1 },
+      { kind: 'exclude', type: 'regex', pattern: '\\?page=\\d+$', hits: 1 },
+      { kind: 'include', type: 'glob', pattern: '/blog/*', hits: 1 },
+    ],
+    notIncluded: 1,
+  }, 'hits are counted once per distinct URL');
+
+  const resumed = createUrlRuleFilter(
+    { include: ['/blog/*'], exclude: ['/blog/tag/*', 're:\\?page=\\d+$'] },
+    filter.exportState()
+  );
+  assert.deepStrictEqual(resumed.summary(), filter.summary(), 'exported verdicts restore hit counts');
+  assert.ok(!resumed.check('https://example.com/blog/tag/a').allowed);
+  assert.strictEqual(resumed.summary().rules[0].hits, 1, 'restored URLs are not counted twice');
+
+  const empty = createUrlRuleFilter(null);
+  assert.strictEqual(empty.active, false);
+  assert.ok(empty.check('https://example.com/anything').allowed);
+}
+
+function checkRegexMatching() {
+  const filter = createUrlRuleFilter({
+    exclude: [{ pattern: '/ARCHIVE/\\d{4}/', type: 'regex', flags: 'i' }, 're:^https://[^/]+/(a+)+$'],
+  });
+  assert.ok(!filter.check('https://example.com/archive/2021/post').allowed, 'flags are applied');
+  assert.ok(!filter.check('https://example.com/aaaa').allowed);
+
+  const started = Date.now();
+  assert.ok(filter.check(`https://example.com/${'a'.repeat(5000)}!`).allowed);
+  assert.ok(Date.now() - started < 2000, 'nested quantifiers do not backtrack');
+}
+
+function main() {
+  checkNormalization();
+  checkGlobMatching();
+  checkRegexMatching();
+  checkIncludeAndHits();
+  console.log('[url-rules] Passed. Rule parsing, glob/regex matching, precedence and hit counts verified.');
+}
+
+main();
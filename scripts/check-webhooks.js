@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+
+const assert = require('assert');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  normalizeWebhookInput,
+  parseWebhookEvents,
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  getWebhookRetryDelayMs,
+  buildWebhookBody,
+  createMapUpdateCoalescer,
+  findAddedComments,
+} = require('../utils/webhooks');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function expectInvalid(fn, pattern) {
+  assert.throws(fn, (error) => error.code === 'INVALID_WEBHOOK' && pattern.test(error.message));
+}
+
+function checkInput() {
+  const created = normalizeWebhookInput({
+    url: ' https://hooks.example.com/mapmat#frag ',
+    events: [WEBHOOK_EVENTS.COMMENT_ADDED, WEBHOOK_EVENTS.SCAN_COMPLETED],
+  });
+  assert.strictEqual(created.url, 'https://hooks.example.com/mapmat');
+  assert.deepStrictEqual(created.events, [WEBHOOK_EVENTS.SCAN_COMPLETED, WEBHOOK_EVENTS.COMMENT_ADDED]);
+  assert.strictEqual(created.enabled, true);
+
+  expectInvalid(() => normalizeWebhookInput({ events: [WEBHOOK_EVENTS.MAP_UPDATED] }), /required/);
+  expectInvalid(() => normalizeWebhookInput({ url: 'ftp://example.com', events: ['map.updated'] }), /http or https/);
+  expectInvalid(() => normalizeWebhookInput({ url: 'https://u:p@example.com', events: ['map.updated'] }), /credentials/);
+  expectInvalid(() => normalizeWebhookInput({ url: 'https://example.com', events: ['map.deleted'] }), /Unknown event/);
+  expectInvalid(() => normalizeWebhookInput({ url: 'https://example.com', events: [] }), /at least one/);
+  expectInvalid(() => normalizeWebhookInput({ url: 'https://example.com', events: ['ping'] }), /Unknown event/);
+
+  const existing = { url: 'https://example.com/hook', events: 'map.updated', enabled: 1 };
+  assert.deepStrictEqual(normalizeWebhookInput({ enabled: false }, existing), { enabled: false });
+  assert.deepStrictEqual(normalizeWebhookInput({}, existing), {}, 'an empty update changes nothing');
+  assert.deepStrictEqual(parseWebhookEvents('map.updated,bogus,scan.failed'), ['map.updated', 'scan.failed']);
+}
+
+function checkSignature() {
+  const secret = generateWebhookSecret();
+  assert.ok(secret.startsWith('whsec_'));
+  assert.notStrictEqual(secret, generateWebhookSecret());
+
+  const now = Date.UTC(2026, 0, 1);
+  const timestamp = String(now / 1000);
+  const body = buildWebhookBody({
+    deliveryId: 'd1',
+    event: WEBHOOK_EVENTS.MAP_UPDATED,
+    occurredAt: '2026-01-01T00:00:00.000Z',
+    data: { map: { id: 'm1' } },
+  });
+  assert.deepStrictEqual(JSON.parse(body), {
+    id: 'd1',
+    event: 'map.updated',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    data: { map: { id: 'm1' } },
+  });
+
+  const signature = signWebhookPayload({ secret, timestamp, body });
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.ok(verifyWebhookSignature({ secret, timestamp, body, signature, now }));
+  assert.ok(!verifyWebhookSignature({ secret, timestamp, body: `${body} `, signature, now }), 'body is covered');
+  assert.ok(!verifyWebhookSignature({ secret: 'other', timestamp, body, signature, now }), 'secret is covered');
+  assert.ok(
+    !verifyWebhookSignature({ secret, timestamp: String(now / 1000 + 1), body, signature, now }),
+    'timestamp is covered'
+  );
+  assert.ok(!verifyWebhookSignature({ secret, timestamp, body, signature, now: now + 301 * 1000 }), 'stale');
+  assert.ok(!verifyWebhookSignature({ secret, timestamp, body, signature: 'sha256=00', now }));
+}
+
+function checkRetries() {
+  assert.strictEqual(getWebhookRetryDelayMs(1), 30 * 1000);
+  assert.strictEqual(getWebhookRetryDelayMs(2), 2 * 60 * 1000);
+  assert.strictEqual(getWebhookRetryDelayMs(5), 30 * 1000 * 256);
+  for (let attempt = 1; attempt < WEBHOOK_MAX_ATTEMPTS; attempt += 1) {
+    assert.ok(getWebhookRetryDelayMs(attempt) <= 6 * 60 * 60 * 1000);
+  }
+  assert.strictEqual(getWebhookRetryDelayMs(WEBHOOK_MAX_ATTEMPTS), null);
+}
+
+function checkAddedComments() {
+  const before = [{
+    id: 'root',
+    title: 'Home',
+    url: 'https://example.com/',
+    comments: [{ id: 'c1', text: 'First', replies: [] }],
+    children: [{ id: 'about', title: 'About', children: [] }],
+  }];
+  const after = [{
+    ...before[0],
+    comments: [{ id: 'c1', text: 'First', replies: [{ id: 'c2', text: 'Reply', author: 'Ann' }] }],
+    children: [{ id: 'about', title: 'About', comments: [{ id: 'c3', text: 'Hi @bo', mentions: ['bo'] }] }],
+  }, {
+    id: 'orphan',
+    title: 'Orphan',
+    comments: [{ id: 'c4', text: 'Lost page' }],
+  }];
+
+  const added = findAddedComments(before, after);
+  assert.deepStrictEqual(added.map((comment) => comment.id), ['c2', 'c3', 'c4']);
+  assert.strictEqual(added[0].parentCommentId, 'c1');
+  assert.strictEqual(added[0].nodeId, 'root');
+  assert.strictEqual(added[0].author, 'Ann');
+  assert.deepStrictEqual(added[1].mentions, ['bo']);
+  assert.strictEqual(added[1].nodeTitle, 'About');
+  assert.strictEqual(added[2].nodeId, 'orphan');
+  assert.deepStrictEqual(findAddedComments(after, before), [], 'removed comments are not reported');
+}
+
+async function checkMapUpdateCoalescing() {
+  const flushed = [];
+  const coalescer = createMapUpdateCoalescer({
+    quietMs: 40,
+    maxWaitMs: 150,
+    flush: (mapId, data) => flushed.push({ mapId, ...data }),
+  });
+
+  coalescer.add('m1', { actor: { id: 'u1' }, changed: ['root'], updatedAt: 't1' });
+  coalescer.add('m1', { actor: { id: 'u2' }, changed: ['name', 'root'], updatedAt: 't2' });
+  coalescer.add('m2', { changed: ['notes'] });
+  assert.strictEqual(flushed.length, 0, 'saves wait for the map to be quiet');
+  await sleep(80);
+  assert.deepStrictEqual(flushed, [
+    { mapId: 'm1', actor: { id: 'u2' }, changed: ['root', 'name'], updatedAt: 't2', saves: 2 },
+    { mapId: 'm2', actor: null, changed: ['notes'], updatedAt: null, saves: 1 },
+  ]);
+  assert.strictEqual(coalescer.size(), 0);
+
+  // Saves closer together than quietMs still flush once maxWaitMs has passed.
+  flushed.length = 0;
+  for (let i = 0; i < 10; i += 1) {
+    coalescer.add('m1', { changed: ['root'] });
+    await sleep(20);
+  }
+  assert.ok(flushed.length >= 1, 'continuous editing is not held back forever');
+
+  flushed.length = 0;
+  coalescer.add('m3', { changed: ['root'] });
+  await coalescer.flushAll();
+  assert.deepStrictEqual(flushed.map((entry) => entry.mapId).filter((id) => id === 'm3'), ['m3']);
+  await sleep(60);
+  assert.strictEqual(flushed.filter((entry) => entry.mapId === 'm3').length, 1, 'flushAll cancels the timer');
+}
+
+async function main() {
+  checkInput();
+  checkSignature();
+  checkRetries();
+  checkAddedComments();
+  await checkMapUpdateCoalescing();
+  console.log('[webhooks] Passed. Input validation, signatures, retry backoff, comment diffing and map.updated coalescing are consistent.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
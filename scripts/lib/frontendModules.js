@@ -0,0 +1,38 @@
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+const FRONTEND_SRC = path.join(__dirname, '..', '..', 'frontend', 'src');
+const FRONTEND_SRC_URL = `${pathToFileURL(FRONTEND_SRC).href}/`;
+
+// frontend/src is bundled by react-scripts: ES modules in `.js` files with extensionless relative
+// imports. These hooks let Node import them the same way, for checks that compare a backend module
+// with the frontend code it mirrors.
+const HOOKS = `
+const SRC = ${JSON.stringify(FRONTEND_SRC_URL)};
+export async function resolve(specifier, context, next) {
+  if (context.parentURL?.startsWith(SRC) && /^\\.\\.?\\//.test(specifier) && !/\\.[cm]?js$/.test(specifier)) {
+    return next(specifier + '.js', context);
+  }
+  return next(specifier, context);
+}
+export async function load(url, context, next) {
+  if (url.startsWith(SRC)) return next(url, { ...context, format: 'module' });
+  return next(url, context);
+}
+`;
+
+let hooksRegistered = false;
+
+// Imports `frontend/src/<relativePath>` and resolves to its exports.
+function importFrontendModule(relativePath) {
+  if (!hooksRegistered) {
+    register(`data:text/javascript,${encodeURIComponent(HOOKS)}`);
+    hooksRegistered = true;
+  }
+  return import(pathToFileURL(path.join(FRONTEND_SRC, relativePath)).href);
+}
+
+module.exports = {
+  importFrontendModule,
+};
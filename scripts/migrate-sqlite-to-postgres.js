@@ -92,7 +92,8 @@ const TABLES = [
     conflictKey: 'url',
     columns: [
       'url', 'title', 'status', 'type', 'severity', 'placement', 'parent_url',
-      'discovery_source', 'links_in', 'depth', 'created_at', 'updated_at',
+      'discovery_source', 'links_in', 'depth', 'meta_description', 'h1', 'meta_robots', 'open_graph',
+      'word_count', 'response_time_ms', 'created_at', 'updated_at',
     ],
   },
   {
@@ -106,7 +107,10 @@ const TABLES = [
   {
     name: 'usage_events',
     conflictKey: 'id',
-    columns: ['id', 'user_id', 'api_key', 'ip_hash', 'event_type', 'quantity', 'meta', 'created_at'],
+    columns: [
+      'id', 'user_id', 'api_key', 'access_token_id', 'ip_hash', 'event_type', 'quantity', 'meta',
+      'created_at',
+    ],
   },
   {
     name: 'jobs',
@@ -196,6 +200,12 @@ CREATE TABLE IF NOT EXISTS pages (
   discovery_source TEXT NOT NULL DEFAULT 'crawl',
   links_in INTEGER NOT NULL DEFAULT 0,
   depth INTEGER,
+  meta_description TEXT,
+  h1 TEXT,
+  meta_robots TEXT,
+  open_graph TEXT,
+  word_count INTEGER,
+  response_time_ms INTEGER,
   created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
@@ -218,6 +228,7 @@ CREATE TABLE IF NOT EXISTS usage_events (
   id TEXT PRIMARY KEY,
   user_id TEXT REFERENCES users(id) ON DELETE SET NULL,
   api_key TEXT,
+  access_token_id TEXT,
   ip_hash TEXT,
   event_type TEXT NOT NULL,
   quantity INTEGER DEFAULT 1,
@@ -253,6 +264,14 @@ CREATE INDEX IF NOT EXISTS idx_usage_events_user ON usage_events(user_id);
 CREATE INDEX IF NOT EXISTS idx_jobs_status_created ON jobs(status, created_at);
 CREATE INDEX IF NOT EXISTS idx_pages_parent ON pages(parent_url);
 CREATE INDEX IF NOT EXISTS idx_pages_placement ON pages(placement);
+
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS meta_description TEXT;
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS h1 TEXT;
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS meta_robots TEXT;
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS open_graph TEXT;
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS word_count INTEGER;
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS response_time_ms INTEGER;
+ALTER TABLE usage_events ADD COLUMN IF NOT EXISTS access_token_id TEXT;
 `;
 
 const qIdent = (value) => `"${String(value).replace(/"/g, '""')}"`;
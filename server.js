@@ -25,13 +25,92 @@ const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const dns = require('dns').promises;
-const net = require('net');
 const { probePostgres } = require('./utils/postgresProbe');
+const { createRobotsPolicy } = require('./utils/robotsTxt');
+const { createHostThrottle, mapWithConcurrency } = require('./utils/crawlPool');
+const { normalizeUrlRules, createUrlRuleFilter } = require('./utils/urlRules');
+const { diffScanAgainstMap } = require('./utils/scanDiff');
+const {
+  LINK_GATE_FORMATS,
+  collectBrokenLinks,
+  buildLinkGateVerdict,
+  buildLinkGateJUnit,
+  buildLinkGateSarif,
+} = require('./utils/linkGate');
+const { getNextRunAt, fromScheduleTimestamp } = require('./utils/scanSchedule');
+const {
+  LINK_GRAPHS_KEPT,
+  extractLinkAnchors,
+  buildPageLinks,
+  flattenLinkGraph,
+  analyzeLinkEquity,
+  annotateLinkEquityNodes,
+} = require('./utils/linkGraph');
+const {
+  analyzeHreflang,
+  annotateHreflangNodes,
+  groupLanguageVariants,
+} = require('./utils/hreflang');
+const { extractSeoMetadata } = require('./utils/seoMetadata');
+const { auditSeo, annotateSeoIssueNodes } = require('./utils/seoAudit');
+const { followRedirects } = require('./utils/redirectChain');
+const {
+  collectRenderedLinks,
+  mergeLinks,
+  readRedirectChain,
+  fetchWithRenderFallback,
+} = require('./utils/renderedPage');
+const { normalizeIp, assertSafeUrl } = require('./utils/urlSafety');
+const {
+  MAP_RENDER_FORMATS,
+  layoutMap,
+  buildMapSvg,
+  planTiles,
+  buildRenderDocument,
+} = require('./utils/mapRender');
+const { createZipArchive } = require('./utils/zipArchive');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+  WEBHOOK_EVENT_HEADER,
+  WEBHOOK_DELIVERY_HEADER,
+  signWebhookPayload,
+  getWebhookRetryDelayMs,
+} = require('./utils/webhooks');
+const { enqueueMapWebhookEventAsync, flushMapUpdatedWebhookEventsAsync } = require('./utils/webhookEvents');
+const {
+  getCrawlCheckpointKey,
+  buildCrawlCheckpoint,
+  restoreCrawlCheckpoint,
+} = require('./utils/crawlCheckpoint');
+const {
+  DEFAULT_QUERY_POLICY,
+  normalizeQueryPolicy,
+  applyQueryPolicy,
+  getQueryBehavior,
+} = require('./utils/queryPolicy');
+const {
+  getScanAuthSecret,
+  encryptScanAuth,
+  decryptScanAuth,
+  normalizeScanAuth,
+  parseSetCookieHeaders,
+  mergeCookies,
+  buildScanAuthHeaders,
+  buildLoginFormSubmission,
+} = require('./utils/scanAuth');
 const jobStore = require('./stores/jobStore');
 const mapStore = require('./stores/mapStore');
 const pageStore = require('./stores/pageStore');
+const scanAuthStore = require('./stores/scanAuthStore');
+const scanCheckpointStore = require('./stores/scanCheckpointStore');
+const scanScheduleStore = require('./stores/scanScheduleStore');
+const linkGateStore = require('./stores/linkGateStore');
+const linkGraphStore = require('./stores/linkGraphStore');
+const shareStore = require('./stores/shareStore');
 const usageStore = require('./stores/usageStore');
+const webhookStore = require('./stores/webhookStore');
 const permissionPolicy = require('./policies/permissionPolicy');
 const { getCoeditingHealthSnapshotAsync } = require('./utils/coeditingObservability');
 const {
@@ -129,6 +208,13 @@ if (!fs.existsSync(SCREENSHOT_DIR)) {
 }
 app.use('/screenshots', express.static(SCREENSHOT_DIR));
 
+// Export job artifacts are not served statically; they are downloaded through
+// GET /export-jobs/:id/download, which checks the job owner.
+const MAP_EXPORT_DIR = path.join(__dirname, 'exports');
+if (!fs.existsSync(MAP_EXPORT_DIR)) {
+  fs.mkdirSync(MAP_EXPORT_DIR, { recursive: true });
+}
+
 // Mount routes
 app.use('/auth', authRouter);
 app.use('/api', apiRouter);
@@ -153,9 +239,87 @@ const SCAN_LIMITS = {
   maxDepthDefault: Number(process.env.SCAN_MAX_DEPTH_DEFAULT ?? 6),
   maxDepthHard: Number(process.env.SCAN_MAX_DEPTH_HARD ?? 10),
 };
+const SCAN_RESPECT_ROBOTS = parseEnvBool(process.env.SCAN_RESPECT_ROBOTS, true);
+const SCAN_ROBOTS_MAX_CRAWL_DELAY_MS = Math.max(
+  0,
+  Number(process.env.SCAN_ROBOTS_MAX_CRAWL_DELAY_MS ?? 10000)
+);
+const SCAN_FETCH_CONCURRENCY = Math.max(
+  1,
+  Number(process.env.SCAN_FETCH_CONCURRENCY ?? (isProd ? 4 : 6))
+);
+const SCAN_HOST_MIN_GAP_MS = Math.max(
+  0,
+  Number(process.env.SCAN_HOST_MIN_GAP_MS ?? (isProd ? 250 : 100))
+);
+const SCAN_RENDER_CONCURRENCY = Math.max(
+  1,
+  Number(process.env.SCAN_RENDER_CONCURRENCY ?? (isProd ? 1 : 2))
+);
+const SCAN_RENDER_TIMEOUT_MS = Math.max(
+  5000,
+  Number(process.env.SCAN_RENDER_TIMEOUT_MS ?? 30000)
+);
+const SCAN_RENDER_IDLE_TIMEOUT_MS = Math.max(
+  0,
+  Number(process.env.SCAN_RENDER_IDLE_TIMEOUT_MS ?? 5000)
+);
+const SCAN_CREDENTIALS_SECRET = getScanAuthSecret();
+// Scan jobs save their crawl frontier every N processed pages (0 disables checkpoints).
+const SCAN_CHECKPOINT_EVERY_PAGES = Math.max(
+  0,
+  Number(process.env.SCAN_CHECKPOINT_EVERY_PAGES ?? 25)
+);
+const SCAN_JOB_HEARTBEAT_MS = Math.max(
+  1000,
+  Number(process.env.SCAN_JOB_HEARTBEAT_MS ?? 15000)
+);
+// Running scan jobs without a heartbeat for this long are requeued and resume from their checkpoint.
+const SCAN_RESUME_STALE_MS = Math.max(
+  SCAN_JOB_HEARTBEAT_MS * 2,
+  Number(process.env.SCAN_RESUME_STALE_MS ?? 60000)
+);
+const SCAN_CHECKPOINT_TTL_HOURS = Math.max(
+  1,
+  Number(process.env.SCAN_CHECKPOINT_TTL_HOURS ?? 72)
+);
+// How often the worker looks for scan schedules that are due.
+const SCAN_SCHEDULE_POLL_MS = Math.max(
+  5000,
+  Number(process.env.SCAN_SCHEDULE_POLL_MS ?? 60000)
+);
+const SCAN_SCHEDULE_RUNS_KEPT = Math.max(
+  1,
+  Number(process.env.SCAN_SCHEDULE_RUNS_KEPT ?? 50)
+);
+// How often the worker sends due webhook deliveries, and how long a receiver gets to answer.
+const WEBHOOK_POLL_MS = Math.max(
+  1000,
+  Number(process.env.WEBHOOK_POLL_MS ?? 5000)
+);
+const WEBHOOK_TIMEOUT_MS = Math.max(
+  1000,
+  Number(process.env.WEBHOOK_TIMEOUT_MS ?? 10000)
+);
+const WEBHOOK_DELIVERIES_KEPT = Math.max(
+  1,
+  Number(process.env.WEBHOOK_DELIVERIES_KEPT ?? 100)
+);
+const WEBHOOK_DELIVERY_BATCH = 20;
+const WEBHOOK_RESPONSE_BODY_MAX = 2000;
+// Redirect hops followed per page before it is reported as a redirect error.
+const SCAN_MAX_REDIRECT_HOPS = Math.max(
+  1,
+  Number(process.env.SCAN_MAX_REDIRECT_HOPS ?? 10)
+);
+// Pages with fewer body words than this are flagged as thin content by the SEO audit.
+const SEO_THIN_CONTENT_WORDS = Math.max(
+  0,
+  Number(process.env.SEO_THIN_CONTENT_WORDS ?? 200)
+);
 const SCAN_API_KEY = process.env.SCAN_API_KEY || null;
-const ALLOW_PRIVATE_NETWORKS = process.env.ALLOW_PRIVATE_NETWORKS === 'true'
-  || (!isProd && process.env.ALLOW_PRIVATE_NETWORKS !== 'false');
+// Opt-in: let personal access tokens run scans without also sending SCAN_API_KEY.
+const SCAN_API_KEY_ACCEPTS_TOKENS = process.env.SCAN_API_KEY_ACCEPTS_TOKENS === 'true';
 const SCAN_RATE_WINDOW_MS = Number(process.env.SCAN_RATE_WINDOW_MS ?? (isProd ? 60000 : 10000));
 const SCAN_RATE_LIMIT = Number(process.env.SCAN_RATE_LIMIT ?? (isProd ? 60 : 120));
 const SCREENSHOT_RATE_WINDOW_MS = Number(process.env.SCREENSHOT_RATE_WINDOW_MS ?? (isProd ? 60000 : 10000));
@@ -192,6 +356,24 @@ const SCREENSHOT_CLEANUP_MAX_FILES = Math.max(
   1,
   Number(process.env.SCREENSHOT_CLEANUP_MAX_FILES ?? 50)
 );
+// Server-side map exports (export jobs). Tiles are CSS pixels; a PNG tile is this times the scale
+// in device pixels, which must stay under Chromium's 16,384 px capture limit.
+const MAP_EXPORT_TILE_SIZE = Math.min(
+  5000,
+  Math.max(512, Number(process.env.MAP_EXPORT_TILE_SIZE ?? 4096))
+);
+const MAP_EXPORT_MAX_SCALE = 3;
+const MAP_EXPORT_MAX_NODES = Math.max(1, Number(process.env.MAP_EXPORT_MAX_NODES ?? 20000));
+const MAP_EXPORT_RENDER_TIMEOUT_MS = Math.max(
+  10000,
+  Number(process.env.MAP_EXPORT_RENDER_TIMEOUT_MS ?? 120000)
+);
+// Rendered files are kept for download this long, then removed by the cleanup pass.
+const MAP_EXPORT_TTL_MS = Math.max(
+  60000,
+  Number(process.env.MAP_EXPORT_TTL_MS ?? 24 * 60 * 60 * 1000)
+);
+let mapExportLastCleanupAt = 0;
 const screenshotQueue = [];
 let screenshotActive = 0;
 const lastScreenshotByHost = new Map();
@@ -226,76 +408,6 @@ const DISCOVERY_SUBDOMAIN_PREFIXES = [
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip);
-
-const isPrivateIp = (ip) => {
-  const normalized = normalizeIp(ip);
-  const version = net.isIP(normalized);
-  if (version === 4) {
-    const [a, b] = normalized.split('.').map(Number);
-    if (a === 10) return true;
-    if (a === 127) return true;
-    if (a === 0) return true;
-    if (a === 169 && b === 254) return true;
-    if (a === 172 && b >= 16 && b <= 31) return true;
-    if (a === 192 && b === 168) return true;
-    if (a >= 224) return true; // multicast/reserved
-    return false;
-  }
-  if (version === 6) {
-    const lower = normalized.toLowerCase();
-    if (lower === '::1') return true;
-    if (lower.startsWith('fc') || lower.startsWith('fd')) return true; // ULA
-    if (lower.startsWith('fe80')) return true; // link-local
-    if (lower.startsWith('::ffff:')) return isPrivateIp(lower.slice(7));
-    return false;
-  }
-  return true;
-};
-
-const isHostBlocked = (hostname) => {
-  const lower = hostname.toLowerCase();
-  return (
-    lower === 'localhost'
-    || lower.endsWith('.localhost')
-    || lower.endsWith('.local')
-  );
-};
-
-async function assertSafeUrl(rawUrl) {
-  let urlObj;
-  try {
-    urlObj = new URL(rawUrl);
-  } catch {
-    throw new Error('Invalid URL');
-  }
-
-  if (!['http:', 'https:'].includes(urlObj.protocol)) {
-    throw new Error('Invalid URL protocol');
-  }
-
-  const hostname = urlObj.hostname;
-  if (!ALLOW_PRIVATE_NETWORKS) {
-    if (isHostBlocked(hostname)) throw new Error('Blocked host');
-    if (net.isIP(hostname)) {
-      if (isPrivateIp(hostname)) throw new Error('Blocked host');
-    } else {
-      let records = [];
-      try {
-        records = await dns.lookup(hostname, { all: true, verbatim: true });
-      } catch {
-        throw new Error('Unable to resolve host');
-      }
-      if (!records.length) throw new Error('Unable to resolve host');
-      if (records.some((rec) => isPrivateIp(rec.address))) {
-        throw new Error('Blocked host');
-      }
-    }
-  }
-
-  return urlObj.toString();
-}
-
 const clampInt = (value, { min, max, fallback }) => {
   const parsed = typeof value === 'string' ? Number(value) : value;
   if (!Number.isFinite(parsed)) return fallback;
@@ -405,6 +517,8 @@ const createRateLimiter = ({ windowMs, max, name = 'default' }) => {
 
 const requireApiKey = (req, res, next) => {
   if (!SCAN_API_KEY) return next();
+  // authMiddleware already checked the token's scope for this route.
+  if (req.accessToken && SCAN_API_KEY_ACCEPTS_TOKENS) return next();
   const key = req.get('x-api-key') || req.query?.api_key || req.body?.api_key;
   if (key !== SCAN_API_KEY) {
     return res.status(401).json({ error: 'Unauthorized' });
@@ -415,16 +529,10 @@ const requireApiKey = (req, res, next) => {
 const getApiKey = (req) => req.get('x-api-key') || req.query?.api_key || req.body?.api_key || null;
 const hashIp = (ip) => (ip ? crypto.createHash('sha256').update(ip).digest('hex') : null);
 
-const recordUsage = (req, eventType, quantity = 1, meta = null) => {
-  const userId = req.user?.id || null;
-  const apiKey = getApiKey(req);
-  const ip = getClientIp(req);
-  const ipHash = hashIp(ip);
+const recordUsageEvent = (identity, eventType, quantity = 1, meta = null) => {
   usageStore.insertUsageEventAsync({
     id: crypto.randomUUID(),
-    userId,
-    apiKey,
-    ipHash,
+    ...identity,
     eventType,
     quantity,
     meta,
@@ -433,6 +541,15 @@ const recordUsage = (req, eventType, quantity = 1, meta = null) => {
   });
 };
 
+const recordUsage = (req, eventType, quantity = 1, meta = null) => {
+  recordUsageEvent({
+    userId: req.user?.id || null,
+    apiKey: getApiKey(req),
+    accessTokenId: req.accessToken?.id || null,
+    ipHash: hashIp(getClientIp(req)),
+  }, eventType, quantity, meta);
+};
+
 const USAGE_WINDOW_HOURS = Number(process.env.USAGE_WINDOW_HOURS ?? 24);
 const USAGE_LIMITS = {
   scan: Number(process.env.USAGE_LIMIT_SCAN ?? (isProd ? 100 : 1000)),
@@ -440,6 +557,7 @@ const USAGE_LIMITS = {
   scan_job: Number(process.env.USAGE_LIMIT_SCAN_JOB ?? (isProd ? 100 : 1000)),
   screenshot: Number(process.env.USAGE_LIMIT_SCREENSHOT ?? (isProd ? 200 : 2000)),
   screenshot_job: Number(process.env.USAGE_LIMIT_SCREENSHOT_JOB ?? (isProd ? 200 : 2000)),
+  export_job: Number(process.env.USAGE_LIMIT_EXPORT_JOB ?? (isProd ? 50 : 500)),
 };
 
 const getUsageLimit = (eventType) => {
@@ -458,11 +576,9 @@ const getUsageIdentity = (req) => {
   return null;
 };
 
-const checkUsageLimit = async (req, eventType) => {
+const checkUsageLimitForIdentity = async (identity, eventType) => {
   const limit = getUsageLimit(eventType);
   if (!limit) return { allowed: true };
-
-  const identity = getUsageIdentity(req);
   if (!identity) return { allowed: true };
 
   const used = await usageStore.getUsageTotalForWindowAsync({
@@ -479,6 +595,8 @@ const checkUsageLimit = async (req, eventType) => {
   return { allowed: true, limit, used };
 };
 
+const checkUsageLimit = (req, eventType) => checkUsageLimitForIdentity(getUsageIdentity(req), eventType);
+
 const enforceUsageLimit = (eventType) => async (req, res, next) => {
   const check = await checkUsageLimit(req, eventType);
   if (!check.allowed) {
@@ -561,6 +679,13 @@ const isJobVisibleToRequest = (row, req) => {
   return false;
 };
 
+// Scans for a saved map carry that map's data (a rescan's change set, pages crawled with its stored
+// credentials), so only whoever started them can read them. Other scan jobs stay readable by id.
+const isScanJobReadable = (row, req) => {
+  const payload = parseJsonSafe(row.payload) || {};
+  return !payload.mapId || isJobVisibleToRequest(row, req);
+};
+
 const cleanupStaleScreenshots = () => {
   const now = Date.now();
   if (now - screenshotLastCleanupAt < SCREENSHOT_CLEANUP_INTERVAL_MS) return;
@@ -597,6 +722,7 @@ const JOB_TYPES = {
   scan: 'scan',
   screenshot: 'screenshot',
   discovery: 'discovery',
+  export: 'export',
 };
 const JOB_STATUS = {
   queued: 'queued',
@@ -611,6 +737,9 @@ const JOB_MAX_CONCURRENCY = Math.max(
   Number(process.env.JOB_MAX_CONCURRENCY ?? (isProd ? 1 : 2))
 );
 
+// UTC 'YYYY-MM-DD HH:MM:SS', the same shape CURRENT_TIMESTAMP produces, so string comparisons work.
+const toSqlTimestamp = (time = Date.now()) => new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+
 const parseJsonSafe = (raw) => {
   if (!raw) return null;
   try {
@@ -620,6 +749,14 @@ const parseJsonSafe = (raw) => {
   }
 };
 
+// Encrypted scan credentials stay in the stored payload for the worker but are never returned.
+const sanitizeJobPayload = (payload) => {
+  if (!payload || typeof payload !== 'object') return payload;
+  const { authEncrypted, ...rest } = payload;
+  if (authEncrypted) rest.hasAuth = true;
+  return rest;
+};
+
 const serializeJobRow = (row, includeResult = true) => {
   if (!row) return null;
   return {
@@ -629,7 +766,7 @@ const serializeJobRow = (row, includeResult = true) => {
     createdAt: row.created_at,
     startedAt: row.started_at,
     finishedAt: row.finished_at,
-    payload: parseJsonSafe(row.payload),
+    payload: sanitizeJobPayload(parseJsonSafe(row.payload)),
     progress: parseJsonSafe(row.progress),
     result: includeResult ? parseJsonSafe(row.result) : null,
     error: row.error || null,
@@ -684,16 +821,46 @@ const updateJobProgress = async (id, progress) => {
   await jobStore.updateJobProgressAsync(id, JSON.stringify(progress));
 };
 
+// scan.completed / scan.failed go to the project of the scanned map; scans without a map have no
+// subscribers. Only counts are sent: receivers fetch the job for the full result.
+const emitScanJobWebhook = (id, event, details) => (async () => {
+  const row = await getJobRow(id);
+  if (row?.type !== JOB_TYPES.scan) return;
+  const payload = parseJsonSafe(row.payload) || {};
+  if (!payload.mapId) return;
+  await enqueueMapWebhookEventAsync(payload.mapId, event, {
+    job: {
+      id,
+      url: payload.url,
+      scheduleId: payload.scheduleId || null,
+      rescan: Boolean(payload.rescan),
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+    },
+    ...details,
+  });
+})().catch((error) => {
+  console.warn(`[webhook] Failed to queue ${event} for job ${id}:`, error.message);
+});
+
+const summarizeScanResult = (result) => ({
+  pages: countTreeNodes([result.root, ...(result.orphans || []), ...(result.subdomains || [])]),
+  orphans: (result.orphans || []).length,
+  brokenLinks: (result.brokenLinks || []).length,
+  errors: (result.errors || []).length,
+  changes: result.changeSet?.summary || null,
+  ...(result.linkGate ? { linkGate: { status: result.linkGate.status, ...result.linkGate.summary } } : {}),
+});
+
 const markJobComplete = async (id, result) => {
   await jobStore.markJobCompleteAsync(id, JOB_STATUS.complete, JSON.stringify(result || {}));
+  emitScanJobWebhook(id, WEBHOOK_EVENTS.SCAN_COMPLETED, { result: summarizeScanResult(result || {}) });
 };
 
 const markJobFailed = async (id, error) => {
-  await jobStore.markJobFailedAsync(
-    id,
-    JOB_STATUS.failed,
-    error?.message || String(error || 'Job failed')
-  );
+  const message = error?.message || String(error || 'Job failed');
+  await jobStore.markJobFailedAsync(id, JOB_STATUS.failed, message);
+  emitScanJobWebhook(id, WEBHOOK_EVENTS.SCAN_FAILED, { error: message });
 };
 
 const markJobCanceled = async (id) => {
@@ -739,7 +906,7 @@ async function getBrowser() {
 const DEFAULT_MAX_PAGES = SCAN_LIMITS.maxPagesDefault;
 const DEFAULT_MAX_DEPTH = SCAN_LIMITS.maxDepthDefault;
 
-function normalizeUrl(raw) {
+function normalizeUrl(raw, queryPolicy = DEFAULT_QUERY_POLICY) {
   try {
     const u = new URL(raw);
     u.hash = '';
@@ -754,6 +921,10 @@ function normalizeUrl(raw) {
       u.pathname = u.pathname.replace(/\/+$/, '');
     }
 
+    if (u.search && queryPolicy.mode !== 'preserve') {
+      u.search = applyQueryPolicy(u.search, queryPolicy);
+    }
+
     return u.toString();
   } catch {
     return null;
@@ -819,7 +990,7 @@ function normalizeHost(hostname) {
   return hostname.replace(/^www\./i, '').toLowerCase();
 }
 
-function getCanonicalKey(urlStr) {
+function getCanonicalKey(urlStr, queryPolicy = DEFAULT_QUERY_POLICY) {
   try {
     const u = new URL(urlStr);
     u.hash = '';
@@ -831,18 +1002,9 @@ function getCanonicalKey(urlStr) {
       u.pathname = u.pathname.replace(/\/+$/, '');
     }
 
+    // Tracking params never make a page distinct; the scan's query policy then applies on top.
     if (u.search) {
-      const params = new URLSearchParams(u.search);
-      const trackingKeys = [
-        'gclid', 'fbclid', 'ref', 'ref_src', 'mkt_tok', 'mc_cid', 'mc_eid',
-      ];
-      Array.from(params.keys()).forEach((key) => {
-        if (key.startsWith('utm_') || trackingKeys.includes(key)) {
-          params.delete(key);
-        }
-      });
-      const next = params.toString();
-      u.search = next ? `?${next}` : '';
+      u.search = applyQueryPolicy(applyQueryPolicy(u.search, { mode: 'strip_tracking' }), queryPolicy);
     }
 
     const port = u.port ? `:${u.port}` : '';
@@ -920,18 +1082,28 @@ const getSeverityForPage = ({ placement, status }) => {
   return 'Healthy';
 };
 
+const toPageSeoColumns = (seo) => ({
+  meta_description: seo.metaDescription || null,
+  h1: seo.h1?.length ? JSON.stringify(seo.h1) : null,
+  meta_robots: seo.metaRobots || null,
+  open_graph: seo.openGraph && Object.keys(seo.openGraph).length ? JSON.stringify(seo.openGraph) : null,
+  word_count: Number.isFinite(seo.wordCount) ? seo.wordCount : null,
+  response_time_ms: Number.isFinite(seo.responseTimeMs) ? seo.responseTimeMs : null,
+});
+
 async function persistPagesForIa(
   nodes,
   baseHost,
   discoverySourceByUrl = new Map(),
-  linksInCounts = new Map()
+  linksInCounts = new Map(),
+  queryPolicy = DEFAULT_QUERY_POLICY
 ) {
   if (!nodes || nodes.size === 0) {
     return {
       totalSaved: 0,
       virtualInserted: 0,
       subdomainCount: 0,
-      queryBehavior: 'preserved',
+      queryBehavior: getQueryBehavior(queryPolicy),
       domainParsing: 'base-host-fallback',
     };
   }
@@ -939,6 +1111,7 @@ async function persistPagesForIa(
   const pageColumns = await pageStore.getPageColumnsAsync();
   const hasType = pageColumns.includes('type');
   const hasDepth = pageColumns.includes('depth');
+  const hasSeo = pageStore.PAGE_SEO_COLUMNS.every((col) => pageColumns.includes(col));
 
   const selectColumns = [
     'url',
@@ -952,6 +1125,7 @@ async function persistPagesForIa(
   ];
   if (hasType) selectColumns.push('type');
   if (hasDepth) selectColumns.push('depth');
+  if (hasSeo) selectColumns.push(...pageStore.PAGE_SEO_COLUMNS);
 
   const known = new Map();
   const readExisting = async (url) => {
@@ -971,6 +1145,7 @@ async function persistPagesForIa(
     depth,
     discovery_source,
     incomingLinks = 0,
+    seoColumns = null,
   }) => {
     const existing = await readExisting(url);
     const isIncomingVirtual = type === PAGE_TYPE_VIRTUAL;
@@ -997,8 +1172,9 @@ async function persistPagesForIa(
         links_in: nextLinksIn,
         type,
         depth,
+        ...(hasSeo ? seoColumns : null),
       };
-      await pageStore.insertPageAsync(row, { hasType, hasDepth });
+      await pageStore.insertPageAsync(row, { hasType, hasDepth, hasSeo });
       known.set(url, row);
       return { inserted: true, virtual: isIncomingVirtual };
     }
@@ -1034,6 +1210,13 @@ async function persistPagesForIa(
     const nextParent = parent_url;
     const nextDepth = hasDepth ? depth : existing.depth ?? null;
     const nextSeverity = getSeverityForPage({ placement: nextPlacement, status: nextStatus });
+    // Placeholder upserts carry no crawl metadata and keep what an earlier scan stored.
+    const nextSeo = {};
+    if (hasSeo) {
+      pageStore.PAGE_SEO_COLUMNS.forEach((col) => {
+        nextSeo[col] = seoColumns ? seoColumns[col] : (existing[col] ?? null);
+      });
+    }
 
     const needsUpdate = nextTitle !== existing.title
       || nextStatus !== existing.status
@@ -1043,7 +1226,8 @@ async function persistPagesForIa(
       || nextDiscoverySource !== existing.discovery_source
       || nextLinksIn !== existing.links_in
       || (hasType && nextType !== existing.type)
-      || (hasDepth && nextDepth !== existing.depth);
+      || (hasDepth && nextDepth !== existing.depth)
+      || (hasSeo && pageStore.PAGE_SEO_COLUMNS.some((col) => nextSeo[col] !== (existing[col] ?? null)));
 
     if (needsUpdate) {
       const row = {
@@ -1057,8 +1241,9 @@ async function persistPagesForIa(
         links_in: nextLinksIn,
         type: nextType,
         depth: nextDepth,
+        ...nextSeo,
       };
-      await pageStore.updatePageAsync(row, { hasType, hasDepth });
+      await pageStore.updatePageAsync(row, { hasType, hasDepth, hasSeo });
       known.set(url, row);
     }
 
@@ -1100,7 +1285,7 @@ async function persistPagesForIa(
 
   const run = pageStore.transactionAsync(async () => {
     for (const node of pages) {
-      const canonicalUrl = normalizeUrl(node.url);
+      const canonicalUrl = normalizeUrl(node.url, queryPolicy);
       if (!canonicalUrl) continue;
       if (persisted.has(canonicalUrl)) continue;
       persisted.add(canonicalUrl);
@@ -1137,6 +1322,7 @@ async function persistPagesForIa(
         depth,
         discovery_source: discoverySource,
         incomingLinks,
+        seoColumns: !isMissing && node.seo ? toPageSeoColumns(node.seo) : null,
       });
 
       if (result?.inserted || result?.updated) {
@@ -1205,14 +1391,13 @@ async function persistPagesForIa(
     totalSaved,
     virtualInserted,
     subdomainCount,
-    queryBehavior: 'preserved',
+    queryBehavior: getQueryBehavior(queryPolicy),
     domainParsing: 'base-host-fallback',
   };
 }
 
-function extractTitle(html, fallbackUrl) {
+function extractTitle($, fallbackUrl) {
   try {
-    const $ = cheerio.load(html);
     const t = ($('title').first().text() || '').trim();
     if (t) return t;
 
@@ -1227,18 +1412,66 @@ function extractTitle(html, fallbackUrl) {
   }
 }
 
-function extractCanonicalUrl(html, baseUrl) {
+function extractCanonicalUrl($, baseUrl, queryPolicy = DEFAULT_QUERY_POLICY) {
   try {
-    const $ = cheerio.load(html);
     const href = ($('link[rel="canonical"]').attr('href') || '').trim();
     if (!href) return null;
     const abs = new URL(href, baseUrl).toString();
-    return normalizeUrl(abs);
+    return normalizeUrl(abs, queryPolicy);
   } catch {
     return null;
   }
 }
 
+// Links in the page's navigation (`<nav>`, `<header>` and `role="navigation"`), used by the SEO audit.
+function extractNavLinks($, baseUrl, queryPolicy = DEFAULT_QUERY_POLICY) {
+  try {
+    const links = new Set();
+    $('nav a[href], header a[href], [role="navigation"] a[href]').each((_, el) => {
+      const href = ($(el).attr('href') || '').trim();
+      if (!href || /^(mailto:|tel:|javascript:|#)/i.test(href)) return;
+      try {
+        const norm = normalizeUrl(new URL(href, baseUrl).toString(), queryPolicy);
+        if (norm) links.add(norm);
+      } catch {
+        // ignore
+      }
+    });
+    return Array.from(links);
+  } catch {
+    return [];
+  }
+}
+
+// `<link rel="alternate" hreflang>` annotations as `[{ hreflang, url }]`; codes are validated later.
+function extractHreflangAlternates($, baseUrl, queryPolicy = DEFAULT_QUERY_POLICY) {
+  try {
+    const alternates = [];
+    const seen = new Set();
+    $('link[hreflang]').each((_, el) => {
+      const rel = String($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+      if (!rel.includes('alternate')) return;
+      const hreflang = String($(el).attr('hreflang') || '').trim();
+      const href = String($(el).attr('href') || '').trim();
+      if (!hreflang || !href) return;
+      let url;
+      try {
+        url = normalizeUrl(new URL(href, baseUrl).toString(), queryPolicy);
+      } catch {
+        return;
+      }
+      if (!url) return;
+      const key = `${hreflang.toLowerCase()} ${url}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      alternates.push({ hreflang, url });
+    });
+    return alternates;
+  } catch {
+    return [];
+  }
+}
+
 function extractThumbnailUrl(html, baseUrl) {
   try {
     const $ = cheerio.load(html);
@@ -1271,21 +1504,336 @@ function extractThumbnailUrl(html, baseUrl) {
   }
 }
 
+// Redirects are followed hop by hop (`redirectChain`); loops and over-long chains reject with the
+// chain attached (see utils/redirectChain.js).
 async function fetchPage(url, extraHeaders = {}) {
-  const res = await axios.get(url, {
+  const pageHost = normalizeHost(new URL(url).hostname);
+  const { response: res, finalUrl, hops } = await followRedirects(url, (hopUrl) => axios.get(hopUrl, {
     timeout: 20000,
-    maxRedirects: 5,
+    maxRedirects: 0,
     headers: {
       'User-Agent': 'Mozilla/5.0 (compatible; MapMatBot/1.0)',
       Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
       'Accept-Language': 'en-US,en;q=0.5',
-      ...extraHeaders,
+      // Scan credentials are dropped once a redirect leaves the scanned site.
+      ...(getPlacementForUrl(hopUrl, pageHost) ? extraHeaders : {}),
+    },
+    validateStatus: () => true,
+  }), { maxHops: SCAN_MAX_REDIRECT_HOPS });
+  return {
+    html: res.data,
+    status: res.status,
+    contentType: res.headers['content-type'],
+    robotsHeader: res.headers['x-robots-tag'] || null,
+    finalUrl: normalizeUrl(finalUrl),
+    redirectChain: hops,
+  };
+}
+
+const RENDER_SKIPPED_RESOURCE_TYPES = new Set(['image', 'media', 'font']);
+
+// Loads a page in Chromium and returns the rendered DOM plus links that only exist after scripts run.
+async function renderPage(url, extraHeaders = {}) {
+  const b = await getBrowser();
+  const context = await b.newContext({
+    userAgent: 'Mozilla/5.0 (compatible; MapMatBot/1.0)',
+    viewport: { width: 1280, height: 720 },
+    extraHTTPHeaders: {
+      'Accept-Language': 'en-US,en;q=0.5',
+    },
+  });
+  let page = null;
+  const pageHost = normalizeHost(new URL(url).hostname);
+  const hasExtraHeaders = Object.keys(extraHeaders).length > 0;
+
+  try {
+    await context.route('**/*', (route) => {
+      const request = route.request();
+      if (RENDER_SKIPPED_RESOURCE_TYPES.has(request.resourceType())) {
+        return route.abort();
+      }
+      // Scan credentials only go to the scanned site, never to third-party scripts or CDNs.
+      if (hasExtraHeaders && getPlacementForUrl(request.url(), pageHost)) {
+        return route.continue({ headers: { ...request.headers(), ...extraHeaders } });
+      }
+      return route.continue();
+    });
+    page = await context.newPage();
+
+    const response = await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: SCAN_RENDER_TIMEOUT_MS,
+    });
+    if (!response) throw new Error('No response for rendered page');
+    if (SCAN_RENDER_IDLE_TIMEOUT_MS > 0) {
+      // Sites that poll or hold sockets open never go idle; render whatever is there by then.
+      await page.waitForLoadState('networkidle', { timeout: SCAN_RENDER_IDLE_TIMEOUT_MS }).catch(() => {});
+    }
+
+    const html = await page.content();
+    const renderedLinks = mergeLinks([], await page.evaluate(collectRenderedLinks), normalizeUrl);
+    const redirectChain = await readRedirectChain(response);
+    // Chromium allows longer chains than static fetches; fail here so the static fallback reports it.
+    if (redirectChain.length >= SCAN_MAX_REDIRECT_HOPS) {
+      throw new Error(`More than ${SCAN_MAX_REDIRECT_HOPS} redirects`);
+    }
+
+    const headers = response.headers();
+    return {
+      html,
+      status: response.status(),
+      contentType: headers['content-type'],
+      robotsHeader: headers['x-robots-tag'] || null,
+      // The URL the redirects ended at, matching the last hop of redirectChain.
+      finalUrl: normalizeUrl(response.url() || url),
+      redirectChain,
+      renderedLinks,
+    };
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+    await context.close().catch(() => {});
+  }
+}
+
+const ROBOTS_FETCH_ATTEMPTS = 2;
+const ROBOTS_RETRY_DELAY_MS = 1000;
+const ROBOTS_MAX_REDIRECT_HOPS = 5;
+
+// RFC 9309: a robots.txt that is unreachable or answers 5xx disallows the whole origin, so a network
+// error or 5xx is retried once before it counts. Redirects are followed hop by hop with the same URL
+// checks as pages; more than five of them (or a loop) means robots.txt is unavailable, which allows
+// everything, like a 404.
+async function fetchRobotsPolicy(origin, extraHeaders = {}) {
+  const robotsHost = normalizeHost(new URL(origin).hostname);
+  const request = async (hopUrl) => axios.get(await assertSafeUrl(hopUrl), {
+    timeout: 10000,
+    maxRedirects: 0,
+    responseType: 'text',
+    headers: {
+      'User-Agent': 'MapMatBot/1.0',
+      ...(getPlacementForUrl(hopUrl, robotsHost) ? extraHeaders : {}),
+    },
+    validateStatus: () => true,
+  });
+
+  for (let attempt = 1; ; attempt += 1) {
+    const canRetry = attempt < ROBOTS_FETCH_ATTEMPTS;
+    try {
+      const { response: res } = await followRedirects(`${origin}/robots.txt`, request, {
+        maxHops: ROBOTS_MAX_REDIRECT_HOPS,
+      });
+      if (res.status < 500 || !canRetry) {
+        return createRobotsPolicy({ status: res.status, text: typeof res.data === 'string' ? res.data : '' });
+      }
+    } catch (error) {
+      if (error.code === 'REDIRECT_LOOP' || error.code === 'TOO_MANY_REDIRECTS') {
+        return createRobotsPolicy({ status: 404 });
+      }
+      if (!canRetry) return createRobotsPolicy({ status: 0 });
+    }
+    await sleep(ROBOTS_RETRY_DELAY_MS);
+  }
+}
+
+// Runs the recorded login step: load the form, submit it with the recorded fields and keep the session cookies.
+// The login URL was checked when it was saved, but DNS can change since, so it and every redirect
+// hop are checked again before they are requested.
+async function performScanLogin(scanAuth, cookies) {
+  const { login } = scanAuth;
+  let jar = cookies;
+  const { response: loginPage } = await followRedirects(login.url, async (hopUrl) => {
+    const res = await axios.get(await assertSafeUrl(hopUrl), {
+      timeout: 20000,
+      maxRedirects: 0,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; MapMatBot/1.0)',
+        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        ...buildScanAuthHeaders(scanAuth, jar),
+      },
+      validateStatus: () => true,
+    });
+    jar = mergeCookies(jar, parseSetCookieHeaders(res.headers['set-cookie']));
+    return res;
+  }, { maxHops: SCAN_MAX_REDIRECT_HOPS });
+  const submission = buildLoginFormSubmission(
+    typeof loginPage.data === 'string' ? loginPage.data : '',
+    login.url,
+    login
+  );
+  if (!sameOrigin(submission.action, login.url)) {
+    throw new Error('Login form submits to a different origin');
+  }
+
+  const body = new URLSearchParams(submission.fields).toString();
+  const isPost = submission.method === 'POST';
+  const submitUrl = new URL(submission.action);
+  if (!isPost) submitUrl.search = body;
+  const res = await axios.request({
+    url: await assertSafeUrl(submitUrl.toString()),
+    method: submission.method,
+    data: isPost ? body : undefined,
+    timeout: 20000,
+    // Session cookies are usually set on the redirect that follows a successful login.
+    maxRedirects: 0,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; MapMatBot/1.0)',
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Referer: login.url,
+      ...buildScanAuthHeaders(scanAuth, jar),
     },
     validateStatus: () => true,
   });
-  const responseUrl = res.request?.res?.responseUrl;
-  const finalUrl = normalizeUrl(responseUrl || url);
-  return { html: res.data, status: res.status, contentType: res.headers['content-type'], finalUrl };
+  jar = mergeCookies(jar, parseSetCookieHeaders(res.headers['set-cookie']));
+  return { cookies: jar, status: res.status };
+}
+
+async function prepareScanAuth(scanAuth, baseHost) {
+  if (!scanAuth) return { headers: {}, status: null };
+  let cookies = scanAuth.cookies || [];
+  let login = null;
+
+  if (scanAuth.login) {
+    if (!getPlacementForUrl(scanAuth.login.url, baseHost)) {
+      login = 'skipped_offsite';
+    } else {
+      try {
+        const loginResult = await performScanLogin(scanAuth, cookies);
+        cookies = loginResult.cookies;
+        login = loginResult.status < 400 ? 'succeeded' : 'failed';
+      } catch (err) {
+        console.warn('[scan] Login step failed:', err?.message || err);
+        login = 'failed';
+      }
+    }
+  }
+
+  return {
+    headers: buildScanAuthHeaders(scanAuth, cookies),
+    status: { applied: true, login },
+  };
+}
+
+// Inline credentials travel encrypted in the job payload; otherwise use the map's stored ones for the same site.
+async function resolveJobScanAuth(payload) {
+  if (payload.authEncrypted) {
+    return decryptScanAuth(payload.authEncrypted, SCAN_CREDENTIALS_SECRET);
+  }
+  if (!payload.mapId) return null;
+
+  const row = await scanAuthStore.getScanCredentialsByMapIdAsync(payload.mapId);
+  if (!row) return null;
+  if (!getPlacementForUrl(payload.url, row.host)) return null;
+  return decryptScanAuth(row.encrypted_payload, SCAN_CREDENTIALS_SECRET);
+}
+
+// Re-scans diff against the map as last saved; unsaved edits in an open editor are not seen here.
+async function buildRescanChangeSet(mapId, result, options = {}) {
+  const map = await mapStore.getMapByIdAsync(mapId);
+  if (!map) throw new Error('Map not found');
+  const { queryPolicy } = normalizeScanOptions(options);
+  const savedRoot = parseJsonSafe(map.root_data);
+  const savedOrphans = parseJsonSafe(map.orphans_data) || [];
+  return {
+    mapId,
+    mapUpdatedAt: map.updated_at,
+    ...diffScanAgainstMap({
+      mapTrees: [savedRoot, ...savedOrphans],
+      scanTrees: [result.root, ...(result.orphans || []), ...(result.subdomains || [])],
+      getKey: (url) => getCanonicalKey(url, queryPolicy),
+    }),
+  };
+}
+
+// Broken links of a gate scan, keyed the way that scan keyed its pages.
+const collectGateBrokenLinks = (payload, result) => {
+  const { queryPolicy } = normalizeScanOptions(payload.options || {});
+  return collectBrokenLinks(result, (url) => getCanonicalKey(url, queryPolicy));
+};
+
+// The first gate scan of a map records its broken links as the baseline and passes. Later scans
+// fail on links missing from the baseline; with `updateBaseline`, a passing scan replaces the
+// baseline so fixed links drop out of it.
+async function evaluateLinkGate(job, payload, result) {
+  const links = collectGateBrokenLinks(payload, result);
+  const row = await linkGateStore.getLinkGateBaselineAsync(payload.mapId);
+  const baseline = row
+    ? { jobId: row.job_id, createdAt: fromScheduleTimestamp(row.created_at), links: parseJsonSafe(row.links) || [] }
+    : null;
+  const verdict = buildLinkGateVerdict({ mapId: payload.mapId, jobId: job.id, url: payload.url, baseline, links });
+  if (!baseline || (payload.linkGate.updateBaseline && verdict.status === 'passed')) {
+    await linkGateStore.saveLinkGateBaselineAsync({
+      mapId: payload.mapId,
+      jobId: job.id,
+      userId: job.user_id,
+      links,
+    });
+    verdict.baseline.updated = true;
+  }
+  return verdict;
+}
+
+const countTreeNodes = (nodes) => nodes.reduce(
+  (total, node) => (node ? total + 1 + countTreeNodes(node.children || []) : total),
+  0
+);
+
+const MAX_LINK_GRAPH_EDGES = 100000;
+
+// Stores a scan job's link graph under the job id, attached to the scanned map if there is one, and
+// returns the summary kept in the job result. The scan still completes when this fails.
+async function saveScanLinkGraph(job, payload, result, edges) {
+  try {
+    const truncated = edges.length > MAX_LINK_GRAPH_EDGES;
+    const stored = truncated ? edges.slice(0, MAX_LINK_GRAPH_EDGES) : edges;
+    await linkGraphStore.saveLinkGraphAsync({
+      id: job.id,
+      userId: job.user_id,
+      mapId: payload.mapId || null,
+      rootUrl: result.root?.url || payload.url,
+      pageCount: countTreeNodes([result.root, ...(result.orphans || []), ...(result.subdomains || [])]),
+      edges: stored,
+      truncated,
+    });
+    await linkGraphStore.pruneLinkGraphsAsync(payload.mapId
+      ? { mapId: payload.mapId, keep: LINK_GRAPHS_KEPT }
+      : { userId: job.user_id, keep: LINK_GRAPHS_KEPT });
+    return { id: job.id, edges: stored.length, truncated };
+  } catch (error) {
+    console.error('Link graph save failed:', error?.message || error);
+    return null;
+  }
+}
+
+// Scheduled runs diff against the previous run of the same schedule; the first run diffs against
+// the saved map. Change node ids refer to whichever of the two was the baseline.
+async function completeScheduledScanRun(payload, result) {
+  const { queryPolicy } = normalizeScanOptions(payload.options || {});
+  const scanTrees = [result.root, ...(result.orphans || []), ...(result.subdomains || [])];
+  const previous = await scanScheduleStore.getLatestScanScheduleSnapshotAsync(payload.scheduleId);
+  let baseline = 'previousRun';
+  let baselineTrees = parseJsonSafe(previous?.snapshot);
+  if (!baselineTrees) {
+    const map = await mapStore.getMapByIdAsync(payload.mapId);
+    if (!map) throw new Error('Map not found');
+    baseline = 'map';
+    baselineTrees = [parseJsonSafe(map.root_data), ...(parseJsonSafe(map.orphans_data) || [])];
+  }
+
+  const { summary, changes, truncated } = diffScanAgainstMap({
+    mapTrees: baselineTrees,
+    scanTrees,
+    getKey: (url) => getCanonicalKey(url, queryPolicy),
+  });
+  await scanScheduleStore.completeScanScheduleRunAsync(payload.scheduleRunId, {
+    scheduleId: payload.scheduleId,
+    pagesScanned: countTreeNodes(scanTrees),
+    summary: JSON.stringify(summary),
+    changes: JSON.stringify({ baseline, previousRunId: previous?.id || null, truncated, changes }),
+    snapshot: JSON.stringify(scanTrees),
+  });
+  await scanScheduleStore.pruneScanScheduleRunsAsync(payload.scheduleId, SCAN_SCHEDULE_RUNS_KEPT);
 }
 
 function isHtmlContentType(contentType) {
@@ -1526,8 +2074,7 @@ const runDiscoveryJob = async (jobId, payload) => {
   };
 };
 
-function extractLinks(html, baseUrl) {
-  const $ = cheerio.load(html);
+function extractLinks($, baseUrl, queryPolicy = DEFAULT_QUERY_POLICY) {
   const links = new Set();
 
   // Extract from anchor tags
@@ -1540,7 +2087,7 @@ function extractLinks(html, baseUrl) {
 
     try {
       const abs = new URL(href, baseUrl).toString();
-      const norm = normalizeUrl(abs);
+      const norm = normalizeUrl(abs, queryPolicy);
       if (norm) links.add(norm);
     } catch {
       // ignore
@@ -1555,7 +2102,7 @@ function extractLinks(html, baseUrl) {
     if (!['canonical', 'alternate'].includes(rel)) return;
     try {
       const abs = new URL(href, baseUrl).toString();
-      const norm = normalizeUrl(abs);
+      const norm = normalizeUrl(abs, queryPolicy);
       if (norm) links.add(norm);
     } catch {
       // ignore
@@ -1569,7 +2116,7 @@ function extractLinks(html, baseUrl) {
     if (!href) return;
     try {
       const abs = new URL(href, baseUrl).toString();
-      const norm = normalizeUrl(abs);
+      const norm = normalizeUrl(abs, queryPolicy);
       if (norm) links.add(norm);
     } catch {
       // ignore
@@ -1591,34 +2138,127 @@ function normalizeScanOptions(options = {}) {
     duplicates: Boolean(options.duplicates),
     files: Boolean(options.files),
     crosslinks: Boolean(options.crosslinks),
+    robotsBlocked: Boolean(options.robotsBlocked),
+    renderJs: Boolean(options.renderJs),
+    groupLanguages: Boolean(options.groupLanguages),
+    urlRules: normalizeUrlRules(options.urlRules),
+    queryPolicy: normalizeQueryPolicy(options.queryPolicy),
   };
 }
 
-async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress = null, shouldAbort = null) {
+// `checkpointing` is `{ state, save(state, pagesScanned) }` for scan jobs: `state` is the last saved
+// checkpoint (resumed when it was taken for the same inputs) and `save` persists a new one.
+// `onLinkGraph(edges)` receives the crawl's internal link graph (see utils/linkGraph.js) when it ends.
+async function crawlSite(
+  startUrl,
+  maxPages,
+  maxDepth,
+  options = {},
+  onProgress = null,
+  shouldAbort = null,
+  scanAuth = null,
+  checkpointing = null,
+  onLinkGraph = null
+) {
   const scanOptions = normalizeScanOptions(options);
-  const seed = normalizeUrl(startUrl);
+  const { queryPolicy } = scanOptions;
+  // Every URL the crawl records goes through the scan's query policy, so nodes, dedupe and the pages table agree.
+  const normalizeScanUrl = (raw) => normalizeUrl(raw, queryPolicy);
+  const seed = normalizeScanUrl(startUrl);
   if (!seed) throw new Error('Invalid URL');
 
+  const checkpointKey = getCrawlCheckpointKey({ url: seed, maxPages, maxDepth, options: scanOptions });
+  const restored = checkpointing?.state ? restoreCrawlCheckpoint(checkpointing.state, checkpointKey) : null;
+
   const origin = new URL(seed).origin;
   const baseHost = normalizeHost(new URL(seed).hostname);
   const allowSubdomains = scanOptions.subdomains;
-  const allowUrl = (candidate) => {
-    const normalized = normalizeUrl(candidate);
+
+  // Custom headers, cookies and basic auth are sent on every request the crawl makes.
+  const authPrepared = await prepareScanAuth(scanAuth, baseHost);
+  const extraHeaders = { ...authPrepared.headers };
+
+  // origin -> robots policy; hosts are loaded lazily the first time one of their pages is dequeued.
+  const robotsPolicies = new Map();
+  const robotsBlockedByUrl = new Map();
+  const hostThrottle = createHostThrottle({ minGapMs: SCAN_HOST_MIN_GAP_MS });
+  // The seed is always crawled so include rules for deeper sections still have a starting point.
+  const urlRuleFilter = createUrlRuleFilter(scanOptions.urlRules, restored?.urlRules);
+  const passesUrlRules = (url) => url === seed || urlRuleFilter.check(url).allowed;
+
+  const loadRobotsPolicy = async (url) => {
+    if (!SCAN_RESPECT_ROBOTS) return null;
+    let robotsOrigin;
+    try {
+      robotsOrigin = new URL(url).origin;
+    } catch {
+      return null;
+    }
+    if (!robotsPolicies.has(robotsOrigin)) {
+      robotsPolicies.set(robotsOrigin, await fetchRobotsPolicy(robotsOrigin, extraHeaders));
+    }
+    return robotsPolicies.get(robotsOrigin);
+  };
+
+  const getRobotsVerdict = (url) => {
+    if (!SCAN_RESPECT_ROBOTS) return null;
+    try {
+      const policy = robotsPolicies.get(new URL(url).origin);
+      return policy ? policy.check(url) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const recordRobotsBlocked = (url, sourceUrl, rule) => {
+    if (robotsBlockedByUrl.has(url)) return;
+    robotsBlockedByUrl.set(url, { url, sourceUrl: sourceUrl || null, rule: rule || null });
+  };
+
+  // Per-host gap is SCAN_HOST_MIN_GAP_MS, raised to the host's Crawl-delay when robots.txt sets one.
+  const reserveCrawlSlot = (url) => {
+    let host;
+    let policy;
+    try {
+      const parsed = new URL(url);
+      host = parsed.host;
+      policy = SCAN_RESPECT_ROBOTS ? robotsPolicies.get(parsed.origin) : null;
+    } catch {
+      return 0;
+    }
+    const crawlDelayMs = Math.min(policy?.crawlDelayMs || 0, SCAN_ROBOTS_MAX_CRAWL_DELAY_MS);
+    return hostThrottle.reserve(host, crawlDelayMs);
+  };
+
+  const waitForCrawlSlot = async (url) => {
+    const waitMs = reserveCrawlSlot(url);
+    if (waitMs > 0) await sleep(waitMs);
+  };
+
+  const allowUrl = (candidate, sourceUrl = null) => {
+    const normalized = normalizeScanUrl(candidate);
     if (!normalized) return false;
     const placement = getPlacementForUrl(normalized, baseHost);
     if (!placement) return false;
-    if (!allowSubdomains) {
-      return placement === 'Primary' && sameOrigin(normalized, origin);
+    if (!allowSubdomains && !(placement === 'Primary' && sameOrigin(normalized, origin))) {
+      return false;
+    }
+    if (!passesUrlRules(normalized)) return false;
+    const verdict = getRobotsVerdict(normalized);
+    if (verdict && !verdict.allowed) {
+      recordRobotsBlocked(normalized, sourceUrl, verdict.rule);
+      return false;
     }
     return true;
   };
 
   const discoverySourceByUrl = new Map();
   const linksInCounts = new Map();
-  const linkEdgeSet = new Set();
+  // `${from}>>${to}` -> [from, to]
+  const linkEdges = new Map();
 
   const recordDiscovery = (url, source) => {
-    const normalized = normalizeUrl(url);
+    const normalized = normalizeScanUrl(url);
     if (!normalized) return;
     const existing = discoverySourceByUrl.get(normalized);
     if (existing === 'crawl') return;
@@ -1628,16 +2268,17 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   };
 
   const recordLinkEdge = (fromUrl, toUrl) => {
-    const from = normalizeUrl(fromUrl);
-    const to = normalizeUrl(toUrl);
+    const from = normalizeScanUrl(fromUrl);
+    const to = normalizeScanUrl(toUrl);
     if (!from || !to) return;
     const edgeKey = `${from}>>${to}`;
-    if (linkEdgeSet.has(edgeKey)) return;
-    linkEdgeSet.add(edgeKey);
+    if (linkEdges.has(edgeKey)) return;
+    linkEdges.set(edgeKey, [from, to]);
     linksInCounts.set(to, (linksInCounts.get(to) || 0) + 1);
   };
 
-  const visited = new Set();
+  // url -> discoveryIndex, in dequeue order
+  const visited = new Map();
   const referrerMap = new Map();
   const queue = [];
   const queued = new Set();
@@ -1645,13 +2286,21 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   const enqueue = (url, depth) => {
     if (!url) return;
     if (queued.has(url)) return;
+    const verdict = getRobotsVerdict(url);
+    if (verdict && !verdict.allowed) return;
+    if (!passesUrlRules(url)) return;
     queued.add(url);
     queue.push({ url, depth });
   };
-  enqueue(seed, 0);
-  recordDiscovery(seed, 'crawl');
+  const seedRobots = await loadRobotsPolicy(seed);
   const sitemapOrder = new Map();
   let discoveryCounter = 0;
+  if (!restored) {
+    const seedVerdict = getRobotsVerdict(seed);
+    if (seedVerdict && !seedVerdict.allowed) recordRobotsBlocked(seed, null, seedVerdict.rule);
+    enqueue(seed, 0);
+    recordDiscovery(seed, 'crawl');
+  }
 
   // Common page paths to try (often not linked from main pages)
   const commonPaths = [
@@ -1667,8 +2316,8 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   ];
 
   // Add common pages to queue
-  for (const path of commonPaths) {
-    const commonUrl = normalizeUrl(`${origin}${path}`);
+  for (const path of restored ? [] : commonPaths) {
+    const commonUrl = normalizeScanUrl(`${origin}${path}`);
     if (commonUrl) {
       recordDiscovery(commonUrl, 'crawl');
       enqueue(commonUrl, 1);
@@ -1679,7 +2328,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   const MAX_SITEMAPS = 12;
 
   const processSitemap = async (sitemapUrl) => {
-    const normalizedSitemap = normalizeUrl(sitemapUrl);
+    const normalizedSitemap = normalizeScanUrl(sitemapUrl);
     if (!normalizedSitemap) return;
     if (processedSitemaps.has(normalizedSitemap)) return;
     if (processedSitemaps.size >= MAX_SITEMAPS) return;
@@ -1692,15 +2341,15 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
     try {
       const sitemapRes = await axios.get(sitemapUrl, {
         timeout: 10000,
-        headers: { 'User-Agent': 'MapMatBot/1.0' },
+        headers: { 'User-Agent': 'MapMatBot/1.0', ...extraHeaders },
         validateStatus: (s) => s >= 200 && s < 400,
       });
 
       if (sitemapUrl.endsWith('.txt')) {
         const urls = sitemapRes.data.split('\n').map((u) => u.trim()).filter(Boolean);
         for (const u of urls) {
-          const norm = normalizeUrl(u);
-          if (norm && allowUrl(norm)) {
+          const norm = normalizeScanUrl(u);
+          if (norm && allowUrl(norm, normalizedSitemap)) {
             recordDiscovery(norm, 'sitemap');
             if (!sitemapOrder.has(norm)) sitemapOrder.set(norm, sitemapOrder.size);
             enqueue(norm, 1);
@@ -1714,8 +2363,8 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
 
       $('url > loc').each((_, el) => {
         const loc = $(el).text().trim();
-        const norm = normalizeUrl(loc);
-        if (norm && allowUrl(norm)) {
+        const norm = normalizeScanUrl(loc);
+        if (norm && allowUrl(norm, normalizedSitemap)) {
           recordDiscovery(norm, 'sitemap');
           if (!sitemapOrder.has(norm)) sitemapOrder.set(norm, sitemapOrder.size);
           enqueue(norm, 1);
@@ -1735,9 +2384,15 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
     }
   };
 
-  await processSitemap(`${origin}/sitemap.xml`);
-  for (const altSitemap of ['/sitemap_index.xml', '/sitemap-index.xml', '/sitemap.txt']) {
-    await processSitemap(`${origin}${altSitemap}`);
+  // A resumed crawl already has the sitemap URLs in its restored queue.
+  if (!restored) {
+    await processSitemap(`${origin}/sitemap.xml`);
+    for (const altSitemap of ['/sitemap_index.xml', '/sitemap-index.xml', '/sitemap.txt']) {
+      await processSitemap(`${origin}${altSitemap}`);
+    }
+    for (const robotsSitemap of seedRobots?.sitemaps || []) {
+      await processSitemap(robotsSitemap);
+    }
   }
 
   // url -> { url, title, parentUrl }
@@ -1746,42 +2401,196 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   const inactivePages = [];
   const brokenLinks = [];
   const files = [];
+  // Every crawled URL that redirected: { url, finalUrl, status, hops, loop?, error? }.
+  const redirects = [];
   const linksByUrl = new Map();
+  // Source page URL -> its outgoing links with anchor text and position, for the link graph.
+  const linkGraphByUrl = new Map();
   const linkStatusCache = new Map();
   const MAX_BROKEN_LINK_CHECKS = 500;
   let brokenChecks = 0;
-  const extraHeaders = {};
-
-  while (queueIndex < queue.length && visited.size < maxPages) {
-    if (await shouldAbort?.()) throw new Error('Scan aborted');
-    const { url, depth } = queue[queueIndex++];
 
-    if (visited.has(url)) continue;
-    visited.add(url);
-    const discoveryIndex = discoveryCounter++;
+  if (restored) {
+    restored.queue.forEach((item) => {
+      queue.push(item);
+      queued.add(item.url);
+    });
+    queueIndex = restored.queueIndex;
+    discoveryCounter = restored.discoveryCounter;
+    restored.visited.forEach((index, url) => visited.set(url, index));
+    restored.referrerMap.forEach((value, key) => referrerMap.set(key, value));
+    restored.pageMap.forEach((value, key) => pageMap.set(key, value));
+    restored.linksByUrl.forEach((value, key) => linksByUrl.set(key, value));
+    restored.linkGraphByUrl.forEach((value, key) => linkGraphByUrl.set(key, value));
+    restored.discoverySourceByUrl.forEach((value, key) => discoverySourceByUrl.set(key, value));
+    restored.linkEdges.forEach(([from, to]) => linkEdges.set(`${from}>>${to}`, [from, to]));
+    restored.linksInCounts.forEach((value, key) => linksInCounts.set(key, value));
+    restored.sitemapOrder.forEach((value, key) => sitemapOrder.set(key, value));
+    restored.linkStatusCache.forEach((value, key) => linkStatusCache.set(key, value));
+    restored.robotsBlocked.forEach((entry) => robotsBlockedByUrl.set(entry.url, entry));
+    errors.push(...restored.errors);
+    inactivePages.push(...restored.inactivePages);
+    brokenLinks.push(...restored.brokenLinks);
+    files.push(...restored.files);
+    redirects.push(...restored.redirects);
+    brokenChecks = restored.brokenChecks;
+    console.log(`[scan] Resumed from checkpoint: visited=${visited.size}, queued=${queue.length - queueIndex}`);
+  }
 
-    // Send progress update
-    if (onProgress) {
-      onProgress({ scanned: visited.size, queued: Math.max(0, queue.length - queueIndex) });
+  // `pending` are dequeued pages not processed yet; the checkpoint rolls them back into the queue.
+  let pagesSinceCheckpoint = 0;
+  const saveCheckpoint = async (pending) => {
+    if (!checkpointing?.save) return;
+    pagesSinceCheckpoint = 0;
+    const state = buildCrawlCheckpoint({
+      key: checkpointKey,
+      queue,
+      queueIndex,
+      discoveryCounter,
+      visited,
+      pending,
+      referrerMap,
+      pageMap,
+      linksByUrl,
+      linkGraphByUrl,
+      discoverySourceByUrl,
+      linkEdges: linkEdges.values(),
+      sitemapOrder,
+      errors,
+      inactivePages,
+      brokenLinks,
+      files,
+      redirects,
+      linkStatusCache,
+      brokenChecks,
+      robotsBlocked: Array.from(robotsBlockedByUrl.values()),
+      urlRules: urlRuleFilter.exportState(),
+    });
+    try {
+      await checkpointing.save(state, pageMap.size);
+    } catch (error) {
+      console.error('Scan checkpoint save failed:', error?.message || error);
+    }
+  };
+
+  const renderStats = { rendered: 0, fallbacks: 0 };
+  // Timed after the politeness wait, so responseTimeMs is the site's response time and not the crawl's.
+  const timedFetch = async (fetcher) => {
+    const startedAt = Date.now();
+    const res = await fetcher();
+    return { res, responseTimeMs: Date.now() - startedAt };
+  };
+  const fetchWithSlot = async (url) => {
+    try {
+      await waitForCrawlSlot(url);
+      const fetchStatic = () => timedFetch(() => fetchPage(url, extraHeaders));
+      if (scanOptions.renderJs) {
+        return await fetchWithRenderFallback({
+          render: () => timedFetch(() => renderPage(url, extraHeaders)),
+          fetchStatic,
+          stats: renderStats,
+        });
+      }
+      return await fetchStatic();
+    } catch (error) {
+      return { error };
+    }
+  };
+
+  // Dequeues in queue order and starts the fetch; results are consumed in the same order below.
+  const takeNextFetch = async () => {
+    while (queueIndex < queue.length && visited.size < maxPages) {
+      const { url, depth } = queue[queueIndex++];
+
+      if (visited.has(url)) continue;
+
+      // Pages on hosts first reached mid-crawl (subdomains) are checked once that host's robots.txt is loaded.
+      const robotsPolicy = await loadRobotsPolicy(url);
+      const robotsVerdict = robotsPolicy ? robotsPolicy.check(url) : null;
+      if (robotsVerdict && !robotsVerdict.allowed) {
+        recordRobotsBlocked(url, referrerMap.get(url), robotsVerdict.rule);
+        continue;
+      }
+
+      const discoveryIndex = discoveryCounter++;
+      visited.set(url, discoveryIndex);
+
+      // Send progress update
+      if (onProgress) {
+        onProgress({
+          scanned: visited.size,
+          queued: Math.max(0, queue.length - queueIndex),
+          ...(urlRuleFilter.active ? { urlRules: urlRuleFilter.summary() } : {}),
+        });
+      }
+
+      if (depth > maxDepth) continue;
+      if (!allowUrl(url)) continue;
+
+      return { url, depth, discoveryIndex, queuePos: queueIndex - 1, fetched: fetchWithSlot(url) };
+    }
+    return null;
+  };
+
+  // Up to SCAN_FETCH_CONCURRENCY pages are fetched ahead, but each page's links are processed
+  // strictly in dequeue order, so BFS depth, enqueue order and discoveryIndex match a sequential crawl.
+  const inFlight = [];
+  const fetchPoolSize = scanOptions.renderJs
+    ? Math.min(SCAN_FETCH_CONCURRENCY, SCAN_RENDER_CONCURRENCY)
+    : SCAN_FETCH_CONCURRENCY;
+  const fillFetchPool = async () => {
+    while (inFlight.length < fetchPoolSize) {
+      const next = await takeNextFetch();
+      if (!next) return;
+      inFlight.push(next);
     }
+  };
 
-    if (depth > maxDepth) continue;
-    if (!allowUrl(url)) continue;
+  const takeFromFetchPool = async () => {
+    await fillFetchPool();
+    const next = inFlight.shift() || null;
+    // Refill right away so the pool keeps fetching while this page is processed.
+    await fillFetchPool();
+    return next;
+  };
+
+  for (let entry = await takeFromFetchPool(); entry; entry = await takeFromFetchPool()) {
+    if (await shouldAbort?.()) {
+      await saveCheckpoint([entry, ...inFlight]);
+      throw new Error('Scan aborted');
+    }
+    if (SCAN_CHECKPOINT_EVERY_PAGES > 0 && pagesSinceCheckpoint >= SCAN_CHECKPOINT_EVERY_PAGES) {
+      await saveCheckpoint([entry, ...inFlight]);
+    }
+    pagesSinceCheckpoint += 1;
+    const { url, depth, discoveryIndex, fetched } = entry;
 
     let html;
     let status = 0;
     let contentType = '';
     let finalUrl = url;
-    try {
-      const res = await fetchPage(url, extraHeaders);
-      html = res.html;
-      status = res.status;
-      contentType = res.contentType;
-      finalUrl = res.finalUrl || url;
-    } catch (e) {
-    // Still store node with fallback title so tree doesn't break
-    if (scanOptions.brokenLinks) brokenLinks.push({ url, reason: 'fetch_failed' });
-    if (scanOptions.inactivePages) inactivePages.push({ url, status: 0, reason: 'fetch_failed' });
+    const outcome = await fetched;
+    if (outcome.res) {
+      html = outcome.res.html;
+      status = outcome.res.status;
+      contentType = outcome.res.contentType;
+      finalUrl = normalizeScanUrl(outcome.res.finalUrl) || url;
+      if (outcome.res.redirectChain?.length) {
+        redirects.push({ url, finalUrl, status, hops: outcome.res.redirectChain, loop: false });
+      }
+    } else {
+      // Redirect loops and over-long chains fail the fetch but keep the hops that were followed.
+      const redirectChain = outcome.error?.redirectChain;
+      const redirectLoop = outcome.error?.code === 'REDIRECT_LOOP';
+      let reason = 'fetch_failed';
+      if (redirectLoop) reason = 'redirect_loop';
+      else if (outcome.error?.code === 'TOO_MANY_REDIRECTS') reason = 'too_many_redirects';
+      if (redirectChain?.length) {
+        redirects.push({ url, finalUrl: null, status: 0, hops: redirectChain, loop: redirectLoop, error: reason });
+      }
+      if (scanOptions.brokenLinks) brokenLinks.push({ url, reason, sourceUrl: referrerMap.get(url) || undefined });
+      if (scanOptions.inactivePages) inactivePages.push({ url, status: 0, reason });
+      // Still store node with fallback title so tree doesn't break
       if (!pageMap.has(url)) {
         pageMap.set(url, {
           url,
@@ -1790,6 +2599,8 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
           discoveryIndex,
           httpStatus: status,
           wasRedirect: false,
+          redirectChain: redirectChain?.length ? redirectChain : undefined,
+          redirectLoop: redirectLoop || undefined,
         });
       }
       continue;
@@ -1808,7 +2619,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
         inactivePages.push({ url, status });
       }
       if (scanOptions.brokenLinks) {
-        brokenLinks.push({ url, status });
+        brokenLinks.push({ url, status, sourceUrl: referrerMap.get(url) || undefined });
       }
       if (!shouldKeep) {
         continue;
@@ -1822,16 +2633,28 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
       continue;
     }
 
-    const title = extractTitle(html, finalUrl || url);
+    // Parsed once; every extractor below reads the same document.
+    const $ = cheerio.load(html || '');
+    const title = extractTitle($, finalUrl || url);
     const parentUrl = getParentUrl(finalUrl || url);
-    const canonicalUrl = extractCanonicalUrl(html, finalUrl || url);
+    const canonicalUrl = extractCanonicalUrl($, finalUrl || url, queryPolicy);
+    const hreflang = extractHreflangAlternates($, finalUrl || url, queryPolicy);
+    const seo = extractSeoMetadata($, {
+      robotsHeader: outcome.res.robotsHeader,
+      responseTimeMs: outcome.responseTimeMs,
+    });
+    const navLinks = extractNavLinks($, finalUrl || url, queryPolicy);
     const isAuthPage = status === 401 || status === 403;
-    const wasRedirect = normalizeUrl(finalUrl || url) !== normalizeUrl(url);
+    const wasRedirect = normalizeScanUrl(finalUrl || url) !== normalizeScanUrl(url);
+    const redirectChain = outcome.res.redirectChain || [];
 
     pageMap.set(url, {
       url,
       finalUrl: finalUrl || url,
       canonicalUrl,
+      hreflang: hreflang.length ? hreflang : undefined,
+      seo,
+      navLinks: navLinks.length ? navLinks : undefined,
       title,
       parentUrl,
       authRequired: status === 401 || status === 403,
@@ -1839,18 +2662,33 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
       discoveryIndex,
       httpStatus: status,
       wasRedirect,
+      redirectChain: redirectChain.length ? redirectChain : undefined,
     });
 
-    const links = extractLinks(html, finalUrl || url);
-    const allowedLinks = links.filter((link) => allowUrl(link));
+    const links = mergeLinks(
+      extractLinks($, finalUrl || url, queryPolicy),
+      outcome.res.renderedLinks,
+      normalizeScanUrl
+    );
+    const allowedLinks = links.filter((link) => allowUrl(link, url));
     linksByUrl.set(url, allowedLinks);
+    const pageLinkTargets = [];
 
-    for (const link of links) {
-      if (!allowUrl(link)) continue;
-
-      if (scanOptions.brokenLinks && brokenChecks < MAX_BROKEN_LINK_CHECKS && !linkStatusCache.has(link)) {
+    if (scanOptions.brokenLinks) {
+      const linksToCheck = [];
+      for (const link of allowedLinks) {
+        if (brokenChecks >= MAX_BROKEN_LINK_CHECKS) break;
+        if (linkStatusCache.has(link)) continue;
         brokenChecks += 1;
-        const statusResult = await checkLinkStatus(link, extraHeaders);
+        linkStatusCache.set(link, null);
+        linksToCheck.push(link);
+      }
+      const statusResults = await mapWithConcurrency(linksToCheck, SCAN_FETCH_CONCURRENCY, async (link) => {
+        await waitForCrawlSlot(link);
+        return checkLinkStatus(link, extraHeaders);
+      });
+      linksToCheck.forEach((link, index) => {
+        const statusResult = statusResults[index];
         linkStatusCache.set(link, statusResult.status);
         if (statusResult.status >= 400 || statusResult.status === 0) {
           brokenLinks.push({
@@ -1859,8 +2697,10 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
             sourceUrl: url,
           });
         }
-      }
+      });
+    }
 
+    for (const link of allowedLinks) {
       // Skip obvious assets
       if (/\.(png|jpg|jpeg|gif|svg|webp|pdf|zip|mp4|mov|mp3|wav)$/i.test(link)) {
         if (scanOptions.files) files.push({ url: link, sourceUrl: url });
@@ -1869,17 +2709,27 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
 
       recordLinkEdge(url, link);
       recordDiscovery(link, 'crawl');
+      pageLinkTargets.push(link);
 
       const d = depth + 1;
       if (d > maxDepth) continue;
-      if (visited.has(link)) continue;
+      // Pages dequeued after this one may already be in flight; they still count as unvisited here.
+      if (visited.has(link) && visited.get(link) <= discoveryIndex) continue;
 
-        const normalizedReferrer = normalizeUrl(url);
+        const normalizedReferrer = normalizeScanUrl(url);
         if (!referrerMap.has(link) && link !== normalizedReferrer) {
           referrerMap.set(link, normalizedReferrer);
         }
       enqueue(link, d);
     }
+    if (onLinkGraph) {
+      const anchors = extractLinkAnchors($, { baseUrl: finalUrl || url, normalize: normalizeScanUrl });
+      linkGraphByUrl.set(url, buildPageLinks(url, pageLinkTargets, anchors));
+    }
+  }
+
+  if (scanOptions.renderJs) {
+    console.log(`[scan] JS rendering: rendered=${renderStats.rendered}, static_fallbacks=${renderStats.fallbacks}`);
   }
 
   // Ensure the root exists
@@ -1896,7 +2746,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
 
   const scannedKeys = new Set();
   pageMap.forEach((meta) => {
-    const key = getCanonicalKey(meta.canonicalUrl || meta.finalUrl || meta.url);
+    const key = getCanonicalKey(meta.canonicalUrl || meta.finalUrl || meta.url, queryPolicy);
     if (key) scannedKeys.add(key);
   });
 
@@ -1916,6 +2766,9 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
       thumbnailUrl: meta.thumbnailUrl || undefined,
       httpStatus: meta.httpStatus ?? null,
       wasRedirect: meta.wasRedirect || false,
+      redirectChain: meta.redirectChain || undefined,
+      redirectLoop: meta.redirectLoop || undefined,
+      seo: meta.seo || undefined,
       children: [],
     });
   }
@@ -1931,7 +2784,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   const rootHost = new URL(rootUrl).hostname;
   const rootHostNormalized = normalizeHost(rootHost);
 
-  const canonicalKeyFor = (node) => getCanonicalKey(node.canonicalUrl || node.finalUrl || node.url);
+  const canonicalKeyFor = (node) => getCanonicalKey(node.canonicalUrl || node.finalUrl || node.url, queryPolicy);
   const canonicalToUrl = new Map();
   nodes.forEach((node) => {
     const key = canonicalKeyFor(node);
@@ -1942,7 +2795,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   const ensureParentChain = (url) => {
     let parentUrl = getParentUrl(url);
     while (parentUrl && !nodes.has(parentUrl)) {
-      const canonicalMatch = canonicalToUrl.get(getCanonicalKey(parentUrl));
+      const canonicalMatch = canonicalToUrl.get(getCanonicalKey(parentUrl, queryPolicy));
       if (canonicalMatch) return;
       nodes.set(parentUrl, {
         id: safeIdFromUrl(parentUrl),
@@ -1955,7 +2808,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
         isMissing: true,
         children: [],
       });
-      const key = getCanonicalKey(parentUrl);
+      const key = getCanonicalKey(parentUrl, queryPolicy);
       if (key && !canonicalToUrl.has(key)) canonicalToUrl.set(key, parentUrl);
       parentUrl = getParentUrl(parentUrl);
     }
@@ -1969,7 +2822,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   nodes.forEach((node) => {
     if (!node.parentUrl) return;
     if (nodes.has(node.parentUrl)) return;
-    const canonicalMatch = canonicalToUrl.get(getCanonicalKey(node.parentUrl));
+    const canonicalMatch = canonicalToUrl.get(getCanonicalKey(node.parentUrl, queryPolicy));
     if (canonicalMatch && nodes.has(canonicalMatch)) {
       node.parentUrl = canonicalMatch;
     }
@@ -2048,7 +2901,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
 
   const pushUniqueChild = (parent, child) => {
     if (!parent._childUrls) parent._childUrls = new Set();
-    const key = normalizeUrl(child.url);
+    const key = normalizeScanUrl(child.url);
     if (parent._childUrls.has(key)) return;
     parent._childUrls.add(key);
     parent.children.push(child);
@@ -2207,13 +3060,13 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
 
   const sitemapKeys = new Set(
     Array.from(sitemapOrder.keys())
-      .map((url) => getCanonicalKey(url))
+      .map((url) => getCanonicalKey(url, queryPolicy))
       .filter(Boolean)
   );
 
   nodes.forEach((node) => {
     if (!node.isMissing) return;
-    const key = getCanonicalKey(node.url);
+    const key = getCanonicalKey(node.url, queryPolicy);
     if (key && (sitemapKeys.has(key) || scannedKeys.has(key))) {
       node.isMissing = false;
     }
@@ -2231,7 +3084,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
 
   const clearMissingIfKnown = (node) => {
     if (node.isMissing) {
-      const key = getCanonicalKey(node.url);
+      const key = getCanonicalKey(node.url, queryPolicy);
       if (node.discoveryIndex !== null && node.discoveryIndex !== undefined) {
         node.isMissing = false;
       } else if (key && (sitemapKeys.has(key) || scannedKeys.has(key))) {
@@ -2255,6 +3108,54 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
     }
   };
 
+  // Error pages are only in pageMap when the scan keeps them; the recorded statuses still show
+  // which hreflang alternates point at error pages.
+  const errorStatusByUrl = new Map();
+  [...errors, ...inactivePages, ...brokenLinks].forEach((entry) => {
+    if (entry?.url && entry.status >= 400 && !pageMap.has(entry.url)) errorStatusByUrl.set(entry.url, entry.status);
+  });
+  const scanPageKey = (url) => getCanonicalKey(url, queryPolicy);
+  const hreflangAnalysis = analyzeHreflang({
+    pages: [
+      ...Array.from(pageMap.values()).map((meta) => ({
+        url: meta.url,
+        finalUrl: meta.finalUrl,
+        httpStatus: meta.httpStatus,
+        alternates: meta.hreflang || [],
+      })),
+      ...Array.from(errorStatusByUrl.entries()).map(([url, status]) => ({ url, httpStatus: status })),
+    ],
+    getKey: scanPageKey,
+  });
+  const hreflangTrees = [root, ...prunedOrphanNodes, ...subdomainNodes];
+  annotateHreflangNodes(hreflangTrees, hreflangAnalysis, scanPageKey);
+  let languageVariantsMerged = 0;
+  if (scanOptions.groupLanguages && hreflangAnalysis.groups.length) {
+    const grouped = groupLanguageVariants(hreflangTrees, hreflangAnalysis, scanPageKey);
+    [prunedOrphanNodes, subdomainNodes].forEach((list) => {
+      for (let i = list.length - 1; i >= 0; i -= 1) {
+        if (grouped.replacedRoots.has(list[i])) list.splice(i, 1, ...grouped.replacedRoots.get(list[i]));
+      }
+    });
+    languageVariantsMerged = grouped.merged;
+  }
+
+  const seoAudit = auditSeo({
+    pages: Array.from(pageMap.values()),
+    getKey: scanPageKey,
+    thinContentWords: SEO_THIN_CONTENT_WORDS,
+  });
+  annotateSeoIssueNodes([root, ...prunedOrphanNodes, ...subdomainNodes], seoAudit, scanPageKey);
+
+  // Only crawled pages are scored; missing-page placeholders have no links of their own.
+  const linkEquity = analyzeLinkEquity({
+    rootUrl: root?.url,
+    pageUrls: Array.from(pageMap.keys()),
+    linksBySource: linksByUrl,
+    getKey: scanPageKey,
+  });
+  annotateLinkEquityNodes([root, ...prunedOrphanNodes, ...subdomainNodes], linkEquity, scanPageKey);
+
   stripInternalFields(root);
   prunedOrphanNodes.forEach(stripInternalFields);
   subdomainNodes.forEach(stripInternalFields);
@@ -2281,7 +3182,7 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
   }
 
   try {
-    const iaSummary = await persistPagesForIa(nodes, baseHost, discoverySourceByUrl, linksInCounts);
+    const iaSummary = await persistPagesForIa(nodes, baseHost, discoverySourceByUrl, linksInCounts, queryPolicy);
     console.log(
       `[scan] IA summary: saved=${iaSummary.totalSaved}, virtual=${iaSummary.virtualInserted}, subdomains=${iaSummary.subdomainCount}, queries=${iaSummary.queryBehavior}, domain=${iaSummary.domainParsing}`
     );
@@ -2309,6 +3210,8 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
     });
   }
 
+  if (onLinkGraph) await onLinkGraph(flattenLinkGraph(linkGraphByUrl));
+
   return {
     root,
     orphans: scanOptions.orphanPages ? prunedOrphanNodes : [],
@@ -2316,8 +3219,15 @@ async function crawlSite(startUrl, maxPages, maxDepth, options = {}, onProgress
     errors: scanOptions.errorPages ? errors : [],
     inactivePages: scanOptions.inactivePages ? inactivePages : [],
     brokenLinks: scanOptions.brokenLinks ? brokenLinks : [],
+    robotsBlocked: scanOptions.robotsBlocked ? Array.from(robotsBlockedByUrl.values()) : [],
+    urlRules: urlRuleFilter.summary(),
+    auth: authPrepared.status,
     files: scanOptions.files ? files : [],
+    redirects,
     crosslinks,
+    hreflang: { ...hreflangAnalysis.summary, merged: languageVariantsMerged },
+    seoAudit: seoAudit.summary,
+    linkEquity: linkEquity.summary,
   };
 }
 
@@ -2459,6 +3369,181 @@ async function captureScreenshot(safeUrl, type = SCREENSHOT_TYPES.full) {
   };
 }
 
+const cleanupStaleMapExports = () => {
+  const now = Date.now();
+  if (now - mapExportLastCleanupAt < SCREENSHOT_CLEANUP_INTERVAL_MS) return;
+  mapExportLastCleanupAt = now;
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(MAP_EXPORT_DIR, { withFileTypes: true });
+  } catch (error) {
+    console.warn('Map export cleanup read error:', error.message);
+    return;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filepath = path.join(MAP_EXPORT_DIR, entry.name);
+    try {
+      if (now - fs.statSync(filepath).mtimeMs <= MAP_EXPORT_TTL_MS) continue;
+      fs.unlinkSync(filepath);
+    } catch {
+      // Ignore stale file races and permission edge-cases.
+    }
+  }
+};
+
+const normalizeExportFormat = (format) => {
+  const normalized = String(format || '').trim().toLowerCase();
+  return MAP_RENDER_FORMATS.includes(normalized) ? normalized : null;
+};
+
+const MAP_EXPORT_CONTENT_TYPES = {
+  png: 'image/png',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+};
+
+// Export jobs load the map when they run, so the payload stays small and the latest saved version
+// is rendered. Shares render their own snapshot.
+const loadMapExportSource = async (payload) => {
+  let row = null;
+  if (payload.shareId) {
+    row = await shareStore.getShareWithUserByIdAsync(payload.shareId);
+    if (row?.expires_at && new Date(row.expires_at) < new Date()) {
+      throw new Error('This share link has expired');
+    }
+  } else if (payload.mapId) {
+    row = await mapStore.getMapByIdAsync(payload.mapId);
+  }
+  if (!row) throw new Error('Map not found');
+  const root = parseJsonSafe(row.root_data);
+  if (!root) throw new Error('The map has no pages to export');
+  return {
+    root,
+    orphans: parseJsonSafe(row.orphans_data) || [],
+    connections: parseJsonSafe(row.connections_data) || [],
+    colors: parseJsonSafe(row.colors),
+    connectionColors: parseJsonSafe(row.connection_colors),
+  };
+};
+
+// Renders the map to `exports/<jobId>.<ext>`. The drawing is cut into tiles (utils/mapRender.js):
+// a PDF gets one page per tile; a PNG is one file when the map fits in a tile, otherwise a zip of
+// tile PNGs with a tiles.json manifest giving each tile's position. Returns null when canceled.
+async function renderMapExport(jobId, payload) {
+  const format = normalizeExportFormat(payload.format);
+  if (!format) throw new Error('Invalid export format. Use png or pdf.');
+  const scale = format === 'png'
+    ? Math.round(clampInt(payload.scale, { min: 1, max: MAP_EXPORT_MAX_SCALE, fallback: 2 }))
+    : 1;
+
+  const source = await loadMapExportSource(payload);
+  const layout = layoutMap(source.root, source.orphans);
+  if (layout.nodes.length > MAP_EXPORT_MAX_NODES) {
+    throw new Error(`Maps with more than ${MAP_EXPORT_MAX_NODES} pages cannot be exported`);
+  }
+  const svg = buildMapSvg(layout, source);
+  const { rows, cols, tiles } = planTiles({
+    width: svg.width,
+    height: svg.height,
+    tileSize: MAP_EXPORT_TILE_SIZE,
+  });
+  const abortCheck = shouldAbortJob(jobId);
+  cleanupStaleMapExports();
+
+  const b = await getBrowser();
+  const context = await b.newContext({
+    viewport: { width: tiles[0].width, height: tiles[0].height },
+    deviceScaleFactor: scale,
+  });
+  let artifact = null;
+  try {
+    const page = await context.newPage();
+    await page.setContent(buildRenderDocument(svg, tiles), {
+      waitUntil: 'load',
+      timeout: MAP_EXPORT_RENDER_TIMEOUT_MS,
+    });
+
+    if (format === 'pdf') {
+      const data = await page.pdf({
+        width: `${tiles[0].width}px`,
+        height: `${tiles[0].height}px`,
+        printBackground: true,
+        timeout: MAP_EXPORT_RENDER_TIMEOUT_MS,
+      });
+      artifact = { ext: 'pdf', data };
+    } else {
+      const shots = [];
+      const tileElements = page.locator('.tile');
+      for (let index = 0; index < tiles.length; index += 1) {
+        if (await abortCheck()) return null;
+        shots.push(await tileElements.nth(index).screenshot({
+          type: 'png',
+          timeout: MAP_EXPORT_RENDER_TIMEOUT_MS,
+        }));
+        await updateJobProgress(jobId, { rendered: index + 1, total: tiles.length });
+      }
+      artifact = shots.length === 1
+        ? { ext: 'png', data: shots[0] }
+        : {
+          ext: 'zip',
+          data: createZipArchive([
+            ...tiles.map((tile, index) => ({
+              name: `tile-r${tile.row + 1}-c${tile.col + 1}.png`,
+              data: shots[index],
+            })),
+            {
+              name: 'tiles.json',
+              data: JSON.stringify({
+                width: svg.width * scale,
+                height: svg.height * scale,
+                scale,
+                rows,
+                cols,
+                tiles: tiles.map((tile) => ({
+                  file: `tile-r${tile.row + 1}-c${tile.col + 1}.png`,
+                  x: tile.x * scale,
+                  y: tile.y * scale,
+                  width: tile.width * scale,
+                  height: tile.height * scale,
+                })),
+              }, null, 2),
+            },
+          ]),
+        };
+    }
+  } finally {
+    await context.close().catch(() => {});
+  }
+
+  if (await abortCheck()) return null;
+  const filename = `${jobId}.${artifact.ext}`;
+  await fs.promises.writeFile(path.join(MAP_EXPORT_DIR, filename), artifact.data);
+
+  let host = '';
+  try {
+    host = normalizeHost(new URL(source.root.url).hostname);
+  } catch {
+    // Imported maps may have no URL; the file is then just "sitemap".
+  }
+  return {
+    format,
+    file: filename,
+    filename: `sitemap${host ? `-${host}` : ''}.${artifact.ext}`,
+    contentType: MAP_EXPORT_CONTENT_TYPES[artifact.ext],
+    bytes: artifact.data.length,
+    pages: layout.nodes.length,
+    width: svg.width * scale,
+    height: svg.height * scale,
+    scale,
+    tiles: { rows, cols, count: tiles.length },
+    downloadPath: `/export-jobs/${jobId}/download`,
+    expiresAt: new Date(Date.now() + MAP_EXPORT_TTL_MS).toISOString(),
+  };
+}
+
 async function processJob(job) {
   const jobId = job.id;
   const payload = parseJsonSafe(job.payload) || {};
@@ -2478,18 +3563,59 @@ async function processJob(job) {
         });
       };
 
-      const result = await crawlSite(
-        payload.url,
-        payload.maxPages,
-        payload.maxDepth,
-        payload.options || {},
-        progressCb,
-        abortCheck
-      );
+      const scanAuth = await resolveJobScanAuth(payload);
+      const checkpoint = await scanCheckpointStore.getScanCheckpointAsync(jobId);
+      const touchHeartbeat = () => scanCheckpointStore
+        .touchScanCheckpointAsync(jobId, toSqlTimestamp())
+        .catch((err) => console.error('Scan heartbeat error:', err));
+      await touchHeartbeat();
+      const heartbeat = setInterval(touchHeartbeat, SCAN_JOB_HEARTBEAT_MS);
+      let result;
+      let linkGraphEdges = null;
+      try {
+        result = await crawlSite(
+          payload.url,
+          payload.maxPages,
+          payload.maxDepth,
+          payload.options || {},
+          progressCb,
+          abortCheck,
+          scanAuth,
+          {
+            state: checkpoint?.state || null,
+            save: (state, pagesScanned) => scanCheckpointStore.saveScanCheckpointAsync({
+              jobId,
+              state: JSON.stringify(state),
+              pagesScanned,
+              heartbeatAt: toSqlTimestamp(),
+            }),
+          },
+          // Only signed-in users can read link graphs back, so anonymous scans skip them.
+          job.user_id ? (edges) => { linkGraphEdges = edges; } : null
+        );
+      } finally {
+        clearInterval(heartbeat);
+        await scanCheckpointStore.releaseScanCheckpointAsync(jobId)
+          .catch((err) => console.error('Scan heartbeat error:', err));
+      }
 
       if ((await jobStore.getJobStatusAsync(jobId)) === JOB_STATUS.canceled) return;
 
+      if (payload.rescan && payload.mapId) {
+        result.changeSet = await buildRescanChangeSet(payload.mapId, result, payload.options || {});
+      }
+      if (payload.scheduleRunId) {
+        await completeScheduledScanRun(payload, result);
+      }
+      if (payload.linkGate && payload.mapId) {
+        result.linkGate = await evaluateLinkGate(job, payload, result);
+      }
+      if (linkGraphEdges) {
+        result.linkGraph = await saveScanLinkGraph(job, payload, result, linkGraphEdges);
+      }
       await markJobComplete(jobId, result);
+      // Canceled and failed scans keep their checkpoint so they can be resumed.
+      await scanCheckpointStore.deleteScanCheckpointAsync(jobId);
       return;
     }
 
@@ -2500,6 +3626,13 @@ async function processJob(job) {
       return;
     }
 
+    if (job.type === JOB_TYPES.export) {
+      const result = await renderMapExport(jobId, payload);
+      if (!result || (await jobStore.getJobStatusAsync(jobId)) === JOB_STATUS.canceled) return;
+      await markJobComplete(jobId, result);
+      return;
+    }
+
     if (job.type === JOB_TYPES.discovery) {
       const result = await runDiscoveryJob(jobId, payload);
       if ((await jobStore.getJobStatusAsync(jobId)) === JOB_STATUS.canceled) return;
@@ -2514,10 +3647,244 @@ async function processJob(job) {
   }
 }
 
+// Scan jobs left running by a worker that stopped (crash, deploy) go back to the queue and
+// resume from their last checkpoint; checkpoints of scans nobody resumed are pruned.
+const SCAN_RECOVERY_INTERVAL_MS = 30000;
+let lastScanRecoveryAt = 0;
+const recoverStaleScanJobs = async () => {
+  const now = Date.now();
+  if (now - lastScanRecoveryAt < SCAN_RECOVERY_INTERVAL_MS) return;
+  lastScanRecoveryAt = now;
+
+  const staleIds = await scanCheckpointStore.listStaleRunningScanJobIdsAsync({
+    type: JOB_TYPES.scan,
+    runningStatus: JOB_STATUS.running,
+    cutoff: toSqlTimestamp(now - SCAN_RESUME_STALE_MS),
+  });
+  for (const id of staleIds) {
+    const changes = await jobStore.requeueJobAsync(id, JOB_STATUS.queued, [JOB_STATUS.running]);
+    if (changes) console.log(`[scan] Requeued stale scan job ${id}`);
+  }
+  await scanCheckpointStore.pruneScanCheckpointsAsync(
+    toSqlTimestamp(now - SCAN_CHECKPOINT_TTL_HOURS * 60 * 60 * 1000)
+  );
+};
+
+// Scheduled runs are plain scan jobs owned by the schedule's creator; the payload links them back to
+// their schedule and run row so processJob can store the diff. Schedules are saved through the API
+// router, so URL safety, scan limits and the owner's scan_job quota are enforced here, when each run
+// is queued. A blocked run is recorded as a failed job so its error shows in the run history.
+const enqueueScheduledScan = async (schedule, scheduledFor) => {
+  const jobId = crypto.randomUUID();
+  const runId = crypto.randomUUID();
+  await scanScheduleStore.insertScanScheduleRunAsync({
+    id: runId,
+    scheduleId: schedule.id,
+    mapId: schedule.map_id,
+    jobId,
+    scheduledFor,
+  });
+
+  let blockedError = null;
+  try {
+    await assertSafeUrl(schedule.url);
+  } catch (error) {
+    blockedError = error;
+  }
+  if (!blockedError) {
+    const usage = await checkUsageLimitForIdentity({ column: 'user_id', value: schedule.user_id }, 'scan_job');
+    if (!usage.allowed) {
+      blockedError = new Error(
+        `Usage limit exceeded: the schedule owner has used ${usage.used} of ${usage.limit} scan jobs `
+        + `in the last ${USAGE_WINDOW_HOURS} hours`
+      );
+    }
+  }
+  const maxPages = clampInt(schedule.max_pages, {
+    min: 1,
+    max: SCAN_LIMITS.maxPagesHard,
+    fallback: DEFAULT_MAX_PAGES,
+  });
+  const maxDepth = clampInt(schedule.max_depth, {
+    min: 1,
+    max: SCAN_LIMITS.maxDepthHard,
+    fallback: DEFAULT_MAX_DEPTH,
+  });
+  await jobStore.insertJobAsync({
+    id: jobId,
+    type: JOB_TYPES.scan,
+    status: blockedError ? JOB_STATUS.failed : JOB_STATUS.queued,
+    userId: schedule.user_id,
+    payload: JSON.stringify({
+      url: schedule.url,
+      maxPages,
+      maxDepth,
+      options: parseJsonSafe(schedule.options) || {},
+      mapId: schedule.map_id,
+      scheduleId: schedule.id,
+      scheduleRunId: runId,
+    }),
+  });
+  if (blockedError) {
+    await markJobFailed(jobId, blockedError);
+  } else {
+    recordUsageEvent({ userId: schedule.user_id }, 'scan_job', 1, {
+      host: new URL(schedule.url).hostname,
+      maxPages,
+      maxDepth,
+      scheduleId: schedule.id,
+    });
+  }
+  await scanScheduleStore.setScanScheduleLastJobAsync(schedule.id, jobId);
+  return jobId;
+};
+
+// Missed slots (worker down) collapse into one run, and a slot is skipped while the schedule's
+// previous scan is still queued or running.
+let lastScheduleCheckAt = 0;
+const enqueueDueScanSchedules = async () => {
+  const now = Date.now();
+  if (now - lastScheduleCheckAt < SCAN_SCHEDULE_POLL_MS) return;
+  lastScheduleCheckAt = now;
+
+  const due = await scanScheduleStore.listDueScanSchedulesAsync(toSqlTimestamp(now));
+  for (const schedule of due) {
+    let nextRunAt = null;
+    try {
+      nextRunAt = toSqlTimestamp(getNextRunAt(schedule.cron, new Date(now)).getTime());
+    } catch (error) {
+      console.error(`[schedule] Invalid cron for schedule ${schedule.id}:`, error.message);
+    }
+    const claimed = await scanScheduleStore.claimScanScheduleRunAsync({
+      id: schedule.id,
+      expectedNextRunAt: schedule.next_run_at,
+      nextRunAt,
+      lastRunAt: toSqlTimestamp(now),
+    });
+    if (!claimed) continue;
+
+    const lastStatus = schedule.last_job_id
+      ? await jobStore.getJobStatusAsync(schedule.last_job_id)
+      : null;
+    if ([JOB_STATUS.queued, JOB_STATUS.running].includes(lastStatus)) {
+      console.log(`[schedule] Skipped schedule ${schedule.id}; job ${schedule.last_job_id} is still ${lastStatus}`);
+      continue;
+    }
+    const jobId = await enqueueScheduledScan(schedule, schedule.next_run_at);
+    console.log(`[schedule] Queued scan job ${jobId} for schedule ${schedule.id}`);
+  }
+};
+
+// Signing secrets are encrypted like scan credentials, so changing SCAN_CREDENTIALS_SECRET means
+// rotating them.
+const decryptWebhookSecret = (encrypted) => {
+  try {
+    return decryptScanAuth(encrypted, SCAN_CREDENTIALS_SECRET);
+  } catch {
+    throw new Error('Webhook secret cannot be decrypted; rotate the secret');
+  }
+};
+
+// Sends one webhook delivery and records the attempt. Failures are retried with backoff until
+// WEBHOOK_MAX_ATTEMPTS; redirects count as failures so a signed body is never re-posted elsewhere.
+const sendWebhookDelivery = async (delivery) => {
+  const startedAt = Date.now();
+  if (!delivery.enabled) {
+    await webhookStore.recordWebhookAttemptAsync(delivery.id, {
+      status: 'failed',
+      attempts: Number(delivery.attempts || 0),
+      nextAttemptAt: null,
+      attemptedAt: toSqlTimestamp(startedAt),
+      error: 'Subscription is disabled',
+    });
+    return;
+  }
+
+  const attempts = Number(delivery.attempts || 0) + 1;
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const url = await assertSafeUrl(delivery.url);
+    const timestamp = String(Math.floor(startedAt / 1000));
+    const response = await axios.post(url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MapMat-Webhooks/1.0',
+        [WEBHOOK_EVENT_HEADER]: delivery.event,
+        [WEBHOOK_DELIVERY_HEADER]: delivery.id,
+        [WEBHOOK_TIMESTAMP_HEADER]: timestamp,
+        [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload({
+          secret: decryptWebhookSecret(delivery.secret),
+          timestamp,
+          body: delivery.payload,
+        }),
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true,
+    });
+    responseStatus = response.status;
+    responseBody = String(response.data ?? '').slice(0, WEBHOOK_RESPONSE_BODY_MAX);
+    if (response.status < 200 || response.status >= 300) {
+      error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.message || 'Delivery failed';
+  }
+
+  const retryDelayMs = error ? getWebhookRetryDelayMs(attempts) : null;
+  let status = 'succeeded';
+  if (error) status = retryDelayMs === null ? 'failed' : 'pending';
+  await webhookStore.recordWebhookAttemptAsync(delivery.id, {
+    status,
+    attempts,
+    nextAttemptAt: status === 'pending' ? toSqlTimestamp(Date.now() + retryDelayMs) : null,
+    attemptedAt: toSqlTimestamp(startedAt),
+    responseStatus,
+    responseBody,
+    durationMs: Date.now() - startedAt,
+    error,
+  });
+  if (status !== 'pending') {
+    await webhookStore.pruneWebhookDeliveriesAsync(delivery.subscription_id, WEBHOOK_DELIVERIES_KEPT);
+  }
+};
+
+// Runs beside the job loop rather than inside it, so a slow receiver never holds up scans. Each
+// delivery is leased before it is sent, so two workers never send the same attempt.
+let lastWebhookCheckAt = 0;
+let webhookDeliveryRunning = false;
+const deliverDueWebhooks = async () => {
+  const now = Date.now();
+  if (webhookDeliveryRunning || now - lastWebhookCheckAt < WEBHOOK_POLL_MS) return;
+  lastWebhookCheckAt = now;
+  webhookDeliveryRunning = true;
+  try {
+    const due = await webhookStore.listDueWebhookDeliveriesAsync(toSqlTimestamp(now), WEBHOOK_DELIVERY_BATCH);
+    for (const delivery of due) {
+      const claimed = await webhookStore.claimWebhookDeliveryAsync({
+        id: delivery.id,
+        expectedNextAttemptAt: delivery.next_attempt_at,
+        leaseUntil: toSqlTimestamp(Date.now() + WEBHOOK_TIMEOUT_MS * 3),
+      });
+      if (claimed) await sendWebhookDelivery(delivery);
+    }
+  } finally {
+    webhookDeliveryRunning = false;
+  }
+};
+
 let jobLoopRunning = false;
 const runJobLoop = async () => {
   if (jobLoopRunning) return;
   jobLoopRunning = true;
+  await recoverStaleScanJobs().catch((err) => console.error('Scan recovery error:', err));
+  await enqueueDueScanSchedules().catch((err) => console.error('Scan schedule error:', err));
+  deliverDueWebhooks().catch((err) => console.error('Webhook delivery error:', err));
   while (activeJobs < JOB_MAX_CONCURRENCY) {
     const job = await takeNextJob();
     if (!job) break;
@@ -2599,6 +3966,50 @@ app.get('/health/coediting', async (_req, res) => {
   }
 });
 
+// Validates inline scan credentials (`auth` in the request body).
+const resolveScanAuthRequest = async (auth) => {
+  let scanAuth = null;
+  try {
+    scanAuth = normalizeScanAuth(auth);
+  } catch (e) {
+    return { error: e.message || 'Invalid scan credentials', status: 400 };
+  }
+  if (scanAuth?.login) {
+    try {
+      await assertSafeUrl(scanAuth.login.url);
+    } catch (e) {
+      return { error: e.message || 'Invalid login URL', status: 400 };
+    }
+  }
+  return { scanAuth };
+};
+
+// Validates the map a scan is for: a mapId (for its saved credentials, or to re-scan it) needs a
+// signed-in caller who can edit that map, and a re-scan needs a mapId.
+const resolveScanMapRequest = async (req, { mapId, rescan }) => {
+  const isRescan = [true, 1, 'true', '1'].includes(rescan);
+  if (!mapId) {
+    if (isRescan) return { error: 'Re-scans need the mapId of the map to compare against', status: 400 };
+    return { mapId: null, rescan: false };
+  }
+
+  if (!req.user) {
+    return { error: 'Authentication required to scan for a map', status: 401 };
+  }
+  const map = await mapStore.getMapForUserAsync(String(mapId), req.user.id);
+  const canUpdateMap = map && permissionPolicy.canForResource(
+    permissionPolicy.ACTIONS.MAP_UPDATE,
+    {
+      actorUserId: req.user.id,
+      resourceOwnerUserId: map.user_id,
+    }
+  );
+  if (!canUpdateMap) {
+    return { error: 'Map not found', status: 404 };
+  }
+  return { mapId: map.id, rescan: isRescan };
+};
+
 app.post('/scan', authMiddleware, scanLimiter, requireApiKey, enforceUsageLimit('scan'), async (req, res) => {
   const { url, maxPages, maxDepth, options } = req.body || {};
   if (!url) return res.status(400).json({ error: 'Missing url' });
@@ -2616,6 +4027,23 @@ app.post('/scan', authMiddleware, scanLimiter, requireApiKey, enforceUsageLimit(
       fallback: DEFAULT_MAX_DEPTH,
     });
 
+    try {
+      normalizeScanOptions(options || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message || 'Invalid scan options' });
+    }
+
+    const authRequest = await resolveScanAuthRequest(req.body?.auth);
+    if (authRequest.error) {
+      return res.status(authRequest.status).json({ error: authRequest.error });
+    }
+    const mapRequest = await resolveScanMapRequest(req, req.body || {});
+    if (mapRequest.error) {
+      return res.status(mapRequest.status).json({ error: mapRequest.error });
+    }
+    const scanAuth = authRequest.scanAuth
+      || await resolveJobScanAuth({ url: safeUrl, mapId: mapRequest.mapId });
+
     recordUsage(req, 'scan', 1, {
       host: new URL(safeUrl).hostname,
       maxPages: maxPagesSafe,
@@ -2626,8 +4054,14 @@ app.post('/scan', authMiddleware, scanLimiter, requireApiKey, enforceUsageLimit(
       safeUrl,
       maxPagesSafe,
       maxDepthSafe,
-      options || {}
+      options || {},
+      null,
+      null,
+      scanAuth
     );
+    if (mapRequest.rescan) {
+      result.changeSet = await buildRescanChangeSet(mapRequest.mapId, result, options || {});
+    }
     res.json(result);
   } catch (e) {
     const message = e.message || 'Scan failed';
@@ -2639,6 +4073,7 @@ app.post('/scan', authMiddleware, scanLimiter, requireApiKey, enforceUsageLimit(
 });
 
 // SSE endpoint for scan with progress updates
+// Credentials cannot go in a query string, so a stream only uses the saved ones of `mapId`.
 app.get('/scan-stream', authMiddleware, scanLimiter, requireApiKey, enforceUsageLimit('scan_stream'), async (req, res) => {
   const { url, maxPages, maxDepth, options } = req.query;
   if (!url) {
@@ -2652,6 +4087,17 @@ app.get('/scan-stream', authMiddleware, scanLimiter, requireApiKey, enforceUsage
     return res.status(400).json({ error: e.message || 'Invalid url' });
   }
 
+  let mapRequest;
+  try {
+    mapRequest = await resolveScanMapRequest(req, req.query);
+  } catch (e) {
+    console.error('Scan map lookup failed:', e);
+    return res.status(500).json({ error: 'Scan failed' });
+  }
+  if (mapRequest.error) {
+    return res.status(mapRequest.status).json({ error: mapRequest.error });
+  }
+
   // Set up SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache, no-transform');
@@ -2712,14 +4158,19 @@ app.get('/scan-stream', authMiddleware, scanLimiter, requireApiKey, enforceUsage
       maxDepth: maxDepthSafe,
     });
 
+    const scanAuth = await resolveJobScanAuth({ url: safeUrl, mapId: mapRequest.mapId });
     const result = await crawlSite(
       safeUrl,
       maxPagesSafe,
       maxDepthSafe,
       parsedOptions,
       (progress) => sendEvent('progress', progress),
-      () => aborted
+      () => aborted,
+      scanAuth
     );
+    if (mapRequest.rescan && !aborted) {
+      result.changeSet = await buildRescanChangeSet(mapRequest.mapId, result, parsedOptions);
+    }
 
     try {
       const payload = JSON.stringify(result);
@@ -2757,14 +4208,36 @@ app.post('/scan-jobs', authMiddleware, scanLimiter, requireApiKey, enforceUsageL
       fallback: DEFAULT_MAX_DEPTH,
     });
 
+    try {
+      normalizeScanOptions(options || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message || 'Invalid scan options' });
+    }
+
+    const authRequest = await resolveScanAuthRequest(req.body?.auth);
+    if (authRequest.error) {
+      return res.status(authRequest.status).json({ error: authRequest.error });
+    }
+    const mapRequest = await resolveScanMapRequest(req, req.body || {});
+    if (mapRequest.error) {
+      return res.status(mapRequest.status).json({ error: mapRequest.error });
+    }
+
+    const payload = {
+      url: safeUrl,
+      maxPages: maxPagesSafe,
+      maxDepth: maxDepthSafe,
+      options: options || {},
+    };
+    if (mapRequest.mapId) payload.mapId = mapRequest.mapId;
+    if (mapRequest.rescan) payload.rescan = true;
+    if (authRequest.scanAuth) {
+      payload.authEncrypted = encryptScanAuth(authRequest.scanAuth, SCAN_CREDENTIALS_SECRET);
+    }
+
     const jobId = await createJob({
       type: JOB_TYPES.scan,
-      payload: {
-        url: safeUrl,
-        maxPages: maxPagesSafe,
-        maxDepth: maxDepthSafe,
-        options: options || {},
-      },
+      payload,
       req,
     });
 
@@ -2788,7 +4261,7 @@ app.get('/scan-jobs/:id', authMiddleware, requireApiKey, async (req, res) => {
   const { id } = req.params;
   const includeResult = req.query.include_result !== 'false';
   const row = await getJobRow(id);
-  if (!row || row.type !== JOB_TYPES.scan) {
+  if (!row || row.type !== JOB_TYPES.scan || !isScanJobReadable(row, req)) {
     return res.status(404).json({ error: 'Job not found' });
   }
   res.json({ job: serializeJobRow(row, includeResult) });
@@ -2804,6 +4277,43 @@ app.post('/scan-jobs/:id/cancel', authMiddleware, requireApiKey, async (req, res
   res.json({ success: true });
 });
 
+// Requeues a canceled or failed scan; the worker continues from its last checkpoint when there is one.
+app.post('/scan-jobs/:id/resume', authMiddleware, scanLimiter, requireApiKey, enforceUsageLimit('scan_job'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const row = await getJobRow(id);
+    // A resumed scan runs with the job's stored credentials, so only whoever started it may resume it.
+    if (!row || row.type !== JOB_TYPES.scan || !isJobVisibleToRequest(row, req)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (![JOB_STATUS.canceled, JOB_STATUS.failed].includes(row.status)) {
+      return res.status(409).json({ error: `Only canceled or failed scans can be resumed (job is ${row.status})` });
+    }
+    const checkpoint = await scanCheckpointStore.getScanCheckpointAsync(id);
+    if (checkpoint?.heartbeat_at) {
+      return res.status(409).json({ error: 'Scan is still stopping, try again in a moment' });
+    }
+    const changes = await jobStore.requeueJobAsync(id, JOB_STATUS.queued, [JOB_STATUS.canceled, JOB_STATUS.failed]);
+    if (!changes) {
+      return res.status(409).json({ error: 'Scan job changed state, refresh and try again' });
+    }
+    const payload = parseJsonSafe(row.payload) || {};
+    recordUsage(req, 'scan_job', 1, {
+      host: payload.url ? new URL(payload.url).hostname : undefined,
+      resumed: true,
+    });
+    res.json({
+      success: true,
+      jobId: id,
+      fromCheckpoint: Boolean(checkpoint?.state),
+      pagesScanned: checkpoint?.pages_scanned || 0,
+    });
+  } catch (error) {
+    console.error('Resume scan job error:', error);
+    res.status(500).json({ error: 'Failed to resume scan job' });
+  }
+});
+
 app.get('/scan-jobs/:id/stream', authMiddleware, requireApiKey, (req, res) => {
   const { id } = req.params;
   const includeResult = req.query.include_result !== 'false';
@@ -2831,7 +4341,7 @@ app.get('/scan-jobs/:id/stream', authMiddleware, requireApiKey, (req, res) => {
       return;
     }
     const row = await getJobRow(id);
-    if (!row || row.type !== JOB_TYPES.scan) {
+    if (!row || row.type !== JOB_TYPES.scan || !isScanJobReadable(row, req)) {
       sendEvent('error', { error: 'Job not found' });
       clearInterval(interval);
       res.end();
@@ -2847,6 +4357,151 @@ app.get('/scan-jobs/:id/stream', authMiddleware, requireApiKey, (req, res) => {
   }, 1000);
 });
 
+// Broken-link regression gate: a scan job that compares its broken links with the map's baseline
+const loadLinkGateJobAsync = async (req, res) => {
+  const row = await getJobRow(req.params.id);
+  const payload = row ? parseJsonSafe(row.payload) : null;
+  if (!row || row.type !== JOB_TYPES.scan || !payload?.linkGate || !isJobVisibleToRequest(row, req)) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return { row, payload };
+};
+
+app.post('/link-gate-jobs', authMiddleware, scanLimiter, requireApiKey, enforceUsageLimit('scan_job'), async (req, res) => {
+  const { mapId, url, maxPages, maxDepth, options, updateBaseline } = req.body || {};
+  if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+  if (!mapId) return res.status(400).json({ error: 'Missing mapId' });
+
+  try {
+    const map = await mapStore.getMapForUserAsync(mapId, req.user.id);
+    const canUpdate = map && permissionPolicy.canForResource(
+      permissionPolicy.ACTIONS.MAP_UPDATE,
+      {
+        actorUserId: req.user.id,
+        resourceOwnerUserId: map.user_id,
+      }
+    );
+    if (!canUpdate) {
+      return res.status(404).json({ error: 'Map not found' });
+    }
+    if (!url && !map.url) return res.status(400).json({ error: 'Missing url' });
+
+    const safeUrl = await assertSafeUrl(url || map.url);
+    const maxPagesSafe = clampInt(maxPages, {
+      min: 1,
+      max: SCAN_LIMITS.maxPagesHard,
+      fallback: DEFAULT_MAX_PAGES,
+    });
+    const maxDepthSafe = clampInt(maxDepth, {
+      min: 1,
+      max: SCAN_LIMITS.maxDepthHard,
+      fallback: DEFAULT_MAX_DEPTH,
+    });
+
+    // The gate needs both lists, whatever the caller asked for.
+    const scanOptions = { ...(options || {}), brokenLinks: true, errorPages: true };
+    try {
+      normalizeScanOptions(scanOptions);
+    } catch (e) {
+      return res.status(400).json({ error: e.message || 'Invalid scan options' });
+    }
+
+    const jobId = await createJob({
+      type: JOB_TYPES.scan,
+      payload: {
+        url: safeUrl,
+        maxPages: maxPagesSafe,
+        maxDepth: maxDepthSafe,
+        options: scanOptions,
+        mapId: map.id,
+        linkGate: { updateBaseline: updateBaseline === true },
+      },
+      req,
+    });
+
+    recordUsage(req, 'scan_job', 1, {
+      host: new URL(safeUrl).hostname,
+      maxPages: maxPagesSafe,
+      maxDepth: maxDepthSafe,
+      linkGate: true,
+    });
+
+    res.json({ jobId });
+  } catch (e) {
+    const message = e.message || 'Failed to create link gate job';
+    const status = message.includes('Invalid URL') || message.includes('Blocked host') || message.includes('Unable to resolve')
+      ? 400
+      : 500;
+    res.status(status).json({ error: message });
+  }
+});
+
+// The verdict as JSON (default), JUnit XML or SARIF. Answers 202 with the job while the scan runs.
+// X-Link-Gate-Status carries passed/failed in every format.
+app.get('/link-gate-jobs/:id', authMiddleware, requireApiKey, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!LINK_GATE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format. Use ${LINK_GATE_FORMATS.join(', ')}.` });
+  }
+  const gateJob = await loadLinkGateJobAsync(req, res);
+  if (!gateJob) return;
+  const { row } = gateJob;
+
+  if (row.status === JOB_STATUS.failed || row.status === JOB_STATUS.canceled) {
+    return res.status(409).json({ error: `Link gate scan ${row.status}`, job: serializeJobRow(row, false) });
+  }
+  const verdict = row.status === JOB_STATUS.complete ? parseJsonSafe(row.result)?.linkGate : null;
+  if (!verdict) {
+    return res.status(202).json({ job: serializeJobRow(row, false) });
+  }
+
+  res.set('X-Link-Gate-Status', verdict.status);
+  if (format === 'junit') {
+    return res.type('application/xml').send(buildLinkGateJUnit(verdict));
+  }
+  if (format === 'sarif') {
+    return res.type('application/sarif+json').send(JSON.stringify(buildLinkGateSarif(verdict), null, 2));
+  }
+  res.json({ verdict });
+});
+
+// Makes the broken links of a finished gate scan the map's baseline, e.g. after reviewing a failure.
+app.post('/link-gate-jobs/:id/accept', authMiddleware, requireApiKey, async (req, res) => {
+  if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+  try {
+    const gateJob = await loadLinkGateJobAsync(req, res);
+    if (!gateJob) return;
+    const { row, payload } = gateJob;
+
+    const map = await mapStore.getMapForUserAsync(payload.mapId, req.user.id);
+    const canUpdate = map && permissionPolicy.canForResource(
+      permissionPolicy.ACTIONS.MAP_UPDATE,
+      {
+        actorUserId: req.user.id,
+        resourceOwnerUserId: map.user_id,
+      }
+    );
+    if (!canUpdate) {
+      return res.status(404).json({ error: 'Map not found' });
+    }
+    if (row.status !== JOB_STATUS.complete) {
+      return res.status(409).json({ error: `Link gate scan is ${row.status}` });
+    }
+
+    const links = collectGateBrokenLinks(payload, parseJsonSafe(row.result) || {});
+    await linkGateStore.saveLinkGateBaselineAsync({
+      mapId: map.id,
+      jobId: row.id,
+      userId: req.user.id,
+      links,
+    });
+    res.json({ ok: true, mapId: map.id, jobId: row.id, links: links.length });
+  } catch (e) {
+    res.status(500).json({ error: e.message || 'Failed to update baseline' });
+  }
+});
+
 // Background discovery job (subdomain sitemap ingestion)
 app.post('/api/maps/:id/discovery', authMiddleware, requireAuth, async (req, res) => {
   const { id } = req.params;
@@ -3026,11 +4681,121 @@ app.get('/screenshot-jobs/:id/stream', authMiddleware, requireApiKey, (req, res)
   }, 1000);
 });
 
-// Cleanup on exit
-process.on('SIGINT', async () => {
+// Server-side PNG/PDF export of a saved map (owner only) or a share link (anyone with the id).
+// Shares the screenshot rate limiter, since both render with Playwright.
+app.post('/export-jobs', authMiddleware, screenshotLimiter, requireApiKey, enforceUsageLimit('export_job'), async (req, res) => {
+  const { mapId, shareId } = req.body || {};
+  const format = normalizeExportFormat(req.body?.format);
+  if (!format) {
+    return res.status(400).json({ error: 'Invalid format. Use png or pdf.' });
+  }
+  if (!mapId === !shareId) {
+    return res.status(400).json({ error: 'Provide either mapId or shareId' });
+  }
+  if (process.env.DISABLE_SCREENSHOTS === 'true') {
+    return res.status(503).json({
+      error: 'Server-side exports not available',
+      reason: 'Feature disabled in this environment',
+    });
+  }
+
+  try {
+    if (mapId) {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      const map = await mapStore.getMapForUserAsync(mapId, req.user.id);
+      const canRead = map && permissionPolicy.canForResource(
+        permissionPolicy.ACTIONS.MAP_READ,
+        {
+          actorUserId: req.user.id,
+          resourceOwnerUserId: map.user_id,
+        }
+      );
+      if (!canRead) {
+        return res.status(404).json({ error: 'Map not found' });
+      }
+    } else {
+      const share = await shareStore.getShareWithUserByIdAsync(shareId);
+      if (!share) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+      if (share.expires_at && new Date(share.expires_at) < new Date()) {
+        return res.status(410).json({ error: 'This share link has expired' });
+      }
+    }
+
+    const jobId = await createJob({
+      type: JOB_TYPES.export,
+      payload: {
+        ...(mapId ? { mapId } : { shareId }),
+        format,
+        scale: Math.round(clampInt(req.body?.scale, { min: 1, max: MAP_EXPORT_MAX_SCALE, fallback: 2 })),
+      },
+      req,
+    });
+
+    recordUsage(req, 'export_job', 1, { format, source: mapId ? 'map' : 'share' });
+
+    res.json({ jobId });
+  } catch (e) {
+    res.status(500).json({ error: e.message || 'Failed to create export job' });
+  }
+});
+
+app.get('/export-jobs/:id', authMiddleware, requireApiKey, async (req, res) => {
+  const { id } = req.params;
+  const includeResult = req.query.include_result !== 'false';
+  const row = await getJobRow(id);
+  if (!row || row.type !== JOB_TYPES.export || !isJobVisibleToRequest(row, req)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: serializeJobRow(row, includeResult) });
+});
+
+app.post('/export-jobs/:id/cancel', authMiddleware, requireApiKey, async (req, res) => {
+  const { id } = req.params;
+  const row = await getJobRow(id);
+  if (!row || row.type !== JOB_TYPES.export || !isJobVisibleToRequest(row, req)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  await markJobCanceled(id);
+  res.json({ success: true });
+});
+
+app.get('/export-jobs/:id/download', authMiddleware, requireApiKey, async (req, res) => {
+  const { id } = req.params;
+  const row = await getJobRow(id);
+  if (!row || row.type !== JOB_TYPES.export || !isJobVisibleToRequest(row, req)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (row.status !== JOB_STATUS.complete) {
+    return res.status(409).json({ error: `Export is ${row.status}` });
+  }
+  const result = parseJsonSafe(row.result) || {};
+  const filepath = result.file ? path.join(MAP_EXPORT_DIR, path.basename(result.file)) : null;
+  if (!filepath || !fs.existsSync(filepath)) {
+    return res.status(410).json({ error: 'Export file has expired' });
+  }
+  res.download(filepath, result.filename || path.basename(filepath));
+});
+
+// Cleanup on exit. Hosts stop containers with SIGTERM (Railway, Docker), Ctrl+C sends SIGINT; both
+// flush the coalesced map.updated webhooks that are still waiting in memory.
+let shuttingDown = false;
+const shutdown = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  try {
+    await flushMapUpdatedWebhookEventsAsync();
+  } catch (error) {
+    console.error('Webhook flush on shutdown failed:', error);
+  }
   if (browser) await browser.close();
   process.exit();
-});
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 if (RUN_WEB) {
   const server = http.createServer(app);
@@ -0,0 +1,109 @@
+const adapter = require('./dbAdapter');
+
+let ensureSchemaPromise = null;
+
+async function ensureAccessTokenSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    // Timestamps are ISO strings compared in JS, so expiry behaves the same on both runtimes.
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON personal_access_tokens(user_id)'
+    );
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+async function insertAccessTokenAsync({
+  id,
+  userId,
+  name,
+  tokenHash,
+  tokenPrefix,
+  scopes,
+  expiresAt,
+}) {
+  await ensureAccessTokenSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO personal_access_tokens (id, user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [id, userId, name, tokenHash, tokenPrefix, scopes.join(','), expiresAt]);
+}
+
+async function getAccessTokenAsync(id) {
+  await ensureAccessTokenSchemaAsync();
+  return adapter.queryOneAsync('SELECT * FROM personal_access_tokens WHERE id = ?', [id]);
+}
+
+async function getAccessTokenByHashAsync(tokenHash) {
+  await ensureAccessTokenSchemaAsync();
+  return adapter.queryOneAsync('SELECT * FROM personal_access_tokens WHERE token_hash = ?', [tokenHash]);
+}
+
+async function listAccessTokensByUserAsync(userId) {
+  await ensureAccessTokenSchemaAsync();
+  return adapter.queryAllAsync(
+    'SELECT * FROM personal_access_tokens WHERE user_id = ? ORDER BY created_at DESC',
+    [userId]
+  );
+}
+
+async function countActiveAccessTokensByUserAsync(userId, nowIso) {
+  await ensureAccessTokenSchemaAsync();
+  const row = await adapter.queryOneAsync(`
+    SELECT COUNT(*) AS count
+    FROM personal_access_tokens
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+  `, [userId, nowIso]);
+  return Number(row?.count || 0);
+}
+
+async function revokeAccessTokenAsync(id, revokedAt) {
+  await ensureAccessTokenSchemaAsync();
+  return adapter.executeAsync(
+    'UPDATE personal_access_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+    [revokedAt, id]
+  );
+}
+
+async function touchAccessTokenAsync(id, usedAt) {
+  await ensureAccessTokenSchemaAsync();
+  return adapter.executeAsync(
+    'UPDATE personal_access_tokens SET last_used_at = ? WHERE id = ?',
+    [usedAt, id]
+  );
+}
+
+module.exports = {
+  ensureAccessTokenSchemaAsync,
+  insertAccessTokenAsync,
+  getAccessTokenAsync,
+  getAccessTokenByHashAsync,
+  listAccessTokensByUserAsync,
+  countActiveAccessTokensByUserAsync,
+  revokeAccessTokenAsync,
+  touchAccessTokenAsync,
+};
@@ -84,6 +84,17 @@ function markJobCanceledAsync(id, canceledStatus, queuedStatus, runningStatus) {
   `, [canceledStatus, id, queuedStatus, runningStatus]);
 }
 
+// Puts a job back in the queue. Progress is kept so clients still see the last counts until it runs again.
+async function requeueJobAsync(id, queuedStatus, fromStatuses) {
+  if (!Array.isArray(fromStatuses) || fromStatuses.length === 0) return 0;
+  const placeholders = fromStatuses.map(() => '?').join(', ');
+  return (await adapter.executeAsync(`
+    UPDATE jobs
+    SET status = ?, error = NULL, finished_at = NULL
+    WHERE id = ? AND status IN (${placeholders})
+  `, [queuedStatus, id, ...fromStatuses])).changes || 0;
+}
+
 async function getJobStatusAsync(id) {
   return (await adapter.queryOneAsync('SELECT status FROM jobs WHERE id = ?', [id]))?.status || null;
 }
@@ -97,5 +108,6 @@ module.exports = {
   markJobCompleteAsync,
   markJobFailedAsync,
   markJobCanceledAsync,
+  requeueJobAsync,
   getJobStatusAsync,
 };
@@ -0,0 +1,66 @@
+const adapter = require('./dbAdapter');
+
+let ensureSchemaPromise = null;
+
+async function ensureLinkGateSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    // One baseline per map: the broken links (JSON array) of the gate scan it was taken from.
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS link_gate_baselines (
+        map_id TEXT PRIMARY KEY,
+        job_id TEXT,
+        user_id TEXT,
+        links TEXT NOT NULL,
+        link_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
+      )
+    `);
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+async function getLinkGateBaselineAsync(mapId) {
+  await ensureLinkGateSchemaAsync();
+  return adapter.queryOneAsync('SELECT * FROM link_gate_baselines WHERE map_id = ?', [mapId]);
+}
+
+// Replaces the map's baseline; `links` is the array from collectBrokenLinks.
+async function saveLinkGateBaselineAsync({ mapId, jobId, userId, links }) {
+  await ensureLinkGateSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO link_gate_baselines (map_id, job_id, user_id, links, link_count, created_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (map_id) DO UPDATE SET
+      job_id = excluded.job_id,
+      user_id = excluded.user_id,
+      links = excluded.links,
+      link_count = excluded.link_count,
+      created_at = CURRENT_TIMESTAMP
+  `, [mapId, jobId || null, userId || null, JSON.stringify(links || []), (links || []).length]);
+}
+
+async function deleteLinkGateBaselineAsync(mapId) {
+  await ensureLinkGateSchemaAsync();
+  return (await adapter.executeAsync(
+    'DELETE FROM link_gate_baselines WHERE map_id = ?',
+    [mapId]
+  )).changes || 0;
+}
+
+module.exports = {
+  ensureLinkGateSchemaAsync,
+  getLinkGateBaselineAsync,
+  saveLinkGateBaselineAsync,
+  deleteLinkGateBaselineAsync,
+};
@@ -0,0 +1,170 @@
+const adapter = require('./dbAdapter');
+
+const EDGE_INSERT_BATCH = 200;
+
+let ensureSchemaPromise = null;
+
+async function ensureLinkGraphSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    // One graph per scan job (`id` is the job id). `map_id` is set for scans of a saved map and
+    // when a scan is saved as a map.
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS link_graphs (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        map_id TEXT,
+        root_url TEXT NOT NULL,
+        page_count INTEGER DEFAULT 0,
+        edge_count INTEGER DEFAULT 0,
+        truncated INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_link_graphs_map ON link_graphs(map_id, created_at)'
+    );
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_link_graphs_user ON link_graphs(user_id, created_at)'
+    );
+    // One row per source page, target URL and position (body, nav or footer).
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS link_graph_edges (
+        graph_id TEXT NOT NULL,
+        source_url TEXT NOT NULL,
+        target_url TEXT NOT NULL,
+        position TEXT NOT NULL,
+        anchor_text TEXT,
+        occurrences INTEGER DEFAULT 1,
+        FOREIGN KEY (graph_id) REFERENCES link_graphs(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_link_graph_edges_source ON link_graph_edges(graph_id, source_url)'
+    );
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_link_graph_edges_target ON link_graph_edges(graph_id, target_url)'
+    );
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+// `edges` are `{ source, target, position, text, occurrences }` from utils/linkGraph.js.
+const insertLinkGraphAsync = adapter.transactionAsync(async ({
+  id,
+  userId,
+  mapId,
+  rootUrl,
+  pageCount,
+  edges,
+  truncated,
+}) => {
+  // A resumed job saves its graph again.
+  await adapter.executeAsync('DELETE FROM link_graphs WHERE id = ?', [id]);
+  await adapter.executeAsync(`
+    INSERT INTO link_graphs (id, user_id, map_id, root_url, page_count, edge_count, truncated, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `, [id, userId, mapId || null, rootUrl, pageCount || 0, edges.length, truncated ? 1 : 0]);
+
+  for (let offset = 0; offset < edges.length; offset += EDGE_INSERT_BATCH) {
+    const batch = edges.slice(offset, offset + EDGE_INSERT_BATCH);
+    const values = [];
+    batch.forEach((edge) => {
+      values.push(id, edge.source, edge.target, edge.position, edge.text || null, edge.occurrences || 1);
+    });
+    await adapter.executeAsync(`
+      INSERT INTO link_graph_edges (graph_id, source_url, target_url, position, anchor_text, occurrences)
+      VALUES ${batch.map(() => `(${adapter.placeholders(6)})`).join(', ')}
+    `, values);
+  }
+});
+
+async function saveLinkGraphAsync(graph) {
+  await ensureLinkGraphSchemaAsync();
+  await insertLinkGraphAsync({ ...graph, edges: graph.edges || [] });
+}
+
+async function getLinkGraphAsync(id) {
+  await ensureLinkGraphSchemaAsync();
+  return adapter.queryOneAsync('SELECT * FROM link_graphs WHERE id = ?', [id]);
+}
+
+async function getLatestLinkGraphForMapAsync(mapId) {
+  await ensureLinkGraphSchemaAsync();
+  return adapter.queryOneAsync(`
+    SELECT * FROM link_graphs
+    WHERE map_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `, [mapId]);
+}
+
+async function attachLinkGraphToMapAsync(id, mapId) {
+  await ensureLinkGraphSchemaAsync();
+  await adapter.executeAsync('UPDATE link_graphs SET map_id = ? WHERE id = ?', [mapId, id]);
+}
+
+// Edges from (`sourceUrl`) or to (`targetUrl`) one page, at most `limit`.
+async function listLinkGraphEdgesAsync(graphId, { sourceUrl = null, targetUrl = null, limit = 1000 } = {}) {
+  await ensureLinkGraphSchemaAsync();
+  const column = sourceUrl ? 'source_url' : 'target_url';
+  return adapter.queryAllAsync(`
+    SELECT source_url, target_url, position, anchor_text, occurrences
+    FROM link_graph_edges
+    WHERE graph_id = ? AND ${column} = ?
+    ORDER BY ${sourceUrl ? 'target_url' : 'source_url'}, position
+    LIMIT ?
+  `, [graphId, sourceUrl || targetUrl, limit]);
+}
+
+async function countLinkGraphEdgesAsync(graphId, { sourceUrl = null, targetUrl = null } = {}) {
+  await ensureLinkGraphSchemaAsync();
+  const column = sourceUrl ? 'source_url' : 'target_url';
+  const row = await adapter.queryOneAsync(`
+    SELECT COUNT(DISTINCT ${sourceUrl ? 'target_url' : 'source_url'}) AS count
+    FROM link_graph_edges
+    WHERE graph_id = ? AND ${column} = ?
+  `, [graphId, sourceUrl || targetUrl]);
+  return Number(row?.count) || 0;
+}
+
+// Keeps the newest `keep` graphs of a map, or of a user's scans that were not saved as a map.
+async function pruneLinkGraphsAsync({ mapId = null, userId = null, keep }) {
+  await ensureLinkGraphSchemaAsync();
+  const scope = mapId ? 'map_id = ?' : 'user_id = ? AND map_id IS NULL';
+  const scopeValue = mapId || userId;
+  return (await adapter.executeAsync(`
+    DELETE FROM link_graphs
+    WHERE ${scope}
+      AND id NOT IN (
+        SELECT id FROM (
+          SELECT id FROM link_graphs
+          WHERE ${scope}
+          ORDER BY created_at DESC, id DESC
+          LIMIT ?
+        ) newest
+      )
+  `, [scopeValue, scopeValue, keep])).changes || 0;
+}
+
+module.exports = {
+  ensureLinkGraphSchemaAsync,
+  saveLinkGraphAsync,
+  getLinkGraphAsync,
+  getLatestLinkGraphForMapAsync,
+  attachLinkGraphToMapAsync,
+  listLinkGraphEdgesAsync,
+  countLinkGraphEdgesAsync,
+  pruneLinkGraphsAsync,
+};
@@ -1,7 +1,28 @@
 const adapter = require('./dbAdapter');
 const runtimeProvider = adapter.runtime?.activeProvider || 'sqlite';
 
-async function getPageColumnsAsync() {
+// Crawl metadata columns; `h1` and `open_graph` hold JSON. Written only when the table has all of them.
+const PAGE_SEO_COLUMNS = [
+  'meta_description',
+  'h1',
+  'meta_robots',
+  'open_graph',
+  'word_count',
+  'response_time_ms',
+];
+
+const PAGE_SEO_COLUMN_TYPES = {
+  meta_description: 'TEXT',
+  h1: 'TEXT',
+  meta_robots: 'TEXT',
+  open_graph: 'TEXT',
+  word_count: 'INTEGER',
+  response_time_ms: 'INTEGER',
+};
+
+let ensureSchemaPromise = null;
+
+async function readPageColumnsAsync() {
   if (runtimeProvider === 'postgres') {
     return (await adapter.queryAllAsync(`
       SELECT column_name
@@ -13,6 +34,36 @@ async function getPageColumnsAsync() {
   return (await adapter.queryAllAsync('PRAGMA table_info(pages)')).map((col) => col.name);
 }
 
+// The SEO columns arrived after `pages` shipped. db.js adds them on SQLite; existing Postgres
+// databases get them here, since deploys only start the server.
+async function ensurePageSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    const columns = await readPageColumnsAsync();
+    if (!columns.length) return;
+    for (const column of PAGE_SEO_COLUMNS) {
+      if (!columns.includes(column)) {
+        await adapter.executeAsync(`ALTER TABLE pages ADD COLUMN ${column} ${PAGE_SEO_COLUMN_TYPES[column]}`);
+      }
+    }
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+async function getPageColumnsAsync() {
+  await ensurePageSchemaAsync();
+  return readPageColumnsAsync();
+}
+
 function getPageByUrlAsync(url, selectColumns) {
   const columns = Array.isArray(selectColumns) && selectColumns.length > 0
     ? selectColumns
@@ -24,7 +75,7 @@ function getPageByUrlAsync(url, selectColumns) {
   `, [url]);
 }
 
-function insertPageAsync(row, { hasType = false, hasDepth = false } = {}) {
+function insertPageAsync(row, { hasType = false, hasDepth = false, hasSeo = false } = {}) {
   const insertColumns = [
     'url',
     'title',
@@ -50,6 +101,10 @@ function insertPageAsync(row, { hasType = false, hasDepth = false } = {}) {
   ];
   if (hasType) values.push(row.type ?? null);
   if (hasDepth) values.push(row.depth ?? null);
+  if (hasSeo) {
+    insertColumns.push(...PAGE_SEO_COLUMNS);
+    PAGE_SEO_COLUMNS.forEach((col) => values.push(row[col] ?? null));
+  }
 
   return adapter.executeAsync(`
     INSERT INTO pages (${insertColumns.join(', ')}, created_at, updated_at)
@@ -57,7 +112,7 @@ function insertPageAsync(row, { hasType = false, hasDepth = false } = {}) {
   `, values);
 }
 
-function updatePageAsync(row, { hasType = false, hasDepth = false } = {}) {
+function updatePageAsync(row, { hasType = false, hasDepth = false, hasSeo = false } = {}) {
   const updateColumns = [
     'title',
     'status',
@@ -81,6 +136,10 @@ function updatePageAsync(row, { hasType = false, hasDepth = false } = {}) {
   ];
   if (hasType) values.push(row.type ?? null);
   if (hasDepth) values.push(row.depth ?? null);
+  if (hasSeo) {
+    updateColumns.push(...PAGE_SEO_COLUMNS);
+    PAGE_SEO_COLUMNS.forEach((col) => values.push(row[col] ?? null));
+  }
   values.push(row.url);
 
   return adapter.executeAsync(`
@@ -95,6 +154,8 @@ function transactionAsync(fn) {
 }
 
 module.exports = {
+  PAGE_SEO_COLUMNS,
+  ensurePageSchemaAsync,
   getPageColumnsAsync,
   getPageByUrlAsync,
   insertPageAsync,
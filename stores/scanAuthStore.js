@@ -0,0 +1,82 @@
+const adapter = require('./dbAdapter');
+
+let ensureSchemaPromise = null;
+
+async function ensureScanAuthSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS map_scan_credentials (
+        map_id TEXT PRIMARY KEY,
+        host TEXT NOT NULL,
+        encrypted_payload TEXT NOT NULL,
+        updated_by_user_id TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE,
+        FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+async function getScanCredentialsByMapIdAsync(mapId) {
+  await ensureScanAuthSchemaAsync();
+  return adapter.queryOneAsync(
+    'SELECT * FROM map_scan_credentials WHERE map_id = ?',
+    [mapId]
+  );
+}
+
+async function upsertScanCredentialsAsync({
+  mapId,
+  host,
+  encryptedPayload,
+  userId = null,
+}) {
+  await ensureScanAuthSchemaAsync();
+  const existing = await adapter.queryOneAsync(
+    'SELECT map_id FROM map_scan_credentials WHERE map_id = ?',
+    [mapId]
+  );
+
+  if (existing) {
+    await adapter.executeAsync(`
+      UPDATE map_scan_credentials
+      SET host = ?, encrypted_payload = ?, updated_by_user_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE map_id = ?
+    `, [host, encryptedPayload, userId, mapId]);
+  } else {
+    await adapter.executeAsync(`
+      INSERT INTO map_scan_credentials (map_id, host, encrypted_payload, updated_by_user_id)
+      VALUES (?, ?, ?, ?)
+    `, [mapId, host, encryptedPayload, userId]);
+  }
+
+  return getScanCredentialsByMapIdAsync(mapId);
+}
+
+async function deleteScanCredentialsByMapIdAsync(mapId) {
+  await ensureScanAuthSchemaAsync();
+  return (await adapter.executeAsync(
+    'DELETE FROM map_scan_credentials WHERE map_id = ?',
+    [mapId]
+  )).changes || 0;
+}
+
+module.exports = {
+  ensureScanAuthSchemaAsync,
+  getScanCredentialsByMapIdAsync,
+  upsertScanCredentialsAsync,
+  deleteScanCredentialsByMapIdAsync,
+};
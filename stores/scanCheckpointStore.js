@@ -0,0 +1,122 @@
+const adapter = require('./dbAdapter');
+
+let ensureSchemaPromise = null;
+
+async function ensureScanCheckpointSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    // heartbeat_at is written as a UTC 'YYYY-MM-DD HH:MM:SS' string so it compares the same way on both runtimes.
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS scan_checkpoints (
+        job_id TEXT PRIMARY KEY,
+        state TEXT,
+        pages_scanned INTEGER DEFAULT 0,
+        heartbeat_at TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_scan_checkpoints_heartbeat ON scan_checkpoints(heartbeat_at)'
+    );
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+async function getScanCheckpointAsync(jobId) {
+  await ensureScanCheckpointSchemaAsync();
+  return adapter.queryOneAsync(
+    'SELECT * FROM scan_checkpoints WHERE job_id = ?',
+    [jobId]
+  );
+}
+
+async function saveScanCheckpointAsync({
+  jobId,
+  state,
+  pagesScanned = 0,
+  heartbeatAt,
+}) {
+  await ensureScanCheckpointSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO scan_checkpoints (job_id, state, pages_scanned, heartbeat_at, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (job_id) DO UPDATE SET
+      state = excluded.state,
+      pages_scanned = excluded.pages_scanned,
+      heartbeat_at = excluded.heartbeat_at,
+      updated_at = CURRENT_TIMESTAMP
+  `, [jobId, state, pagesScanned, heartbeatAt]);
+}
+
+async function touchScanCheckpointAsync(jobId, heartbeatAt) {
+  await ensureScanCheckpointSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO scan_checkpoints (job_id, heartbeat_at, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (job_id) DO UPDATE SET
+      heartbeat_at = excluded.heartbeat_at,
+      updated_at = CURRENT_TIMESTAMP
+  `, [jobId, heartbeatAt]);
+}
+
+// Clears the heartbeat once the worker has stopped crawling, so the job can be resumed.
+async function releaseScanCheckpointAsync(jobId) {
+  await ensureScanCheckpointSchemaAsync();
+  await adapter.executeAsync(
+    'UPDATE scan_checkpoints SET heartbeat_at = NULL WHERE job_id = ?',
+    [jobId]
+  );
+}
+
+async function deleteScanCheckpointAsync(jobId) {
+  await ensureScanCheckpointSchemaAsync();
+  return (await adapter.executeAsync(
+    'DELETE FROM scan_checkpoints WHERE job_id = ?',
+    [jobId]
+  )).changes || 0;
+}
+
+// Running scan jobs whose worker stopped sending heartbeats. started_at is reset each time a job is
+// taken, so a job another worker has just picked up is not stale before it sends its first heartbeat.
+async function listStaleRunningScanJobIdsAsync({ type, runningStatus, cutoff }) {
+  await ensureScanCheckpointSchemaAsync();
+  const rows = await adapter.queryAllAsync(`
+    SELECT j.id
+    FROM jobs j
+    LEFT JOIN scan_checkpoints c ON c.job_id = j.id
+    WHERE j.type = ? AND j.status = ?
+      AND (c.heartbeat_at IS NULL OR c.heartbeat_at < ?)
+      AND CAST(j.started_at AS TEXT) < ?
+    ORDER BY j.created_at ASC
+  `, [type, runningStatus, cutoff, cutoff]);
+  return rows.map((row) => row.id);
+}
+
+async function pruneScanCheckpointsAsync(cutoff) {
+  await ensureScanCheckpointSchemaAsync();
+  return (await adapter.executeAsync(
+    'DELETE FROM scan_checkpoints WHERE updated_at < ?',
+    [cutoff]
+  )).changes || 0;
+}
+
+module.exports = {
+  ensureScanCheckpointSchemaAsync,
+  getScanCheckpointAsync,
+  saveScanCheckpointAsync,
+  touchScanCheckpointAsync,
+  releaseScanCheckpointAsync,
+  deleteScanCheckpointAsync,
+  listStaleRunningScanJobIdsAsync,
+  pruneScanCheckpointsAsync,
+};
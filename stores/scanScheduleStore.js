@@ -0,0 +1,272 @@
+const adapter = require('./dbAdapter');
+
+let ensureSchemaPromise = null;
+
+async function ensureScanScheduleSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    // next_run_at is written as a UTC 'YYYY-MM-DD HH:MM:SS' string so it compares the same way on both runtimes.
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS scan_schedules (
+        id TEXT PRIMARY KEY,
+        map_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        frequency TEXT NOT NULL,
+        cron TEXT NOT NULL,
+        url TEXT NOT NULL,
+        max_pages INTEGER,
+        max_depth INTEGER,
+        options TEXT,
+        enabled INTEGER DEFAULT 1,
+        next_run_at TEXT,
+        last_run_at TEXT,
+        last_job_id TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_scan_schedules_map ON scan_schedules(map_id)'
+    );
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_scan_schedules_due ON scan_schedules(enabled, next_run_at)'
+    );
+    // One row per run; `snapshot` keeps the scanned trees so the next run can diff against them.
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS scan_schedule_runs (
+        id TEXT PRIMARY KEY,
+        schedule_id TEXT NOT NULL,
+        map_id TEXT NOT NULL,
+        job_id TEXT,
+        scheduled_for TEXT,
+        pages_scanned INTEGER,
+        summary TEXT,
+        changes TEXT,
+        snapshot TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        FOREIGN KEY (schedule_id) REFERENCES scan_schedules(id) ON DELETE CASCADE,
+        FOREIGN KEY (map_id) REFERENCES maps(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_scan_schedule_runs_schedule ON scan_schedule_runs(schedule_id, created_at)'
+    );
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+async function listScanSchedulesByMapAsync(mapId) {
+  await ensureScanScheduleSchemaAsync();
+  return adapter.queryAllAsync(
+    'SELECT * FROM scan_schedules WHERE map_id = ? ORDER BY created_at ASC',
+    [mapId]
+  );
+}
+
+async function getScanScheduleAsync(id) {
+  await ensureScanScheduleSchemaAsync();
+  return adapter.queryOneAsync('SELECT * FROM scan_schedules WHERE id = ?', [id]);
+}
+
+async function countScanSchedulesByMapAsync(mapId) {
+  await ensureScanScheduleSchemaAsync();
+  const row = await adapter.queryOneAsync(
+    'SELECT COUNT(*) AS count FROM scan_schedules WHERE map_id = ?',
+    [mapId]
+  );
+  return Number(row?.count || 0);
+}
+
+async function insertScanScheduleAsync({
+  id,
+  mapId,
+  userId,
+  frequency,
+  cron,
+  url,
+  maxPages,
+  maxDepth,
+  options,
+  enabled = true,
+  nextRunAt,
+}) {
+  await ensureScanScheduleSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO scan_schedules (
+      id, map_id, user_id, frequency, cron, url, max_pages, max_depth, options, enabled, next_run_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, mapId, userId, frequency, cron, url, maxPages, maxDepth, options || null, enabled ? 1 : 0, nextRunAt]);
+}
+
+async function updateScanScheduleAsync(id, {
+  frequency,
+  cron,
+  url,
+  maxPages,
+  maxDepth,
+  options,
+  enabled,
+  nextRunAt,
+}) {
+  await ensureScanScheduleSchemaAsync();
+  return (await adapter.executeAsync(`
+    UPDATE scan_schedules
+    SET frequency = ?, cron = ?, url = ?, max_pages = ?, max_depth = ?, options = ?, enabled = ?,
+      next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [frequency, cron, url, maxPages, maxDepth, options || null, enabled ? 1 : 0, nextRunAt, id])).changes || 0;
+}
+
+async function deleteScanScheduleAsync(id) {
+  await ensureScanScheduleSchemaAsync();
+  return (await adapter.executeAsync(
+    'DELETE FROM scan_schedules WHERE id = ?',
+    [id]
+  )).changes || 0;
+}
+
+async function listDueScanSchedulesAsync(now, limit = 20) {
+  await ensureScanScheduleSchemaAsync();
+  return adapter.queryAllAsync(`
+    SELECT * FROM scan_schedules
+    WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+    ORDER BY next_run_at ASC
+    LIMIT ?
+  `, [now, limit]);
+}
+
+// Moves a due schedule to its next slot. Only succeeds if next_run_at is still the value the caller
+// read, so when several workers poll at once exactly one of them enqueues the run.
+async function claimScanScheduleRunAsync({ id, expectedNextRunAt, nextRunAt, lastRunAt }) {
+  await ensureScanScheduleSchemaAsync();
+  return (await adapter.executeAsync(`
+    UPDATE scan_schedules
+    SET next_run_at = ?, last_run_at = ?
+    WHERE id = ? AND enabled = 1 AND next_run_at = ?
+  `, [nextRunAt, lastRunAt, id, expectedNextRunAt])).changes === 1;
+}
+
+async function setScanScheduleLastJobAsync(id, jobId) {
+  await ensureScanScheduleSchemaAsync();
+  await adapter.executeAsync(
+    'UPDATE scan_schedules SET last_job_id = ? WHERE id = ?',
+    [jobId, id]
+  );
+}
+
+async function insertScanScheduleRunAsync({
+  id,
+  scheduleId,
+  mapId,
+  jobId,
+  scheduledFor,
+}) {
+  await ensureScanScheduleSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO scan_schedule_runs (id, schedule_id, map_id, job_id, scheduled_for)
+    VALUES (?, ?, ?, ?, ?)
+  `, [id, scheduleId, mapId, jobId, scheduledFor]);
+}
+
+// Only the newest completed run keeps its snapshot; it is all the next run needs to diff against.
+async function completeScanScheduleRunAsync(id, {
+  scheduleId,
+  pagesScanned,
+  summary,
+  changes,
+  snapshot,
+}) {
+  await ensureScanScheduleSchemaAsync();
+  await adapter.executeAsync(`
+    UPDATE scan_schedule_runs
+    SET pages_scanned = ?, summary = ?, changes = ?, snapshot = ?, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [pagesScanned, summary, changes, snapshot, id]);
+  await adapter.executeAsync(
+    'UPDATE scan_schedule_runs SET snapshot = NULL WHERE schedule_id = ? AND id <> ? AND snapshot IS NOT NULL',
+    [scheduleId, id]
+  );
+}
+
+// Run history without the large `changes` and `snapshot` columns; job status comes from the jobs table.
+async function listScanScheduleRunsAsync(scheduleId, limit = 50) {
+  await ensureScanScheduleSchemaAsync();
+  return adapter.queryAllAsync(`
+    SELECT r.id, r.schedule_id, r.map_id, r.job_id, r.scheduled_for, r.pages_scanned, r.summary,
+      r.created_at, r.completed_at, j.status AS job_status, j.error AS job_error
+    FROM scan_schedule_runs r
+    LEFT JOIN jobs j ON j.id = r.job_id
+    WHERE r.schedule_id = ?
+    ORDER BY r.created_at DESC
+    LIMIT ?
+  `, [scheduleId, limit]);
+}
+
+async function getScanScheduleRunAsync(id) {
+  await ensureScanScheduleSchemaAsync();
+  return adapter.queryOneAsync(`
+    SELECT r.id, r.schedule_id, r.map_id, r.job_id, r.scheduled_for, r.pages_scanned, r.summary, r.changes,
+      r.created_at, r.completed_at, j.status AS job_status, j.error AS job_error
+    FROM scan_schedule_runs r
+    LEFT JOIN jobs j ON j.id = r.job_id
+    WHERE r.id = ?
+  `, [id]);
+}
+
+async function getLatestScanScheduleSnapshotAsync(scheduleId) {
+  await ensureScanScheduleSchemaAsync();
+  return adapter.queryOneAsync(`
+    SELECT id, snapshot FROM scan_schedule_runs
+    WHERE schedule_id = ? AND completed_at IS NOT NULL AND snapshot IS NOT NULL
+    ORDER BY completed_at DESC
+    LIMIT 1
+  `, [scheduleId]);
+}
+
+// Keeps the newest `keep` runs of a schedule.
+async function pruneScanScheduleRunsAsync(scheduleId, keep) {
+  await ensureScanScheduleSchemaAsync();
+  const rows = await adapter.queryAllAsync(`
+    SELECT id FROM scan_schedule_runs
+    WHERE schedule_id = ?
+    ORDER BY created_at DESC
+  `, [scheduleId]);
+  const ids = rows.slice(keep).map((row) => row.id);
+  if (!ids.length) return 0;
+  return (await adapter.executeAsync(
+    `DELETE FROM scan_schedule_runs WHERE id IN (${adapter.placeholders(ids.length)})`,
+    ids
+  )).changes || 0;
+}
+
+module.exports = {
+  ensureScanScheduleSchemaAsync,
+  listScanSchedulesByMapAsync,
+  getScanScheduleAsync,
+  countScanSchedulesByMapAsync,
+  insertScanScheduleAsync,
+  updateScanScheduleAsync,
+  deleteScanScheduleAsync,
+  listDueScanSchedulesAsync,
+  claimScanScheduleRunAsync,
+  setScanScheduleLastJobAsync,
+  insertScanScheduleRunAsync,
+  completeScanScheduleRunAsync,
+  listScanScheduleRunsAsync,
+  getScanScheduleRunAsync,
+  getLatestScanScheduleSnapshotAsync,
+  pruneScanScheduleRunsAsync,
+};
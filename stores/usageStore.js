@@ -1,6 +1,44 @@
 const adapter = require('./dbAdapter');
 const runtimeProvider = adapter.runtime?.activeProvider || 'sqlite';
 
+let ensureSchemaPromise = null;
+
+async function ensureColumnAsync(table, column, type) {
+  let rows = [];
+
+  if (runtimeProvider === 'postgres') {
+    rows = await adapter.queryAllAsync(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = ?
+    `, [table]);
+  } else {
+    rows = await adapter.queryAllAsync(`PRAGMA table_info(${table})`);
+  }
+
+  const columns = rows.map((row) => row.column_name || row.name).filter(Boolean);
+  if (!columns.includes(column)) {
+    await adapter.executeAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+// access_token_id arrived after usage_events shipped. db.js adds it on SQLite; existing Postgres
+// databases get it here, since deploys only start the server.
+async function ensureUsageSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = ensureColumnAsync('usage_events', 'access_token_id', 'TEXT');
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
 function toSqlTimestamp(date) {
   return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
 }
@@ -63,22 +101,25 @@ function getUsageTotalsSinceAsync(sinceModifier) {
   `, [sinceModifier]).then(normalizeUsageRows);
 }
 
-function insertUsageEventAsync({
+async function insertUsageEventAsync({
   id,
   userId,
   apiKey,
+  accessTokenId,
   ipHash,
   eventType,
   quantity = 1,
   meta = null,
 }) {
+  await ensureUsageSchemaAsync();
   return adapter.executeAsync(`
-    INSERT INTO usage_events (id, user_id, api_key, ip_hash, event_type, quantity, meta)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO usage_events (id, user_id, api_key, access_token_id, ip_hash, event_type, quantity, meta)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `, [
     id,
     userId || null,
     apiKey || null,
+    accessTokenId || null,
     ipHash || null,
     eventType,
     quantity,
@@ -92,13 +133,14 @@ async function getUsageTotalForWindowAsync({
   identityValue,
   windowHours,
 }) {
-  const allowedIdentityColumns = new Set(['user_id', 'api_key', 'ip_hash']);
+  const allowedIdentityColumns = new Set(['user_id', 'api_key', 'access_token_id', 'ip_hash']);
   if (!allowedIdentityColumns.has(identityColumn)) {
     throw new Error(`Unsupported identity column: ${identityColumn}`);
   }
   const hours = Number(windowHours);
   if (!Number.isFinite(hours) || hours <= 0) return 0;
 
+  await ensureUsageSchemaAsync();
   const cutoff = toSqlTimestamp(Date.now() - (hours * 60 * 60 * 1000));
   const row = await adapter.queryOneAsync(`
     SELECT COALESCE(SUM(quantity), 0) as total
@@ -112,6 +154,7 @@ async function getUsageTotalForWindowAsync({
 }
 
 module.exports = {
+  ensureUsageSchemaAsync,
   getUsageByDaySinceAsync,
   getUsageTotalsSinceAsync,
   insertUsageEventAsync,
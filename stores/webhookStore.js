@@ -0,0 +1,247 @@
+const adapter = require('./dbAdapter');
+
+let ensureSchemaPromise = null;
+
+async function ensureWebhookSchemaAsync() {
+  if (ensureSchemaPromise) {
+    return ensureSchemaPromise;
+  }
+
+  ensureSchemaPromise = (async () => {
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        enabled INTEGER DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_project ON webhook_subscriptions(project_id)'
+    );
+    // One row per event and subscription: the worker's queue and the delivery log in one table.
+    // next_attempt_at is a UTC 'YYYY-MM-DD HH:MM:SS' string, NULL once the delivery is settled.
+    await adapter.executeAsync(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT,
+        last_attempt_at TEXT,
+        response_status INTEGER,
+        response_body TEXT,
+        duration_ms INTEGER,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TEXT,
+        FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id) ON DELETE CASCADE
+      )
+    `);
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at)'
+    );
+    await adapter.executeAsync(
+      'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)'
+    );
+  })();
+
+  try {
+    await ensureSchemaPromise;
+  } catch (error) {
+    ensureSchemaPromise = null;
+    throw error;
+  }
+}
+
+async function listWebhookSubscriptionsByProjectAsync(projectId) {
+  await ensureWebhookSchemaAsync();
+  return adapter.queryAllAsync(
+    'SELECT * FROM webhook_subscriptions WHERE project_id = ? ORDER BY created_at ASC',
+    [projectId]
+  );
+}
+
+async function getWebhookSubscriptionAsync(id) {
+  await ensureWebhookSchemaAsync();
+  return adapter.queryOneAsync('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+}
+
+async function countWebhookSubscriptionsByProjectAsync(projectId) {
+  await ensureWebhookSchemaAsync();
+  const row = await adapter.queryOneAsync(
+    'SELECT COUNT(*) AS count FROM webhook_subscriptions WHERE project_id = ?',
+    [projectId]
+  );
+  return Number(row?.count || 0);
+}
+
+async function insertWebhookSubscriptionAsync({
+  id,
+  projectId,
+  userId,
+  url,
+  secret,
+  events,
+  enabled = true,
+}) {
+  await ensureWebhookSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO webhook_subscriptions (id, project_id, user_id, url, secret, events, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [id, projectId, userId, url, secret, events.join(','), enabled ? 1 : 0]);
+}
+
+async function updateWebhookSubscriptionAsync(id, {
+  url,
+  secret,
+  events,
+  enabled,
+}) {
+  await ensureWebhookSchemaAsync();
+  return (await adapter.executeAsync(`
+    UPDATE webhook_subscriptions
+    SET url = ?, secret = ?, events = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [url, secret, events.join(','), enabled ? 1 : 0, id])).changes || 0;
+}
+
+async function deleteWebhookSubscriptionAsync(id) {
+  await ensureWebhookSchemaAsync();
+  return (await adapter.executeAsync(
+    'DELETE FROM webhook_subscriptions WHERE id = ?',
+    [id]
+  )).changes || 0;
+}
+
+async function insertWebhookDeliveryAsync({
+  id,
+  subscriptionId,
+  event,
+  payload,
+  nextAttemptAt,
+}) {
+  await ensureWebhookSchemaAsync();
+  await adapter.executeAsync(`
+    INSERT INTO webhook_deliveries (id, subscription_id, event, payload, status, next_attempt_at)
+    VALUES (?, ?, ?, ?, 'pending', ?)
+  `, [id, subscriptionId, event, payload, nextAttemptAt]);
+}
+
+// Due deliveries with what the worker needs from their subscription to send them.
+async function listDueWebhookDeliveriesAsync(now, limit = 20) {
+  await ensureWebhookSchemaAsync();
+  return adapter.queryAllAsync(`
+    SELECT d.id, d.subscription_id, d.event, d.payload, d.attempts, d.next_attempt_at,
+      s.url, s.secret, s.enabled
+    FROM webhook_deliveries d
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id
+    WHERE d.status = 'pending' AND d.next_attempt_at IS NOT NULL AND d.next_attempt_at <= ?
+    ORDER BY d.next_attempt_at ASC
+    LIMIT ?
+  `, [now, limit]);
+}
+
+// Pushes next_attempt_at out to `leaseUntil` while one worker sends the delivery. Only succeeds if
+// next_attempt_at is still the value the caller read; a worker that dies mid-send leaves the
+// delivery to be retried once the lease passes.
+async function claimWebhookDeliveryAsync({ id, expectedNextAttemptAt, leaseUntil }) {
+  await ensureWebhookSchemaAsync();
+  return (await adapter.executeAsync(`
+    UPDATE webhook_deliveries
+    SET next_attempt_at = ?
+    WHERE id = ? AND status = 'pending' AND next_attempt_at = ?
+  `, [leaseUntil, id, expectedNextAttemptAt])).changes === 1;
+}
+
+// Records one attempt. `status` stays 'pending' with a `nextAttemptAt` while retries remain.
+async function recordWebhookAttemptAsync(id, {
+  status,
+  attempts,
+  nextAttemptAt,
+  attemptedAt,
+  responseStatus,
+  responseBody,
+  durationMs,
+  error,
+}) {
+  await ensureWebhookSchemaAsync();
+  await adapter.executeAsync(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?, response_status = ?,
+      response_body = ?, duration_ms = ?, error = ?,
+      delivered_at = COALESCE(?, delivered_at)
+    WHERE id = ?
+  `, [
+    status,
+    attempts,
+    nextAttemptAt || null,
+    attemptedAt,
+    responseStatus ?? null,
+    responseBody ?? null,
+    durationMs ?? null,
+    error || null,
+    status === 'succeeded' ? attemptedAt : null,
+    id,
+  ]);
+}
+
+// Delivery log without payloads, newest first.
+async function listWebhookDeliveriesAsync(subscriptionId, limit = 50) {
+  await ensureWebhookSchemaAsync();
+  return adapter.queryAllAsync(`
+    SELECT id, subscription_id, event, status, attempts, next_attempt_at, last_attempt_at,
+      response_status, duration_ms, error, created_at, delivered_at
+    FROM webhook_deliveries
+    WHERE subscription_id = ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `, [subscriptionId, limit]);
+}
+
+async function getWebhookDeliveryAsync(id) {
+  await ensureWebhookSchemaAsync();
+  return adapter.queryOneAsync('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+}
+
+// Keeps the newest `keep` settled deliveries of a subscription; pending ones are never pruned.
+async function pruneWebhookDeliveriesAsync(subscriptionId, keep) {
+  await ensureWebhookSchemaAsync();
+  const rows = await adapter.queryAllAsync(`
+    SELECT id FROM webhook_deliveries
+    WHERE subscription_id = ? AND status <> 'pending'
+    ORDER BY created_at DESC
+  `, [subscriptionId]);
+  const ids = rows.slice(keep).map((row) => row.id);
+  if (!ids.length) return 0;
+  return (await adapter.executeAsync(
+    `DELETE FROM webhook_deliveries WHERE id IN (${adapter.placeholders(ids.length)})`,
+    ids
+  )).changes || 0;
+}
+
+module.exports = {
+  ensureWebhookSchemaAsync,
+  listWebhookSubscriptionsByProjectAsync,
+  getWebhookSubscriptionAsync,
+  countWebhookSubscriptionsByProjectAsync,
+  insertWebhookSubscriptionAsync,
+  updateWebhookSubscriptionAsync,
+  deleteWebhookSubscriptionAsync,
+  insertWebhookDeliveryAsync,
+  listDueWebhookDeliveriesAsync,
+  claimWebhookDeliveryAsync,
+  recordWebhookAttemptAsync,
+  listWebhookDeliveriesAsync,
+  getWebhookDeliveryAsync,
+  pruneWebhookDeliveriesAsync,
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+// Personal access tokens let scripts (CI jobs, the API) act as a user without the session cookie.
+// Only a SHA-256 hash is stored; the plaintext is shown once, when the token is created.
+const ACCESS_TOKEN_PREFIX = 'mm_pat_';
+// Characters kept in clear so a user can tell their tokens apart in lists and logs.
+const ACCESS_TOKEN_DISPLAY_LENGTH = ACCESS_TOKEN_PREFIX.length + 6;
+
+const ACCESS_TOKEN_SCOPES = Object.freeze({
+  MAPS_READ: 'maps:read',
+  MAPS_WRITE: 'maps:write',
+  SCANS_RUN: 'scans:run',
+});
+const VALID_SCOPES = new Set(Object.values(ACCESS_TOKEN_SCOPES));
+
+const DEFAULT_ACCESS_TOKEN_TTL_DAYS = 30;
+const MAX_ACCESS_TOKEN_TTL_DAYS = 365;
+const MAX_ACCESS_TOKEN_NAME_LENGTH = 80;
+
+const { MAPS_READ, MAPS_WRITE, SCANS_RUN } = ACCESS_TOKEN_SCOPES;
+const READ_METHODS = new Set(['GET', 'HEAD']);
+
+// Routes a token may call, matched against the request path. `read`/`write` split by method;
+// `scope` applies to every method, and `scope: null` only needs a valid token. Everything not listed
+// (token management, stored scan credentials, shares, history, live editing) stays session-only.
+const ACCESS_TOKEN_ROUTES = [
+  { pattern: /^\/auth\/me$/, methods: ['GET'], scope: null },
+  { pattern: /^\/api\/projects(?:\/[^/]+)?$/, read: MAPS_READ, write: MAPS_WRITE },
+  { pattern: /^\/api\/maps(?:\/[^/]+)?$/, read: MAPS_READ, write: MAPS_WRITE },
+  { pattern: /^\/api\/maps\/[^/]+\/(?:versions|feature-gates|link-graph)$/, read: MAPS_READ, write: MAPS_WRITE },
+  { pattern: /^\/api\/maps\/[^/]+\/scan-schedules(?:\/.*)?$/, read: MAPS_READ, write: SCANS_RUN },
+  { pattern: /^\/api\/maps\/[^/]+\/link-gate-baseline$/, read: MAPS_READ, write: SCANS_RUN },
+  { pattern: /^\/api\/link-graphs\/[^/]+\/links$/, methods: ['GET'], scope: MAPS_READ },
+  { pattern: /^\/api\/maps\/[^/]+\/discovery$/, scope: SCANS_RUN },
+  { pattern: /^\/(?:scan|scan-stream)$/, scope: SCANS_RUN },
+  { pattern: /^\/scan-jobs(?:\/.*)?$/, scope: SCANS_RUN },
+  { pattern: /^\/link-gate-jobs(?:\/.*)?$/, scope: SCANS_RUN },
+  { pattern: /^\/(?:screenshot|screenshot-jobs(?:\/.*)?)$/, scope: SCANS_RUN },
+  { pattern: /^\/export-jobs(?:\/.*)?$/, scope: MAPS_READ },
+];
+
+function createAccessTokenError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ACCESS_TOKEN';
+  return error;
+}
+
+function hashAccessToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isAccessToken(value) {
+  return typeof value === 'string' && value.startsWith(ACCESS_TOKEN_PREFIX);
+}
+
+function generateAccessToken() {
+  const token = `${ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    tokenHash: hashAccessToken(token),
+    tokenPrefix: token.slice(0, ACCESS_TOKEN_DISPLAY_LENGTH),
+  };
+}
+
+// Validates a create request. Returns `{ name, scopes, expiresAt }`; throws INVALID_ACCESS_TOKEN.
+function normalizeAccessTokenInput(raw = {}, now = new Date()) {
+  const name = String(raw.name || '').trim();
+  if (!name) throw createAccessTokenError('Token name is required');
+  if (name.length > MAX_ACCESS_TOKEN_NAME_LENGTH) {
+    throw createAccessTokenError(`Token name must be at most ${MAX_ACCESS_TOKEN_NAME_LENGTH} characters`);
+  }
+
+  const requested = Array.isArray(raw.scopes) ? raw.scopes : [];
+  const unknown = requested.filter((scope) => !VALID_SCOPES.has(scope));
+  if (unknown.length) throw createAccessTokenError(`Unknown scope: ${unknown.join(', ')}`);
+  // Keep the canonical order so stored scopes compare and display consistently.
+  const scopes = Object.values(ACCESS_TOKEN_SCOPES).filter((scope) => requested.includes(scope));
+  if (!scopes.length) throw createAccessTokenError('Select at least one scope');
+
+  const days = raw.expiresInDays === undefined || raw.expiresInDays === null || raw.expiresInDays === ''
+    ? DEFAULT_ACCESS_TOKEN_TTL_DAYS
+    : Number(raw.expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_ACCESS_TOKEN_TTL_DAYS) {
+    throw createAccessTokenError(`Expiry must be 1 to ${MAX_ACCESS_TOKEN_TTL_DAYS} days`);
+  }
+  const expiresAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  return { name, scopes, expiresAt };
+}
+
+function parseAccessTokenScopes(value) {
+  return String(value || '').split(',').filter((scope) => VALID_SCOPES.has(scope));
+}
+
+// Why a stored token cannot be used right now, or null when it is active.
+function getAccessTokenInactiveReason(row, now = new Date()) {
+  if (!row) return 'unknown';
+  if (row.revoked_at) return 'revoked';
+  const expiresAt = Date.parse(row.expires_at);
+  if (!Number.isFinite(expiresAt) || expiresAt <= now.getTime()) return 'expired';
+  return null;
+}
+
+// The scope a request needs: `{ scope }` (null when any valid token will do), or null when the
+// route cannot be called with a token at all.
+function resolveAccessTokenScope(method, path) {
+  const normalizedMethod = String(method || '').toUpperCase();
+  const normalizedPath = String(path || '').split('?')[0].replace(/\/+$/, '') || '/';
+  const route = ACCESS_TOKEN_ROUTES.find((entry) => entry.pattern.test(normalizedPath));
+  if (!route) return null;
+  if (route.methods && !route.methods.includes(normalizedMethod)) return null;
+  if (route.scope !== undefined) return { scope: route.scope };
+  return { scope: READ_METHODS.has(normalizedMethod) ? route.read : route.write };
+}
+
+// A token that may write maps may also read them.
+function hasAccessTokenScope(scopes, scope) {
+  if (!scope) return true;
+  if (scopes.includes(scope)) return true;
+  return scope === MAPS_READ && scopes.includes(MAPS_WRITE);
+}
+
+module.exports = {
+  ACCESS_TOKEN_PREFIX,
+  ACCESS_TOKEN_SCOPES,
+  DEFAULT_ACCESS_TOKEN_TTL_DAYS,
+  MAX_ACCESS_TOKEN_TTL_DAYS,
+  hashAccessToken,
+  isAccessToken,
+  generateAccessToken,
+  normalizeAccessTokenInput,
+  parseAccessTokenScopes,
+  getAccessTokenInactiveReason,
+  resolveAccessTokenScope,
+  hasAccessTokenScope,
+};
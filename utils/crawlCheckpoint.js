@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+const CRAWL_CHECKPOINT_VERSION = 1;
+
+// A checkpoint is only reused by a crawl with the same inputs; anything else starts fresh.
+function getCrawlCheckpointKey({ url, maxPages, maxDepth, options }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([url, maxPages, maxDepth, options || {}]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// `pending` are pages already dequeued (and possibly fetched) but not processed yet, in dequeue
+// order. They are rolled back into the queue: the resume point is the first pending page, and
+// only pages dequeued before it stay visited, so a resumed crawl dequeues them again in order.
+function buildCrawlCheckpoint({
+  key,
+  queue,
+  queueIndex,
+  discoveryCounter,
+  visited,
+  pending = [],
+  referrerMap,
+  pageMap,
+  linksByUrl,
+  linkGraphByUrl = new Map(),
+  discoverySourceByUrl,
+  linkEdges,
+  sitemapOrder,
+  errors,
+  inactivePages,
+  brokenLinks,
+  files,
+  redirects = [],
+  linkStatusCache,
+  brokenChecks,
+  robotsBlocked,
+  urlRules,
+}) {
+  const firstPending = pending[0] || null;
+  const resumeQueueIndex = firstPending ? firstPending.queuePos : queueIndex;
+  const resumeCounter = firstPending ? firstPending.discoveryIndex : discoveryCounter;
+  // Checks still in progress are stored as null; drop them, and their share of the check budget, so
+  // a resumed crawl checks them once more instead of counting them twice.
+  const linkStatuses = Array.from(linkStatusCache.entries()).filter(([, status]) => status !== null);
+  const unsettledChecks = linkStatusCache.size - linkStatuses.length;
+
+  return {
+    v: CRAWL_CHECKPOINT_VERSION,
+    key,
+    queue: queue.map(({ url, depth }) => [url, depth]),
+    queueIndex: resumeQueueIndex,
+    discoveryCounter: resumeCounter,
+    visited: Array.from(visited.entries()).filter(([, index]) => index < resumeCounter),
+    referrers: Array.from(referrerMap.entries()),
+    pages: Array.from(pageMap.entries()),
+    linksByUrl: Array.from(linksByUrl.entries()),
+    linkGraph: Array.from(linkGraphByUrl.entries()),
+    discoverySources: Array.from(discoverySourceByUrl.entries()),
+    linkEdges: Array.from(linkEdges),
+    sitemapOrder: Array.from(sitemapOrder.entries()),
+    errors,
+    inactivePages,
+    brokenLinks,
+    files,
+    redirects,
+    linkStatuses,
+    brokenChecks: Math.max(0, brokenChecks - unsettledChecks),
+    robotsBlocked,
+    urlRules,
+  };
+}
+
+function restoreCrawlCheckpoint(raw, key) {
+  let data = raw;
+  if (typeof raw === 'string') {
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || data.v !== CRAWL_CHECKPOINT_VERSION || data.key !== key) return null;
+  if (!Array.isArray(data.queue) || !Array.isArray(data.visited)) return null;
+
+  const linkEdges = (data.linkEdges || []).filter((edge) => Array.isArray(edge) && edge.length === 2);
+  const linksInCounts = new Map();
+  linkEdges.forEach(([, to]) => linksInCounts.set(to, (linksInCounts.get(to) || 0) + 1));
+
+  return {
+    queue: data.queue.map(([url, depth]) => ({ url, depth })),
+    queueIndex: Number(data.queueIndex) || 0,
+    discoveryCounter: Number(data.discoveryCounter) || 0,
+    visited: new Map(data.visited),
+    referrerMap: new Map(data.referrers || []),
+    pageMap: new Map(data.pages || []),
+    linksByUrl: new Map(data.linksByUrl || []),
+    linkGraphByUrl: new Map(data.linkGraph || []),
+    discoverySourceByUrl: new Map(data.discoverySources || []),
+    linkEdges,
+    linksInCounts,
+    sitemapOrder: new Map(data.sitemapOrder || []),
+    errors: data.errors || [],
+    inactivePages: data.inactivePages || [],
+    brokenLinks: data.brokenLinks || [],
+    files: data.files || [],
+    redirects: data.redirects || [],
+    linkStatusCache: new Map(data.linkStatuses || []),
+    brokenChecks: Number(data.brokenChecks) || 0,
+    robotsBlocked: data.robotsBlocked || [],
+    urlRules: data.urlRules || null,
+  };
+}
+
+module.exports = {
+  CRAWL_CHECKPOINT_VERSION,
+  getCrawlCheckpointKey,
+  buildCrawlCheckpoint,
+  restoreCrawlCheckpoint,
+};
@@ -0,0 +1,39 @@
+function createHostThrottle({ minGapMs = 0, now = () => Date.now() } = {}) {
+  const lastByHost = new Map();
+
+  // Same bookkeeping as reserveScreenshotSlot: each caller books the next free slot for the host
+  // and gets back how long to wait before using it, so concurrent callers are spaced by the gap.
+  const reserve = (host, gapMs = 0) => {
+    const key = String(host || '');
+    const gap = Math.max(0, Number(minGapMs) || 0, Number(gapMs) || 0);
+    const current = now();
+    const last = lastByHost.get(key);
+    const earliest = last === undefined ? current : Math.max(last + gap, current);
+    lastByHost.set(key, earliest);
+    return Math.max(0, earliest - current);
+  };
+
+  return { reserve };
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const list = Array.from(items || []);
+  const results = new Array(list.length);
+  const width = Math.max(1, Math.min(Number(limit) || 1, list.length || 1));
+  let nextIndex = 0;
+
+  const runLane = async () => {
+    while (nextIndex < list.length) {
+      const index = nextIndex++;
+      results[index] = await worker(list[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: width }, runLane));
+  return results;
+}
+
+module.exports = {
+  createHostThrottle,
+  mapWithConcurrency,
+};
@@ -0,0 +1,268 @@
+// hreflang annotations (`<link rel="alternate" hreflang="de" href="...">`) tie the language versions of
+// one page together. Codes are a language, an optional script and an optional region (`en`, `en-gb`,
+// `zh-hant-tw`, `es-419`), or `x-default` for the fallback page.
+const HREFLANG_CODE_PATTERN = /^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/;
+const X_DEFAULT = 'x-default';
+
+const HREFLANG_ISSUE_TYPES = ['invalidCode', 'missingSelf', 'missingReturn', 'brokenTarget'];
+
+function normalizeHreflangCode(raw) {
+  const code = String(raw ?? '').trim().toLowerCase();
+  if (code === X_DEFAULT) return code;
+  return HREFLANG_CODE_PATTERN.test(code) ? code : null;
+}
+
+// `pages` are crawled pages as `{ url, finalUrl, httpStatus, alternates: [{ hreflang, url }] }`.
+// `getKey` maps a URL to the key pages are matched by (the scan's canonical key).
+//
+// Issues are reported on the page carrying the annotation:
+// - `invalidCode`: the hreflang value is not a language/region code
+// - `missingSelf`: the page annotates alternates but not itself
+// - `missingReturn`: a crawled alternate does not link back (non-reciprocal pair)
+// - `brokenTarget`: the alternate was crawled and returned an error status
+// Alternates that were not crawled cannot be checked and are only counted as `unverified`.
+//
+// Pages connected by valid, crawled annotations form a group; each member gets the language it is
+// annotated with (its own self-reference first) and `isDefault` when it is the x-default page.
+function analyzeHreflang({ pages, getKey }) {
+  const pageByKey = new Map();
+  const keyOf = (url) => (url ? getKey(url) : null);
+  const pageKeyOf = (page) => keyOf(page.url);
+
+  pages.forEach((page) => {
+    [page.url, page.finalUrl].forEach((url) => {
+      const key = keyOf(url);
+      if (key && !pageByKey.has(key)) pageByKey.set(key, page);
+    });
+  });
+
+  const parent = new Map();
+  const find = (key) => {
+    let current = key;
+    while (parent.get(current) !== current) {
+      parent.set(current, parent.get(parent.get(current)));
+      current = parent.get(current);
+    }
+    return current;
+  };
+  const union = (a, b) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const issuesByKey = new Map();
+  const addIssue = (key, issue) => {
+    if (!issuesByKey.has(key)) issuesByKey.set(key, []);
+    issuesByKey.get(key).push(issue);
+  };
+  // key -> codes other pages (or the page itself) annotate it with
+  const codesByKey = new Map();
+  const selfCodeByKey = new Map();
+  const addCode = (key, code) => {
+    if (!codesByKey.has(key)) codesByKey.set(key, []);
+    if (!codesByKey.get(key).includes(code)) codesByKey.get(key).push(code);
+  };
+
+  const pointsBack = (target, sourceKey) => (target.alternates || []).some((alternate) => (
+    normalizeHreflangCode(alternate.hreflang) && pageByKey.get(keyOf(alternate.url)) === pageByKey.get(sourceKey)
+  ));
+
+  let annotatedPages = 0;
+  let unverified = 0;
+
+  pages.forEach((page) => {
+    const alternates = page.alternates || [];
+    const sourceKey = pageKeyOf(page);
+    if (!alternates.length || !sourceKey) return;
+    annotatedPages += 1;
+
+    let hasSelf = false;
+    alternates.forEach((alternate) => {
+      const code = normalizeHreflangCode(alternate.hreflang);
+      if (!code) {
+        addIssue(sourceKey, { type: 'invalidCode', hreflang: alternate.hreflang, url: alternate.url });
+        return;
+      }
+      const target = pageByKey.get(keyOf(alternate.url));
+      if (target === page) {
+        hasSelf = true;
+        if (code !== X_DEFAULT && !selfCodeByKey.has(sourceKey)) selfCodeByKey.set(sourceKey, code);
+        addCode(sourceKey, code);
+        return;
+      }
+      if (!target) {
+        unverified += 1;
+        return;
+      }
+      if (Number(target.httpStatus) >= 400) {
+        addIssue(sourceKey, { type: 'brokenTarget', hreflang: code, url: alternate.url, status: target.httpStatus });
+        return;
+      }
+      const targetKey = pageKeyOf(target);
+      addCode(targetKey, code);
+      union(sourceKey, targetKey);
+      if (!pointsBack(target, sourceKey)) {
+        addIssue(sourceKey, { type: 'missingReturn', hreflang: code, url: alternate.url });
+      }
+    });
+
+    if (!hasSelf) addIssue(sourceKey, { type: 'missingSelf' });
+  });
+
+  const membersByRoot = new Map();
+  parent.forEach((_, key) => {
+    const root = find(key);
+    if (!membersByRoot.has(root)) membersByRoot.set(root, []);
+    membersByRoot.get(root).push(key);
+  });
+
+  const groupByKey = new Map();
+  const groups = [];
+  membersByRoot.forEach((keys) => {
+    if (keys.length < 2) return;
+    const group = {
+      id: `hl${groups.length + 1}`,
+      members: keys.map((key) => {
+        const codes = codesByKey.get(key) || [];
+        const lang = selfCodeByKey.get(key) || codes.find((code) => code !== X_DEFAULT) || codes[0] || null;
+        return {
+          key,
+          url: pageByKey.get(key).url,
+          lang,
+          isDefault: codes.includes(X_DEFAULT),
+        };
+      }),
+    };
+    groups.push(group);
+    keys.forEach((key) => groupByKey.set(key, group));
+  });
+
+  const issueCounts = {};
+  HREFLANG_ISSUE_TYPES.forEach((type) => { issueCounts[type] = 0; });
+  issuesByKey.forEach((issues) => {
+    issues.forEach((issue) => { issueCounts[issue.type] += 1; });
+  });
+
+  return {
+    groups,
+    groupByKey,
+    issuesByKey,
+    summary: {
+      annotatedPages,
+      groups: groups.length,
+      pagesWithIssues: issuesByKey.size,
+      issues: issueCounts,
+      unverified,
+    },
+  };
+}
+
+const getNodeKey = (node, getKey) => (node.url ? getKey(node.url) : null);
+
+// Sets `language`, `hreflangGroup` and `hreflangIssues` on every node of `trees` that the analysis covers.
+function annotateHreflangNodes(trees, analysis, getKey) {
+  const visit = (node) => {
+    const key = getNodeKey(node, getKey);
+    const group = key ? analysis.groupByKey.get(key) : null;
+    if (group) {
+      const member = group.members.find((item) => item.key === key);
+      node.language = member.lang;
+      node.hreflangGroup = group.id;
+    }
+    const issues = key ? analysis.issuesByKey.get(key) : null;
+    if (issues?.length) node.hreflangIssues = issues;
+    node.children?.forEach(visit);
+  };
+  trees.forEach((tree) => tree && visit(tree));
+}
+
+// Folds each hreflang group into one node. The primary is the scan root when it is in the group, else
+// the x-default page, preferring pages in the main tree over orphan and subdomain trees, else the member
+// met first in pre-order. The other members are removed on their own: their children take their place
+// under the same parent, so each language's pages stay in that language's part of the tree, and the
+// children of a removed tree root become trees. `trees[0]` (the scan root) is never removed, and a
+// member whose subtree contains the primary is left in place. Returns the remaining trees, which trees
+// each removed root was replaced by (`replacedRoots`), and how many nodes were merged.
+function groupLanguageVariants(trees, analysis, getKey) {
+  const parentOf = new Map();
+  const membersByGroup = new Map();
+
+  const visit = (node, parentNode) => {
+    parentOf.set(node, parentNode);
+    const key = getNodeKey(node, getKey);
+    const group = key ? analysis.groupByKey.get(key) : null;
+    if (group) {
+      if (!membersByGroup.has(group.id)) membersByGroup.set(group.id, []);
+      membersByGroup.get(group.id).push({ node, member: group.members.find((item) => item.key === key) });
+    }
+    node.children?.forEach((child) => visit(child, node));
+  };
+  trees.forEach((tree) => tree && visit(tree, null));
+
+  const isAncestor = (ancestor, node) => {
+    for (let current = parentOf.get(node); current; current = parentOf.get(current)) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+
+  // Removed tree root -> the children that replace it.
+  const removedRoots = new Map();
+  let merged = 0;
+
+  membersByGroup.forEach((entries) => {
+    if (entries.length < 2) return;
+    const inMainTree = (entry) => entry.node === trees[0] || isAncestor(trees[0], entry.node);
+    const primaryEntry = entries.find((entry) => entry.node === trees[0])
+      || entries.find((entry) => inMainTree(entry) && entry.member.isDefault)
+      || entries.find(inMainTree)
+      || entries.find((entry) => entry.member.isDefault)
+      || entries[0];
+    const primary = primaryEntry.node;
+
+    primary.languageVariants = entries.map(({ node, member }) => ({
+      lang: member.lang,
+      url: node.url,
+      title: node.title,
+      isDefault: member.isDefault,
+    }));
+
+    entries.forEach(({ node }) => {
+      if (node === primary || node === trees[0] || isAncestor(node, primary)) return;
+      const parentNode = parentOf.get(node) || null;
+      const children = node.children || [];
+      if (parentNode) {
+        parentNode.children.splice(parentNode.children.indexOf(node), 1, ...children);
+      } else {
+        removedRoots.set(node, children);
+      }
+      children.forEach((child) => parentOf.set(child, parentNode));
+      node.children = [];
+      parentOf.delete(node);
+      merged += 1;
+    });
+  });
+
+  const resolveTree = (tree) => (removedRoots.has(tree) ? removedRoots.get(tree).flatMap(resolveTree) : [tree]);
+  const replacedRoots = new Map();
+  trees.forEach((tree) => {
+    if (tree && removedRoots.has(tree)) replacedRoots.set(tree, resolveTree(tree));
+  });
+
+  return {
+    trees: trees.filter(Boolean).flatMap(resolveTree),
+    replacedRoots,
+    merged,
+  };
+}
+
+module.exports = {
+  HREFLANG_ISSUE_TYPES,
+  normalizeHreflangCode,
+  analyzeHreflang,
+  annotateHreflangNodes,
+  groupLanguageVariants,
+};
@@ -0,0 +1,157 @@
+const { escapeXml } = require('./textEscape');
+
+// Broken-link regression gate: a scan of a map's site with broken links and error pages on, compared
+// with the broken links recorded as the map's baseline. Only links broken now and not in the
+// baseline fail the gate, so a site with known broken links can still ship as long as it adds none.
+
+const LINK_GATE_FORMATS = ['json', 'junit', 'sarif'];
+const LINK_GATE_RULE_ID = 'broken-link';
+const MAX_REPORTED_LINKS = 1000;
+
+// 401/403 error pages are sign-in walls, not breakage.
+const isBrokenErrorPage = (entry) => !entry.authRequired && entry.status !== 401 && entry.status !== 403;
+
+// Broken links and error pages of a scan result, one entry per target URL. Links are identified by
+// `getKey(url)` (the scan's canonical key); the same URL linked from several pages keeps the first
+// source that was recorded. URLs that no scanned page links to (the common paths a scan probes,
+// sitemap entries) are not links and are left out.
+function collectBrokenLinks(result, getKey) {
+  const byKey = new Map();
+  const add = (entry) => {
+    if (!entry?.url) return;
+    const key = getKey(entry.url);
+    const existing = byKey.get(key);
+    if (existing) {
+      if (!existing.sourceUrl && entry.sourceUrl) existing.sourceUrl = entry.sourceUrl;
+      if (!existing.status && entry.status) existing.status = entry.status;
+      return;
+    }
+    byKey.set(key, {
+      key,
+      url: entry.url,
+      status: entry.status || null,
+      reason: entry.reason || null,
+      sourceUrl: entry.sourceUrl || null,
+    });
+  };
+  (result?.brokenLinks || []).forEach(add);
+  (result?.errors || []).filter(isBrokenErrorPage).forEach(add);
+  return Array.from(byKey.values())
+    .filter((link) => link.sourceUrl)
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+function compareBrokenLinks(baselineLinks, currentLinks) {
+  const baselineKeys = new Set((baselineLinks || []).map((link) => link.key));
+  const currentKeys = new Set((currentLinks || []).map((link) => link.key));
+  return {
+    newlyBroken: (currentLinks || []).filter((link) => !baselineKeys.has(link.key)),
+    stillBroken: (currentLinks || []).filter((link) => baselineKeys.has(link.key)),
+    fixed: (baselineLinks || []).filter((link) => !currentKeys.has(link.key)),
+  };
+}
+
+// `baseline` is null when the map has none yet; this scan then becomes the baseline and passes.
+function buildLinkGateVerdict({ mapId, jobId, url, baseline, links, evaluatedAt = new Date().toISOString() }) {
+  const comparison = baseline
+    ? compareBrokenLinks(baseline.links, links)
+    : { newlyBroken: [], stillBroken: links, fixed: [] };
+  const strip = ({ key, ...link }) => link;
+  return {
+    status: comparison.newlyBroken.length ? 'failed' : 'passed',
+    mapId,
+    jobId,
+    url,
+    evaluatedAt,
+    baseline: {
+      created: !baseline,
+      jobId: baseline ? baseline.jobId : jobId,
+      createdAt: baseline ? baseline.createdAt : evaluatedAt,
+      links: baseline ? baseline.links.length : links.length,
+    },
+    summary: {
+      newlyBroken: comparison.newlyBroken.length,
+      stillBroken: comparison.stillBroken.length,
+      fixed: comparison.fixed.length,
+      total: links.length,
+    },
+    truncated: comparison.newlyBroken.length > MAX_REPORTED_LINKS,
+    newlyBroken: comparison.newlyBroken.slice(0, MAX_REPORTED_LINKS).map(strip),
+    fixed: comparison.fixed.slice(0, MAX_REPORTED_LINKS).map(strip),
+  };
+}
+
+const describeFailure = (link) => {
+  if (link.status) return `HTTP ${link.status}`;
+  return link.reason ? link.reason.replace(/_/g, ' ') : 'unreachable';
+};
+
+// One test case per newly broken link (a failure each), or a single passing case.
+function buildLinkGateJUnit(verdict) {
+  const cases = verdict.newlyBroken.map((link) => [
+    `    <testcase classname="${escapeXml(link.sourceUrl || verdict.url)}" name="${escapeXml(link.url)}">`,
+    `      <failure message="${escapeXml(`New broken link (${describeFailure(link)})`)}" type="${LINK_GATE_RULE_ID}">`
+      + `${escapeXml(`${link.url} is broken (${describeFailure(link)}), linked from ${link.sourceUrl || 'an unknown page'}`)}`
+      + '</failure>',
+    '    </testcase>',
+  ].join('\n'));
+  if (!cases.length) {
+    cases.push(`    <testcase classname="${escapeXml(verdict.url)}" name="No new broken links"/>`);
+  }
+  const tests = Math.max(verdict.newlyBroken.length, 1);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Map Mat link gate" tests="${tests}" failures="${verdict.newlyBroken.length}">`,
+    `  <testsuite name="Broken links: ${escapeXml(verdict.url)}" tests="${tests}" failures="${verdict.newlyBroken.length}"`
+      + ` timestamp="${escapeXml(verdict.evaluatedAt)}">`,
+    '    <properties>',
+    `      <property name="mapId" value="${escapeXml(verdict.mapId)}"/>`,
+    `      <property name="jobId" value="${escapeXml(verdict.jobId)}"/>`,
+    `      <property name="baselineJobId" value="${escapeXml(verdict.baseline.jobId)}"/>`,
+    `      <property name="stillBroken" value="${verdict.summary.stillBroken}"/>`,
+    `      <property name="fixed" value="${verdict.summary.fixed}"/>`,
+    '    </properties>',
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// SARIF 2.1.0 with one result per newly broken link, located at the page that links to it.
+function buildLinkGateSarif(verdict) {
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Map Mat link gate',
+          rules: [{
+            id: LINK_GATE_RULE_ID,
+            shortDescription: { text: 'Link to a page that is missing or failing' },
+            defaultConfiguration: { level: 'error' },
+          }],
+        },
+      },
+      automationDetails: { id: `mapmat/link-gate/${verdict.mapId}/${verdict.jobId}` },
+      properties: { status: verdict.status, baseline: verdict.baseline, summary: verdict.summary },
+      results: verdict.newlyBroken.map((link) => ({
+        ruleId: LINK_GATE_RULE_ID,
+        level: 'error',
+        message: { text: `New broken link to ${link.url} (${describeFailure(link)})` },
+        locations: [{ physicalLocation: { artifactLocation: { uri: link.sourceUrl || link.url } } }],
+        properties: { targetUrl: link.url, sourceUrl: link.sourceUrl, status: link.status, reason: link.reason },
+      })),
+    }],
+  };
+}
+
+module.exports = {
+  LINK_GATE_FORMATS,
+  collectBrokenLinks,
+  compareBrokenLinks,
+  buildLinkGateVerdict,
+  buildLinkGateJUnit,
+  buildLinkGateSarif,
+};
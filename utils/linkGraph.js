@@ -0,0 +1,248 @@
+// The directed link graph of a scan: one edge per source page, target URL and position, with the
+// first anchor text seen there and how many anchors repeat it.
+
+const LINK_POSITIONS = ['body', 'nav', 'footer'];
+const MAX_ANCHOR_TEXT_LENGTH = 200;
+// Newest graphs kept per map, and per user for scans not saved as a map.
+const LINK_GRAPHS_KEPT = 3;
+// PageRank-style importance: share of a page's score passed on through its links, and when to stop.
+const LINK_EQUITY_DAMPING = 0.85;
+const LINK_EQUITY_MAX_ITERATIONS = 100;
+const LINK_EQUITY_TOLERANCE = 1e-8;
+
+// Footer links inside a `<nav>` are still footer links, so the footer is checked first.
+const FOOTER_SELECTOR = 'footer, [role="contentinfo"]';
+const NAV_SELECTOR = 'nav, header, [role="navigation"], [role="banner"]';
+
+const cleanAnchorText = (value) => {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > MAX_ANCHOR_TEXT_LENGTH ? text.slice(0, MAX_ANCHOR_TEXT_LENGTH) : text;
+};
+
+// `<a href>` links of a parsed page (`cheerio.load(html)`) as `[{ url, position, text, occurrences }]`,
+// one entry per URL and position. `normalize(absoluteUrl)` returns the URL the crawl uses, or null to
+// skip the link. Image links use the image's alt text.
+function extractLinkAnchors($, { baseUrl, normalize }) {
+  const anchors = new Map();
+  $('a[href]').each((_, el) => {
+    const href = ($(el).attr('href') || '').trim();
+    if (!href || /^(mailto:|tel:|javascript:|#)/i.test(href)) return;
+    let url;
+    try {
+      url = normalize(new URL(href, baseUrl).toString());
+    } catch {
+      return;
+    }
+    if (!url) return;
+
+    const $el = $(el);
+    let position = 'body';
+    if ($el.closest(FOOTER_SELECTOR).length) position = 'footer';
+    else if ($el.closest(NAV_SELECTOR).length) position = 'nav';
+    const text = cleanAnchorText($el.text())
+      || cleanAnchorText($el.find('img[alt]').first().attr('alt'))
+      || cleanAnchorText($el.attr('aria-label'))
+      || cleanAnchorText($el.attr('title'));
+
+    const key = `${position} ${url}`;
+    const existing = anchors.get(key);
+    if (existing) {
+      existing.occurrences += 1;
+      if (!existing.text && text) existing.text = text;
+      return;
+    }
+    anchors.set(key, { url, position, text, occurrences: 1 });
+  });
+  return Array.from(anchors.values());
+}
+
+// Outgoing edges of one page: every crawled link target, with its anchors. Targets found without
+// an anchor (rendered links, `<link rel>` alternates) are body links with no text.
+function buildPageLinks(sourceUrl, targetUrls, anchors) {
+  const anchorsByUrl = new Map();
+  (anchors || []).forEach((anchor) => {
+    if (!anchorsByUrl.has(anchor.url)) anchorsByUrl.set(anchor.url, []);
+    anchorsByUrl.get(anchor.url).push(anchor);
+  });
+  const links = [];
+  new Set(targetUrls).forEach((target) => {
+    if (target === sourceUrl) return;
+    const found = anchorsByUrl.get(target);
+    if (!found) {
+      links.push({ target, position: 'body', text: null, occurrences: 1 });
+      return;
+    }
+    found.forEach(({ position, text, occurrences }) => links.push({ target, position, text, occurrences }));
+  });
+  return links;
+}
+
+// Flattens `Map<sourceUrl, pageLinks>` into `[{ source, target, position, text, occurrences }]`.
+function flattenLinkGraph(linksBySource) {
+  const edges = [];
+  linksBySource.forEach((links, source) => {
+    links.forEach((link) => edges.push({ source, ...link }));
+  });
+  return edges;
+}
+
+// Groups a page's inbound (`urlField` 'source') or outbound ('target') edges by linked page.
+function summarizeLinkedPages(edges, urlField) {
+  const byUrl = new Map();
+  edges.forEach((edge) => {
+    const url = edge[urlField];
+    if (!byUrl.has(url)) byUrl.set(url, { url, positions: [], text: null, occurrences: 0 });
+    const entry = byUrl.get(url);
+    if (!entry.positions.includes(edge.position)) entry.positions.push(edge.position);
+    if (!entry.text && edge.text) entry.text = edge.text;
+    entry.occurrences += edge.occurrences || 1;
+  });
+  return Array.from(byUrl.values())
+    .map((entry) => ({
+      ...entry,
+      positions: LINK_POSITIONS.filter((position) => entry.positions.includes(position)),
+    }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+// Fewest clicks from `rootUrl` to every page it reaches, following `linksBySource`
+// (`Map<sourceUrl, targetUrls>`). Pages it does not reach are left out.
+function computeClickDepths(rootUrl, linksBySource) {
+  const depths = new Map();
+  if (!rootUrl) return depths;
+  depths.set(rootUrl, 0);
+  let frontier = [rootUrl];
+  while (frontier.length) {
+    const next = [];
+    frontier.forEach((url) => {
+      const depth = depths.get(url) + 1;
+      (linksBySource.get(url) || []).forEach((target) => {
+        if (depths.has(target)) return;
+        depths.set(target, depth);
+        next.push(target);
+      });
+    });
+    frontier = next;
+  }
+  return depths;
+}
+
+// PageRank over the links between `pageUrls`. Repeated links count once, and pages without links
+// spread their score over every page. Scores sum to 1.
+function computeLinkImportance(pageUrls, linksBySource, {
+  damping = LINK_EQUITY_DAMPING,
+  maxIterations = LINK_EQUITY_MAX_ITERATIONS,
+  tolerance = LINK_EQUITY_TOLERANCE,
+} = {}) {
+  const urls = Array.from(new Set(pageUrls));
+  const count = urls.length;
+  const scores = new Map();
+  if (!count) return scores;
+
+  const indexByUrl = new Map(urls.map((url, index) => [url, index]));
+  const outLinks = urls.map((url) => {
+    const targets = new Set();
+    (linksBySource.get(url) || []).forEach((target) => {
+      const index = indexByUrl.get(target);
+      if (index !== undefined && target !== url) targets.add(index);
+    });
+    return Array.from(targets);
+  });
+
+  let rank = new Array(count).fill(1 / count);
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    let danglingScore = 0;
+    outLinks.forEach((targets, index) => {
+      if (!targets.length) danglingScore += rank[index];
+    });
+    const base = (1 - damping) / count + (damping * danglingScore) / count;
+    const next = new Array(count).fill(base);
+    outLinks.forEach((targets, index) => {
+      if (!targets.length) return;
+      const share = (damping * rank[index]) / targets.length;
+      targets.forEach((target) => {
+        next[target] += share;
+      });
+    });
+    const delta = next.reduce((sum, value, index) => sum + Math.abs(value - rank[index]), 0);
+    rank = next;
+    if (delta < tolerance) break;
+  }
+
+  urls.forEach((url, index) => scores.set(url, rank[index]));
+  return scores;
+}
+
+// Click depth and link equity of every crawled page. `getKey` maps a URL to the key pages are matched
+// by (the scan's canonical key), so URLs that are one page share their links and metrics. `linkScore` is
+// the page's importance on a 0-100 scale where the most important page scores 100.
+function analyzeLinkEquity({ rootUrl, pageUrls, linksBySource, getKey }) {
+  const keyOf = (url) => (url ? getKey(url) : null);
+  const linksByKey = new Map();
+  linksBySource.forEach((targets, source) => {
+    const sourceKey = keyOf(source);
+    if (!sourceKey) return;
+    if (!linksByKey.has(sourceKey)) linksByKey.set(sourceKey, []);
+    (targets || []).forEach((target) => {
+      const targetKey = keyOf(target);
+      if (targetKey) linksByKey.get(sourceKey).push(targetKey);
+    });
+  });
+
+  const depths = computeClickDepths(keyOf(rootUrl), linksByKey);
+  const importance = computeLinkImportance(pageUrls.map(keyOf).filter(Boolean), linksByKey);
+  let maxImportance = 0;
+  importance.forEach((score) => {
+    if (score > maxImportance) maxImportance = score;
+  });
+
+  const byKey = new Map();
+  const clickDepths = {};
+  importance.forEach((score, key) => {
+    const clickDepth = depths.has(key) ? depths.get(key) : null;
+    if (clickDepth !== null) clickDepths[clickDepth] = (clickDepths[clickDepth] || 0) + 1;
+    byKey.set(key, {
+      clickDepth,
+      linkScore: maxImportance > 0 ? Math.round((score / maxImportance) * 1000) / 10 : 0,
+    });
+  });
+
+  const reachable = Object.values(clickDepths).reduce((sum, value) => sum + value, 0);
+  return {
+    byKey,
+    summary: {
+      pages: byKey.size,
+      reachable,
+      unreachable: byKey.size - reachable,
+      maxClickDepth: reachable ? Math.max(...Object.keys(clickDepths).map(Number)) : null,
+      clickDepths,
+    },
+  };
+}
+
+// Sets `clickDepth` (null when no link path reaches the page) and `linkScore` on scanned nodes.
+function annotateLinkEquityNodes(trees, analysis, getKey) {
+  const visit = (node) => {
+    const metrics = node.url ? analysis.byKey.get(getKey(node.url)) : null;
+    if (metrics) {
+      node.clickDepth = metrics.clickDepth;
+      node.linkScore = metrics.linkScore;
+    }
+    node.children?.forEach(visit);
+  };
+  trees.forEach((tree) => tree && visit(tree));
+}
+
+module.exports = {
+  LINK_POSITIONS,
+  LINK_GRAPHS_KEPT,
+  extractLinkAnchors,
+  buildPageLinks,
+  flattenLinkGraph,
+  summarizeLinkedPages,
+  computeClickDepths,
+  computeLinkImportance,
+  analyzeLinkEquity,
+  annotateLinkEquityNodes,
+};
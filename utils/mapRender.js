@@ -0,0 +1,270 @@
+const { escapeXml } = require('./textEscape');
+
+// Server-side map rendering for export jobs. The layout mirrors frontend/src/layout/computeLayout.js
+// with every stack expanded and thumbnails off, the same layout the browser PDF report uses;
+// scripts/check-map-render.js compares the two, so change them together. The map is drawn as one SVG
+// and split into tiles so Playwright never has to paint more than one tile at a time; Chromium cannot
+// capture surfaces much beyond 16,384 px.
+const LAYOUT = Object.freeze({
+  NODE_W: 288,
+  NODE_H: 200,
+  GAP_L1_X: 80,
+  GAP_STACK_Y: 56,
+  INDENT_X: 40,
+  BUS_Y_GAP: 80,
+  STROKE_PAD_X: 20,
+});
+
+const DEFAULT_COLORS = ['#6366f1', '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+const DEFAULT_CONNECTION_COLORS = { userFlows: '#14b8a6', crossLinks: '#f97316' };
+const MAP_RENDER_FORMATS = Object.freeze(['png', 'pdf']);
+const DEFAULT_TILE_SIZE = 4096;
+
+const TREE_EDGE_COLOR = '#94a3b8';
+const NODE_FILL = '#ffffff';
+const TEXT_COLOR = '#0f172a';
+const MUTED_TEXT_COLOR = '#64748b';
+const PADDING = 40;
+
+const getChildren = (node) => (Array.isArray(node?.children) ? node.children.filter(Boolean) : []);
+
+// Returns `{ nodes: [{ node, x, y, w, h, depth, number }], connectors: [{ x1, y1, x2, y2 }], bounds }`.
+// Orphan trees sit left of the root, subdomain trees between them and the root, as on the canvas.
+function layoutMap(root, orphans = []) {
+  const { NODE_W, NODE_H, GAP_L1_X, GAP_STACK_Y, INDENT_X, BUS_Y_GAP, STROKE_PAD_X } = LAYOUT;
+  const nodes = [];
+  const connectors = [];
+  if (!root) return { nodes, connectors, bounds: { w: 0, h: 0 } };
+
+  const place = (node, x, y, depth, number) => {
+    nodes.push({ node, x, y, w: NODE_W, h: NODE_H, depth, number });
+  };
+
+  const getSubtreeWidth = (node) => getChildren(node)
+    .reduce((width, child) => Math.max(width, INDENT_X + getSubtreeWidth(child)), NODE_W);
+
+  const getTreeWidth = (node) => {
+    const children = getChildren(node);
+    if (!children.length) return NODE_W;
+    const total = children.reduce((sum, child) => sum + getSubtreeWidth(child), 0);
+    return Math.max(NODE_W, total + GAP_L1_X * (children.length - 1));
+  };
+
+  // Children stack below their parent on a spine. Returns the subtree height.
+  const layoutVertical = (parent, x, y, depth, number) => {
+    const children = getChildren(parent);
+    if (!children.length) return NODE_H;
+    const childX = x + INDENT_X;
+    const spineX = x + STROKE_PAD_X;
+    let cursorY = y + NODE_H + GAP_STACK_Y;
+    let lastTickY = cursorY;
+    children.forEach((child, index) => {
+      const childNumber = `${number}.${index + 1}`;
+      place(child, childX, cursorY, depth + 1, childNumber);
+      lastTickY = cursorY + NODE_H / 2;
+      connectors.push({ x1: spineX, y1: lastTickY, x2: childX, y2: lastTickY });
+      cursorY += layoutVertical(child, childX, cursorY, depth + 1, childNumber) + GAP_STACK_Y;
+    });
+    connectors.push({ x1: spineX, y1: y + NODE_H, x2: spineX, y2: lastTickY });
+    return cursorY - y - GAP_STACK_Y;
+  };
+
+  // A tree root with its level 1 pages side by side on a bus, each with its subtree below.
+  const layoutTree = (treeRoot, x, number, getChildNumber) => {
+    place(treeRoot, x, 0, 0, number);
+    const children = getChildren(treeRoot);
+    if (!children.length) return;
+    const rootBottom = NODE_H;
+    const level1Y = rootBottom + BUS_Y_GAP;
+    const busY = rootBottom + BUS_Y_GAP / 2;
+    const centers = [];
+    let cursorX = x;
+    children.forEach((child, index) => {
+      const childNumber = getChildNumber(index);
+      place(child, cursorX, level1Y, 1, childNumber);
+      centers.push(cursorX + NODE_W / 2);
+      layoutVertical(child, cursorX, level1Y, 1, childNumber);
+      cursorX += getSubtreeWidth(child) + GAP_L1_X;
+    });
+    const rootCenter = x + NODE_W / 2;
+    connectors.push({ x1: rootCenter, y1: rootBottom, x2: rootCenter, y2: busY });
+    connectors.push({
+      x1: Math.min(rootCenter, centers[0]),
+      y1: busY,
+      x2: Math.max(rootCenter, centers[centers.length - 1]),
+      y2: busY,
+    });
+    centers.forEach((center) => connectors.push({ x1: center, y1: busY, x2: center, y2: level1Y }));
+  };
+
+  const allOrphans = (Array.isArray(orphans) ? orphans : []).filter(Boolean);
+  const groups = [
+    allOrphans.filter((orphan) => !orphan.subdomainRoot),
+    allOrphans.filter((orphan) => orphan.subdomainRoot),
+  ];
+  const [regularOrphans, subdomains] = groups;
+  const groupWidth = (trees) => trees.reduce((sum, tree) => sum + getTreeWidth(tree), 0)
+    + GAP_L1_X * Math.max(trees.length - 1, 0);
+
+  let cursorX = 0;
+  regularOrphans.slice().reverse().forEach((orphan, index) => {
+    const number = `0.${regularOrphans.length - index}`;
+    layoutTree(orphan, cursorX, number, (childIndex) => `${number}.${childIndex + 1}`);
+    cursorX += getTreeWidth(orphan) + GAP_L1_X;
+  });
+  cursorX = regularOrphans.length ? groupWidth(regularOrphans) + GAP_L1_X : 0;
+  subdomains.slice().reverse().forEach((subdomain, index) => {
+    const number = `s${subdomains.length - index}`;
+    layoutTree(subdomain, cursorX, number, (childIndex) => `${number}.${childIndex + 1}`);
+    cursorX += getTreeWidth(subdomain) + GAP_L1_X;
+  });
+
+  const leftWidth = groups.filter((trees) => trees.length)
+    .reduce((sum, trees, index) => sum + groupWidth(trees) + (index ? GAP_L1_X : 0), 0);
+  layoutTree(root, leftWidth ? leftWidth + GAP_L1_X : 0, '0', (index) => `${index + 1}`);
+
+  const maxX = nodes.reduce((max, item) => Math.max(max, item.x + item.w), NODE_W);
+  const maxY = nodes.reduce((max, item) => Math.max(max, item.y + item.h), NODE_H);
+  return { nodes, connectors, bounds: { w: maxX + 50, h: maxY + 50 } };
+}
+
+const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 1)}…` : value);
+
+const getPathLabel = (url) => {
+  try {
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
+  } catch {
+    return url || '';
+  }
+};
+
+// Positions match the canvas anchors (App.js getAnchorPosition).
+const getAnchorPoint = (item, anchor) => {
+  switch (anchor) {
+    case 'top': return { x: item.x + item.w / 2, y: item.y };
+    case 'right': return { x: item.x + item.w, y: item.y + item.h / 2 };
+    case 'bottom': return { x: item.x + item.w / 2, y: item.y + item.h };
+    case 'left': return { x: item.x, y: item.y + item.h / 2 };
+    default: return { x: item.x + item.w / 2, y: item.y + item.h / 2 };
+  }
+};
+
+// Returns `{ width, height, defs, content }`: the map's SVG markup in map coordinates, offset by
+// PADDING so the drawing starts at 0,0. Tiles reference `content` rather than repeating it.
+function buildMapSvg(layout, { colors, connections = [], connectionColors } = {}) {
+  const levelColors = Array.isArray(colors) && colors.length ? colors : DEFAULT_COLORS;
+  const linkColors = { ...DEFAULT_CONNECTION_COLORS, ...(connectionColors || {}) };
+  const byId = new Map(layout.nodes.map((item) => [item.node.id, item]));
+
+  const markerIds = new Map();
+  const markerFor = (color) => {
+    if (!markerIds.has(color)) markerIds.set(color, `arrow-${markerIds.size + 1}`);
+    return markerIds.get(color);
+  };
+
+  const connectorMarkup = layout.connectors.map((c) => (
+    `<path d="M ${c.x1} ${c.y1} L ${c.x2} ${c.y2}" fill="none" stroke="${TREE_EDGE_COLOR}" stroke-width="2"/>`
+  ));
+  const cardMarkup = layout.nodes.map((item) => {
+    const color = levelColors[Math.min(item.depth, levelColors.length - 1)];
+    const title = item.node.title || item.node.url || 'Untitled';
+    return [
+      `<rect x="${item.x}" y="${item.y}" width="${item.w}" height="${item.h}" rx="12" fill="${NODE_FILL}" stroke="${color}" stroke-width="2"/>`,
+      `<rect x="${item.x}" y="${item.y}" width="${item.w}" height="8" rx="4" fill="${color}"/>`,
+      `<text x="${item.x + 16}" y="${item.y + 36}" font-size="12" fill="${MUTED_TEXT_COLOR}">${escapeXml(item.number)}</text>`,
+      `<text x="${item.x + 16}" y="${item.y + 60}" font-size="16" font-weight="600" fill="${TEXT_COLOR}">${escapeXml(truncate(title, 30))}</text>`,
+      item.node.url
+        ? `<text x="${item.x + 16}" y="${item.y + 84}" font-size="12" fill="${MUTED_TEXT_COLOR}">${escapeXml(truncate(getPathLabel(item.node.url), 38))}</text>`
+        : '',
+    ].join('');
+  });
+  const linkMarkup = (Array.isArray(connections) ? connections : [])
+    .filter((conn) => (conn?.type === 'userflow' || conn?.type === 'crosslink')
+      && byId.has(conn.sourceNodeId) && byId.has(conn.targetNodeId))
+    .map((conn) => {
+      const from = getAnchorPoint(byId.get(conn.sourceNodeId), conn.sourceAnchor);
+      const to = getAnchorPoint(byId.get(conn.targetNodeId), conn.targetAnchor);
+      const isUserFlow = conn.type === 'userflow';
+      const color = isUserFlow ? linkColors.userFlows : linkColors.crossLinks;
+      const path = `<path d="M ${from.x} ${from.y} L ${to.x} ${to.y}" fill="none" stroke="${color}" stroke-width="2" ${
+        isUserFlow ? `marker-end="url(#${markerFor(color)})"` : 'stroke-dasharray="8 6"'}/>`;
+      const label = conn.label
+        ? `<text x="${(from.x + to.x) / 2}" y="${(from.y + to.y) / 2 - 6}" text-anchor="middle" font-size="12" fill="${color}">${escapeXml(conn.label)}</text>`
+        : '';
+      return `${path}${label}`;
+    });
+
+  const defs = Array.from(markerIds.entries()).map(([color, id]) => (
+    `<marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+  )).join('');
+
+  const width = Math.ceil(layout.bounds.w + PADDING * 2);
+  const height = Math.ceil(layout.bounds.h + PADDING * 2);
+  const content = [
+    `<g transform="translate(${PADDING} ${PADDING})" font-family="Inter, Helvetica, Arial, sans-serif">`,
+    connectorMarkup.join(''),
+    cardMarkup.join(''),
+    linkMarkup.join(''),
+    '</g>',
+  ].join('');
+  return { width, height, defs, content };
+}
+
+// Splits a `width` x `height` drawing into row-major tiles no larger than `tileSize`.
+function planTiles({ width, height, tileSize = DEFAULT_TILE_SIZE }) {
+  const size = Math.max(1, Math.floor(tileSize));
+  const rows = Math.max(1, Math.ceil(height / size));
+  const cols = Math.max(1, Math.ceil(width / size));
+  const tiles = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const x = col * size;
+      const y = row * size;
+      tiles.push({
+        row,
+        col,
+        x,
+        y,
+        width: Math.min(size, width - x),
+        height: Math.min(size, height - y),
+      });
+    }
+  }
+  return { rows, cols, tiles };
+}
+
+// One `.tile` element per tile, each a window onto the shared drawing, stacked with page breaks so
+// the same document prints to a PDF page per tile or screenshots tile by tile.
+function buildRenderDocument(svg, tiles) {
+  const tileMarkup = tiles.map((tile) => (
+    `<div class="tile" style="width:${tile.width}px;height:${tile.height}px">`
+    + `<svg xmlns="http://www.w3.org/2000/svg" width="${tile.width}" height="${tile.height}" viewBox="${tile.x} ${tile.y} ${tile.width} ${tile.height}">`
+    + '<use href="#map"/></svg></div>'
+  ));
+  return [
+    '<!DOCTYPE html><html><head><meta charset="utf-8"><style>',
+    'html,body{margin:0;padding:0;background:#ffffff;}',
+    '.tile{overflow:hidden;break-after:page;}',
+    '.tile:last-child{break-after:auto;}',
+    '.tile svg{display:block;}',
+    '</style></head><body>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="0" height="0" style="position:absolute"><defs>${svg.defs}<g id="map">`,
+    `<rect x="0" y="0" width="${svg.width}" height="${svg.height}" fill="#ffffff"/>${svg.content}`,
+    '</g></defs></svg>',
+    tileMarkup.join(''),
+    '</body></html>',
+  ].join('');
+}
+
+module.exports = {
+  LAYOUT,
+  DEFAULT_COLORS,
+  DEFAULT_CONNECTION_COLORS,
+  MAP_RENDER_FORMATS,
+  DEFAULT_TILE_SIZE,
+  layoutMap,
+  buildMapSvg,
+  planTiles,
+  buildRenderDocument,
+};
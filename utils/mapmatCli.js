@@ -0,0 +1,278 @@
+const { applyQueryPolicy } = require('./queryPolicy');
+const { diffScanAgainstMap } = require('./scanDiff');
+const { csvCell } = require('./textEscape');
+
+// Pure helpers behind bin/mapmat.js. Everything that talks to the network or the terminal stays in
+// the bin script, so these can be checked without a server.
+
+// 1 means "ran fine, but the check failed" (changes found, broken links), like `git diff --exit-code`.
+const CLI_EXIT_CODES = Object.freeze({
+  OK: 0,
+  CHECK_FAILED: 1,
+  USAGE: 2,
+  API_ERROR: 3,
+  SCAN_FAILED: 4,
+});
+
+// Same labels as the CSV export in the app (frontend/src/utils/constants.js and inventorySheet.js),
+// so a CLI export can be re-imported as an inventory sheet.
+const ANNOTATION_STATUS_LABELS = {
+  none: 'None',
+  note: 'Note',
+  new: 'New',
+  moved: 'Moved',
+  deleted: 'Deleted',
+  to_move: 'To Move',
+  to_delete: 'To Delete',
+};
+
+const CSV_HEADERS = [
+  'Page Number', 'Depth Level', 'Page Title', 'URL', 'Has Children', 'Child Count',
+  'Meta Description', 'H1', 'Meta Robots', 'OG Title', 'OG Description', 'OG Image',
+  'Word Count', 'Response Time (ms)',
+  'Node ID', 'Parent ID', 'Page Type', 'Annotation Status', 'Notes',
+];
+
+function createCliError(message, exitCode = CLI_EXIT_CODES.USAGE) {
+  const error = new Error(message);
+  error.code = 'MAPMAT_CLI';
+  error.exitCode = exitCode;
+  return error;
+}
+
+// `--name value`, `--name=value` and `--flag`. `booleans` lists the flags that take no value;
+// repeated flags keep the last value.
+function parseCliArgs(argv, { booleans = [] } = {}) {
+  const positionals = [];
+  const flags = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--') {
+      positionals.push(...argv.slice(index + 1));
+      break;
+    }
+    if (!arg.startsWith('--') || arg === '--') {
+      positionals.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (!name) throw createCliError(`Invalid option: ${arg}`);
+    if (booleans.includes(name)) {
+      if (eq !== -1) throw createCliError(`--${name} does not take a value`);
+      flags[name] = true;
+      continue;
+    }
+    if (eq !== -1) {
+      flags[name] = arg.slice(eq + 1);
+      continue;
+    }
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) throw createCliError(`--${name} needs a value`);
+    flags[name] = value;
+    index += 1;
+  }
+  return { positionals, flags };
+}
+
+function parsePositiveIntFlag(flags, name) {
+  if (flags[name] === undefined) return undefined;
+  const value = Number(flags[name]);
+  if (!Number.isInteger(value) || value < 1) throw createCliError(`--${name} must be a positive whole number`);
+  return value;
+}
+
+// Incremental text/event-stream parser: feed it chunks, it calls onEvent(event, data) per message.
+// `data` is parsed as JSON when it can be.
+function createSseParser(onEvent) {
+  let buffer = '';
+  const dispatch = (block) => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (!data.length) return;
+    const raw = data.join('\n');
+    let parsed = raw;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      // Non-JSON data is passed through as text.
+    }
+    onEvent(event, parsed);
+  };
+  return (chunk) => {
+    buffer += String(chunk).replace(/\r\n?/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  };
+}
+
+function describeJobProgress(job) {
+  const progress = job.progress || {};
+  const parts = [job.status];
+  if (Number.isFinite(progress.scanned)) parts.push(`${progress.scanned} pages scanned`);
+  if (Number.isFinite(progress.queued)) parts.push(`${progress.queued} queued`);
+  return parts.join(' · ');
+}
+
+function countPages(trees) {
+  return (trees || []).reduce((total, node) => (node ? total + 1 + countPages(node.children) : total), 0);
+}
+
+// The map body for POST /api/maps. Subdomain trees are kept as orphans, the way the app shows them.
+function buildMapFromScanResult(result, { name, projectId } = {}) {
+  if (!result?.root) throw createCliError('Scan result has no page tree', CLI_EXIT_CODES.SCAN_FAILED);
+  const orphans = [
+    ...(result.orphans || []).map((node) => ({ ...node, orphanType: node.orphanType || 'orphan' })),
+    ...(result.subdomains || []).map((node) => ({ ...node, orphanType: 'subdomain', subdomainRoot: true })),
+  ];
+  return {
+    name: name || new URL(result.root.url).hostname,
+    url: result.root.url,
+    root: result.root,
+    orphans,
+    project_id: projectId || null,
+  };
+}
+
+// The app's "Download JSON" shape, which the app can import again.
+function buildMapJson(map) {
+  return `${JSON.stringify({
+    root: map.root,
+    colors: map.colors || undefined,
+    connectionColors: map.connectionColors || undefined,
+  }, null, 2)}\n`;
+}
+
+// Same columns and numbering as the app's "Download CSV" (page tree only, like the app).
+function buildMapCsv(map) {
+  const lines = [CSV_HEADERS.join(',')];
+  const visit = (node, depth, number, parentId) => {
+    const seo = node.seo || {};
+    const og = seo.openGraph || {};
+    const annotations = node.annotations || {};
+    const status = annotations.status || 'none';
+    lines.push([
+      csvCell(number),
+      depth,
+      csvCell(node.title || ''),
+      csvCell(node.url || ''),
+      node.children?.length > 0 ? 'Yes' : 'No',
+      node.children?.length || 0,
+      csvCell(seo.metaDescription || ''),
+      csvCell((seo.h1 || []).join(' | ')),
+      csvCell(seo.metaRobots || ''),
+      csvCell(og.title || ''),
+      csvCell(og.description || ''),
+      csvCell(og.image || ''),
+      seo.wordCount ?? '',
+      seo.responseTimeMs ?? '',
+      csvCell(node.id),
+      csvCell(parentId),
+      csvCell(node.pageType || ''),
+      csvCell(ANNOTATION_STATUS_LABELS[status] || status),
+      csvCell(annotations.note || ''),
+    ].join(','));
+    (node.children || []).forEach((child, index) => visit(child, depth + 1, `${number}.${index + 1}`, node.id));
+  };
+  if (map.root) visit(map.root, 0, '1', '');
+  return `${lines.join('\n')}\n`;
+}
+
+// Pages are matched the way rescans match them, minus the map's own query policy: no fragment,
+// no `www.`, no trailing slash or index page, and no tracking parameters.
+function getPageKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    const host = parsed.hostname.replace(/^www\./i, '').toLowerCase();
+    let pathname = parsed.pathname.replace(/\/index\.(html?|php|aspx)$/i, '/');
+    if (pathname !== '/' && pathname.endsWith('/')) pathname = pathname.replace(/\/+$/, '');
+    const search = parsed.search ? applyQueryPolicy(parsed.search, { mode: 'strip_tracking' }) : '';
+    return `${host}${parsed.port ? `:${parsed.port}` : ''}${pathname}${search}`;
+  } catch {
+    return url;
+  }
+}
+
+const mapTrees = (map) => [map.root, ...(map.orphans || [])].filter(Boolean);
+
+// Pages added, removed, retitled, with a changed HTTP status or moved between `before` and `after`.
+function diffMapSnapshots(before, after) {
+  return diffScanAgainstMap({
+    mapTrees: mapTrees(before),
+    scanTrees: mapTrees(after),
+    getKey: getPageKey,
+  });
+}
+
+// `ref` is a version number, a version id, or `current` for the map as saved now.
+function resolveMapSnapshot(map, versions, ref) {
+  const value = String(ref || '').trim();
+  if (!value) throw createCliError('Missing version');
+  if (value === 'current') return { label: 'current', root: map.root, orphans: map.orphans };
+  const version = (versions || []).find((item) => (
+    item.id === value || String(item.version_number) === value.replace(/^v/i, '')
+  ));
+  if (!version) throw createCliError(`Version ${value} not found (only the latest 25 versions can be compared)`);
+  return {
+    label: `v${version.version_number}${version.name ? ` (${version.name})` : ''}`,
+    root: version.root,
+    orphans: version.orphans,
+  };
+}
+
+function formatDiff({ summary, changes, truncated }) {
+  const lines = [
+    `${summary.added} added · ${summary.removed} removed · ${summary.titleChanged} retitled · `
+      + `${summary.statusChanged} status · ${summary.moved} moved · ${summary.unchanged} unchanged`,
+  ];
+  changes.forEach((change) => {
+    if (change.type === 'added') lines.push(`+ ${change.url}`);
+    else if (change.type === 'removed') lines.push(`- ${change.url}`);
+    else if (change.type === 'title') lines.push(`~ ${change.url}  title: ${change.before ?? ''} -> ${change.after}`);
+    else if (change.type === 'status') lines.push(`~ ${change.url}  status: ${change.before} -> ${change.after}`);
+    else if (change.type === 'moved') lines.push(`> ${change.url}  moved under ${change.toParentUrl || '(top level)'}`);
+  });
+  if (truncated) lines.push('(change list truncated)');
+  return `${lines.join('\n')}\n`;
+}
+
+function formatLinkGateVerdict(verdict) {
+  const { summary, baseline } = verdict;
+  const lines = [
+    `Link gate ${verdict.status}: ${summary.newlyBroken} new broken · ${summary.stillBroken} still broken · `
+      + `${summary.fixed} fixed (baseline ${baseline.created ? 'created by this run' : `from job ${baseline.jobId}`})`,
+  ];
+  verdict.newlyBroken.forEach((link) => {
+    const failure = link.status ? `HTTP ${link.status}` : (link.reason || 'unreachable').replace(/_/g, ' ');
+    lines.push(`! ${link.url}  ${failure}, linked from ${link.sourceUrl || 'an unknown page'}`);
+  });
+  if (verdict.truncated) lines.push('(list truncated)');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CLI_EXIT_CODES,
+  createCliError,
+  parseCliArgs,
+  parsePositiveIntFlag,
+  createSseParser,
+  describeJobProgress,
+  countPages,
+  buildMapFromScanResult,
+  buildMapJson,
+  buildMapCsv,
+  getPageKey,
+  diffMapSnapshots,
+  resolveMapSnapshot,
+  formatDiff,
+  formatLinkGateVerdict,
+};
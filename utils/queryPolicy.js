@@ -0,0 +1,87 @@
+const QUERY_POLICY_MODES = ['preserve', 'strip_all', 'strip_tracking', 'allowlist', 'sort'];
+const MAX_ALLOWLIST_PARAMS = 50;
+
+const TRACKING_PARAMS = new Set([
+  'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'fbclid', 'yclid', 'twclid', 'igshid',
+  'ref', 'ref_src', 'mkt_tok', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi',
+]);
+
+// Reported as `queryBehavior` in the IA persistence summary.
+const QUERY_BEHAVIOR_BY_MODE = {
+  preserve: 'preserved',
+  strip_all: 'stripped',
+  strip_tracking: 'tracking-stripped',
+  allowlist: 'allowlisted',
+  sort: 'sorted',
+};
+
+const DEFAULT_QUERY_POLICY = Object.freeze({ mode: 'preserve', params: [] });
+
+function createQueryPolicyError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY_POLICY';
+  return error;
+}
+
+function isTrackingParam(key) {
+  const lower = String(key || '').toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+// Accepts a mode string or `{ mode, params }`; `params` is only used by the allowlist mode.
+function normalizeQueryPolicy(raw) {
+  if (!raw) return DEFAULT_QUERY_POLICY;
+  const entry = typeof raw === 'string' ? { mode: raw } : raw;
+  const mode = String(entry.mode || 'preserve').trim().toLowerCase();
+  if (!QUERY_POLICY_MODES.includes(mode)) {
+    throw createQueryPolicyError(`Unknown query policy: ${mode}`);
+  }
+  if (mode !== 'allowlist') return mode === 'preserve' ? DEFAULT_QUERY_POLICY : { mode, params: [] };
+
+  const list = typeof entry.params === 'string' ? entry.params.split(/[\s,]+/) : (entry.params || []);
+  if (!Array.isArray(list)) throw createQueryPolicyError('Query allowlist must be a list');
+  const params = Array.from(new Set(list.map((param) => String(param || '').trim()).filter(Boolean)));
+  if (params.length > MAX_ALLOWLIST_PARAMS) {
+    throw createQueryPolicyError(`At most ${MAX_ALLOWLIST_PARAMS} allowlisted params are allowed`);
+  }
+  return { mode, params };
+}
+
+// Returns the rewritten search string (with leading `?`, or '' when nothing is left).
+function applyQueryPolicy(search, policy = DEFAULT_QUERY_POLICY) {
+  if (!search || search === '?') return '';
+  const mode = policy?.mode || 'preserve';
+  if (mode === 'preserve') return search.startsWith('?') ? search : `?${search}`;
+  if (mode === 'strip_all') return '';
+
+  const params = new URLSearchParams(search);
+  let entries = Array.from(params.entries());
+  if (mode === 'strip_tracking') {
+    entries = entries.filter(([key]) => !isTrackingParam(key));
+  } else if (mode === 'allowlist') {
+    const allowed = new Set(policy.params || []);
+    entries = entries.filter(([key]) => allowed.has(key));
+  } else if (mode === 'sort') {
+    // Stable sort by key keeps the relative order of repeated keys (`?tag=a&tag=b`).
+    entries = entries
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => (a.entry[0] < b.entry[0] ? -1 : a.entry[0] > b.entry[0] ? 1 : a.index - b.index))
+      .map(({ entry }) => entry);
+  }
+
+  const next = new URLSearchParams(entries).toString();
+  return next ? `?${next}` : '';
+}
+
+function getQueryBehavior(policy = DEFAULT_QUERY_POLICY) {
+  return QUERY_BEHAVIOR_BY_MODE[policy?.mode] || QUERY_BEHAVIOR_BY_MODE.preserve;
+}
+
+module.exports = {
+  QUERY_POLICY_MODES,
+  DEFAULT_QUERY_POLICY,
+  isTrackingParam,
+  normalizeQueryPolicy,
+  applyQueryPolicy,
+  getQueryBehavior,
+};
@@ -0,0 +1,64 @@
+// Redirects are followed one hop at a time so every hop's status and Location can be kept.
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const DEFAULT_MAX_REDIRECT_HOPS = 10;
+
+const isRedirectStatus = (status) => REDIRECT_STATUSES.has(Number(status));
+
+const getHeader = (headers, name) => {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name) || null;
+  const value = headers[name] ?? headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : (value || null);
+};
+
+const redirectError = (code, message, url, hops) => {
+  const error = new Error(message);
+  error.code = code;
+  error.url = url;
+  error.redirectChain = hops;
+  return error;
+};
+
+// `request(url)` makes one request without following redirects and resolves to a response with
+// `status` and `headers`. Resolves to `{ response, finalUrl, hops }`, where `hops` is
+// `[{ url, status, location }]` in the order they were followed (empty when there was no redirect).
+// Rejects with `REDIRECT_LOOP` when a Location points back at a URL already in the chain, and with
+// `TOO_MANY_REDIRECTS` after `maxHops` hops; both errors carry the chain so far as `redirectChain`.
+async function followRedirects(url, request, { maxHops = DEFAULT_MAX_REDIRECT_HOPS } = {}) {
+  const hops = [];
+  const seen = new Set([new URL(url).toString()]);
+  let current = url;
+
+  for (;;) {
+    const response = await request(current);
+    const location = getHeader(response.headers, 'location');
+    if (!isRedirectStatus(response.status) || !location) {
+      return { response, finalUrl: current, hops };
+    }
+
+    let next;
+    try {
+      next = new URL(location, current).toString();
+    } catch {
+      // An unusable Location ends the chain on the redirect response itself.
+      return { response, finalUrl: current, hops };
+    }
+    hops.push({ url: current, status: response.status, location: next });
+
+    if (seen.has(next)) {
+      throw redirectError('REDIRECT_LOOP', `Redirect loop at ${next}`, url, hops);
+    }
+    if (hops.length >= maxHops) {
+      throw redirectError('TOO_MANY_REDIRECTS', `More than ${maxHops} redirects`, url, hops);
+    }
+    seen.add(next);
+    current = next;
+  }
+}
+
+module.exports = {
+  REDIRECT_STATUSES,
+  DEFAULT_MAX_REDIRECT_HOPS,
+  isRedirectStatus,
+  followRedirects,
+};
@@ -0,0 +1,82 @@
+// Helpers for `renderJs` scans: reading links and the redirect chain back from a page Chromium
+// rendered, and falling back to a static fetch when rendering fails.
+
+// Runs inside the page (page.evaluate), so it must not use anything outside its own body. Returns
+// absolute URLs of `a[href]` plus router links that are not rendered as anchors (Angular routerLink
+// on buttons, unresolved <router-link to>, data-href and friends).
+function collectRenderedLinks() {
+  const found = [];
+  const push = (value) => {
+    if (!value || typeof value !== 'string') return;
+    const trimmed = value.trim();
+    if (!trimmed || /^(mailto:|tel:|javascript:|#)/i.test(trimmed)) return;
+    try {
+      found.push(new URL(trimmed, document.baseURI).toString());
+    } catch {
+      // ignore
+    }
+  };
+  document.querySelectorAll('a[href]').forEach((el) => push(el.getAttribute('href')));
+  document.querySelectorAll('[routerlink], [ng-reflect-router-link], router-link[to], [data-href], [data-url], [data-link]')
+    .forEach((el) => {
+      push(
+        el.getAttribute('routerlink')
+        || el.getAttribute('ng-reflect-router-link')
+        || el.getAttribute('to')
+        || el.getAttribute('data-href')
+        || el.getAttribute('data-url')
+        || el.getAttribute('data-link')
+      );
+    });
+  return found;
+}
+
+// `links` plus each of `extra` that `normalize` accepts and is not already in the list.
+function mergeLinks(links, extra, normalize) {
+  const merged = [...links];
+  const seen = new Set(merged);
+  (extra || []).forEach((link) => {
+    const normalized = normalize(link);
+    if (!normalized || seen.has(normalized)) return;
+    seen.add(normalized);
+    merged.push(normalized);
+  });
+  return merged;
+}
+
+// Chromium follows redirects itself, so the chain is read back from the request that loaded the
+// page, in the `[{ url, status, location }]` shape utils/redirectChain.js produces.
+async function readRedirectChain(response) {
+  const chain = [];
+  if (!response) return chain;
+  for (let request = response.request(); request.redirectedFrom(); request = request.redirectedFrom()) {
+    const hop = request.redirectedFrom();
+    const hopResponse = await hop.response();
+    chain.unshift({
+      url: hop.url(),
+      status: hopResponse ? hopResponse.status() : null,
+      location: request.url(),
+    });
+  }
+  return chain;
+}
+
+// Renders the page, or fetches it statically when rendering fails for any reason (timeout, no
+// browser, a download). Only this page falls back; `stats` counts both outcomes.
+async function fetchWithRenderFallback({ render, fetchStatic, stats = null }) {
+  try {
+    const rendered = await render();
+    if (stats) stats.rendered += 1;
+    return rendered;
+  } catch {
+    if (stats) stats.fallbacks += 1;
+  }
+  return fetchStatic();
+}
+
+module.exports = {
+  collectRenderedLinks,
+  mergeLinks,
+  readRedirectChain,
+  fetchWithRenderFallback,
+};
@@ -0,0 +1,150 @@
+const ROBOTS_USER_AGENT_TOKEN = 'mapmatbot';
+const ROBOTS_MAX_BYTES = 512 * 1024;
+
+function normalizeAgentToken(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function decodePathSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function compileRulePattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const escaped = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}${anchored ? '$' : ''}`);
+}
+
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastLineWasAgent = false;
+
+  const body = String(text || '').slice(0, ROBOTS_MAX_BYTES);
+  body.split(/\r\n|\r|\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!current || !lastLineWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(normalizeAgentToken(value));
+      lastLineWasAgent = true;
+      return;
+    }
+    lastLineWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow matches nothing, so it is equivalent to no rule.
+      if (!value) return;
+      const pattern = decodePathSafe(value.startsWith('/') || value.startsWith('*') ? value : `/${value}`);
+      current.rules.push({
+        allow: field === 'allow',
+        pattern,
+        regex: compileRulePattern(pattern),
+        specificity: pattern.replace(/\*/g, '').length,
+      });
+      return;
+    }
+
+    if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+function selectRobotsGroup(parsed, userAgent = ROBOTS_USER_AGENT_TOKEN) {
+  const token = normalizeAgentToken(userAgent);
+  const groups = parsed?.groups || [];
+  const specific = groups.filter((group) => group.agents.some((agent) => agent !== '*' && token.startsWith(agent)));
+  const chosen = specific.length ? specific : groups.filter((group) => group.agents.includes('*'));
+  if (!chosen.length) return null;
+
+  // Multiple groups naming the same agent are merged, per RFC 9309.
+  const crawlDelays = chosen.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+  return {
+    rules: chosen.flatMap((group) => group.rules),
+    crawlDelay: crawlDelays.length ? Math.max(...crawlDelays) : null,
+  };
+}
+
+function matchRobotsRule(group, url) {
+  if (!group || !group.rules.length) return null;
+  let target;
+  try {
+    const parsedUrl = new URL(url);
+    target = decodePathSafe(`${parsedUrl.pathname || '/'}${parsedUrl.search || ''}`);
+  } catch {
+    return null;
+  }
+  if (target === '/robots.txt') return null;
+
+  let best = null;
+  for (const rule of group.rules) {
+    if (!rule.regex.test(target)) continue;
+    if (
+      !best
+      || rule.specificity > best.specificity
+      || (rule.specificity === best.specificity && rule.allow && !best.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+function createRobotsPolicy({ status = 200, text = '', userAgent = ROBOTS_USER_AGENT_TOKEN } = {}) {
+  // RFC 9309: a missing robots.txt allows everything; an unreachable one disallows everything.
+  if (status >= 400 && status < 500) {
+    return { mode: 'allow_all', crawlDelayMs: 0, sitemaps: [], check: () => ({ allowed: true, rule: null }) };
+  }
+  if (!status || status >= 500) {
+    return { mode: 'disallow_all', crawlDelayMs: 0, sitemaps: [], check: () => ({ allowed: false, rule: 'unreachable' }) };
+  }
+
+  const parsed = parseRobotsTxt(text);
+  const group = selectRobotsGroup(parsed, userAgent);
+  return {
+    mode: 'parsed',
+    crawlDelayMs: group?.crawlDelay ? Math.round(group.crawlDelay * 1000) : 0,
+    sitemaps: parsed.sitemaps,
+    check: (url) => {
+      const rule = matchRobotsRule(group, url);
+      if (!rule) return { allowed: true, rule: null };
+      return { allowed: rule.allow, rule: `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.pattern}` };
+    },
+  };
+}
+
+module.exports = {
+  ROBOTS_MAX_BYTES,
+  ROBOTS_USER_AGENT_TOKEN,
+  parseRobotsTxt,
+  selectRobotsGroup,
+  matchRobotsRule,
+  createRobotsPolicy,
+};
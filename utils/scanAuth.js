@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+const SCAN_AUTH_CIPHER = 'aes-256-gcm';
+const SCAN_AUTH_VERSION = 'v1';
+const MAX_HEADERS = 20;
+const MAX_COOKIES = 50;
+const MAX_LOGIN_FIELDS = 20;
+const MAX_VALUE_LENGTH = 4096;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const COOKIE_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+// Headers the crawler owns or that would let a caller tamper with the request itself.
+const FORBIDDEN_HEADERS = new Set([
+  'host',
+  'content-length',
+  'transfer-encoding',
+  'connection',
+  'upgrade',
+  'expect',
+  'te',
+  'trailer',
+  'keep-alive',
+  'proxy-authorization',
+  'proxy-connection',
+]);
+
+function createScanAuthError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCAN_AUTH';
+  return error;
+}
+
+function cleanValue(value, label) {
+  const text = String(value ?? '');
+  if (text.length > MAX_VALUE_LENGTH) {
+    throw createScanAuthError(`${label} is too long`);
+  }
+  if (/[\r\n\0]/.test(text)) {
+    throw createScanAuthError(`${label} contains invalid characters`);
+  }
+  return text;
+}
+
+function parseCookieString(value) {
+  return String(value || '')
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const separator = part.indexOf('=');
+      if (separator <= 0) return null;
+      return { name: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() };
+    })
+    .filter(Boolean);
+}
+
+function normalizeHeaders(raw) {
+  if (!raw) return {};
+  const entries = Array.isArray(raw)
+    ? raw.map((entry) => [entry?.name, entry?.value])
+    : Object.entries(raw);
+  if (entries.length > MAX_HEADERS) throw createScanAuthError(`At most ${MAX_HEADERS} headers are allowed`);
+
+  const headers = {};
+  entries.forEach(([name, value]) => {
+    const headerName = String(name || '').trim();
+    if (!headerName) return;
+    if (!HEADER_NAME_PATTERN.test(headerName)) throw createScanAuthError(`Invalid header name: ${headerName}`);
+    const lower = headerName.toLowerCase();
+    if (FORBIDDEN_HEADERS.has(lower)) throw createScanAuthError(`Header not allowed: ${headerName}`);
+    if (lower === 'cookie') throw createScanAuthError('Use cookies instead of a Cookie header');
+    headers[headerName] = cleanValue(value, `Header ${headerName}`);
+  });
+  return headers;
+}
+
+function normalizeCookies(raw) {
+  if (!raw) return [];
+  const list = typeof raw === 'string'
+    ? parseCookieString(raw)
+    : (Array.isArray(raw) ? raw : Object.entries(raw).map(([name, value]) => ({ name, value })));
+  if (list.length > MAX_COOKIES) throw createScanAuthError(`At most ${MAX_COOKIES} cookies are allowed`);
+
+  return list
+    .map((cookie) => {
+      const name = String(cookie?.name || '').trim();
+      if (!name) return null;
+      if (!COOKIE_NAME_PATTERN.test(name)) throw createScanAuthError(`Invalid cookie name: ${name}`);
+      const value = cleanValue(cookie.value, `Cookie ${name}`);
+      if (value.includes(';')) throw createScanAuthError(`Cookie ${name} contains invalid characters`);
+      return { name, value };
+    })
+    .filter(Boolean);
+}
+
+function normalizeBasicAuth(raw) {
+  if (!raw) return null;
+  const username = cleanValue(raw.username, 'Basic auth username');
+  const password = cleanValue(raw.password, 'Basic auth password');
+  if (!username) return null;
+  if (username.includes(':')) throw createScanAuthError('Basic auth username cannot contain ":"');
+  return { username, password };
+}
+
+function normalizeLogin(raw) {
+  if (!raw) return null;
+  const url = String(raw.url || '').trim();
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw createScanAuthError('Invalid login URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw createScanAuthError('Invalid login URL');
+
+  const fieldEntries = Array.isArray(raw.fields)
+    ? raw.fields.map((entry) => [entry?.name, entry?.value])
+    : Object.entries(raw.fields || {});
+  if (!fieldEntries.length) throw createScanAuthError('Login step needs at least one form field');
+  if (fieldEntries.length > MAX_LOGIN_FIELDS) {
+    throw createScanAuthError(`At most ${MAX_LOGIN_FIELDS} login fields are allowed`);
+  }
+
+  const fields = {};
+  fieldEntries.forEach(([name, value]) => {
+    const fieldName = cleanValue(String(name || '').trim(), 'Login field name');
+    if (fieldName) fields[fieldName] = cleanValue(value, `Login field ${fieldName}`);
+  });
+
+  return {
+    url: parsed.toString(),
+    formSelector: raw.formSelector ? cleanValue(String(raw.formSelector).trim(), 'Login form selector') : null,
+    fields,
+  };
+}
+
+// Returns null when nothing usable was provided, so callers can treat "no auth" uniformly.
+function normalizeScanAuth(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const auth = {
+    headers: normalizeHeaders(raw.headers),
+    cookies: normalizeCookies(raw.cookies),
+    basicAuth: normalizeBasicAuth(raw.basicAuth),
+    login: normalizeLogin(raw.login),
+  };
+  const isEmpty = !Object.keys(auth.headers).length
+    && !auth.cookies.length
+    && !auth.basicAuth
+    && !auth.login;
+  return isEmpty ? null : auth;
+}
+
+function summarizeScanAuth(auth) {
+  if (!auth) return null;
+  return {
+    headers: Object.keys(auth.headers || {}),
+    cookies: (auth.cookies || []).map((cookie) => cookie.name),
+    basicAuth: auth.basicAuth ? { username: auth.basicAuth.username } : null,
+    login: auth.login
+      ? { url: auth.login.url, fields: Object.keys(auth.login.fields || {}) }
+      : null,
+  };
+}
+
+// Saved credentials are bound to this host (and its subdomains) so they are never sent to another site.
+function getScanAuthHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./i, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function getScanAuthSecret(env = process.env) {
+  return env.SCAN_CREDENTIALS_SECRET || env.JWT_SECRET || 'mapmat-dev-secret-change-in-production';
+}
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret || '')).digest();
+}
+
+function encryptScanAuth(auth, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(SCAN_AUTH_CIPHER, deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(auth), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [SCAN_AUTH_VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decryptScanAuth(token, secret) {
+  const [version, ivB64, tagB64, dataB64] = String(token || '').split(':');
+  if (version !== SCAN_AUTH_VERSION || !ivB64 || !tagB64 || !dataB64) {
+    throw new Error('Unsupported scan credential format');
+  }
+  const decipher = crypto.createDecipheriv(SCAN_AUTH_CIPHER, deriveKey(secret), Buffer.from(ivB64, 'base64'));
+  decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(dataB64, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+function parseSetCookieHeaders(setCookie) {
+  const values = Array.isArray(setCookie) ? setCookie : (setCookie ? [setCookie] : []);
+  return values
+    .map((header) => String(header || '').split(';')[0])
+    .map((pair) => parseCookieString(pair)[0])
+    .filter(Boolean);
+}
+
+function mergeCookies(existing, incoming) {
+  const byName = new Map();
+  (existing || []).forEach((cookie) => byName.set(cookie.name, cookie));
+  (incoming || []).forEach((cookie) => byName.set(cookie.name, cookie));
+  return Array.from(byName.values());
+}
+
+function serializeCookies(cookies) {
+  return (cookies || []).map((cookie) => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+function buildScanAuthHeaders(auth, cookies = auth?.cookies) {
+  if (!auth) return {};
+  const headers = { ...(auth.headers || {}) };
+  if (auth.basicAuth) {
+    const token = Buffer.from(`${auth.basicAuth.username}:${auth.basicAuth.password}`).toString('base64');
+    headers.Authorization = `Basic ${token}`;
+  }
+  const cookieHeader = serializeCookies(cookies);
+  if (cookieHeader) headers.Cookie = cookieHeader;
+  return headers;
+}
+
+// Picks the login form on the fetched login page, keeps its hidden inputs (CSRF tokens etc.)
+// and overlays the recorded field values.
+function buildLoginFormSubmission(html, pageUrl, login) {
+  const $ = cheerio.load(html || '');
+  let form = login?.formSelector ? $(login.formSelector).first() : null;
+  if (!form || !form.length) {
+    form = $('form').filter((_, el) => $(el).find('input[type="password"]').length > 0).first();
+  }
+  if (!form || !form.length) form = $('form').first();
+
+  const fields = {};
+  let action = pageUrl;
+  let method = 'POST';
+  if (form && form.length) {
+    form.find('input[name], select[name], textarea[name]').each((_, el) => {
+      const $el = $(el);
+      const type = String($el.attr('type') || '').toLowerCase();
+      if (['submit', 'button', 'image', 'file', 'reset'].includes(type)) return;
+      if (['checkbox', 'radio'].includes(type) && $el.attr('checked') === undefined) return;
+      fields[$el.attr('name')] = $el.is('select')
+        ? ($el.find('option[selected]').attr('value') ?? $el.find('option').first().attr('value') ?? '')
+        : ($el.attr('value') ?? $el.text() ?? '');
+    });
+    const rawAction = (form.attr('action') || '').trim();
+    if (rawAction) {
+      try {
+        action = new URL(rawAction, pageUrl).toString();
+      } catch {
+        action = pageUrl;
+      }
+    }
+    method = String(form.attr('method') || 'GET').toUpperCase() === 'POST' ? 'POST' : 'GET';
+  }
+
+  Object.assign(fields, login?.fields || {});
+  return { action, method, fields };
+}
+
+module.exports = {
+  normalizeScanAuth,
+  summarizeScanAuth,
+  getScanAuthHost,
+  getScanAuthSecret,
+  encryptScanAuth,
+  decryptScanAuth,
+  parseSetCookieHeaders,
+  mergeCookies,
+  buildScanAuthHeaders,
+  buildLoginFormSubmission,
+};
@@ -0,0 +1,159 @@
+// Scan-generated placeholders and artifacts; they are rebuilt on every scan and never diffed.
+const ARTIFACT_ORPHAN_TYPES = new Set(['file', 'inactive', 'broken']);
+
+const MAX_CHANGES = 5000;
+
+const isDiffableNode = (node) => Boolean(
+  node
+  && typeof node.url === 'string'
+  && node.url.trim()
+  && !node.isMissing
+  && !node.isFile
+  && !ARTIFACT_ORPHAN_TYPES.has(node.orphanType)
+);
+
+// Flattens a forest in pre-order. A node's parent is its nearest ancestor with a URL, so
+// URL-less grouping nodes (manual sections) do not count as a parent of their own.
+function indexForest(trees, getKey) {
+  const byKey = new Map();
+  const order = [];
+
+  const visit = (node, parentKey) => {
+    if (!node || typeof node !== 'object') return;
+    let nextParentKey = parentKey;
+    if (isDiffableNode(node)) {
+      const key = getKey(node.canonicalUrl || node.finalUrl || node.url);
+      if (key && !byKey.has(key)) {
+        byKey.set(key, { node, parentKey });
+        order.push(key);
+      }
+      if (key) nextParentKey = key;
+    }
+    (node.children || []).forEach((child) => visit(child, nextParentKey));
+  };
+
+  trees.forEach((tree) => visit(tree, null));
+  return { byKey, order };
+}
+
+const summarizeNode = (node) => ({
+  id: node.id,
+  url: node.url,
+  finalUrl: node.finalUrl || node.url,
+  canonicalUrl: node.canonicalUrl || null,
+  title: node.title || node.url,
+  httpStatus: node.httpStatus ?? null,
+  authRequired: Boolean(node.authRequired),
+  discoveryIndex: Number.isFinite(node.discoveryIndex) ? node.discoveryIndex : null,
+  referrerUrl: node.referrerUrl || null,
+});
+
+// Diffs scanned trees against a saved map, matching pages by `getKey` (the scan's canonical key).
+// Changes reference saved nodes by id; added pages carry the scanned node without children, in
+// pre-order, so a parent that is itself new is always listed before its children.
+function diffScanAgainstMap({ mapTrees, scanTrees, getKey }) {
+  const saved = indexForest(mapTrees, getKey);
+  const scanned = indexForest(scanTrees, getKey);
+  const nodeIdForKey = (key) => (key && saved.byKey.has(key) ? saved.byKey.get(key).node.id : null);
+
+  const changes = [];
+  const summary = { added: 0, removed: 0, titleChanged: 0, statusChanged: 0, moved: 0, unchanged: 0 };
+  const pushChange = (change) => {
+    if (changes.length >= MAX_CHANGES) return;
+    changes.push({ id: `c${changes.length + 1}`, ...change });
+  };
+
+  scanned.order.forEach((key) => {
+    const { node, parentKey } = scanned.byKey.get(key);
+    const existing = saved.byKey.get(key);
+
+    if (!existing) {
+      summary.added += 1;
+      pushChange({
+        type: 'added',
+        key,
+        url: node.url,
+        title: node.title || node.url,
+        parentKey,
+        parentNodeId: nodeIdForKey(parentKey),
+        node: summarizeNode(node),
+      });
+      return;
+    }
+
+    const savedNode = existing.node;
+    let changed = false;
+    const scannedTitle = node.title || node.url;
+    if ((savedNode.title || savedNode.url) !== scannedTitle) {
+      changed = true;
+      summary.titleChanged += 1;
+      pushChange({
+        type: 'title',
+        key,
+        nodeId: savedNode.id,
+        url: savedNode.url,
+        before: savedNode.title || null,
+        after: scannedTitle,
+      });
+    }
+
+    // Maps saved before HTTP statuses were recorded have nothing to compare against.
+    const beforeStatus = savedNode.httpStatus ?? null;
+    const afterStatus = node.httpStatus ?? null;
+    if (beforeStatus !== null && afterStatus !== null && beforeStatus !== afterStatus) {
+      changed = true;
+      summary.statusChanged += 1;
+      pushChange({
+        type: 'status',
+        key,
+        nodeId: savedNode.id,
+        url: savedNode.url,
+        before: beforeStatus,
+        after: afterStatus,
+      });
+    }
+
+    if (existing.parentKey !== parentKey) {
+      changed = true;
+      summary.moved += 1;
+      pushChange({
+        type: 'moved',
+        key,
+        nodeId: savedNode.id,
+        url: savedNode.url,
+        title: savedNode.title || savedNode.url,
+        fromParentNodeId: nodeIdForKey(existing.parentKey),
+        toParentKey: parentKey,
+        toParentNodeId: nodeIdForKey(parentKey),
+        toParentUrl: parentKey ? scanned.byKey.get(parentKey).node.url : null,
+      });
+    }
+
+    if (!changed) summary.unchanged += 1;
+  });
+
+  saved.order.forEach((key) => {
+    if (scanned.byKey.has(key)) return;
+    const { node } = saved.byKey.get(key);
+    summary.removed += 1;
+    pushChange({
+      type: 'removed',
+      key,
+      nodeId: node.id,
+      url: node.url,
+      title: node.title || node.url,
+    });
+  });
+
+  const totalChanges = summary.added + summary.removed + summary.titleChanged + summary.statusChanged + summary.moved;
+  return {
+    summary,
+    changes,
+    truncated: changes.length < totalChanges,
+  };
+}
+
+module.exports = {
+  MAX_CHANGES,
+  diffScanAgainstMap,
+};
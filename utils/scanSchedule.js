@@ -0,0 +1,151 @@
+// Schedules are stored as a 5-field cron expression evaluated in UTC:
+// minute hour day-of-month month day-of-week. `daily` and `weekly` are shorthands for one.
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'cron'];
+const MAX_SCHEDULE_SEARCH_STEPS = 200000;
+// Each run is a full crawl, so two runs of one schedule must be at least this far apart.
+const MIN_SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function createScheduleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCAN_SCHEDULE';
+  return error;
+}
+
+function parseCronField(raw, { name, min, max }) {
+  const values = new Set();
+  raw.split(',').forEach((part) => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw createScheduleError(`Invalid cron ${name}: ${raw}`);
+    const [, range, stepRaw] = match;
+    const step = stepRaw ? Number(stepRaw) : 1;
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [from, to] = range.split('-').map(Number);
+      start = from;
+      // `5/15` means every 15 starting at 5.
+      end = to ?? (stepRaw ? max : from);
+    }
+    if (step < 1 || start < min || end > max || start > end) {
+      throw createScheduleError(`Invalid cron ${name}: ${raw}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw createScheduleError('Cron expressions need 5 fields');
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => (
+    parseCronField(part, CRON_FIELDS[index])
+  ));
+  // 7 is Sunday as well as 0.
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either one matching is enough.
+    anyDay: parts[2] === '*' || parts[4] === '*',
+  };
+}
+
+function parseTime(raw) {
+  const match = String(raw ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) throw createScheduleError('Time must be HH:MM (UTC)');
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) throw createScheduleError('Time must be HH:MM (UTC)');
+  return { hour, minute };
+}
+
+// Accepts `{ frequency: 'daily', time }`, `{ frequency: 'weekly', time, weekday }` (0 = Sunday)
+// or `{ frequency: 'cron', cron }` and returns `{ frequency, cron }`.
+function normalizeScanSchedule(raw) {
+  if (!raw || typeof raw !== 'object') throw createScheduleError('Schedule is required');
+  const frequency = String(raw.frequency || '').trim().toLowerCase();
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    throw createScheduleError(`Frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`);
+  }
+
+  if (frequency === 'cron') {
+    const cron = String(raw.cron || '').trim().split(/\s+/).join(' ');
+    // Also rejects expressions that parse but never match (`0 0 31 2 *`).
+    const first = getNextRunAt(cron);
+    let previous = first;
+    for (let i = 0; i < 24; i += 1) {
+      const next = getNextRunAt(cron, previous);
+      if (next.getTime() - previous.getTime() < MIN_SCHEDULE_INTERVAL_MS) {
+        throw createScheduleError('Scheduled scans can run at most once an hour');
+      }
+      previous = next;
+    }
+    return { frequency, cron };
+  }
+
+  const { hour, minute } = parseTime(raw.time);
+  if (frequency === 'daily') return { frequency, cron: `${minute} ${hour} * * *` };
+
+  const weekday = Number(raw.weekday);
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    throw createScheduleError('Weekday must be 0 (Sunday) to 6 (Saturday)');
+  }
+  return { frequency, cron: `${minute} ${hour} * * ${weekday}` };
+}
+
+const matchesDay = (parsed, date) => {
+  const dom = parsed.daysOfMonth.has(date.getUTCDate());
+  const dow = parsed.daysOfWeek.has(date.getUTCDay());
+  return parsed.anyDay ? dom && dow : dom || dow;
+};
+
+// First matching minute strictly after `from`. Skips whole months, days and hours that cannot
+// match, so the search stays short even for sparse expressions like `0 0 29 2 *`.
+function getNextRunAt(cron, from = new Date()) {
+  const parsed = parseCron(cron);
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let step = 0; step < MAX_SCHEDULE_SEARCH_STEPS; step += 1) {
+    if (!parsed.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw createScheduleError('Cron expression never matches');
+}
+
+// Schedule times are stored as UTC 'YYYY-MM-DD HH:MM:SS' strings, like CURRENT_TIMESTAMP.
+const toScheduleTimestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+const fromScheduleTimestamp = (value) => (value ? `${String(value).replace(' ', 'T')}Z` : null);
+
+module.exports = {
+  SCHEDULE_FREQUENCIES,
+  MIN_SCHEDULE_INTERVAL_MS,
+  parseCron,
+  normalizeScanSchedule,
+  getNextRunAt,
+  toScheduleTimestamp,
+  fromScheduleTimestamp,
+};
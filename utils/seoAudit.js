@@ -0,0 +1,115 @@
+// On-page SEO audit over the crawl's `node.seo` data. Each issue type is a report type in the app, so
+// the keys here are shared with the frontend (`SEO_ISSUE_OPTIONS`).
+const SEO_ISSUE_TYPES = [
+  'missingTitle',
+  'duplicateTitle',
+  'missingMetaDescription',
+  'multipleH1',
+  'noindexInNav',
+  'canonicalElsewhere',
+  'redirectChain',
+  'thinContent',
+];
+
+const DEFAULT_THIN_CONTENT_WORDS = 200;
+
+const normalizeTitle = (title) => String(title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+// `pages` are crawled pages as
+// `{ url, finalUrl, canonicalUrl, httpStatus, redirectChain, seo, navLinks }`, where `redirectChain`
+// is the redirect hops followed to reach the page and `navLinks` are the URLs linked from the page's
+// `<nav>`/`<header>`. `getKey` maps a URL to the key pages are matched by (the scan's canonical key).
+//
+// Only HTML pages that were crawled with `seo` data and did not return an error status are audited:
+// - `missingTitle`: no `<title>` text
+// - `duplicateTitle`: another page has the same title (case-insensitive). Pages whose canonical points
+//   elsewhere are expected to share their canonical's title and are left out.
+// - `missingMetaDescription`: no `<meta name="description">` text
+// - `multipleH1`: more than one non-empty H1
+// - `noindexInNav`: the page is noindex but linked from site navigation
+// - `canonicalElsewhere`: the canonical URL is a different page
+// - `redirectChain`: the crawled URL took more than one redirect to reach the page
+// - `thinContent`: fewer than `thinContentWords` words of body text
+function auditSeo({ pages, getKey, thinContentWords = DEFAULT_THIN_CONTENT_WORDS }) {
+  const keyOf = (url) => (url ? getKey(url) : null);
+  const audited = pages.filter((page) => page.seo && !(page.httpStatus >= 400));
+
+  const navLinkedKeys = new Set();
+  pages.forEach((page) => {
+    (page.navLinks || []).forEach((url) => {
+      const key = keyOf(url);
+      if (key) navLinkedKeys.add(key);
+    });
+  });
+
+  const pageKeyOf = (page) => keyOf(page.finalUrl || page.url);
+  const isCanonicalElsewhere = (page) => {
+    const canonicalKey = keyOf(page.canonicalUrl);
+    return Boolean(canonicalKey) && canonicalKey !== pageKeyOf(page);
+  };
+
+  // Several crawled URLs can land on the same page (redirects, aliases); count each page once.
+  const pageKeysByTitle = new Map();
+  audited.forEach((page) => {
+    const title = normalizeTitle(page.seo.title);
+    if (!title || isCanonicalElsewhere(page)) return;
+    if (!pageKeysByTitle.has(title)) pageKeysByTitle.set(title, new Set());
+    pageKeysByTitle.get(title).add(pageKeyOf(page));
+  });
+
+  const issuesByKey = new Map();
+  const counts = Object.fromEntries(SEO_ISSUE_TYPES.map((type) => [type, 0]));
+
+  audited.forEach((page) => {
+    const key = keyOf(page.url);
+    if (!key || issuesByKey.has(key)) return;
+    const { seo } = page;
+    const title = normalizeTitle(seo.title);
+    const found = new Set();
+
+    if (!title) found.add('missingTitle');
+    else if (!isCanonicalElsewhere(page) && pageKeysByTitle.get(title)?.size > 1) {
+      found.add('duplicateTitle');
+    }
+    if (!seo.metaDescription) found.add('missingMetaDescription');
+    if ((seo.h1?.length || 0) > 1) found.add('multipleH1');
+    if (seo.noindex && [page.url, page.finalUrl].some((url) => navLinkedKeys.has(keyOf(url)))) {
+      found.add('noindexInNav');
+    }
+    if (isCanonicalElsewhere(page)) found.add('canonicalElsewhere');
+    if ((page.redirectChain?.length || 0) > 1) found.add('redirectChain');
+    if (Number.isFinite(seo.wordCount) && seo.wordCount < thinContentWords) found.add('thinContent');
+
+    if (!found.size) return;
+    const issues = SEO_ISSUE_TYPES.filter((type) => found.has(type));
+    issues.forEach((type) => { counts[type] += 1; });
+    issuesByKey.set(key, issues);
+  });
+
+  return {
+    issuesByKey,
+    summary: {
+      auditedPages: audited.length,
+      pagesWithIssues: issuesByKey.size,
+      issues: counts,
+      thinContentWords,
+    },
+  };
+}
+
+// Sets `seoIssues` (issue types in `SEO_ISSUE_TYPES` order) on every node the audit flagged.
+function annotateSeoIssueNodes(trees, audit, getKey) {
+  const visit = (node) => {
+    const issues = node.url ? audit.issuesByKey.get(getKey(node.url)) : null;
+    if (issues?.length) node.seoIssues = issues;
+    node.children?.forEach(visit);
+  };
+  trees.forEach((tree) => tree && visit(tree));
+}
+
+module.exports = {
+  SEO_ISSUE_TYPES,
+  DEFAULT_THIN_CONTENT_WORDS,
+  auditSeo,
+  annotateSeoIssueNodes,
+};
@@ -0,0 +1,94 @@
+const MAX_TEXT_LENGTH = 500;
+const MAX_H1_COUNT = 10;
+const MAX_H1_LENGTH = 300;
+const OPEN_GRAPH_FIELDS = ['title', 'description', 'image', 'type', 'url', 'site_name'];
+// Not visible page copy; left out of the word count.
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, svg, iframe';
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+const cleanText = (value, maxLength = MAX_TEXT_LENGTH) => {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? text.slice(0, maxLength) : text;
+};
+
+// `metaRobots` is every robots directive that applies to crawlers in general or Googlebot, from
+// `<meta name="robots|googlebot">` and the X-Robots-Tag header, lowercased and de-duplicated.
+function parseRobotsDirectives(values) {
+  const directives = [];
+  values.forEach((value) => {
+    String(value || '').split(',').forEach((part) => {
+      let directive = part.trim().toLowerCase();
+      // X-Robots-Tag may be scoped to one bot (`googlebot: noindex`); other bots' directives do not apply.
+      const scoped = directive.match(/^([a-z-]+)\s*:\s*(.+)$/);
+      if (scoped && !['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'].includes(scoped[1])) {
+        if (scoped[1] !== 'googlebot') return;
+        directive = scoped[2].trim();
+      }
+      if (directive && !directives.includes(directive)) directives.push(directive);
+    });
+  });
+  return directives;
+}
+
+function countWords($) {
+  const body = $('body').length ? $('body').clone() : $.root().clone();
+  body.find(NON_CONTENT_SELECTOR).remove();
+  // Block elements run together in .text(); pad them so adjacent words are not joined.
+  body.find('p, div, li, td, th, br, h1, h2, h3, h4, h5, h6, section, article').each((_, el) => {
+    $(el).prepend(' ').append(' ');
+  });
+  return (body.text().match(WORD_PATTERN) || []).length;
+}
+
+// Reads the on-page SEO fields of a parsed HTML document (`cheerio.load(html)`). `robotsHeader` is the
+// X-Robots-Tag response header and `responseTimeMs` the fetch time measured by the crawler; both are
+// optional.
+function extractSeoMetadata($, { robotsHeader = null, responseTimeMs = null } = {}) {
+
+  const metaContent = (selector) => cleanText($(selector).first().attr('content'));
+
+  const h1 = [];
+  $('h1').each((_, el) => {
+    if (h1.length >= MAX_H1_COUNT) return;
+    const text = cleanText($(el).text(), MAX_H1_LENGTH);
+    if (text) h1.push(text);
+  });
+
+  // Meta names are case-insensitive (`<meta name="Description">` is common).
+  const metaByName = new Map();
+  $('meta[name]').each((_, el) => {
+    const name = String($(el).attr('name') || '').trim().toLowerCase();
+    if (!metaByName.has(name)) metaByName.set(name, []);
+    metaByName.get(name).push($(el).attr('content'));
+  });
+
+  const robotsValues = [...(metaByName.get('robots') || []), ...(metaByName.get('googlebot') || [])];
+  (Array.isArray(robotsHeader) ? robotsHeader : [robotsHeader]).forEach((value) => {
+    if (value) robotsValues.push(value);
+  });
+  const directives = parseRobotsDirectives(robotsValues);
+
+  const openGraph = {};
+  OPEN_GRAPH_FIELDS.forEach((field) => {
+    const value = metaContent(`meta[property="og:${field}"]`) || metaContent(`meta[name="og:${field}"]`);
+    if (value) openGraph[field] = value;
+  });
+
+  return {
+    title: cleanText($('title').first().text()),
+    metaDescription: cleanText(metaByName.get('description')?.[0]),
+    h1,
+    metaRobots: directives.length ? directives.join(', ') : null,
+    noindex: directives.includes('noindex') || directives.includes('none'),
+    nofollow: directives.includes('nofollow') || directives.includes('none'),
+    openGraph,
+    wordCount: countWords($),
+    responseTimeMs: Number.isFinite(responseTimeMs) ? Math.round(responseTimeMs) : null,
+  };
+}
+
+module.exports = {
+  extractSeoMetadata,
+  parseRobotsDirectives,
+};
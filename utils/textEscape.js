@@ -0,0 +1,19 @@
+// Escaping shared by the text exports (CSV inventories, JUnit reports, rendered SVG). The frontend
+// keeps the same helpers in frontend/src/utils/textEscape.js; scripts/check-text-escape.js compares
+// the two.
+
+// A double-quoted CSV field; embedded quotes are doubled.
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Text or attribute value for XML, SVG and HTML output.
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+module.exports = {
+  csvCell,
+  escapeXml,
+};
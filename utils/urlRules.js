@@ -0,0 +1,174 @@
+const { RE2JS } = require('re2js');
+
+const MAX_URL_RULES = 50;
+const MAX_URL_RULE_LENGTH = 500;
+
+function createUrlRulesError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_URL_RULES';
+  return error;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Glob rules follow robots.txt matching: `*` matches anything (including `/`), a trailing `$`
+// anchors the end, and everything else is a literal prefix. Rules starting with `/` match from
+// the start of the path, full URLs match the whole URL, and anything else matches anywhere
+// (so `?replytocom=` catches the parameter on any page).
+function compileGlob(pattern) {
+  const anchoredEnd = pattern.endsWith('$');
+  const body = anchoredEnd ? pattern.slice(0, -1) : pattern;
+  const source = body.split('*').map(escapeRegex).join('.*');
+  const isFullUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(body);
+  const isPathRule = body.startsWith('/');
+  const prefix = isFullUrl || isPathRule ? '^' : '';
+  const regex = new RegExp(`${prefix}${source}${anchoredEnd ? '$' : ''}`, isFullUrl ? 'i' : '');
+  return {
+    target: isFullUrl ? 'url' : 'path',
+    test: (value) => regex.test(value),
+  };
+}
+
+const REGEX_FLAGS = {
+  i: RE2JS.CASE_INSENSITIVE,
+  m: RE2JS.MULTILINE,
+  s: RE2JS.DOTALL,
+  u: 0,
+};
+
+// Regex rules come from users and run on the server thread for every discovered link, so they
+// use RE2 (linear-time matching) instead of RegExp. RE2 has no backreferences or lookarounds;
+// patterns that need them are rejected as invalid.
+function compileRegex(pattern, flags = '') {
+  let regex;
+  try {
+    regex = RE2JS.compile(pattern, [...flags].reduce((mask, flag) => mask | REGEX_FLAGS[flag], 0));
+  } catch {
+    throw createUrlRulesError(`Invalid regex rule: ${pattern}`);
+  }
+  return {
+    target: 'url',
+    test: (value) => regex.matcher(value).find(),
+  };
+}
+
+function normalizeRule(raw, kind) {
+  const entry = typeof raw === 'string' ? { pattern: raw } : (raw || {});
+  let pattern = String(entry.pattern ?? '').trim();
+  if (!pattern) return null;
+  if (pattern.length > MAX_URL_RULE_LENGTH) throw createUrlRulesError('URL rule is too long');
+
+  let type = entry.type === 'regex' ? 'regex' : 'glob';
+  const flags = type === 'regex' ? String(entry.flags || '') : '';
+  // `re:pattern` is shorthand for a regex rule; `/fr/` style rules stay path globs.
+  if (!entry.type && pattern.startsWith('re:')) {
+    type = 'regex';
+    pattern = pattern.slice(3).trim();
+    if (!pattern) return null;
+  }
+
+  if (!/^[imsu]*$/.test(flags)) throw createUrlRulesError(`Invalid regex flags: ${flags}`);
+  // Compile once here so invalid rules are rejected before the scan starts.
+  if (type === 'regex') compileRegex(pattern, flags);
+  return { kind, type, pattern, flags };
+}
+
+function normalizeUrlRules(raw) {
+  if (!raw) return { include: [], exclude: [] };
+  const toList = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split('\n');
+    throw createUrlRulesError('URL rules must be a list');
+  };
+  const include = toList(raw.include).map((rule) => normalizeRule(rule, 'include')).filter(Boolean);
+  const exclude = toList(raw.exclude).map((rule) => normalizeRule(rule, 'exclude')).filter(Boolean);
+  if (include.length + exclude.length > MAX_URL_RULES) {
+    throw createUrlRulesError(`At most ${MAX_URL_RULES} URL rules are allowed`);
+  }
+  return { include, exclude };
+}
+
+function getRuleTargets(url) {
+  try {
+    const parsed = new URL(url);
+    return { url: parsed.toString(), path: `${parsed.pathname}${parsed.search}` };
+  } catch {
+    return { url: String(url || ''), path: String(url || '') };
+  }
+}
+
+// Exclude rules win over include rules. When include rules exist, a URL must match one of them.
+// Hit counts are per distinct URL, so a page linked from many places is counted once.
+// `state` comes from exportState() of an earlier filter with the same rules (resumed scans).
+function createUrlRuleFilter(rules, state = null) {
+  const normalized = normalizeUrlRules(rules);
+  const compiled = [...normalized.exclude, ...normalized.include].map((rule) => ({
+    ...rule,
+    hits: 0,
+    matcher: rule.type === 'regex' ? compileRegex(rule.pattern, rule.flags) : compileGlob(rule.pattern),
+  }));
+  const hasInclude = normalized.include.length > 0;
+  const verdicts = new Map();
+  let notIncluded = 0;
+
+  const evaluate = (url) => {
+    const targets = getRuleTargets(url);
+    const matches = (rule) => rule.matcher.test(targets[rule.matcher.target]);
+    const excludedBy = compiled.find((rule) => rule.kind === 'exclude' && matches(rule));
+    if (excludedBy) return { allowed: false, rule: excludedBy };
+    if (!hasInclude) return { allowed: true, rule: null };
+    const includedBy = compiled.find((rule) => rule.kind === 'include' && matches(rule));
+    return includedBy ? { allowed: true, rule: includedBy } : { allowed: false, rule: null };
+  };
+
+  const recordVerdict = (url, verdict) => {
+    if (verdict.rule) {
+      verdict.rule.hits += 1;
+    } else if (!verdict.allowed) {
+      notIncluded += 1;
+    }
+    verdicts.set(url, verdict);
+  };
+
+  const check = (url) => {
+    if (!compiled.length) return { allowed: true, rule: null };
+    if (verdicts.has(url)) return verdicts.get(url);
+    const verdict = evaluate(url);
+    recordVerdict(url, verdict);
+    return verdict;
+  };
+
+  const exportState = () => ({
+    verdicts: Array.from(verdicts.entries()).map(([url, verdict]) => [
+      url,
+      verdict.allowed ? 1 : 0,
+      verdict.rule ? compiled.indexOf(verdict.rule) : -1,
+    ]),
+  });
+
+  (state?.verdicts || []).forEach(([url, allowed, ruleIndex]) => {
+    if (!compiled.length || verdicts.has(url)) return;
+    recordVerdict(url, { allowed: allowed === 1, rule: compiled[ruleIndex] || null });
+  });
+
+  const summary = () => ({
+    rules: compiled.map(({ kind, type, pattern, hits }) => ({ kind, type, pattern, hits })),
+    notIncluded,
+  });
+
+  return {
+    active: compiled.length > 0,
+    check,
+    summary,
+    exportState,
+  };
+}
+
+module.exports = {
+  MAX_URL_RULES,
+  normalizeUrlRules,
+  createUrlRuleFilter,
+};
@@ -0,0 +1,86 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Outbound requests to user-supplied URLs (scans, logins, webhooks) go through assertSafeUrl so they
+// cannot reach the server's own network. Private networks are allowed outside production unless
+// ALLOW_PRIVATE_NETWORKS=false.
+const isProd = process.env.NODE_ENV === 'production' || process.env.RAILWAY_PUBLIC_DOMAIN;
+const ALLOW_PRIVATE_NETWORKS = process.env.ALLOW_PRIVATE_NETWORKS === 'true'
+  || (!isProd && process.env.ALLOW_PRIVATE_NETWORKS !== 'false');
+
+const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip);
+
+const isPrivateIp = (ip) => {
+  const normalized = normalizeIp(ip);
+  const version = net.isIP(normalized);
+  if (version === 4) {
+    const [a, b] = normalized.split('.').map(Number);
+    if (a === 10) return true;
+    if (a === 127) return true;
+    if (a === 0) return true;
+    if (a === 169 && b === 254) return true;
+    if (a === 172 && b >= 16 && b <= 31) return true;
+    if (a === 192 && b === 168) return true;
+    if (a >= 224) return true; // multicast/reserved
+    return false;
+  }
+  if (version === 6) {
+    const lower = normalized.toLowerCase();
+    if (lower === '::1') return true;
+    if (lower.startsWith('fc') || lower.startsWith('fd')) return true; // ULA
+    if (lower.startsWith('fe80')) return true; // link-local
+    if (lower.startsWith('::ffff:')) return isPrivateIp(lower.slice(7));
+    return false;
+  }
+  return true;
+};
+
+const isHostBlocked = (hostname) => {
+  const lower = hostname.toLowerCase();
+  return (
+    lower === 'localhost'
+    || lower.endsWith('.localhost')
+    || lower.endsWith('.local')
+  );
+};
+
+async function assertSafeUrl(rawUrl) {
+  let urlObj;
+  try {
+    urlObj = new URL(rawUrl);
+  } catch {
+    throw new Error('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    throw new Error('Invalid URL protocol');
+  }
+
+  const hostname = urlObj.hostname;
+  if (!ALLOW_PRIVATE_NETWORKS) {
+    if (isHostBlocked(hostname)) throw new Error('Blocked host');
+    if (net.isIP(hostname)) {
+      if (isPrivateIp(hostname)) throw new Error('Blocked host');
+    } else {
+      let records = [];
+      try {
+        records = await dns.lookup(hostname, { all: true, verbatim: true });
+      } catch {
+        throw new Error('Unable to resolve host');
+      }
+      if (!records.length) throw new Error('Unable to resolve host');
+      if (records.some((rec) => isPrivateIp(rec.address))) {
+        throw new Error('Blocked host');
+      }
+    }
+  }
+
+  return urlObj.toString();
+}
+
+module.exports = {
+  ALLOW_PRIVATE_NETWORKS,
+  normalizeIp,
+  isPrivateIp,
+  assertSafeUrl,
+};
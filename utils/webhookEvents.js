@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const webhookStore = require('../stores/webhookStore');
+const mapStore = require('../stores/mapStore');
+const {
+  WEBHOOK_EVENTS,
+  parseWebhookEvents,
+  buildWebhookBody,
+  createMapUpdateCoalescer,
+} = require('./webhooks');
+
+const WEBHOOK_MAP_UPDATED_QUIET_MS = Math.max(0, Number(process.env.WEBHOOK_MAP_UPDATED_QUIET_MS ?? 30000));
+const WEBHOOK_MAP_UPDATED_MAX_WAIT_MS = Math.max(
+  WEBHOOK_MAP_UPDATED_QUIET_MS,
+  Number(process.env.WEBHOOK_MAP_UPDATED_MAX_WAIT_MS ?? 300000)
+);
+
+const toSqlTimestamp = (time = Date.now()) => new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+
+// Queues a delivery for one subscription; the worker sends it on its next webhook poll.
+async function queueWebhookDeliveryAsync(subscription, event, data, occurredAt = new Date().toISOString()) {
+  const id = crypto.randomUUID();
+  await webhookStore.insertWebhookDeliveryAsync({
+    id,
+    subscriptionId: subscription.id,
+    event,
+    payload: buildWebhookBody({ deliveryId: id, event, occurredAt, data }),
+    nextAttemptAt: toSqlTimestamp(),
+  });
+  return id;
+}
+
+// Queues `event` for every enabled subscription of the project that listens to it.
+async function enqueueWebhookEventAsync({ projectId, event, data }) {
+  if (!projectId) return 0;
+  const subscriptions = await webhookStore.listWebhookSubscriptionsByProjectAsync(projectId);
+  const targets = subscriptions.filter((subscription) => (
+    subscription.enabled && parseWebhookEvents(subscription.events).includes(event)
+  ));
+  const occurredAt = new Date().toISOString();
+  for (const subscription of targets) {
+    await queueWebhookDeliveryAsync(subscription, event, data, occurredAt);
+  }
+  return targets.length;
+}
+
+// Map events go to the map's project; maps outside a project have no subscribers. `map` is a map
+// row or id, and `data.map` is filled in from it.
+async function enqueueMapWebhookEventAsync(map, event, data = {}) {
+  const row = typeof map === 'string' ? await mapStore.getMapByIdAsync(map) : map;
+  if (!row?.project_id) return 0;
+  return enqueueWebhookEventAsync({
+    projectId: row.project_id,
+    event,
+    data: {
+      map: { id: row.id, name: row.name, url: row.url || null, projectId: row.project_id },
+      ...data,
+    },
+  });
+}
+
+// Fire-and-forget form for request handlers: a webhook problem never fails the request.
+function emitMapWebhookEvent(map, event, data) {
+  enqueueMapWebhookEventAsync(map, event, data).catch((error) => {
+    console.warn(`[webhook] Failed to queue ${event}:`, error.message);
+  });
+}
+
+// The map is loaded again when the event is queued, so it carries the map's name and project at
+// that time; a map deleted in between sends nothing.
+const mapUpdateCoalescer = createMapUpdateCoalescer({
+  quietMs: WEBHOOK_MAP_UPDATED_QUIET_MS,
+  maxWaitMs: WEBHOOK_MAP_UPDATED_MAX_WAIT_MS,
+  flush: (mapId, data) => enqueueMapWebhookEventAsync(mapId, WEBHOOK_EVENTS.MAP_UPDATED, data).catch((error) => {
+    console.warn(`[webhook] Failed to queue ${WEBHOOK_EVENTS.MAP_UPDATED}:`, error.message);
+  }),
+});
+
+// `map.updated` for a save; see createMapUpdateCoalescer.
+function emitMapUpdatedWebhookEvent(map, data) {
+  if (!map?.id) return;
+  mapUpdateCoalescer.add(map.id, data);
+}
+
+function flushMapUpdatedWebhookEventsAsync() {
+  return mapUpdateCoalescer.flushAll();
+}
+
+module.exports = {
+  queueWebhookDeliveryAsync,
+  enqueueWebhookEventAsync,
+  enqueueMapWebhookEventAsync,
+  emitMapWebhookEvent,
+  emitMapUpdatedWebhookEvent,
+  flushMapUpdatedWebhookEventsAsync,
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+// Outbound webhooks: projects subscribe a URL to events, the web process queues one delivery row per
+// subscription and the worker posts them. Bodies are signed with the subscription's secret as
+// `sha256=HMAC(secret, "<timestamp>.<body>")` so receivers can check origin and freshness.
+const WEBHOOK_EVENTS = Object.freeze({
+  SCAN_COMPLETED: 'scan.completed',
+  SCAN_FAILED: 'scan.failed',
+  MAP_UPDATED: 'map.updated',
+  VERSION_CREATED: 'version.created',
+  COMMENT_ADDED: 'comment.added',
+  INVITE_ACCEPTED: 'invite.accepted',
+});
+const VALID_EVENTS = new Set(Object.values(WEBHOOK_EVENTS));
+// Sent only by the test endpoint; subscriptions cannot opt in to it.
+const WEBHOOK_PING_EVENT = 'ping';
+
+const WEBHOOK_SIGNATURE_HEADER = 'X-MapMat-Signature';
+const WEBHOOK_TIMESTAMP_HEADER = 'X-MapMat-Timestamp';
+const WEBHOOK_EVENT_HEADER = 'X-MapMat-Event';
+const WEBHOOK_DELIVERY_HEADER = 'X-MapMat-Delivery';
+
+// Attempt n failing waits 30s * 4^(n-1): 30s, 2m, 8m, 32m, ~2h. The sixth failure is final.
+const WEBHOOK_MAX_ATTEMPTS = 6;
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+
+function createWebhookError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_WEBHOOK';
+  return error;
+}
+
+function normalizeWebhookUrl(value) {
+  const raw = String(value || '').trim();
+  if (!raw) throw createWebhookError('Webhook URL is required');
+  if (raw.length > MAX_WEBHOOK_URL_LENGTH) throw createWebhookError('Webhook URL is too long');
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    throw createWebhookError('Webhook URL must be an absolute URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw createWebhookError('Webhook URL must use http or https');
+  }
+  if (parsed.username || parsed.password) {
+    throw createWebhookError('Webhook URL must not contain credentials');
+  }
+  parsed.hash = '';
+  return parsed.href;
+}
+
+function parseWebhookEvents(value) {
+  return String(value || '').split(',').filter((event) => VALID_EVENTS.has(event));
+}
+
+// Validates a create (`existing` null) or partial update. Returns only the fields to store.
+function normalizeWebhookInput(raw = {}, existing = null) {
+  const input = {};
+
+  if (!existing || raw.url !== undefined) input.url = normalizeWebhookUrl(raw.url);
+
+  if (!existing || raw.events !== undefined) {
+    const requested = Array.isArray(raw.events) ? raw.events : [];
+    const unknown = requested.filter((event) => !VALID_EVENTS.has(event));
+    if (unknown.length) throw createWebhookError(`Unknown event: ${unknown.join(', ')}`);
+    const events = Object.values(WEBHOOK_EVENTS).filter((event) => requested.includes(event));
+    if (!events.length) throw createWebhookError('Select at least one event');
+    input.events = events;
+  }
+
+  if (raw.enabled !== undefined) input.enabled = Boolean(raw.enabled);
+  else if (!existing) input.enabled = true;
+
+  return input;
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signWebhookPayload({ secret, timestamp, body }) {
+  const digest = crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Receiver-side check, also used by the tests. `timestamp` is Unix seconds.
+function verifyWebhookSignature({ secret, timestamp, body, signature, toleranceSec = 300, now = Date.now() }) {
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(now / 1000 - sentAt) > toleranceSec) return false;
+  const expected = Buffer.from(signWebhookPayload({ secret, timestamp, body }));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Delay after failed attempt `attempt` (1-based), or null when no attempts are left.
+function getWebhookRetryDelayMs(attempt) {
+  if (attempt >= WEBHOOK_MAX_ATTEMPTS) return null;
+  return Math.min(WEBHOOK_RETRY_BASE_MS * (4 ** Math.max(0, attempt - 1)), WEBHOOK_RETRY_MAX_MS);
+}
+
+function buildWebhookBody({ deliveryId, event, occurredAt, data }) {
+  return JSON.stringify({
+    id: deliveryId,
+    event,
+    createdAt: occurredAt,
+    data: data || {},
+  });
+}
+
+// Map saves arrive every few seconds while someone edits (autosave), so `map.updated` is coalesced
+// per map: saves are merged until the map has been quiet for `quietMs`, or `maxWaitMs` after the
+// first one, then `flush(mapId, data)` is called once with the union of changed fields and the
+// number of saves.
+function createMapUpdateCoalescer({ quietMs, maxWaitMs, flush }) {
+  const pending = new Map();
+
+  const fire = (mapId) => {
+    const entry = pending.get(mapId);
+    if (!entry) return null;
+    clearTimeout(entry.timer);
+    pending.delete(mapId);
+    return flush(mapId, {
+      actor: entry.actor,
+      changed: Array.from(entry.changed),
+      updatedAt: entry.updatedAt,
+      saves: entry.saves,
+    });
+  };
+
+  const add = (mapId, { actor = null, changed = [], updatedAt = null } = {}) => {
+    const now = Date.now();
+    let entry = pending.get(mapId);
+    if (!entry) {
+      entry = { firstAt: now, changed: new Set(), saves: 0, timer: null };
+      pending.set(mapId, entry);
+    }
+    clearTimeout(entry.timer);
+    changed.forEach((field) => entry.changed.add(field));
+    entry.actor = actor;
+    entry.updatedAt = updatedAt;
+    entry.saves += 1;
+    const delay = Math.max(0, Math.min(quietMs, entry.firstAt + maxWaitMs - now));
+    entry.timer = setTimeout(() => fire(mapId), delay);
+    if (entry.timer.unref) entry.timer.unref();
+  };
+
+  // Flushes everything still waiting, e.g. on shutdown; resolves once every flush has.
+  const flushAll = () => Promise.all(Array.from(pending.keys()).map(fire));
+
+  return { add, flushAll, size: () => pending.size };
+}
+
+// Every comment and reply in the trees, keyed by comment id.
+function collectMapComments(trees) {
+  const comments = new Map();
+  const visitComments = (node, list, parentCommentId) => {
+    (list || []).forEach((comment) => {
+      if (!comment?.id) return;
+      comments.set(comment.id, { node, comment, parentCommentId });
+      visitComments(node, comment.replies, comment.id);
+    });
+  };
+  const visitNode = (node) => {
+    if (!node) return;
+    visitComments(node, node.comments, null);
+    (node.children || []).forEach(visitNode);
+  };
+  (trees || []).forEach(visitNode);
+  return comments;
+}
+
+// Comments (and replies) present after a save but not before, as webhook-ready summaries.
+function findAddedComments(beforeTrees, afterTrees) {
+  const before = collectMapComments(beforeTrees);
+  const added = [];
+  collectMapComments(afterTrees).forEach(({ node, comment, parentCommentId }, id) => {
+    if (before.has(id)) return;
+    added.push({
+      id,
+      nodeId: node.id || null,
+      nodeTitle: node.title || null,
+      nodeUrl: node.url || null,
+      parentCommentId,
+      text: String(comment.text || ''),
+      author: comment.author || null,
+      mentions: Array.isArray(comment.mentions) ? comment.mentions : [],
+      createdAt: comment.createdAt || null,
+    });
+  });
+  return added;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_PING_EVENT,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+  WEBHOOK_EVENT_HEADER,
+  WEBHOOK_DELIVERY_HEADER,
+  WEBHOOK_MAX_ATTEMPTS,
+  normalizeWebhookInput,
+  parseWebhookEvents,
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  getWebhookRetryDelayMs,
+  buildWebhookBody,
+  createMapUpdateCoalescer,
+  collectMapComments,
+  findAddedComments,
+};